@@ -0,0 +1,457 @@
+/**
+ * ════════════════════════════════════════════════════════
+ *  BEAT MARKER PRO — Audio Decoders (Node)
+ *  WAV / AIFF / FLAC → float samples for AudioAnalyzer
+ * ════════════════════════════════════════════════════════
+ *
+ *  The panel decodes through Web Audio; the CLI has no AudioContext,
+ *  so it reads uncompressed and FLAC files itself:
+ *    WAV   — PCM 8/16/24/32-bit, IEEE float 32/64, WAVE_FORMAT_EXTENSIBLE
+ *    AIFF  — PCM big-endian; AIFF-C "NONE", "sowt", "fl32", "fl64"
+ *    FLAC  — any stream (fixed / LPC subframes, stereo decorrelation)
+ *
+ *  decode() returns an AudioBuffer stand-in, the same shape the
+ *  analysis worker builds:
+ *    { sampleRate, numberOfChannels, length, duration, getChannelData(c) }
+ */
+
+var AudioDecoders = (function () {
+
+  function audioBuffer(sampleRate, channels) {
+    var length = channels.length ? channels[0].length : 0;
+    return {
+      sampleRate: sampleRate,
+      numberOfChannels: channels.length,
+      length: length,
+      duration: length / sampleRate,
+      getChannelData: function (c) { return channels[c]; },
+    };
+  }
+
+  function fourCC(bytes, offset) {
+    return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+  }
+
+  function allocChannels(count, length) {
+    var channels = [];
+    for (var c = 0; c < count; c++) channels.push(new Float32Array(length));
+    return channels;
+  }
+
+  /**
+   * Interleaved PCM / float frames → per-channel floats in −1…1.
+   */
+  function readInterleaved(view, offset, frames, numChannels, bits, isFloat, littleEndian) {
+    var channels = allocChannels(numChannels, frames);
+    var bytesPer = bits / 8;
+    var scale = Math.pow(2, bits - 1);
+    var pos = offset;
+    for (var i = 0; i < frames; i++) {
+      for (var c = 0; c < numChannels; c++) {
+        var v;
+        if (isFloat) {
+          v = bits === 64 ? view.getFloat64(pos, littleEndian) : view.getFloat32(pos, littleEndian);
+        } else if (bits === 8) {
+          // WAV 8-bit is unsigned; AIFF 8-bit is signed
+          v = littleEndian ? (view.getUint8(pos) - 128) / 128 : view.getInt8(pos) / 128;
+        } else if (bits === 16) {
+          v = view.getInt16(pos, littleEndian) / scale;
+        } else if (bits === 24) {
+          var b0 = view.getUint8(pos), b1 = view.getUint8(pos + 1), b2 = view.getUint8(pos + 2);
+          var n = littleEndian ? (b2 << 16) | (b1 << 8) | b0 : (b0 << 16) | (b1 << 8) | b2;
+          v = (n & 0x800000 ? n - 0x1000000 : n) / scale;
+        } else {
+          v = view.getInt32(pos, littleEndian) / scale;
+        }
+        channels[c][i] = v;
+        pos += bytesPer;
+      }
+    }
+    return channels;
+  }
+
+  // ── WAV ──
+
+  function decodeWAV(bytes) {
+    var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    var fmt = null, dataOffset = -1, dataSize = 0;
+    var pos = 12;
+    while (pos + 8 <= bytes.length) {
+      var id = fourCC(bytes, pos);
+      var size = view.getUint32(pos + 4, true);
+      if (id === "fmt ") {
+        fmt = {
+          format: view.getUint16(pos + 8, true),
+          channels: view.getUint16(pos + 10, true),
+          sampleRate: view.getUint32(pos + 12, true),
+          blockAlign: view.getUint16(pos + 20, true),
+          bits: view.getUint16(pos + 22, true),
+        };
+        // WAVE_FORMAT_EXTENSIBLE: the real format leads the sub-format GUID
+        if (fmt.format === 0xfffe && size >= 40) fmt.format = view.getUint16(pos + 32, true);
+      } else if (id === "data") {
+        dataOffset = pos + 8;
+        // Streamed files may leave the size unset; read what is there
+        dataSize = Math.min(size, bytes.length - dataOffset);
+        break;
+      }
+      pos += 8 + size + (size & 1);
+    }
+    if (!fmt || dataOffset < 0) throw new Error("WAV file has no fmt or data chunk");
+    var isFloat = fmt.format === 3;
+    if (fmt.format !== 1 && !isFloat) throw new Error("Unsupported WAV encoding (format " + fmt.format + ")");
+    if ([8, 16, 24, 32, 64].indexOf(fmt.bits) < 0 || (isFloat && fmt.bits < 32)) {
+      throw new Error("Unsupported WAV bit depth " + fmt.bits);
+    }
+    var frameBytes = fmt.blockAlign || fmt.channels * fmt.bits / 8;
+    var frames = Math.floor(dataSize / frameBytes);
+    return audioBuffer(fmt.sampleRate, readInterleaved(view, dataOffset, frames, fmt.channels, fmt.bits, isFloat, true));
+  }
+
+  // ── AIFF ──
+
+  /**
+   * 80-bit IEEE extended float (COMM sample rate).
+   */
+  function readExtended(view, offset) {
+    var exponent = view.getUint16(offset) & 0x7fff;
+    var sign = view.getUint16(offset) & 0x8000 ? -1 : 1;
+    var hi = view.getUint32(offset + 2), lo = view.getUint32(offset + 6);
+    if (exponent === 0 && hi === 0 && lo === 0) return 0;
+    return sign * (hi * Math.pow(2, exponent - 16383 - 31) + lo * Math.pow(2, exponent - 16383 - 63));
+  }
+
+  function decodeAIFF(bytes) {
+    var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    var isAIFC = fourCC(bytes, 8) === "AIFC";
+    var comm = null, ssndOffset = -1;
+    var pos = 12;
+    while (pos + 8 <= bytes.length) {
+      var id = fourCC(bytes, pos);
+      var size = view.getUint32(pos + 4);
+      if (id === "COMM") {
+        comm = {
+          channels: view.getInt16(pos + 8),
+          frames: view.getUint32(pos + 10),
+          bits: view.getInt16(pos + 14),
+          sampleRate: readExtended(view, pos + 16),
+          compression: isAIFC ? fourCC(bytes, pos + 26) : "NONE",
+        };
+      } else if (id === "SSND") {
+        ssndOffset = pos + 16 + view.getUint32(pos + 8);
+      }
+      pos += 8 + size + (size & 1);
+    }
+    if (!comm || ssndOffset < 0) throw new Error("AIFF file has no COMM or SSND chunk");
+
+    var littleEndian = false, isFloat = false, bits = comm.bits;
+    switch (comm.compression) {
+      case "NONE": case "twos": break;
+      case "sowt": littleEndian = true; break;
+      case "fl32": case "FL32": isFloat = true; bits = 32; break;
+      case "fl64": case "FL64": isFloat = true; bits = 64; break;
+      default: throw new Error("Unsupported AIFF-C compression \"" + comm.compression + "\"");
+    }
+    // Sample bits round up to whole bytes
+    bits = Math.ceil(bits / 8) * 8;
+    if (littleEndian && bits === 8) throw new Error("Unsupported AIFF-C 8-bit sowt");
+    var frameBytes = comm.channels * bits / 8;
+    var frames = Math.min(comm.frames, Math.floor((bytes.length - ssndOffset) / frameBytes));
+    var channels = readInterleaved(view, ssndOffset, frames, comm.channels, bits, isFloat, littleEndian);
+    return audioBuffer(Math.round(comm.sampleRate), channels);
+  }
+
+  // ── FLAC ──
+
+  /**
+   * MSB-first bit reader. Values up to 32 bits come back unsigned
+   * (readSigned for two's complement); arithmetic stays in doubles so
+   * 32-bit samples don't wrap.
+   */
+  function BitReader(bytes, pos) {
+    this.bytes = bytes;
+    this.pos = pos;   // byte position
+    this.bit = 0;     // bits consumed in bytes[pos]
+  }
+
+  BitReader.prototype.read = function (n) {
+    var value = 0;
+    while (n > 0) {
+      if (this.pos >= this.bytes.length) throw new Error("FLAC stream ends mid-frame");
+      var avail = 8 - this.bit;
+      var take = n < avail ? n : avail;
+      var bits = (this.bytes[this.pos] >> (avail - take)) & ((1 << take) - 1);
+      value = value * (1 << take) + bits;
+      n -= take;
+      this.bit += take;
+      if (this.bit === 8) { this.bit = 0; this.pos++; }
+    }
+    return value;
+  };
+
+  BitReader.prototype.readSigned = function (n) {
+    if (n === 0) return 0;
+    var value = this.read(n);
+    return value >= Math.pow(2, n - 1) ? value - Math.pow(2, n) : value;
+  };
+
+  /**
+   * Count of 0 bits before the next 1 bit (which is consumed).
+   */
+  BitReader.prototype.readUnary = function () {
+    var count = 0;
+    for (;;) {
+      if (this.pos >= this.bytes.length) throw new Error("FLAC stream ends mid-frame");
+      var byte = (this.bytes[this.pos] << this.bit) & 0xff;
+      if (byte === 0) {
+        count += 8 - this.bit;
+        this.bit = 0;
+        this.pos++;
+        continue;
+      }
+      var zeros = Math.clz32(byte) - 24;
+      count += zeros;
+      this.bit += zeros + 1;
+      if (this.bit === 8) { this.bit = 0; this.pos++; }
+      return count;
+    }
+  };
+
+  BitReader.prototype.alignToByte = function () {
+    if (this.bit) { this.bit = 0; this.pos++; }
+  };
+
+  /**
+   * STREAMINFO, skipping an ID3v2 tag some taggers put in front.
+   * @returns {{ sampleRate, channels, bits, totalSamples, maxBlock, framesStart }}
+   */
+  function readFLACHeader(bytes) {
+    var pos = 0;
+    if (fourCC(bytes, 0).slice(0, 3) === "ID3") {
+      pos = 10 + ((bytes[6] & 0x7f) << 21 | (bytes[7] & 0x7f) << 14 | (bytes[8] & 0x7f) << 7 | (bytes[9] & 0x7f));
+    }
+    if (fourCC(bytes, pos) !== "fLaC") throw new Error("Not a FLAC stream");
+    pos += 4;
+
+    var info = null, last = false;
+    while (!last) {
+      if (pos + 4 > bytes.length) throw new Error("FLAC metadata is truncated");
+      last = !!(bytes[pos] & 0x80);
+      var type = bytes[pos] & 0x7f;
+      var length = (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3];
+      if (type === 0) {
+        var r = new BitReader(bytes, pos + 4);
+        r.read(16); // min block size
+        var maxBlock = r.read(16);
+        r.read(24); r.read(24); // min / max frame size
+        info = {
+          sampleRate: r.read(20),
+          channels: r.read(3) + 1,
+          bits: r.read(5) + 1,
+          totalSamples: r.read(36),
+          maxBlock: maxBlock,
+        };
+      }
+      pos += 4 + length;
+    }
+    if (!info) throw new Error("FLAC stream has no STREAMINFO");
+    info.framesStart = pos;
+    return info;
+  }
+
+  var FLAC_SAMPLE_RATES = [0, 88200, 176400, 192000, 8000, 16000, 22050, 24000, 32000, 44100, 48000, 96000];
+  var FLAC_SAMPLE_BITS = [0, 8, 12, 0, 16, 20, 24, 32];
+
+  function readFLACFrameHeader(r, info) {
+    var sync = r.read(14);
+    if (sync !== 0x3ffe) throw new Error("Lost FLAC frame sync");
+    r.read(2); // reserved, blocking strategy
+    var blockCode = r.read(4), rateCode = r.read(4);
+    var channelCode = r.read(4), bitsCode = r.read(3);
+    r.read(1);
+
+    // Frame / sample number, UTF-8 style: only skipped
+    var lead = r.read(8), extra = 0;
+    while (lead & (0x80 >> extra)) extra++;
+    for (var i = 1; i < extra; i++) r.read(8);
+
+    var blockSize;
+    if (blockCode === 1) blockSize = 192;
+    else if (blockCode >= 2 && blockCode <= 5) blockSize = 576 << (blockCode - 2);
+    else if (blockCode === 6) blockSize = r.read(8) + 1;
+    else if (blockCode === 7) blockSize = r.read(16) + 1;
+    else if (blockCode >= 8) blockSize = 256 << (blockCode - 8);
+    else throw new Error("Reserved FLAC block size");
+
+    if (rateCode === 12) r.read(8);
+    else if (rateCode === 13 || rateCode === 14) r.read(16);
+    r.read(8); // CRC-8
+
+    var bits = bitsCode === 0 ? info.bits : FLAC_SAMPLE_BITS[bitsCode];
+    if (!bits) throw new Error("Reserved FLAC sample size");
+    return {
+      blockSize: blockSize,
+      bits: bits,
+      channelCode: channelCode,
+      channels: channelCode < 8 ? channelCode + 1 : 2,
+    };
+  }
+
+  function readResidual(r, out, blockSize, order) {
+    var method = r.read(2);
+    if (method > 1) throw new Error("Reserved FLAC residual coding");
+    var paramBits = method === 0 ? 4 : 5;
+    var escape = method === 0 ? 15 : 31;
+    var partitionOrder = r.read(4);
+    var partitions = 1 << partitionOrder;
+    var perPartition = blockSize >> partitionOrder;
+    var i = order;
+    for (var p = 0; p < partitions; p++) {
+      var count = p === 0 ? perPartition - order : perPartition;
+      var param = r.read(paramBits);
+      if (param === escape) {
+        var rawBits = r.read(5);
+        for (var k = 0; k < count; k++) out[i++] = r.readSigned(rawBits);
+      } else {
+        for (var j = 0; j < count; j++) {
+          var value = r.readUnary() * Math.pow(2, param) + (param ? r.read(param) : 0);
+          // Zig-zag: even → positive, odd → negative
+          out[i++] = value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+        }
+      }
+    }
+  }
+
+  var FIXED_COEFFICIENTS = [[], [1], [2, -1], [3, -3, 1], [4, -6, 4, -1]];
+
+  /**
+   * Restores samples [order, blockSize) from residuals in place:
+   * s[i] = residual[i] + (Σ coef[j]·s[i−1−j]) >> shift.
+   */
+  function predict(samples, blockSize, coefs, shift) {
+    var order = coefs.length;
+    var div = Math.pow(2, shift);
+    for (var i = order; i < blockSize; i++) {
+      var sum = 0;
+      for (var j = 0; j < order; j++) sum += coefs[j] * samples[i - 1 - j];
+      samples[i] += Math.floor(sum / div);
+    }
+  }
+
+  function readSubframe(r, samples, blockSize, bits) {
+    if (r.read(1) !== 0) throw new Error("Bad FLAC subframe header");
+    var type = r.read(6);
+    var wasted = 0;
+    if (r.read(1)) wasted = r.readUnary() + 1;
+    bits -= wasted;
+
+    var i;
+    if (type === 0) {
+      var constant = r.readSigned(bits);
+      for (i = 0; i < blockSize; i++) samples[i] = constant;
+    } else if (type === 1) {
+      for (i = 0; i < blockSize; i++) samples[i] = r.readSigned(bits);
+    } else if (type >= 8 && type <= 12) {
+      var fixedOrder = type - 8;
+      for (i = 0; i < fixedOrder; i++) samples[i] = r.readSigned(bits);
+      readResidual(r, samples, blockSize, fixedOrder);
+      predict(samples, blockSize, FIXED_COEFFICIENTS[fixedOrder], 0);
+    } else if (type >= 32) {
+      var order = type - 31;
+      for (i = 0; i < order; i++) samples[i] = r.readSigned(bits);
+      var precision = r.read(4) + 1;
+      if (precision === 16) throw new Error("Bad FLAC LPC precision");
+      var shift = r.readSigned(5);
+      var coefs = [];
+      for (i = 0; i < order; i++) coefs.push(r.readSigned(precision));
+      readResidual(r, samples, blockSize, order);
+      if (shift < 0) throw new Error("Negative FLAC LPC shift");
+      predict(samples, blockSize, coefs, shift);
+    } else {
+      throw new Error("Reserved FLAC subframe type " + type);
+    }
+
+    if (wasted) {
+      var mul = Math.pow(2, wasted);
+      for (i = 0; i < blockSize; i++) samples[i] *= mul;
+    }
+  }
+
+  function decodeFLAC(bytes) {
+    var info = readFLACHeader(bytes);
+    var capacity = info.totalSamples || info.sampleRate * 60;
+    var channels = allocChannels(info.channels, capacity);
+    var scale = Math.pow(2, info.bits - 1);
+    var maxBlock = Math.max(info.maxBlock, 65536);
+    var work = [];
+    for (var c = 0; c < info.channels; c++) work.push(new Float64Array(maxBlock));
+
+    var r = new BitReader(bytes, info.framesStart);
+    var written = 0;
+    while (r.pos + 2 <= bytes.length && bytes[r.pos] === 0xff && (bytes[r.pos + 1] & 0xfe) === 0xf8) {
+      var frame = readFLACFrameHeader(r, info);
+      var n = frame.blockSize;
+      for (c = 0; c < frame.channels; c++) {
+        // The side channel carries one extra bit
+        var sideBit = (frame.channelCode === 8 && c === 1) || (frame.channelCode === 9 && c === 0) ||
+          (frame.channelCode === 10 && c === 1) ? 1 : 0;
+        readSubframe(r, work[c], n, frame.bits + sideBit);
+      }
+      r.alignToByte();
+      r.read(16); // CRC-16
+
+      var a = work[0], b = work[1], i, s;
+      if (frame.channelCode === 8) {        // left / side
+        for (i = 0; i < n; i++) b[i] = a[i] - b[i];
+      } else if (frame.channelCode === 9) { // side / right
+        for (i = 0; i < n; i++) a[i] += b[i];
+      } else if (frame.channelCode === 10) { // mid / side
+        for (i = 0; i < n; i++) {
+          var mid = a[i] * 2 + (b[i] & 1), side = b[i];
+          a[i] = (mid + side) / 2;
+          b[i] = (mid - side) / 2;
+        }
+      }
+
+      if (written + n > capacity) {
+        capacity = Math.max(capacity * 2, written + n);
+        channels = channels.map(function (ch) {
+          var grown = new Float32Array(capacity);
+          grown.set(ch);
+          return grown;
+        });
+      }
+      for (c = 0; c < info.channels; c++) {
+        var src = work[Math.min(c, frame.channels - 1)], dst = channels[c];
+        for (s = 0; s < n; s++) dst[written + s] = src[s] / scale;
+      }
+      written += n;
+    }
+
+    return audioBuffer(info.sampleRate, channels.map(function (ch) { return ch.subarray(0, written); }));
+  }
+
+  /**
+   * Decodes a file's bytes (Uint8Array / Buffer) by its signature.
+   */
+  function decode(bytes) {
+    var head = fourCC(bytes, 0);
+    if (head === "RIFF" && fourCC(bytes, 8) === "WAVE") return decodeWAV(bytes);
+    if (head === "FORM" && (fourCC(bytes, 8) === "AIFF" || fourCC(bytes, 8) === "AIFC")) return decodeAIFF(bytes);
+    if (head === "fLaC" || head.slice(0, 3) === "ID3") return decodeFLAC(bytes);
+    throw new Error("Unrecognized audio format (expected WAV, AIFF or FLAC)");
+  }
+
+  return {
+    EXTENSIONS: [".wav", ".wave", ".aif", ".aiff", ".aifc", ".flac"],
+    decode: decode,
+    decodeWAV: decodeWAV,
+    decodeAIFF: decodeAIFF,
+    decodeFLAC: decodeFLAC,
+  };
+})();
+
+// Export for Node
+if (typeof module !== 'undefined') {
+  module.exports = AudioDecoders;
+}
@@ -0,0 +1,452 @@
+#!/usr/bin/env node
+/**
+ * ════════════════════════════════════════════════════════
+ *  BEAT MARKER PRO — Batch CLI
+ *  Analyzes a folder of tracks and writes beat map files
+ * ════════════════════════════════════════════════════════
+ *
+ *  Runs the panel's AudioAnalyzer on WAV / AIFF / FLAC files decoded
+ *  in Node (see audio-decoders.js), then writes the detected events
+ *  through the panel's exporters — same channels, names and formats as
+ *  the Export button. A preset file exported from the panel supplies
+ *  channels (custom ones included), sensitivities, colors, advanced
+ *  analysis settings and the name pattern; flags given on the command
+ *  line override it.
+ *
+ *    node cli/beat-marker.js [options] <file or folder>...
+ */
+
+var fs = require("fs");
+var path = require("path");
+var crypto = require("crypto");
+
+var AudioAnalyzer = require("../client/js/audio-analyzer.js");
+var AnalysisCache = require("../client/js/analysis-cache.js");
+var BeatExporters = require("../client/js/exporters.js");
+var AudioDecoders = require("./audio-decoders.js");
+
+// Panel defaults (state.channels in main.js)
+var CHANNEL_DEFAULTS = {
+  kick:   { enabled: true,  sensitivity: 0.50, color: 1 },
+  snare:  { enabled: true,  sensitivity: 0.50, color: 3 },
+  hihat:  { enabled: false, sensitivity: 0.50, color: 4 },
+  bass:   { enabled: true,  sensitivity: 0.50, color: 6 },
+  melody: { enabled: false, sensitivity: 0.45, color: 2 },
+  vocal:  { enabled: false, sensitivity: 0.45, color: 0 },
+};
+// Marker color of a custom channel the preset gives none for (Cyan)
+var CUSTOM_CHANNEL_COLOR = 7;
+var DEFAULT_NAME_PATTERN = "{type} {bar}.{beat}";
+
+var USAGE = [
+  "Usage: node beat-marker.js [options] <file or folder>...",
+  "",
+  "Analyzes WAV, AIFF and FLAC files and writes one beat map per track and format.",
+  "",
+  "Options:",
+  "  -o, --out <dir>            Output folder (default: next to each track)",
+  "  -f, --format <list>        " + Object.keys(BeatExporters.FORMATS).join(", ") + " (default: json)",
+  "  -c, --channels <list>      Channels to detect: " + Object.keys(CHANNEL_DEFAULTS).join(", ") + " or all",
+  "                             (default: kick, snare, bass); a preset's custom channels too",
+  "  -s, --sensitivity <v>      0–1 for every channel, or per channel: kick=0.6,snare=0.4",
+  "  -n, --name <pattern>       Marker names, tokens {type} {bar} {beat} {n} (default: \"" + DEFAULT_NAME_PATTERN + "\")",
+  "  -p, --preset <file>        Preset JSON exported from the panel",
+  "      --fft-size <n>         FFT size, a power of two from 256 (default: 2048)",
+  "      --hop-size <n>         Samples between analysis frames (default: 512)",
+  "      --fps <n>              Frame rate for timecode formats (default: 24)",
+  "      --cache <dir>          Reuse and fill an analysis cache folder",
+  "  -r, --recursive            Include tracks in subfolders",
+  "  -q, --quiet                Only report errors",
+  "  -h, --help                 Show this help",
+].join("\n");
+
+// ══════════════════════════════════════════════════════
+//  OPTIONS
+// ══════════════════════════════════════════════════════
+
+function fail(message) {
+  var err = new Error(message);
+  err.usage = true;
+  throw err;
+}
+
+function parseList(text) {
+  return String(text).split(/[\s,]+/).filter(Boolean);
+}
+
+function parseArgs(argv) {
+  var opts = {
+    inputs: [], out: null, formats: null, channels: null, sensitivity: {},
+    name: null, preset: null, fps: 24, cache: null, recursive: false, quiet: false, help: false,
+    fftSize: null, hopSize: null,
+  };
+  var valueFlags = {
+    "-o": "out", "--out": "out", "-f": "formats", "--format": "formats", "-c": "channels",
+    "--channels": "channels", "-s": "sensitivity", "--sensitivity": "sensitivity", "-n": "name",
+    "--name": "name", "-p": "preset", "--preset": "preset", "--fps": "fps", "--cache": "cache",
+    "--fft-size": "fftSize", "--hop-size": "hopSize",
+  };
+
+  for (var i = 0; i < argv.length; i++) {
+    var arg = argv[i];
+    var eq = arg.indexOf("=");
+    var flag = arg.charAt(0) === "-" && eq > 0 ? arg.slice(0, eq) : arg;
+    if (valueFlags[flag]) {
+      var value = flag !== arg ? arg.slice(eq + 1) : argv[++i];
+      if (value === undefined) fail(flag + " needs a value");
+      setOption(opts, valueFlags[flag], value);
+    } else if (arg === "-r" || arg === "--recursive") {
+      opts.recursive = true;
+    } else if (arg === "-q" || arg === "--quiet") {
+      opts.quiet = true;
+    } else if (arg === "-h" || arg === "--help") {
+      opts.help = true;
+    } else if (arg.charAt(0) === "-" && arg !== "-") {
+      fail("Unknown option " + arg);
+    } else {
+      opts.inputs.push(arg);
+    }
+  }
+  return opts;
+}
+
+function setOption(opts, key, value) {
+  if (key === "formats") {
+    opts.formats = parseList(value);
+    opts.formats.forEach(function (id) {
+      if (!BeatExporters.FORMATS[id]) fail("Unknown format \"" + id + "\"");
+    });
+  } else if (key === "channels") {
+    // Names are checked in resolveSettings(), once a preset's custom channels are known
+    opts.channels = parseList(value);
+  } else if (key === "sensitivity") {
+    parseList(value).forEach(function (part) {
+      var pair = part.split("=");
+      var level = parseFloat(pair[pair.length - 1]);
+      if (isNaN(level) || level < 0 || level > 1) fail("Sensitivity must be between 0 and 1: " + part);
+      opts.sensitivity[pair.length === 1 ? "*" : pair[0]] = level;
+    });
+  } else if (key === "fftSize" || key === "hopSize") {
+    opts[key] = Number(value);
+    if (!(opts[key] > 0)) fail((key === "fftSize" ? "--fft-size" : "--hop-size") + " must be a positive number");
+  } else if (key === "fps") {
+    opts.fps = parseFloat(value);
+    if (!(opts.fps > 0)) fail("--fps must be a positive number");
+  } else {
+    opts[key] = value;
+  }
+}
+
+/**
+ * Channel settings, analysis settings and name pattern: panel defaults,
+ * then the preset, then command-line flags.
+ */
+function resolveSettings(opts) {
+  var channels = {};
+  Object.keys(CHANNEL_DEFAULTS).forEach(function (ch) {
+    var d = CHANNEL_DEFAULTS[ch];
+    channels[ch] = { enabled: d.enabled, sensitivity: d.sensitivity, color: d.color };
+  });
+  var analysis = {};
+  var namePattern = DEFAULT_NAME_PATTERN;
+  var formats = ["json"];
+
+  if (opts.preset) {
+    var preset;
+    try {
+      preset = JSON.parse(fs.readFileSync(opts.preset, "utf8"));
+    } catch (err) {
+      fail("Could not read preset " + opts.preset + ": " + err.message);
+    }
+    var settings = preset && preset.settings;
+    if (!settings) fail(opts.preset + " is not a Beat Marker Pro preset file");
+    if (settings.analysis) {
+      analysis = settings.analysis;
+      (analysis.customChannels || []).forEach(function (def) {
+        channels[def.name] = { enabled: true, sensitivity: 0.5, color: CUSTOM_CHANNEL_COLOR };
+      });
+    }
+    Object.keys(settings.channels || {}).forEach(function (ch) {
+      var saved = settings.channels[ch];
+      if (!channels[ch] || !saved) return;
+      if (typeof saved.enabled === "boolean") channels[ch].enabled = saved.enabled;
+      if (typeof saved.sensitivity === "number") channels[ch].sensitivity = saved.sensitivity;
+      if (typeof saved.color === "number") channels[ch].color = saved.color;
+    });
+    if (settings.namePattern) namePattern = settings.namePattern;
+    if (BeatExporters.FORMATS[settings.exportFormat]) formats = [settings.exportFormat];
+  }
+
+  if (opts.channels) {
+    var wanted = opts.channels.length === 1 && opts.channels[0] === "all" ? Object.keys(channels) : opts.channels;
+    wanted.forEach(function (ch) {
+      if (!channels[ch]) fail("Unknown channel \"" + ch + "\"");
+    });
+    Object.keys(channels).forEach(function (ch) {
+      channels[ch].enabled = wanted.indexOf(ch) >= 0;
+    });
+  }
+  Object.keys(opts.sensitivity).forEach(function (ch) {
+    if (ch !== "*" && !channels[ch]) fail("Unknown channel \"" + ch + "\"");
+  });
+  Object.keys(channels).forEach(function (ch) {
+    if (opts.sensitivity[ch] !== undefined) channels[ch].sensitivity = opts.sensitivity[ch];
+    else if (opts.sensitivity["*"] !== undefined) channels[ch].sensitivity = opts.sensitivity["*"];
+  });
+
+  analysis = {
+    fftSize: opts.fftSize || analysis.fftSize,
+    hopSize: opts.hopSize || analysis.hopSize,
+    bands: analysis.bands,
+    customChannels: analysis.customChannels,
+  };
+  try {
+    new AudioAnalyzer().configure(analysis);
+  } catch (err) {
+    fail(err.message);
+  }
+
+  return {
+    channels: channels,
+    analysis: analysis,
+    namePattern: opts.name || namePattern,
+    formats: opts.formats || formats,
+  };
+}
+
+/**
+ * Same keys the panel's buildAnalysisOptions() produces.
+ */
+function analysisOptions(settings) {
+  var options = Object.assign({}, settings.analysis);
+  Object.keys(settings.channels).forEach(function (ch) {
+    var cap = ch.charAt(0).toUpperCase() + ch.slice(1);
+    options["detect" + cap] = settings.channels[ch].enabled;
+    options["sensitivity" + cap] = settings.channels[ch].sensitivity;
+  });
+  return options;
+}
+
+// ══════════════════════════════════════════════════════
+//  INPUT FILES
+// ══════════════════════════════════════════════════════
+
+function isAudioFile(file) {
+  return AudioDecoders.EXTENSIONS.indexOf(path.extname(file).toLowerCase()) >= 0;
+}
+
+/**
+ * [{ file, rel }] — rel is the path below the folder it was found in,
+ * so --out can mirror the folder layout.
+ */
+function collectTracks(inputs, recursive) {
+  var tracks = [];
+  inputs.forEach(function (input) {
+    var stat;
+    try {
+      stat = fs.statSync(input);
+    } catch (err) {
+      fail("No such file or folder: " + input);
+    }
+    if (stat.isFile()) {
+      tracks.push({ file: input, rel: path.basename(input) });
+      return;
+    }
+    (function walk(dir, relDir) {
+      fs.readdirSync(dir).sort().forEach(function (name) {
+        var full = path.join(dir, name);
+        var rel = relDir ? path.join(relDir, name) : name;
+        if (name.charAt(0) === ".") return;
+        var entry = fs.statSync(full);
+        if (entry.isDirectory()) {
+          if (recursive) walk(full, rel);
+        } else if (isAudioFile(name)) {
+          tracks.push({ file: full, rel: rel });
+        }
+      });
+    })(input, "");
+  });
+  return tracks;
+}
+
+// ══════════════════════════════════════════════════════
+//  ANALYSIS
+// ══════════════════════════════════════════════════════
+
+/**
+ * Analysis cache on a plain folder; same entries the panel writes.
+ */
+function folderStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  return {
+    read: function (name) {
+      try {
+        return fs.readFileSync(path.join(dir, name), "utf8");
+      } catch (err) {
+        return null;
+      }
+    },
+    write: function (name, text) { fs.writeFileSync(path.join(dir, name), text); },
+    remove: function (name) {
+      try { fs.unlinkSync(path.join(dir, name)); } catch (err) {}
+    },
+    list: function () { return fs.readdirSync(dir); },
+  };
+}
+
+function decodeTrack(bytes) {
+  var buffer = AudioDecoders.decode(bytes);
+  if (!buffer.length) throw new Error("no audio samples");
+  return buffer;
+}
+
+/**
+ * Decodes and analyzes one track, through the cache when there is one.
+ * A cache hit is keyed on the file bytes alone — files decode at their
+ * own rate — and only decodes if the settings pick onsets the entry
+ * has no attack positions for.
+ * @returns {Promise<{ results, duration, cached }>}
+ */
+function analyzeTrack(file, options, cache) {
+  var bytes = fs.readFileSync(file);
+  var analyzer = new AudioAnalyzer().configure(options);
+  var key = null;
+  if (cache) {
+    key = AnalysisCache.cacheKey(crypto.createHash("sha256").update(bytes).digest("hex"), analyzer, null);
+    var hit = cache.get(key);
+    if (hit) {
+      analyzer.setSamples(function () { return decodeTrack(bytes); });
+      analyzer.setFeatures(hit.features);
+      return Promise.resolve({ results: analyzer.repick(options), duration: hit.duration, cached: true });
+    }
+  }
+  var buffer = decodeTrack(bytes);
+  return analyzer.analyze(buffer, options).then(function (results) {
+    if (cache) cache.put(key, { name: path.basename(file), duration: buffer.duration, bpm: results.bpm }, analyzer.getFeatures());
+    return { results: results, duration: buffer.duration, cached: false };
+  });
+}
+
+/**
+ * Events from the enabled channels, named like the panel's export.
+ */
+function beatMapEvents(results, settings) {
+  var events = [];
+  Object.keys(settings.channels).forEach(function (ch) {
+    var cfg = settings.channels[ch];
+    if (!cfg.enabled || !results[ch]) return;
+    results[ch].forEach(function (ev) {
+      events.push({ time: ev.time, type: ch, strength: ev.strength || 0, color: cfg.color, bar: ev.bar, beat: ev.beat });
+    });
+  });
+  events.sort(function (a, b) { return a.time - b.time; });
+  return events.map(function (ev, idx) {
+    var described = BeatExporters.describeEvent(settings.namePattern, ev, idx);
+    ev.name = described.name;
+    ev.comments = described.comments;
+    return ev;
+  });
+}
+
+/**
+ * Output paths per format. A format sharing its extension with another
+ * (Premiere CSV next to CSV) gets its id in the name: "song.premiere.csv".
+ */
+function outputPaths(track, formats, outDir) {
+  var base = track.rel.replace(/\.[^.\/\\]+$/, "");
+  var dir = outDir ? path.join(outDir, path.dirname(base)) : path.dirname(track.file);
+  var name = path.basename(base);
+  var extCount = {};
+  formats.forEach(function (id) {
+    var ext = BeatExporters.FORMATS[id].ext;
+    extCount[ext] = (extCount[ext] || 0) + 1;
+  });
+  return formats.map(function (id) {
+    var ext = BeatExporters.FORMATS[id].ext;
+    return { format: id, file: path.join(dir, name + (extCount[ext] > 1 && id !== ext ? "." + id : "") + "." + ext), title: name };
+  });
+}
+
+function writeBeatMaps(track, analysis, settings, opts) {
+  var events = beatMapEvents(analysis.results, settings);
+  var outputs = outputPaths(track, settings.formats, opts.out);
+  outputs.forEach(function (output) {
+    var format = BeatExporters.FORMATS[output.format];
+    var content = format.fn(events, {
+      title: output.title,
+      fps: opts.fps,
+      bpm: analysis.results.bpm,
+      beatsPerBar: analysis.results.beatsPerBar || 4,
+      duration: analysis.duration,
+    });
+    fs.mkdirSync(path.dirname(output.file), { recursive: true });
+    fs.writeFileSync(output.file, format.binary ? Buffer.from(content) : content);
+  });
+  return { events: events.length, files: outputs.map(function (o) { return o.file; }) };
+}
+
+// ══════════════════════════════════════════════════════
+//  MAIN
+// ══════════════════════════════════════════════════════
+
+function main(argv) {
+  var opts, settings, tracks;
+  try {
+    opts = parseArgs(argv);
+    if (opts.help || opts.inputs.length === 0) {
+      process.stdout.write(USAGE + "\n");
+      return Promise.resolve(opts.help ? 0 : 2);
+    }
+    settings = resolveSettings(opts);
+    tracks = collectTracks(opts.inputs, opts.recursive);
+  } catch (err) {
+    if (!err.usage) throw err;
+    process.stderr.write("beat-marker: " + err.message + "\n");
+    return Promise.resolve(2);
+  }
+  if (tracks.length === 0) {
+    process.stderr.write("beat-marker: no WAV, AIFF or FLAC files found\n");
+    return Promise.resolve(1);
+  }
+
+  var cache = opts.cache ? AnalysisCache.open(folderStore(opts.cache)) : null;
+  var options = analysisOptions(settings);
+  var failed = 0;
+  function log(line) { if (!opts.quiet) process.stderr.write(line + "\n"); }
+
+  // One track at a time: each holds its decoded samples in memory
+  return tracks.reduce(function (chain, track, idx) {
+    return chain.then(function () {
+      var label = "[" + (idx + 1) + "/" + tracks.length + "] " + track.rel;
+      var started = Date.now();
+      return Promise.resolve().then(function () {
+        return analyzeTrack(track.file, options, cache);
+      }).then(function (analysis) {
+        // In the chain, so a failed write fails this track rather than the batch
+        return { analysis: analysis, written: writeBeatMaps(track, analysis, settings, opts) };
+      }).then(function (done) {
+        var analysis = done.analysis, written = done.written;
+        log(label + " — " + (analysis.results.bpm ? analysis.results.bpm.toFixed(1) + " BPM, " : "") +
+          written.events + " events" + (analysis.cached ? " (cached)" : "") +
+          ", " + ((Date.now() - started) / 1000).toFixed(1) + "s → " + written.files.join(", "));
+      }, function (err) {
+        failed++;
+        process.stderr.write(label + " — failed: " + err.message + "\n");
+      });
+    });
+  }, Promise.resolve()).then(function () {
+    log(tracks.length - failed + " of " + tracks.length + " tracks written");
+    return failed ? 1 : 0;
+  });
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(function (code) {
+    process.exitCode = code;
+  }, function (err) {
+    process.stderr.write("beat-marker: " + (err && err.stack || err) + "\n");
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { main: main, parseArgs: parseArgs, resolveSettings: resolveSettings, beatMapEvents: beatMapEvents };
@@ -0,0 +1,302 @@
+/**
+ * ════════════════════════════════════════════════════════
+ *  BEAT MARKER PRO — Analysis Cache
+ *  Analyzer features on disk, keyed by audio content + settings
+ * ════════════════════════════════════════════════════════
+ *
+ *  An entry holds AudioAnalyzer.getFeatures() — everything repick()
+ *  needs — so a song seen before comes back, with any channel toggles
+ *  and sensitivities, in milliseconds. Keys combine the SHA-256 of the
+ *  encoded audio file with the settings that shape the features (FFT
+ *  and hop size, bands, custom channels, decoded sample rate) and FORMAT_VERSION, which
+ *  must be bumped whenever the analyzer's output changes.
+ *
+ *  Storage is a small synchronous backend, so one cache serves the
+ *  panel (cep.fs) and the Node CLI (fs):
+ *    { read(name) → string | null, write(name, text), remove(name), list() → [name] }
+ *  Entries are "<key>.json"; "index.json" describes them, so listing
+ *  never reads the (multi-megabyte) entries themselves.
+ */
+
+var AnalysisCache = (function () {
+  var FORMAT_VERSION = 4;
+  var INDEX_FILE = "index.json";
+  var TYPED_ARRAYS = {
+    Float32Array: typeof Float32Array !== "undefined" ? Float32Array : null,
+    Float64Array: typeof Float64Array !== "undefined" ? Float64Array : null,
+    Int32Array: typeof Int32Array !== "undefined" ? Int32Array : null,
+    Uint8Array: typeof Uint8Array !== "undefined" ? Uint8Array : null,
+  };
+  // Numeric arrays at least this long are stored as binary
+  var PACK_MIN_LENGTH = 16;
+
+  // ── Keys ──
+
+  /**
+   * SHA-256 hex of the encoded audio, or null where Web Crypto is
+   * missing (caching is then skipped). The bytes are copied before this
+   * returns, so the buffer can go straight to decodeAudioData.
+   * @returns {Promise<string|null>}
+   */
+  function hashAudio(arrayBuffer) {
+    var subtle = typeof crypto !== "undefined" && crypto.subtle;
+    if (!subtle) return Promise.resolve(null);
+    try {
+      return subtle.digest("SHA-256", arrayBuffer).then(function (digest) {
+        return toHex(new Uint8Array(digest));
+      }, function () { return null; });
+    } catch (e) {
+      return Promise.resolve(null);
+    }
+  }
+
+  function toHex(bytes) {
+    var hex = "";
+    for (var i = 0; i < bytes.length; i++) hex += (bytes[i] < 16 ? "0" : "") + bytes[i].toString(16);
+    return hex;
+  }
+
+  /**
+   * 32-bit FNV-1a of a string, as 8 hex digits.
+   */
+  function shortHash(text) {
+    var h = 0x811c9dc5;
+    for (var i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    return ("0000000" + h.toString(16)).slice(-8);
+  }
+
+  /**
+   * Cache key for audio content analyzed by this analyzer's settings at
+   * the sample rate the audio decoded to — null where decoding keeps the
+   * file's own rate (the CLI), which the content hash already fixes.
+   * Configure the analyzer with the analysis options first
+   * (AudioAnalyzer#configure): custom channels' recipes are part of the
+   * key, their sensitivities are not.
+   */
+  function cacheKey(contentHash, analyzer, sampleRate) {
+    var settings = {
+      format: FORMAT_VERSION,
+      sampleRate: sampleRate,
+      fftSize: analyzer.fftSize,
+      hopSize: analyzer.hopSize,
+      bands: analyzer.bands,
+    };
+    // Only when there are any, so keys without custom channels are unchanged
+    Object.keys(analyzer.channels || {}).forEach(function (ch) {
+      if (!analyzer.channels[ch].custom) return;
+      settings.custom = settings.custom || {};
+      settings.custom[ch] = analyzer.channels[ch].custom;
+    });
+    return contentHash + "-" + shortHash(JSON.stringify(settings));
+  }
+
+  // ── Serialization ──
+
+  function bytesToBase64(bytes) {
+    if (typeof Buffer !== "undefined") {
+      return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString("base64");
+    }
+    var binary = "";
+    for (var i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  function base64ToBytes(text) {
+    var bytes;
+    if (typeof Buffer !== "undefined") {
+      var buf = Buffer.from(text, "base64");
+      bytes = new Uint8Array(buf.length);
+      bytes.set(buf);
+      return bytes;
+    }
+    var binary = atob(text);
+    bytes = new Uint8Array(binary.length);
+    for (var i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
+  function packTyped(array, typeName, plain) {
+    var packed = { $typed: typeName, data: bytesToBase64(new Uint8Array(array.buffer, array.byteOffset, array.byteLength)) };
+    if (plain) packed.plain = true;
+    return packed;
+  }
+
+  function isNumberArray(value) {
+    if (value.length < PACK_MIN_LENGTH) return false;
+    for (var i = 0; i < value.length; i++) if (typeof value[i] !== "number") return false;
+    return true;
+  }
+
+  /**
+   * JSON-safe copy of features: typed arrays and long numeric arrays
+   * become base64 blocks, so nothing loses precision (NaN included).
+   * An array met again (a detection channel's signal that is also its
+   * strength) becomes { $ref: n }, the nth block packed so far.
+   */
+  function encode(value) {
+    var packed = [];
+    function pack(array, typed) {
+      var ref = packed.indexOf(array);
+      if (ref >= 0) return { $ref: ref };
+      packed.push(array);
+      return typed ? packTyped(array, array.constructor.name, false) : packTyped(new Float64Array(array), "Float64Array", true);
+    }
+    function walk(value) {
+      if (value === null || typeof value !== "object") return value;
+      if (ArrayBuffer.isView(value)) return pack(value, true);
+      if (Array.isArray(value)) return isNumberArray(value) ? pack(value, false) : value.map(walk);
+      var out = {};
+      for (var k in value) {
+        if (Object.prototype.hasOwnProperty.call(value, k)) out[k] = walk(value[k]);
+      }
+      return out;
+    }
+    return walk(value);
+  }
+
+  /**
+   * Reverse of encode(); shared arrays come back shared.
+   */
+  function decode(value) {
+    var unpacked = [];
+    function walk(value) {
+      if (value === null || typeof value !== "object") return value;
+      if (Array.isArray(value)) return value.map(walk);
+      if (value.$ref !== undefined) {
+        if (!(value.$ref in unpacked)) throw new Error("Unknown array reference " + value.$ref);
+        return unpacked[value.$ref];
+      }
+      if (value.$typed) {
+        var Type = TYPED_ARRAYS[value.$typed];
+        if (!Type) throw new Error("Unknown array type " + value.$typed);
+        var typed = new Type(base64ToBytes(value.data).buffer);
+        unpacked.push(value.plain ? Array.prototype.slice.call(typed) : typed);
+        return unpacked[unpacked.length - 1];
+      }
+      var out = {};
+      for (var k in value) out[k] = walk(value[k]);
+      return out;
+    }
+    return walk(value);
+  }
+
+  // ── Cache ──
+
+  /**
+   * Cache over a storage backend (see header).
+   */
+  function open(store) {
+    function readIndex() {
+      try {
+        return JSON.parse(store.read(INDEX_FILE) || "{}");
+      } catch (e) {
+        return {};
+      }
+    }
+
+    function writeIndex(index) {
+      store.write(INDEX_FILE, JSON.stringify(index));
+    }
+
+    /**
+     * @returns {{ key, name, created, duration, features } | null} null on
+     *   a miss, or when the entry is unreadable or from another format version
+     */
+    function get(key) {
+      var text = store.read(key + ".json");
+      if (!text) return null;
+      try {
+        var entry = JSON.parse(text);
+        if (entry.format !== FORMAT_VERSION) return null;
+        return { key: key, name: entry.name, created: entry.created, duration: entry.duration, features: decode(entry.features) };
+      } catch (e) {
+        return null;
+      }
+    }
+
+    /**
+     * Stores features under key. info: { name, duration, bpm }.
+     */
+    function put(key, info, features) {
+      var text = JSON.stringify({
+        format: FORMAT_VERSION,
+        name: info.name || "",
+        created: new Date().toISOString(),
+        duration: info.duration || 0,
+        features: encode(features),
+      });
+      store.write(key + ".json", text);
+      var index = readIndex();
+      index[key] = {
+        name: info.name || "",
+        created: new Date().toISOString(),
+        duration: info.duration || 0,
+        bpm: info.bpm || null,
+        size: text.length,
+      };
+      writeIndex(index);
+    }
+
+    /**
+     * Index entries, newest first: [{ key, name, created, duration, bpm, size }]
+     */
+    function list() {
+      var index = readIndex();
+      return Object.keys(index).map(function (key) {
+        var entry = index[key];
+        return { key: key, name: entry.name, created: entry.created, duration: entry.duration, bpm: entry.bpm, size: entry.size };
+      }).sort(function (a, b) { return a.created < b.created ? 1 : a.created > b.created ? -1 : 0; });
+    }
+
+    function remove(key) {
+      store.remove(key + ".json");
+      var index = readIndex();
+      delete index[key];
+      writeIndex(index);
+    }
+
+    /**
+     * Removes every entry, including files the index lost track of.
+     */
+    function clear() {
+      store.list().forEach(function (name) {
+        if (/\.json$/.test(name)) store.remove(name);
+      });
+    }
+
+    return { get: get, put: put, list: list, remove: remove, clear: clear };
+  }
+
+  /**
+   * In-memory backend, for preview mode where there is no disk access.
+   */
+  function memoryStore() {
+    var files = {};
+    return {
+      read: function (name) { return files.hasOwnProperty(name) ? files[name] : null; },
+      write: function (name, text) { files[name] = text; },
+      remove: function (name) { delete files[name]; },
+      list: function () { return Object.keys(files); },
+    };
+  }
+
+  return {
+    FORMAT_VERSION: FORMAT_VERSION,
+    hashAudio: hashAudio,
+    cacheKey: cacheKey,
+    encode: encode,
+    decode: decode,
+    open: open,
+    memoryStore: memoryStore,
+  };
+})();
+
+// Export for Node
+if (typeof module !== 'undefined') {
+  module.exports = AnalysisCache;
+}
@@ -0,0 +1,41 @@
+/**
+ * ════════════════════════════════════════════════════════
+ *  BEAT MARKER PRO — Analysis Worker
+ *  Runs AudioAnalyzer off the panel's main thread
+ * ════════════════════════════════════════════════════════
+ *
+ *  In:   { type: "analyze", sampleRate, channels: [Float32Array], options }
+ *        Channel buffers are transferred, not copied.
+ *  Out:  { type: "progress", pct, msg }
+ *        { type: "result", results, features }
+ *        { type: "error", message }
+ *
+ *  Cancellation is done by the panel terminating the worker.
+ */
+
+importScripts("audio-analyzer.js");
+
+self.onmessage = function (e) {
+  var msg = e.data;
+  if (!msg || msg.type !== "analyze") return;
+
+  // Minimal AudioBuffer stand-in — AudioBuffer itself can't cross threads
+  var channels = msg.channels;
+  var buffer = {
+    sampleRate: msg.sampleRate,
+    numberOfChannels: channels.length,
+    length: channels[0].length,
+    duration: channels[0].length / msg.sampleRate,
+    getChannelData: function (c) { return channels[c]; },
+  };
+
+  var analyzer = new AudioAnalyzer();
+  analyzer.analyze(buffer, msg.options, function (pct, text) {
+    self.postMessage({ type: "progress", pct: pct, msg: text });
+  }).then(function (results) {
+    // Features go back too, so the panel's analyzer can repick() locally
+    self.postMessage({ type: "result", results: results, features: analyzer.getFeatures() });
+  }, function (err) {
+    self.postMessage({ type: "error", message: String(err && err.message || err) });
+  });
+};
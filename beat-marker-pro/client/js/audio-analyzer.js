@@ -22,14 +22,57 @@
  *    BASS     = Sub Bass + Bass sustained energy
  *    MELODY   = Low Mid + High Mid spectral flux
  *    VOCAL    = 300-4000 Hz spectral centroid tracking
+ *
+ *  FFT size, hop, extra bands and custom channels (any bands, weighted,
+ *  on energy or flux) are analysis options — see configure().
+ *
+ *  Event times are refined past the frame grid: frames are timed at
+ *  their window centre, the detection peak is interpolated between
+ *  frames, and with the audio at hand each onset is moved to the
+ *  attack in the band-filtered signal — see _onsetTime().
  * ════════════════════════════════════════════════════════════
  */
 
 class AudioAnalyzer {
   constructor() {
     this.sampleRate = 44100;
-    this.fftSize = 2048;
-    this.hopSize = 512;
+    // Filled by analyze() / setFeatures(), consumed by repick()
+    this.features = null;
+    // Mono audio the features came from (analyze() / setSamples()), for
+    // sample-accurate onset times; found attacks are memoized per song
+    this.samples = null;
+    this._attackCache = new Map();
+    this.configure();
+  }
+
+  /**
+   * Applies analysis settings on top of the defaults — every call starts
+   * again from the defaults, so one analyzer can serve songs analyzed
+   * with different settings. analyze() and repick() pass their options
+   * through here. Throws on settings it can't use.
+   *
+   *   fftSize         power of two, 256 – 32768 (default 2048)
+   *   hopSize         samples between frames, 64 – fftSize (default 512)
+   *   bands           { name: { low, high } } in Hz, added to the
+   *                   built-in bands (or replacing one of the same name)
+   *   customChannels  [{ name, bands, weights, feature, window, minInterval }]
+   *                   extra detection channels over any bands. feature
+   *                   "energy" picks band energy peaks (like kick), "flux"
+   *                   spectral change (like bass); window (adaptive
+   *                   threshold) and minInterval are in seconds.
+   */
+  configure(options = {}) {
+    const fftSize = options.fftSize !== undefined ? options.fftSize : 2048;
+    const hopSize = options.hopSize !== undefined ? options.hopSize : 512;
+    if (!(fftSize >= 256 && fftSize <= 32768 && (fftSize & (fftSize - 1)) === 0)) {
+      throw new Error(`FFT size must be a power of two from 256 to 32768, not ${fftSize}`);
+    }
+    if (!(Number.isInteger(hopSize) && hopSize >= 64 && hopSize <= fftSize)) {
+      throw new Error(`Hop size must be a whole number from 64 to the FFT size, not ${hopSize}`);
+    }
+    this.fftSize = fftSize;
+    this.hopSize = hopSize;
+
     this.bands = {
       subBass:    { low: 20,    high: 80 },
       bass:       { low: 80,    high: 300 },
@@ -38,191 +81,365 @@ class AudioAnalyzer {
       presence:   { low: 6000,  high: 12000 },
       brilliance: { low: 12000, high: 20000 },
     };
+    for (const [name, range] of Object.entries(options.bands || {})) {
+      if (!/^[A-Za-z][\w-]*$/.test(name)) throw new Error(`Invalid band name "${name}"`);
+      if (!range || !(range.low >= 0 && range.high > range.low)) {
+        throw new Error(`Band "${name}" needs 0 ≤ low < high (Hz)`);
+      }
+      this.bands[name] = { low: range.low, high: range.high };
+    }
+
+    // Per-channel defaults. Option keys are derived from the channel name:
+    // detectKick, sensitivityKick, minIntervalKick, ...
+    // adaptiveWindow is in frames of the default 512-sample hop; range is
+    // the band (Hz) the attack search filters the audio to.
+    this.channels = {
+      kick:   { detect: true,  sensitivity: 0.5, minInterval: 0.12, adaptiveWindow: 15, range: [20, 300] },
+      snare:  { detect: true,  sensitivity: 0.5, minInterval: 0.08, adaptiveWindow: 12, range: [300, 6000] },
+      hihat:  { detect: true,  sensitivity: 0.5, minInterval: 0.05, adaptiveWindow: 8,  range: [6000, 20000] },
+      bass:   { detect: true,  sensitivity: 0.5, minInterval: 0.15, adaptiveWindow: 20, range: [20, 300] },
+      melody: { detect: true,  sensitivity: 0.5, minInterval: 0.10, adaptiveWindow: 15, range: [300, 6000] },
+      vocal:  { detect: false, sensitivity: 0.5, minInterval: 0.15, adaptiveWindow: 18, range: [300, 4000] },
+    };
+    for (const def of options.customChannels || []) {
+      this._addCustomChannel(def);
+    }
+    return this;
+  }
+
+  /**
+   * Validates a custom channel definition and adds it to this.channels,
+   * with its recipe under .custom (what its detection function is built
+   * from — part of the analysis cache key).
+   */
+  _addCustomChannel(def) {
+    const name = def && def.name;
+    if (!/^[A-Za-z][\w-]{0,23}$/.test(name || "")) {
+      throw new Error(`Invalid channel name "${name}" — a letter, then letters, digits, - or _ (up to 24)`);
+    }
+    // Names share option keys (detectKick) and the results object with the built-ins
+    const taken = Object.keys(this.channels).concat(AudioAnalyzer.RESULT_KEYS);
+    if (taken.some(n => n.toLowerCase() === name.toLowerCase())) {
+      throw new Error(`Channel name "${name}" is already in use`);
+    }
+
+    const bands = def.bands || [];
+    if (bands.length === 0) throw new Error(`Channel "${name}" needs at least one band`);
+    for (const band of bands) {
+      if (!this.bands[band]) throw new Error(`Channel "${name}": unknown band "${band}"`);
+    }
+    const weights = def.weights || bands.map(() => 1);
+    if (weights.length !== bands.length || !weights.every(w => w >= 0)) {
+      throw new Error(`Channel "${name}" needs one weight ≥ 0 per band`);
+    }
+    const feature = def.feature || "energy";
+    if (AudioAnalyzer.CUSTOM_FEATURES.indexOf(feature) < 0) {
+      throw new Error(`Channel "${name}": feature must be ${AudioAnalyzer.CUSTOM_FEATURES.join(" or ")}`);
+    }
+    const window = def.window !== undefined ? def.window : 0.17;
+    const minInterval = def.minInterval !== undefined ? def.minInterval : 0.1;
+    if (!(window > 0) || !(minInterval >= 0)) {
+      throw new Error(`Channel "${name}": window must be > 0 and min interval ≥ 0 seconds`);
+    }
+
+    this.channels[name] = {
+      detect: true,
+      sensitivity: 0.5,
+      minInterval,
+      window,
+      range: [
+        Math.min(...bands.map(b => this.bands[b].low)),
+        Math.max(...bands.map(b => this.bands[b].high)),
+      ],
+      custom: { bands: bands.slice(), weights: weights.slice(), feature },
+    };
   }
 
   /**
    * Main analysis entry point.
    * Returns detected events for each channel.
+   *
+   * Detection functions are built for every channel, enabled or not,
+   * and kept in this.features so repick() can re-run peak picking for
+   * new sensitivities or channel toggles without recomputing the STFT.
+   * The magnitude spectrogram is never held in full — each frame is
+   * reduced to its features and dropped — so long files fit in memory.
    */
   async analyze(audioBuffer, options = {}, progressCallback = null) {
-    const {
-      detectKick = true,
-      detectSnare = true,
-      detectHihat = true,
-      detectBass = true,
-      detectMelody = true,
-      detectVocal = false,
-      sensitivityKick = 0.5,
-      sensitivitySnare = 0.5,
-      sensitivityHihat = 0.5,
-      sensitivityBass = 0.5,
-      sensitivityMelody = 0.5,
-      sensitivityVocal = 0.5,
-      minIntervalKick = 0.12,    // Min time between kick detections (sec)
-      minIntervalSnare = 0.08,
-      minIntervalHihat = 0.05,
-      minIntervalBass = 0.15,
-      minIntervalMelody = 0.10,
-      minIntervalVocal = 0.15,
-    } = options;
-
+    this.configure(options);
     this.sampleRate = audioBuffer.sampleRate;
 
     // Mix to mono
     if (progressCallback) progressCallback(5, "Mixing to mono...");
     const mono = this._mixToMono(audioBuffer);
+    this.setSamples(mono);
 
-    // Compute STFT
+    // STFT → band energies, flux and spectral features per frame
     if (progressCallback) progressCallback(10, "Computing spectral analysis...");
-    const spectrogram = this._computeSTFT(mono, progressCallback);
+    const frames = this._computeSTFT(mono, progressCallback);
+    const { bandEnergies, bandFlux } = frames;
 
-    // Extract band energies
-    if (progressCallback) progressCallback(50, "Extracting frequency bands...");
-    const bandEnergies = this._extractBandEnergies(spectrogram);
+    const detection = this._computeDetectionFunctions(frames, progressCallback);
 
-    // Compute spectral flux per band
-    if (progressCallback) progressCallback(60, "Computing spectral flux...");
-    const bandFlux = this._computeBandFlux(spectrogram);
+    // ── BPM ESTIMATION ──
+    if (progressCallback) progressCallback(92, "Estimating BPM...");
+    const allOnsetEnergy = this._combineBands(bandEnergies,
+      ['subBass', 'bass', 'lowMid', 'highMid'], [0.3, 0.2, 0.25, 0.25]);
+    const bpm = this._estimateBPM(allOnsetEnergy);
 
-    const results = {};
+    // ── BEAT TRACKING ──
+    if (progressCallback) progressCallback(95, "Tracking beats...");
+    const tracked = this._trackBeats(allOnsetEnergy, bpm);
 
-    // ── KICK DETECTION ──
-    if (detectKick) {
-      if (progressCallback) progressCallback(65, "Detecting kicks...");
-      const kickEnergy = this._combineBands(bandEnergies, ['subBass', 'bass'], [0.7, 0.3]);
-      const kickOnsets = this._detectOnsets(kickEnergy, {
-        sensitivity: sensitivityKick,
-        minInterval: minIntervalKick,
-        adaptiveWindow: 15,
-        useHFC: false,
-      });
-      results.kick = kickOnsets.map(i => ({
-        time: this._frameToTime(i),
-        frame: i,
-        strength: kickEnergy[i],
-        type: 'kick',
-      }));
+    // ── METER + DOWNBEATS ──
+    if (progressCallback) progressCallback(97, "Finding downbeats...");
+    const meter = this._detectMeter(tracked.beats, frames.chroma, bandEnergies);
+    if (meter) {
+      tracked.beats.forEach((b, k) => Object.assign(b, this._barBeatAt(k, meter)));
     }
 
-    // ── SNARE DETECTION ──
-    if (detectSnare) {
-      if (progressCallback) progressCallback(70, "Detecting snares...");
-      // Snare has wide spectral energy: body in low-mid, crack/snap in high-mid
-      const snareEnergy = this._combineBands(bandEnergies, ['lowMid', 'highMid'], [0.4, 0.6]);
-      // Also use spectral broadness — snare noise is spectrally wide
-      const spectralBroadness = this._computeSpectralBroadness(spectrogram);
-      const combinedSnare = snareEnergy.map((e, i) => e * (0.6 + 0.4 * (spectralBroadness[i] || 0)));
-
-      const snareOnsets = this._detectOnsets(combinedSnare, {
-        sensitivity: sensitivitySnare,
-        minInterval: minIntervalSnare,
-        adaptiveWindow: 12,
-        useHFC: false,
-      });
-      results.snare = snareOnsets.map(i => ({
-        time: this._frameToTime(i),
-        frame: i,
-        strength: combinedSnare[i],
-        type: 'snare',
-      }));
-    }
+    this.features = {
+      sampleRate: this.sampleRate,
+      fftSize: this.fftSize,
+      hopSize: this.hopSize,
+      bandEnergies,
+      bandFlux,
+      detection,
+      bpm,
+      beats: tracked.beats,
+      tempoCurve: tracked.tempoCurve,
+      meter,
+      logSpectrogram: frames.logSpectrogram,
+    };
 
-    // ── HI-HAT / CYMBAL DETECTION ──
-    if (detectHihat) {
-      if (progressCallback) progressCallback(75, "Detecting hi-hats...");
-      // Hi-hats dominate in the presence and brilliance bands
-      // Use High Frequency Content (HFC) weighting for transient detection
-      const hihatEnergy = this._combineBands(bandEnergies, ['presence', 'brilliance'], [0.5, 0.5]);
-      const hfc = this._computeHFC(spectrogram);
-      const combinedHihat = hihatEnergy.map((e, i) => e * 0.4 + (hfc[i] || 0) * 0.6);
-
-      const hihatOnsets = this._detectOnsets(combinedHihat, {
-        sensitivity: sensitivityHihat,
-        minInterval: minIntervalHihat,
-        adaptiveWindow: 8,
-        useHFC: true,
-      });
-      results.hihat = hihatOnsets.map(i => ({
-        time: this._frameToTime(i),
-        frame: i,
-        strength: combinedHihat[i],
-        type: 'hihat',
-      }));
-    }
+    if (progressCallback) progressCallback(99, "Picking onsets...");
+    const results = this.repick(options);
 
-    // ── BASS LINE DETECTION ──
-    if (detectBass) {
-      if (progressCallback) progressCallback(80, "Detecting bass notes...");
-      // Bass detection focuses on sustained low frequency energy changes
-      const bassEnergy = this._combineBands(bandEnergies, ['subBass', 'bass'], [0.3, 0.7]);
-      // Use spectral flux in the bass range specifically for note changes
-      const bassFlux = this._combineBands(bandFlux, ['subBass', 'bass'], [0.3, 0.7]);
+    if (progressCallback) progressCallback(100, "Analysis complete");
 
-      const bassOnsets = this._detectOnsets(bassFlux, {
-        sensitivity: sensitivityBass,
-        minInterval: minIntervalBass,
-        adaptiveWindow: 20,
-        useHFC: false,
+    return results;
+  }
+
+  /**
+   * Re-runs peak picking on the cached detection functions.
+   * Takes the same options as analyze() and returns the same shape;
+   * costs milliseconds, so the panel can call it on every slider move
+   * (the first call on new features also searches the audio for each
+   * onset's attack).
+   * Channels the features hold no detection function for (a custom
+   * channel added since the analysis) are left out.
+   *
+   * Event times are sample-accurate when the analyzer has the audio
+   * (after analyze(), or setSamples() alongside cached features);
+   * otherwise they are interpolated between frames. frame is always the
+   * detection frame, which identifies the event across repicks.
+   */
+  repick(options = {}) {
+    const features = this.features;
+    if (!features) throw new Error("No cached features — run analyze() first");
+
+    this.configure(options);
+    this.sampleRate = features.sampleRate;
+    this.fftSize = features.fftSize;
+    this.hopSize = features.hopSize;
+
+    const results = {};
+    for (const [ch, defaults] of Object.entries(this.channels)) {
+      const cap = ch.charAt(0).toUpperCase() + ch.slice(1);
+      const pick = name => (options[name + cap] !== undefined ? options[name + cap] : defaults[name]);
+      if (!pick('detect')) continue;
+
+      const det = features.detection[ch];
+      if (!det) continue;
+      const odf = this._onsetFunction(det.signal);
+      const onsets = this._detectOnsets(odf, {
+        sensitivity: pick('sensitivity'),
+        minInterval: pick('minInterval'),
+        adaptiveWindow: this._adaptiveWindowFrames(defaults),
       });
-      results.bass = bassOnsets.map(i => ({
-        time: this._frameToTime(i),
+      results[ch] = onsets.map(i => ({
+        time: this._onsetTime(odf, i, defaults.range),
         frame: i,
-        strength: bassEnergy[i],
-        type: 'bass',
+        strength: det.strength[i],
+        type: ch,
       }));
     }
 
-    // ── MELODY DETECTION ──
-    if (detectMelody) {
-      if (progressCallback) progressCallback(85, "Detecting melody changes...");
-      // Melody lives in the mid range — detect pitch/note changes via spectral flux
-      const melodyFlux = this._combineBands(bandFlux, ['lowMid', 'highMid'], [0.5, 0.5]);
-      // Spectral centroid changes indicate melodic movement
-      const centroidFlux = this._computeCentroidFlux(spectrogram);
-      const combinedMelody = melodyFlux.map((e, i) => e * 0.6 + (centroidFlux[i] || 0) * 0.4);
-
-      const melodyOnsets = this._detectOnsets(combinedMelody, {
-        sensitivity: sensitivityMelody,
-        minInterval: minIntervalMelody,
-        adaptiveWindow: 15,
-        useHFC: false,
-      });
-      results.melody = melodyOnsets.map(i => ({
-        time: this._frameToTime(i),
-        frame: i,
-        strength: combinedMelody[i],
-        type: 'melody',
-      }));
+    results.bpm = features.bpm;
+    results.beats = features.beats;
+    results.tempoCurve = features.tempoCurve;
+
+    if (features.meter) {
+      results.beatsPerBar = features.meter.beatsPerBar;
+      results.downbeats = features.beats.filter(b => b.beat === 1).map(b => b.time);
+      for (const ch of Object.keys(this.channels)) {
+        if (results[ch]) this.labelBars(results[ch]);
+      }
     }
 
-    // ── VOCAL DETECTION ──
-    if (detectVocal) {
-      if (progressCallback) progressCallback(88, "Detecting vocal onsets...");
-      // Vocals are 300-4000 Hz, detection via spectral centroid in that range
-      const vocalFlux = this._computeVocalFlux(spectrogram);
-      const vocalOnsets = this._detectOnsets(vocalFlux, {
-        sensitivity: sensitivityVocal,
-        minInterval: minIntervalVocal,
-        adaptiveWindow: 18,
-        useHFC: false,
-      });
-      results.vocal = vocalOnsets.map(i => ({
-        time: this._frameToTime(i),
-        frame: i,
-        strength: vocalFlux[i],
-        type: 'vocal',
-      }));
+    return results;
+  }
+
+  /**
+   * Sets bar / beat on events (anything with a time in seconds) from the
+   * cached beats and meter. Leaves them untouched without a meter.
+   */
+  labelBars(events) {
+    const features = this.features;
+    if (!features || !features.meter) return events;
+    for (const ev of events) {
+      Object.assign(ev, this._barBeatAt(this._beatIndexAt(ev.time, features.beats), features.meter));
     }
+    return events;
+  }
 
-    // ── BPM ESTIMATION ──
-    if (progressCallback) progressCallback(92, "Estimating BPM...");
-    const allOnsetEnergy = this._combineBands(bandEnergies,
-      ['subBass', 'bass', 'lowMid', 'highMid'], [0.3, 0.2, 0.25, 0.25]);
-    results.bpm = this._estimateBPM(allOnsetEnergy);
+  /**
+   * Cached features in a form that can be posted between threads.
+   * Band flux stays behind — repick() only needs the per-channel
+   * detection functions. attacks holds the attack positions found so
+   * far, so a repick with the same settings needs no audio.
+   */
+  getFeatures() {
+    if (!this.features) return null;
+    const { bandFlux, ...portable } = this.features;
+    portable.attacks = Object.fromEntries(this._attackCache);
+    return portable;
+  }
 
-    if (progressCallback) progressCallback(100, "Analysis complete");
+  /**
+   * Takes features from getFeatures(), with their attack positions —
+   * set the samples first, as setSamples() forgets them.
+   */
+  setFeatures(features) {
+    this.features = features;
+    this._attackCache = new Map(Object.entries(features.attacks || {}));
+  }
 
-    return results;
+  /**
+   * The audio cached features were computed from — mono samples or an
+   * AudioBuffer to mix down — so repick() can time onsets to the
+   * sample. A function returning either is only called the first time
+   * an attack has to be searched, so cached features that carry their
+   * attacks can be repicked without decoding. null drops it.
+   */
+  setSamples(audio) {
+    this.samples = typeof audio === 'function' ? audio : this._monoSamples(audio);
+    this._attackCache = new Map();
+  }
+
+  _monoSamples(audio) {
+    return audio && typeof audio.getChannelData === 'function'
+      ? this._mixToMono(audio) : (audio || null);
+  }
+
+  /**
+   * Onset detection function and adaptive threshold of one channel, as
+   * peak picking sees them under the given options (same keys as
+   * repick()). For plotting why an onset did or didn't fire.
+   *
+   * Frame i is plotted at offsetSeconds + i * hopSeconds, its window
+   * centre.
+   *
+   * @returns {{ odf: Float32Array, threshold: Float64Array, hopSeconds: number, offsetSeconds: number } | null}
+   */
+  detectionCurve(ch, options = {}) {
+    const features = this.features;
+    const defaults = this.channels[ch];
+    if (!features || !defaults || !features.detection[ch]) return null;
+
+    const cap = ch.charAt(0).toUpperCase() + ch.slice(1);
+    const sensitivity = options['sensitivity' + cap] !== undefined
+      ? options['sensitivity' + cap] : defaults.sensitivity;
+    const odf = this._onsetFunction(features.detection[ch].signal);
+    return {
+      odf,
+      threshold: this._adaptiveThreshold(odf, sensitivity,
+        this._adaptiveWindowFrames(defaults, features.hopSize, features.sampleRate)),
+      hopSeconds: features.hopSize / features.sampleRate,
+      offsetSeconds: features.fftSize / 2 / features.sampleRate,
+    };
+  }
+
+  // ══════════════════════════════════════════════════
+  //  DETECTION FUNCTIONS
+  // ══════════════════════════════════════════════════
+
+  /**
+   * One detection function per channel (what peak picking runs on) plus
+   * the signal each event's strength is read from. frames is the
+   * _computeSTFT() result.
+   */
+  _computeDetectionFunctions(frames, progressCallback) {
+    const { bandEnergies, bandFlux } = frames;
+    const detection = {};
+
+    // ── KICK ──
+    if (progressCallback) progressCallback(65, "Building kick detector...");
+    const kickEnergy = this._combineBands(bandEnergies, ['subBass', 'bass'], [0.7, 0.3]);
+    detection.kick = { signal: kickEnergy, strength: kickEnergy };
+
+    // ── SNARE ──
+    if (progressCallback) progressCallback(70, "Building snare detector...");
+    // Snare has wide spectral energy: body in low-mid, crack/snap in high-mid
+    const snareEnergy = this._combineBands(bandEnergies, ['lowMid', 'highMid'], [0.4, 0.6]);
+    // Also use spectral broadness — snare noise is spectrally wide
+    const spectralBroadness = frames.broadness;
+    const combinedSnare = snareEnergy.map((e, i) => e * (0.6 + 0.4 * (spectralBroadness[i] || 0)));
+    detection.snare = { signal: combinedSnare, strength: combinedSnare };
+
+    // ── HI-HAT / CYMBAL ──
+    if (progressCallback) progressCallback(75, "Building hi-hat detector...");
+    // Hi-hats dominate in the presence and brilliance bands
+    // Use High Frequency Content (HFC) weighting for transient detection
+    const hihatEnergy = this._combineBands(bandEnergies, ['presence', 'brilliance'], [0.5, 0.5]);
+    const hfc = frames.hfc;
+    const combinedHihat = hihatEnergy.map((e, i) => e * 0.4 + (hfc[i] || 0) * 0.6);
+    detection.hihat = { signal: combinedHihat, strength: combinedHihat };
+
+    // ── BASS LINE ──
+    if (progressCallback) progressCallback(80, "Building bass detector...");
+    // Bass detection focuses on sustained low frequency energy changes
+    const bassEnergy = this._combineBands(bandEnergies, ['subBass', 'bass'], [0.3, 0.7]);
+    // Use spectral flux in the bass range specifically for note changes
+    const bassFlux = this._combineBands(bandFlux, ['subBass', 'bass'], [0.3, 0.7]);
+    detection.bass = { signal: bassFlux, strength: bassEnergy };
+
+    // ── MELODY ──
+    if (progressCallback) progressCallback(85, "Building melody detector...");
+    // Melody lives in the mid range — detect pitch/note changes via spectral flux
+    const melodyFlux = this._combineBands(bandFlux, ['lowMid', 'highMid'], [0.5, 0.5]);
+    // Spectral centroid changes indicate melodic movement
+    const centroidFlux = frames.centroidFlux;
+    const combinedMelody = melodyFlux.map((e, i) => e * 0.6 + (centroidFlux[i] || 0) * 0.4);
+    detection.melody = { signal: combinedMelody, strength: combinedMelody };
+
+    // ── VOCAL ──
+    if (progressCallback) progressCallback(88, "Building vocal detector...");
+    // Vocals are 300-4000 Hz, detection via spectral centroid in that range
+    const vocalFlux = frames.vocalFlux;
+    detection.vocal = { signal: vocalFlux, strength: vocalFlux };
+
+    // ── CUSTOM ──
+    for (const [ch, def] of Object.entries(this.channels)) {
+      if (!def.custom) continue;
+      const source = def.custom.feature === "flux" ? bandFlux : bandEnergies;
+      const signal = this._combineBands(source, def.custom.bands, def.custom.weights);
+      detection[ch] = { signal, strength: signal };
+    }
+
+    return detection;
+  }
+
+  /**
+   * A channel's adaptive threshold window in frames at the given hop.
+   * Custom channels give theirs in seconds; the built-in ones are tuned
+   * in frames of the default hop and keep that length in time.
+   */
+  _adaptiveWindowFrames(defaults, hopSize = this.hopSize, sampleRate = this.sampleRate) {
+    const frames = defaults.window !== undefined
+      ? defaults.window * sampleRate / hopSize
+      : defaults.adaptiveWindow * 512 / hopSize;
+    return Math.max(2, Math.round(frames));
   }
 
   // ══════════════════════════════════════════════════
@@ -243,250 +460,326 @@ class AudioAnalyzer {
   }
 
   /**
-   * Short-Time Fourier Transform
-   * Returns array of magnitude spectra
+   * Short-Time Fourier Transform, reduced to per-frame features as it
+   * goes: each frame's magnitude spectrum feeds every band energy, flux
+   * and spectral feature, then is dropped, so the full spectrogram (over
+   * 1 GB for an hour of audio) is never held.
+   *
+   * @returns {object} { numFrames, bandEnergies, bandFlux, hfc, broadness,
+   *   centroidFlux, vocalFlux, chroma, logSpectrogram }
    */
   _computeSTFT(samples, progressCallback) {
-    const numFrames = Math.floor((samples.length - this.fftSize) / this.hopSize) + 1;
-    const spectrogram = [];
+    const numFrames = Math.max(0, Math.floor((samples.length - this.fftSize) / this.hopSize) + 1);
     const halfFFT = this.fftSize / 2;
+    const plan = this._fftPlan(this.fftSize);
+    const acc = this._frameAccumulator(numFrames);
 
-    // Hann window
-    const window = new Float32Array(this.fftSize);
-    for (let i = 0; i < this.fftSize; i++) {
-      window[i] = 0.5 * (1 - Math.cos(2 * Math.PI * i / (this.fftSize - 1)));
-    }
+    // Two frame buffers, swapped each frame, so flux can see the previous one
+    let magnitudes = new Float32Array(halfFFT);
+    let previous = new Float32Array(halfFFT);
 
     for (let frame = 0; frame < numFrames; frame++) {
-      const start = frame * this.hopSize;
+      this._magnitudeSpectrum(samples, frame * this.hopSize, plan, magnitudes);
+      this._accumulateFrame(acc, frame, magnitudes, frame > 0 ? previous : null);
 
-      // Apply window
-      const windowed = new Float32Array(this.fftSize);
-      for (let i = 0; i < this.fftSize; i++) {
-        windowed[i] = (samples[start + i] || 0) * window[i];
-      }
-
-      // FFT (using simple radix-2 DIT)
-      const spectrum = this._fft(windowed);
-      const magnitudes = new Float32Array(halfFFT);
-      for (let i = 0; i < halfFFT; i++) {
-        magnitudes[i] = Math.sqrt(spectrum.real[i] * spectrum.real[i] +
-                                   spectrum.imag[i] * spectrum.imag[i]);
-      }
-
-      spectrogram.push(magnitudes);
+      const swap = previous;
+      previous = magnitudes;
+      magnitudes = swap;
 
       if (progressCallback && frame % 500 === 0) {
-        const pct = 10 + Math.floor((frame / numFrames) * 40);
+        const pct = 10 + Math.floor((frame / numFrames) * 50);
         progressCallback(pct, `Spectral analysis: ${Math.floor(frame / numFrames * 100)}%`);
       }
     }
 
-    return spectrogram;
+    return Object.assign({ numFrames }, this._finishFrames(acc));
   }
 
   /**
-   * Radix-2 FFT (Cooley-Tukey)
+   * Hann window, bit-reversal order and twiddle factors for a real FFT
+   * of the given size, built once and reused for every frame.
    */
-  _fft(input) {
-    const N = input.length;
-    if (N <= 1) {
-      return { real: new Float32Array([input[0] || 0]), imag: new Float32Array([0]) };
-    }
+  _fftPlan(size) {
+    if (this._plan && this._plan.size === size) return this._plan;
 
-    // Bit-reversal permutation
-    const real = new Float32Array(N);
-    const imag = new Float32Array(N);
+    const half = size / 2;
+    const window = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+      window[i] = 0.5 * (1 - Math.cos(2 * Math.PI * i / (size - 1)));
+    }
 
-    const bits = Math.log2(N);
-    for (let i = 0; i < N; i++) {
+    // Bit-reversal permutation of the half-size complex FFT
+    const bits = Math.log2(half);
+    const bitReverse = new Uint32Array(half);
+    for (let i = 0; i < half; i++) {
       let reversed = 0;
-      let val = i;
-      for (let b = 0; b < bits; b++) {
-        reversed = (reversed << 1) | (val & 1);
-        val >>= 1;
-      }
-      real[reversed] = input[i];
+      for (let b = 0, val = i; b < bits; b++, val >>= 1) reversed = (reversed << 1) | (val & 1);
+      bitReverse[i] = reversed;
     }
 
-    // Butterfly operations
-    for (let size = 2; size <= N; size *= 2) {
-      const halfSize = size / 2;
-      const angle = -2 * Math.PI / size;
+    // e^(-2πik/size) for k < half: every stage of the half-size FFT
+    // reads a stride of it, and the real-input split uses all of it
+    const cos = new Float64Array(half);
+    const sin = new Float64Array(half);
+    for (let k = 0; k < half; k++) {
+      cos[k] = Math.cos(2 * Math.PI * k / size);
+      sin[k] = -Math.sin(2 * Math.PI * k / size);
+    }
 
-      for (let i = 0; i < N; i += size) {
-        for (let j = 0; j < halfSize; j++) {
-          const wr = Math.cos(angle * j);
-          const wi = Math.sin(angle * j);
+    this._plan = {
+      size, window, bitReverse, cos, sin,
+      real: new Float64Array(half),
+      imag: new Float64Array(half),
+    };
+    return this._plan;
+  }
 
-          const tReal = wr * real[i + j + halfSize] - wi * imag[i + j + halfSize];
-          const tImag = wr * imag[i + j + halfSize] + wi * real[i + j + halfSize];
+  /**
+   * Windowed magnitude spectrum of samples[start .. start + size) into
+   * out (bins 0 .. size/2 − 1). Samples past the end count as silence.
+   *
+   * Real-input FFT: the even and odd samples are packed into one complex
+   * signal of half the length, transformed (radix-2 Cooley-Tukey), then
+   * split back into the spectrum of the real frame.
+   */
+  _magnitudeSpectrum(samples, start, plan, out) {
+    const { size, window, bitReverse, cos, sin, real, imag } = plan;
+    const half = size / 2;
+
+    for (let n = 0; n < half; n++) {
+      const i = start + 2 * n;
+      const r = bitReverse[n];
+      real[r] = (samples[i] || 0) * window[2 * n];
+      imag[r] = (samples[i + 1] || 0) * window[2 * n + 1];
+    }
 
-          real[i + j + halfSize] = real[i + j] - tReal;
-          imag[i + j + halfSize] = imag[i + j] - tImag;
-          real[i + j] += tReal;
-          imag[i + j] += tImag;
+    // Butterflies; twiddle e^(-2πij/len) is table entry j · size/len
+    for (let len = 2; len <= half; len *= 2) {
+      const halfLen = len / 2;
+      const stride = size / len;
+      for (let i = 0; i < half; i += len) {
+        for (let j = 0, t = 0; j < halfLen; j++, t += stride) {
+          const a = i + j, b = a + halfLen;
+          const tReal = cos[t] * real[b] - sin[t] * imag[b];
+          const tImag = cos[t] * imag[b] + sin[t] * real[b];
+          real[b] = real[a] - tReal;
+          imag[b] = imag[a] - tImag;
+          real[a] += tReal;
+          imag[a] += tImag;
         }
       }
     }
 
-    return { real, imag };
+    // Split: X[k] = E[k] + e^(-2πik/size) · O[k], where E and O are the
+    // spectra of the even and odd samples, recovered from Z[k] and Z[half − k]
+    for (let k = 0; k < half; k++) {
+      const m = k === 0 ? 0 : half - k;
+      const evenReal = 0.5 * (real[k] + real[m]);
+      const evenImag = 0.5 * (imag[k] - imag[m]);
+      const oddReal = 0.5 * (imag[k] + imag[m]);
+      const oddImag = -0.5 * (real[k] - real[m]);
+      const xReal = evenReal + cos[k] * oddReal - sin[k] * oddImag;
+      const xImag = evenImag + cos[k] * oddImag + sin[k] * oddReal;
+      out[k] = Math.sqrt(xReal * xReal + xImag * xImag);
+    }
+    return out;
   }
 
   // ══════════════════════════════════════════════════
-  //  BAND ENERGY EXTRACTION
+  //  FRAME FEATURES
   // ══════════════════════════════════════════════════
 
   _binForFreq(freq) {
     return Math.round(freq * this.fftSize / this.sampleRate);
   }
 
-  _extractBandEnergies(spectrogram) {
-    const result = {};
-    for (const [bandName, range] of Object.entries(this.bands)) {
-      const lowBin = this._binForFreq(range.low);
-      const highBin = Math.min(this._binForFreq(range.high), this.fftSize / 2 - 1);
-      const numBins = highBin - lowBin + 1;
-
-      result[bandName] = spectrogram.map(frame => {
-        let energy = 0;
-        for (let b = lowBin; b <= highBin; b++) {
-          energy += frame[b] * frame[b];
-        }
-        return energy / numBins;
-      });
+  /**
+   * Output arrays and bin ranges for _accumulateFrame().
+   */
+  _frameAccumulator(numFrames) {
+    const lastBin = this.fftSize / 2 - 1;
+    const bands = Object.entries(this.bands).map(([name, range]) => ({
+      name,
+      lowBin: this._binForFreq(range.low),
+      highBin: Math.min(this._binForFreq(range.high), lastBin),
+      energy: new Float64Array(numFrames),
+      flux: new Float32Array(numFrames),
+    }));
+
+    // 12-bin pitch class of each FFT bin, 55 Hz – 2 kHz
+    const chromaLow = Math.max(1, this._binForFreq(55));
+    const chromaHigh = Math.min(this._binForFreq(2000), lastBin);
+    const pitchClass = new Int8Array(chromaHigh + 1);
+    for (let b = chromaLow; b <= chromaHigh; b++) {
+      const midi = Math.round(69 + 12 * Math.log2(b * this.sampleRate / this.fftSize / 440));
+      pitchClass[b] = ((midi % 12) + 12) % 12;
     }
-    return result;
-  }
 
-  // ══════════════════════════════════════════════════
-  //  SPECTRAL FLUX (per band)
-  // ══════════════════════════════════════════════════
-
-  _computeBandFlux(spectrogram) {
-    const result = {};
-    for (const [bandName, range] of Object.entries(this.bands)) {
-      const lowBin = this._binForFreq(range.low);
-      const highBin = Math.min(this._binForFreq(range.high), this.fftSize / 2 - 1);
-
-      const flux = new Float32Array(spectrogram.length);
-      for (let i = 1; i < spectrogram.length; i++) {
-        let sum = 0;
-        for (let b = lowBin; b <= highBin; b++) {
-          const diff = spectrogram[i][b] - spectrogram[i - 1][b];
-          if (diff > 0) sum += diff * diff; // Half-wave rectified
-        }
-        flux[i] = Math.sqrt(sum);
-      }
-      result[bandName] = flux;
+    // Log-frequency display rows, 30 Hz – 16 kHz (or Nyquist)
+    const logBins = 96;
+    const minHz = 30;
+    const maxHz = Math.min(16000, this.sampleRate / 2);
+    const edges = [];
+    for (let b = 0; b <= logBins; b++) {
+      edges.push(Math.min(lastBin, this._binForFreq(minHz * Math.pow(maxHz / minHz, b / logBins))));
     }
-    return result;
-  }
-
-  // ══════════════════════════════════════════════════
-  //  SPECTRAL FEATURES
-  // ══════════════════════════════════════════════════
 
-  /**
-   * High Frequency Content — weights spectrum by frequency,
-   * emphasizing high-frequency transients (hi-hats, cymbals)
-   */
-  _computeHFC(spectrogram) {
-    return spectrogram.map(frame => {
-      let hfc = 0;
-      for (let b = 0; b < frame.length; b++) {
-        hfc += frame[b] * frame[b] * (b + 1);
-      }
-      return hfc / frame.length;
-    });
+    return {
+      bands,
+      hfc: new Float64Array(numFrames),
+      broadness: new Float64Array(numFrames),
+      centroidLow: this._binForFreq(300),
+      centroidHigh: this._binForFreq(6000),
+      centroids: new Float64Array(numFrames),
+      vocalLow: this._binForFreq(300),
+      vocalHigh: this._binForFreq(4000),
+      vocalFlux: new Float32Array(numFrames),
+      chromaLow, chromaHigh, pitchClass,
+      chroma: new Float32Array(numFrames * 12),
+      logBins, minHz, maxHz, edges,
+      logDb: new Float32Array(numFrames * logBins),
+      logPeak: -Infinity,
+    };
   }
 
   /**
-   * Spectral broadness — measures how spread the energy is.
-   * Snare drums have very broad spectra (noise-like).
+   * Adds one magnitude frame's features to acc. previous is the frame
+   * before (null for the first), for the flux features.
    */
-  _computeSpectralBroadness(spectrogram) {
-    return spectrogram.map(frame => {
-      let totalEnergy = 0;
-      let centroid = 0;
-      for (let b = 0; b < frame.length; b++) {
-        const e = frame[b] * frame[b];
-        totalEnergy += e;
-        centroid += e * b;
+  _accumulateFrame(acc, f, frame, previous) {
+    const bins = frame.length;
+
+    // Band energy and half-wave rectified spectral flux
+    for (const band of acc.bands) {
+      let energy = 0, flux = 0;
+      for (let b = band.lowBin; b <= band.highBin; b++) {
+        energy += frame[b] * frame[b];
+        if (previous) {
+          const diff = frame[b] - previous[b];
+          if (diff > 0) flux += diff * diff;
+        }
       }
-      if (totalEnergy === 0) return 0;
-      centroid /= totalEnergy;
+      band.energy[f] = energy / (band.highBin - band.lowBin + 1);
+      band.flux[f] = Math.sqrt(flux);
+    }
 
-      // Spectral spread (variance)
+    // High Frequency Content — weights the spectrum by frequency,
+    // emphasizing high-frequency transients (hi-hats, cymbals)
+    // Spectral broadness — how spread the energy is; snare drums
+    // have very broad spectra (noise-like)
+    let hfc = 0, totalEnergy = 0, centroid = 0;
+    for (let b = 0; b < bins; b++) {
+      const e = frame[b] * frame[b];
+      hfc += e * (b + 1);
+      totalEnergy += e;
+      centroid += e * b;
+    }
+    acc.hfc[f] = hfc / bins;
+    if (totalEnergy > 0) {
+      centroid /= totalEnergy;
       let spread = 0;
-      for (let b = 0; b < frame.length; b++) {
-        const e = frame[b] * frame[b];
-        spread += e * (b - centroid) * (b - centroid);
+      for (let b = 0; b < bins; b++) {
+        spread += frame[b] * frame[b] * (b - centroid) * (b - centroid);
       }
-      spread = Math.sqrt(spread / totalEnergy);
-
-      // Normalize
-      return Math.min(1, spread / (frame.length * 0.3));
-    });
-  }
+      acc.broadness[f] = Math.min(1, Math.sqrt(spread / totalEnergy) / (bins * 0.3));
+    }
 
-  /**
-   * Spectral centroid flux — measures melodic movement
-   */
-  _computeCentroidFlux(spectrogram) {
-    const lowBin = this._binForFreq(300);
-    const highBin = this._binForFreq(6000);
+    // Spectral centroid of 300 Hz – 6 kHz, for melodic movement
+    let midEnergy = 0, midCentroid = 0;
+    for (let b = acc.centroidLow; b <= acc.centroidHigh && b < bins; b++) {
+      const e = frame[b] * frame[b];
+      midEnergy += e;
+      midCentroid += e * b;
+    }
+    acc.centroids[f] = midEnergy > 0 ? midCentroid / midEnergy : 0;
 
-    const centroids = spectrogram.map(frame => {
-      let totalEnergy = 0;
-      let centroid = 0;
-      for (let b = lowBin; b <= highBin && b < frame.length; b++) {
-        const e = frame[b] * frame[b];
-        totalEnergy += e;
-        centroid += e * b;
+    // Vocal-range spectral flux (300 Hz – 4 kHz)
+    if (previous) {
+      let sum = 0;
+      for (let b = acc.vocalLow; b <= acc.vocalHigh && b < bins; b++) {
+        const diff = frame[b] - previous[b];
+        if (diff > 0) sum += diff * diff;
       }
-      return totalEnergy > 0 ? centroid / totalEnergy : 0;
-    });
-
-    // Flux of centroid changes
-    const flux = new Float32Array(centroids.length);
-    for (let i = 1; i < centroids.length; i++) {
-      flux[i] = Math.abs(centroids[i] - centroids[i - 1]);
+      acc.vocalFlux[f] = Math.sqrt(sum);
     }
 
-    // Normalize
-    const maxFlux = Math.max(...flux) || 1;
-    for (let i = 0; i < flux.length; i++) {
-      flux[i] /= maxFlux;
+    // Pitch-class profile
+    const chromaBase = f * 12;
+    for (let b = acc.chromaLow; b <= acc.chromaHigh; b++) {
+      acc.chroma[chromaBase + acc.pitchClass[b]] += frame[b];
     }
 
-    return flux;
+    // Log-frequency display row: peak magnitude of each row's bins, in dB
+    const rowBase = f * acc.logBins;
+    for (let r = 0; r < acc.logBins; r++) {
+      const hi = Math.max(acc.edges[r], acc.edges[r + 1] - 1);
+      let m = 0;
+      for (let k = acc.edges[r]; k <= hi; k++) {
+        if (frame[k] > m) m = frame[k];
+      }
+      const v = 20 * Math.log10(m + 1e-9);
+      acc.logDb[rowBase + r] = v;
+      if (v > acc.logPeak) acc.logPeak = v;
+    }
   }
 
   /**
-   * Vocal-range spectral flux (300-4000 Hz)
+   * Features that need every frame: centroid flux, normalization, and
+   * the display spectrogram's quantization.
    */
-  _computeVocalFlux(spectrogram) {
-    const lowBin = this._binForFreq(300);
-    const highBin = this._binForFreq(4000);
+  _finishFrames(acc) {
+    const bandEnergies = {};
+    const bandFlux = {};
+    for (const band of acc.bands) {
+      bandEnergies[band.name] = band.energy;
+      bandFlux[band.name] = band.flux;
+    }
 
-    const flux = new Float32Array(spectrogram.length);
-    for (let i = 1; i < spectrogram.length; i++) {
-      let sum = 0;
-      for (let b = lowBin; b <= highBin && b < spectrogram[i].length; b++) {
-        const diff = spectrogram[i][b] - spectrogram[i - 1][b];
-        if (diff > 0) sum += diff * diff;
-      }
-      flux[i] = Math.sqrt(sum);
+    const centroidFlux = new Float32Array(acc.centroids.length);
+    for (let i = 1; i < centroidFlux.length; i++) {
+      centroidFlux[i] = Math.abs(acc.centroids[i] - acc.centroids[i - 1]);
     }
 
-    // Normalize
-    const maxFlux = Math.max(...flux) || 1;
-    for (let i = 0; i < flux.length; i++) {
-      flux[i] /= maxFlux;
+    return {
+      bandEnergies,
+      bandFlux,
+      hfc: acc.hfc,
+      broadness: acc.broadness,
+      centroidFlux: this._normalizePeak(centroidFlux),
+      vocalFlux: this._normalizePeak(acc.vocalFlux),
+      chroma: acc.chroma,
+      logSpectrogram: this._quantizeLogSpectrogram(acc),
+    };
+  }
+
+  /**
+   * Compact log-frequency spectrogram for display: `bins` rows from 30 Hz
+   * to 16 kHz (or Nyquist), each cell the peak magnitude of its FFT bins,
+   * quantized to 0–255 over the 80 dB below the loudest cell.
+   *
+   * @returns {{ frames, bins, minHz, maxHz, data: Uint8Array }} frame-major
+   */
+  _quantizeLogSpectrogram(acc) {
+    const db = acc.logDb;
+    const data = new Uint8Array(db.length);
+    for (let i = 0; i < db.length; i++) {
+      data[i] = Math.max(0, Math.min(255, Math.round((db[i] - acc.logPeak + 80) / 80 * 255)));
     }
+    return { frames: db.length / acc.logBins, bins: acc.logBins, minHz: acc.minHz, maxHz: acc.maxHz, data };
+  }
 
-    return flux;
+  /**
+   * Scales a signal in place so its peak is 1 (all-zero stays zero).
+   */
+  _normalizePeak(signal) {
+    let max = 0;
+    for (let i = 0; i < signal.length; i++) {
+      if (signal[i] > max) max = signal[i];
+    }
+    if (max > 0) {
+      for (let i = 0; i < signal.length; i++) signal[i] /= max;
+    }
+    return signal;
   }
 
   // ══════════════════════════════════════════════════
@@ -524,44 +817,27 @@ class AudioAnalyzer {
   // ══════════════════════════════════════════════════
 
   /**
-   * Adaptive threshold onset detection with peak picking.
+   * Adaptive threshold peak picking on an onset detection function
+   * (see _onsetFunction). Returns frame indices.
    *
    * sensitivity: 0-1 (higher = more detections)
    * minInterval: minimum seconds between detections
    * adaptiveWindow: frames for local mean computation
    */
-  _detectOnsets(signal, options = {}) {
+  _detectOnsets(odf, options = {}) {
     const {
       sensitivity = 0.5,
       minInterval = 0.1,
       adaptiveWindow = 15,
     } = options;
 
-    // Convert sensitivity to threshold multiplier (inverted: high sensitivity = low threshold)
-    const thresholdMult = 1.0 + (1.0 - sensitivity) * 3.0; // Range: 1.0 - 4.0
     const minGapFrames = Math.floor(minInterval * this.sampleRate / this.hopSize);
+    const threshold = this._adaptiveThreshold(odf, sensitivity, adaptiveWindow);
 
-    // Compute onset detection function (first-order difference, half-wave rectified)
-    const odf = new Float32Array(signal.length);
-    for (let i = 1; i < signal.length; i++) {
-      const diff = signal[i] - signal[i - 1];
-      odf[i] = diff > 0 ? diff : 0;
-    }
-
-    // Adaptive threshold
     const onsets = [];
     for (let i = adaptiveWindow; i < odf.length - adaptiveWindow; i++) {
-      // Local mean
-      let localMean = 0;
-      for (let j = i - adaptiveWindow; j <= i + adaptiveWindow; j++) {
-        localMean += odf[j];
-      }
-      localMean /= (2 * adaptiveWindow + 1);
-
-      const threshold = localMean * thresholdMult + 0.001;
-
       // Peak picking: must be above threshold AND a local maximum
-      if (odf[i] > threshold &&
+      if (odf[i] > threshold[i] &&
           odf[i] >= odf[i - 1] &&
           odf[i] >= odf[i + 1]) {
 
@@ -578,60 +854,548 @@ class AudioAnalyzer {
     return onsets;
   }
 
+  /**
+   * Local mean of the ODF over ±adaptiveWindow frames, scaled by the
+   * sensitivity. NaN near the edges, where no onset is picked.
+   */
+  _adaptiveThreshold(odf, sensitivity, adaptiveWindow) {
+    // Convert sensitivity to threshold multiplier (inverted: high sensitivity = low threshold)
+    const thresholdMult = 1.0 + (1.0 - sensitivity) * 3.0; // Range: 1.0 - 4.0
+    const threshold = new Float64Array(odf.length).fill(NaN);
+    for (let i = adaptiveWindow; i < odf.length - adaptiveWindow; i++) {
+      let localMean = 0;
+      for (let j = i - adaptiveWindow; j <= i + adaptiveWindow; j++) {
+        localMean += odf[j];
+      }
+      localMean /= (2 * adaptiveWindow + 1);
+      threshold[i] = localMean * thresholdMult + 0.001;
+    }
+    return threshold;
+  }
+
+  // ══════════════════════════════════════════════════
+  //  ONSET TIMING
+  // ══════════════════════════════════════════════════
+
+  /**
+   * Time in seconds of the onset picked at frame i of an ODF. The frame
+   * grid alone is a hop coarse and half a window early, so the peak is
+   * interpolated between frames and timed at the window centre; with
+   * the audio at hand it then moves to the attack in the channel's
+   * band (range, Hz) — see _findAttack().
+   */
+  _onsetTime(odf, i, range) {
+    const estimate = Math.round(this._interpolatePeak(odf, i) * this.hopSize + this.fftSize / 2);
+    if (!range) return estimate / this.sampleRate;
+
+    const key = `${range[0]}-${range[1]}@${estimate}`;
+    let attack = this._attackCache.get(key);
+    if (attack === undefined) {
+      if (typeof this.samples === 'function') this.samples = this._monoSamples(this.samples());
+      if (!this.samples) return estimate / this.sampleRate;
+      attack = this._findAttack(this.samples, estimate, Math.max(this.hopSize, this.fftSize / 2), range);
+      this._attackCache.set(key, attack);
+    }
+    return (attack !== null ? attack : estimate) / this.sampleRate;
+  }
+
+  /**
+   * Fractional index of the peak at i, from the parabola through it and
+   * its neighbours.
+   */
+  _interpolatePeak(y, i) {
+    if (i <= 0 || i >= y.length - 1) return i;
+    const curvature = y[i - 1] - 2 * y[i] + y[i + 1];
+    if (!(curvature < 0)) return i;
+    const delta = 0.5 * (y[i - 1] - y[i + 1]) / curvature;
+    return i + Math.max(-0.5, Math.min(0.5, delta));
+  }
+
+  /**
+   * Sample index where the strongest attack within ±radius of center
+   * begins, in the audio band-passed to range (Hz, widened an octave
+   * each way so the filters answer quickly): the envelope's
+   * largest rise over its running minimum, walked back to where it
+   * first clears a fifth of that rise. null when nothing in the window
+   * rises to at least twice its floor.
+   */
+  _findAttack(samples, center, radius, range) {
+    const sr = this.sampleRate;
+    const low = Math.max(10, range[0] / 2);
+    const high = Math.min(range[1] * 2, 0.45 * sr);
+    const start = Math.max(0, center - radius);
+    const end = Math.min(samples.length, center + radius);
+    if (end - start < 16 || !(high > low)) return null;
+
+    // Lead-in of a couple of periods of the lowest frequency, for the
+    // filters to settle before the search window
+    const from = Math.max(0, start - Math.min(2048, Math.round(2 * sr / low)));
+    const band = this._biquad(this._biquad(samples.subarray(from, end), 'highpass', low), 'lowpass', high);
+    // Held over half a period (at most 10 ms) so it doesn't ripple with the waveform
+    const env = this._envelope(band, Math.max(Math.round(sr / (2 * Math.max(low, 50))), Math.round(sr / 1000)));
+
+    const offset = start - from;
+    let floor = Infinity, best = -1, bestRise = 0, bestFloor = 0;
+    for (let n = offset; n < env.length; n++) {
+      if (env[n] < floor) floor = env[n];
+      if (env[n] - floor > bestRise) {
+        bestRise = env[n] - floor;
+        bestFloor = floor;
+        best = n;
+      }
+    }
+    if (best < 0 || env[best] < 2 * bestFloor) return null;
+
+    const threshold = bestFloor + 0.2 * bestRise;
+    let n = best;
+    while (n > offset && env[n - 1] > threshold) n--;
+    return from + n;
+  }
+
+  /**
+   * Second-order Butterworth lowpass or highpass (RBJ cookbook biquad)
+   * over samples, into a new Float32Array.
+   */
+  _biquad(samples, type, freq) {
+    const w0 = 2 * Math.PI * freq / this.sampleRate;
+    const cos = Math.cos(w0);
+    const alpha = Math.sin(w0) * Math.SQRT1_2;   // Q = 1/√2
+    const a0 = 1 + alpha;
+    const b0 = (type === 'lowpass' ? (1 - cos) / 2 : (1 + cos) / 2) / a0;
+    const b1 = (type === 'lowpass' ? 1 - cos : -(1 + cos)) / a0;
+    const a1 = -2 * cos / a0;
+    const a2 = (1 - alpha) / a0;
+
+    const out = new Float32Array(samples.length);
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    for (let n = 0; n < samples.length; n++) {
+      const x0 = samples[n];
+      const y0 = b0 * x0 + b1 * x1 + b0 * x2 - a1 * y1 - a2 * y2;
+      x2 = x1; x1 = x0;
+      y2 = y1; y1 = y0;
+      out[n] = y0;
+    }
+    return out;
+  }
+
+  /**
+   * Peak |x| over the last hold samples at every sample (monotonic queue).
+   */
+  _envelope(x, hold) {
+    const env = new Float32Array(x.length);
+    const queue = new Int32Array(x.length);
+    let head = 0, tail = 0;
+    for (let n = 0; n < x.length; n++) {
+      const v = Math.abs(x[n]);
+      while (tail > head && Math.abs(x[queue[tail - 1]]) <= v) tail--;
+      queue[tail++] = n;
+      if (queue[head] <= n - hold) head++;
+      env[n] = Math.abs(x[queue[head]]);
+    }
+    return env;
+  }
+
   // ══════════════════════════════════════════════════
   //  BPM ESTIMATION
   // ══════════════════════════════════════════════════
 
+  /**
+   * Global tempo from the onset function's autocorrelation.
+   *
+   * Each candidate from 50 to 220 BPM (0.25 BPM steps) scores the
+   * autocorrelation summed over its first four beat multiples, read at
+   * fractional lags, so a period whose multiples also line up beats its
+   * 2/3 and half-tempo rivals. The score is weighted by a log-Gaussian
+   * prior (Ellis 2007) centred on 130 BPM, one octave wide, which
+   * settles the remaining octave choice toward typical tempi.
+   */
   _estimateBPM(energySignal) {
-    // Use autocorrelation on the onset detection function
-    const odf = new Float32Array(energySignal.length);
-    for (let i = 1; i < energySignal.length; i++) {
-      const diff = energySignal[i] - energySignal[i - 1];
-      odf[i] = diff > 0 ? diff : 0;
+    const odf = this._onsetFunction(energySignal);
+    const n = odf.length;
+    if (n < 2) return 120;
+
+    let mean = 0;
+    for (let i = 0; i < n; i++) mean += odf[i];
+    mean /= n;
+    const x = new Float32Array(n);
+    for (let i = 0; i < n; i++) x[i] = odf[i] - mean;
+
+    const acf = new Map();
+    const acfAt = (lag) => {
+      if (acf.has(lag)) return acf.get(lag);
+      let corr = 0;
+      for (let i = 0; i + lag < n; i++) corr += x[i] * x[i + lag];
+      corr /= n - lag;
+      acf.set(lag, corr);
+      return corr;
+    };
+
+    const frameRate = this.sampleRate / this.hopSize;
+    const PRIOR_CENTER = 130, PRIOR_OCTAVES = 1, MULTIPLES = 4;
+    let bestBpm = 120;
+    let bestScore = -Infinity;
+
+    for (let bpm = 50; bpm <= 220; bpm += 0.25) {
+      const lag = 60 / bpm * frameRate;
+      let score = 0;
+      for (let k = 1; k <= MULTIPLES && k * lag < n / 2; k++) {
+        const l = k * lag;
+        const l0 = Math.floor(l);
+        const frac = l - l0;
+        score += (1 - frac) * acfAt(l0) + frac * acfAt(l0 + 1);
+      }
+      const octaves = Math.log2(bpm / PRIOR_CENTER) / PRIOR_OCTAVES;
+      score *= Math.exp(-0.5 * octaves * octaves);
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestBpm = bpm;
+      }
+    }
+
+    return Math.round(bestBpm * 10) / 10;
+  }
+
+  // ══════════════════════════════════════════════════
+  //  BEAT TRACKING
+  // ══════════════════════════════════════════════════
+
+  /**
+   * Dynamic-tempo beat tracker.
+   *
+   * 1. A local tempo curve from windowed autocorrelation of the onset
+   *    function, biased toward the previous window so it follows drift
+   *    without jumping between tempo octaves.
+   * 2. Dynamic programming over the onset function (Ellis, 2007), where
+   *    the spacing penalty uses the local beat period at each frame
+   *    instead of a single global period.
+   *
+   * Returns { beats: [{ time, frame, bpm, strength }], tempoCurve: [{ time, bpm }] }
+   */
+  _trackBeats(energySignal, globalBpm) {
+    const odf = this._onsetFunction(energySignal);
+    const n = odf.length;
+    if (!globalBpm || n < 4) return { beats: [], tempoCurve: [] };
+
+    // Normalize to unit standard deviation so the tightness weight is level-independent
+    let sumSq = 0;
+    for (let i = 0; i < n; i++) sumSq += odf[i] * odf[i];
+    const std = Math.sqrt(sumSq / n);
+    if (std === 0) return { beats: [], tempoCurve: [] };
+    for (let i = 0; i < n; i++) odf[i] /= std;
+
+    const frameRate = this.sampleRate / this.hopSize;
+    const globalPeriod = 60 / globalBpm * frameRate;
+    const curve = this._estimateTempoCurve(odf, globalPeriod);
+    const periods = this._interpolatePeriods(curve, n);
+    const localScore = this._smoothGaussian(odf, globalPeriod / 32, Math.round(globalPeriod));
+
+    // Cumulative score: each frame chains to the best previous beat
+    // between half and twice the local period away
+    const tightness = 100;
+    const cumScore = new Float32Array(n);
+    const backlink = new Int32Array(n).fill(-1);
+    for (let t = 0; t < n; t++) {
+      const period = periods[t];
+      const from = Math.max(0, Math.round(t - 2 * period));
+      const to = Math.round(t - period / 2);
+      let best = -Infinity;
+      let bestPrev = -1;
+      for (let prev = from; prev <= to; prev++) {
+        const dev = Math.log((t - prev) / period);
+        const score = cumScore[prev] - tightness * dev * dev;
+        if (score > best) {
+          best = score;
+          bestPrev = prev;
+        }
+      }
+      cumScore[t] = localScore[t] + (bestPrev >= 0 ? best : 0);
+      backlink[t] = bestPrev;
     }
 
-    // Autocorrelation for lag range corresponding to 50-200 BPM
-    const minLag = Math.floor(60 / 200 * this.sampleRate / this.hopSize);
-    const maxLag = Math.floor(60 / 50 * this.sampleRate / this.hopSize);
-    const acfLength = Math.min(maxLag + 1, odf.length);
+    // Last beat: final local maximum that is not far below the typical peak
+    const peaks = [];
+    for (let t = 1; t < n - 1; t++) {
+      if (cumScore[t] > cumScore[t - 1] && cumScore[t] >= cumScore[t + 1]) peaks.push(cumScore[t]);
+    }
+    if (peaks.length === 0) return { beats: [], tempoCurve: [] };
+    const sortedPeaks = peaks.slice().sort((a, b) => a - b);
+    const medianPeak = sortedPeaks[Math.floor(sortedPeaks.length / 2)];
+    let last = -1;
+    for (let t = n - 2; t > 0; t--) {
+      if (cumScore[t] > cumScore[t - 1] && cumScore[t] >= cumScore[t + 1] &&
+          cumScore[t] >= 0.5 * medianPeak) {
+        last = t;
+        break;
+      }
+    }
 
-    let bestLag = minLag;
-    let bestCorr = -Infinity;
+    const frames = [];
+    for (let b = last; b >= 0; b = backlink[b]) frames.push(b);
+    frames.reverse();
+
+    // Trim weak beats from the edges (lead-in silence, fade-outs)
+    let rms = 0;
+    for (let i = 0; i < frames.length; i++) rms += localScore[frames[i]] * localScore[frames[i]];
+    rms = Math.sqrt(rms / (frames.length || 1));
+    while (frames.length > 0 && localScore[frames[0]] < 0.5 * rms) frames.shift();
+    while (frames.length > 0 && localScore[frames[frames.length - 1]] < 0.5 * rms) frames.pop();
+
+    let maxScore = 0;
+    for (let i = 0; i < frames.length; i++) maxScore = Math.max(maxScore, localScore[frames[i]]);
+
+    return {
+      beats: frames.map(f => ({
+        time: this._frameToTime(f),
+        frame: f,
+        bpm: Math.round(60 * frameRate / periods[f] * 10) / 10,
+        strength: maxScore > 0 ? localScore[f] / maxScore : 0,
+      })),
+      tempoCurve: curve.map(p => ({
+        time: this._frameToTime(p.frame),
+        bpm: Math.round(60 * frameRate / p.period * 10) / 10,
+      })),
+    };
+  }
 
-    for (let lag = minLag; lag <= maxLag && lag < acfLength; lag++) {
-      let corr = 0;
-      let count = 0;
-      for (let i = 0; i < odf.length - lag; i++) {
-        corr += odf[i] * odf[i + lag];
-        count++;
+  /**
+   * Local beat period (in frames) once per second, from an 8-second
+   * autocorrelation window. Each estimate is weighted toward the
+   * previous one and, more loosely, toward the global tempo.
+   */
+  _estimateTempoCurve(odf, globalPeriod) {
+    const frameRate = this.sampleRate / this.hopSize;
+    const halfWin = Math.round(4 * frameRate);
+    const step = Math.max(1, Math.round(frameRate));
+    const minLag = Math.max(2, Math.floor(60 / 220 * frameRate));
+    const maxLag = Math.ceil(60 / 40 * frameRate);
+    const acf = new Float32Array(maxLag + 2);
+    const curve = [];
+    let prevPeriod = globalPeriod;
+
+    for (let center = 0; center < odf.length; center += step) {
+      const start = Math.max(0, center - halfWin);
+      const end = Math.min(odf.length, center + halfWin);
+
+      for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+        let sum = 0;
+        for (let i = start; i < end - lag; i++) sum += odf[i] * odf[i + lag];
+        acf[lag] = end - start > lag ? sum / (end - start - lag) : 0;
+      }
+
+      let bestLag = -1;
+      let bestScore = 0;
+      for (let lag = minLag; lag <= maxLag; lag++) {
+        const local = Math.log2(lag / prevPeriod) / 0.2;
+        const global = Math.log2(lag / globalPeriod);
+        const score = acf[lag] * Math.exp(-0.5 * (local * local + global * global));
+        if (score > bestScore) {
+          bestScore = score;
+          bestLag = lag;
+        }
+      }
+
+      // Silent or aperiodic windows keep the previous tempo
+      if (bestLag > 0) {
+        const a = acf[bestLag - 1], b = acf[bestLag], c = acf[bestLag + 1];
+        const denom = a - 2 * b + c;
+        const shift = denom !== 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denom)) : 0;
+        prevPeriod = bestLag + shift;
+      }
+      curve.push({ frame: center, period: prevPeriod });
+    }
+
+    return curve;
+  }
+
+  _interpolatePeriods(curve, length) {
+    const periods = new Float32Array(length);
+    let k = 0;
+    for (let i = 0; i < length; i++) {
+      while (k < curve.length - 2 && curve[k + 1].frame <= i) k++;
+      const p0 = curve[k];
+      const p1 = curve[Math.min(k + 1, curve.length - 1)];
+      if (p1.frame === p0.frame || i <= p0.frame) {
+        periods[i] = p0.period;
+      } else if (i >= p1.frame) {
+        periods[i] = p1.period;
+      } else {
+        const frac = (i - p0.frame) / (p1.frame - p0.frame);
+        periods[i] = p0.period + frac * (p1.period - p0.period);
+      }
+    }
+    return periods;
+  }
+
+  _smoothGaussian(signal, sigma, radius) {
+    const kernel = new Float32Array(2 * radius + 1);
+    for (let k = -radius; k <= radius; k++) {
+      kernel[k + radius] = Math.exp(-0.5 * (k / sigma) * (k / sigma));
+    }
+    const out = new Float32Array(signal.length);
+    for (let i = 0; i < signal.length; i++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        const j = i + k;
+        if (j >= 0 && j < signal.length) sum += signal[j] * kernel[k + radius];
+      }
+      out[i] = sum;
+    }
+    return out;
+  }
+
+  // ══════════════════════════════════════════════════
+  //  METER + DOWNBEATS
+  // ══════════════════════════════════════════════════
+
+  /**
+   * Estimates beats per bar and which tracked beat is the first downbeat.
+   *
+   * Downbeats carry the strongest low-end accent (kick, new bass note)
+   * and the most harmonic change (chords move on the bar line). Each beat
+   * gets an accent score from both; every meter/phase hypothesis is
+   * scored by how far its downbeats stand out from the remaining beats.
+   *
+   * chroma is the per-frame pitch-class profile from _computeSTFT().
+   *
+   * Returns { beatsPerBar, phase } or null when there are too few beats.
+   */
+  _detectMeter(beats, chroma, bandEnergies) {
+    const candidates = [4, 3];
+    if (beats.length < 4 * candidates[0]) return null;
+
+    const lowOnset = this._onsetFunction(
+      this._combineBands(bandEnergies, ['subBass', 'bass'], [0.7, 0.3]));
+    const low = beats.map(b => {
+      let peak = 0;
+      for (let f = Math.max(0, b.frame - 2); f <= b.frame + 2 && f < lowOnset.length; f++) {
+        peak = Math.max(peak, lowOnset[f]);
       }
-      corr /= count;
+      return peak;
+    });
 
-      if (corr > bestCorr) {
-        bestCorr = corr;
-        bestLag = lag;
+    const beatChroma = this._beatChroma(beats, chroma);
+    const harmonic = beatChroma.map((c, k) => {
+      if (k === 0) return 0;
+      const prev = beatChroma[k - 1];
+      let dot = 0, na = 0, nb = 0;
+      for (let p = 0; p < 12; p++) {
+        dot += c[p] * prev[p];
+        na += c[p] * c[p];
+        nb += prev[p] * prev[p];
+      }
+      return na > 0 && nb > 0 ? 1 - dot / Math.sqrt(na * nb) : 0;
+    });
+
+    const lowZ = this._zScore(low);
+    const harmonicZ = this._zScore(harmonic);
+    const accent = beats.map((b, k) => 0.5 * lowZ[k] + 0.5 * harmonicZ[k]);
+
+    let best = null;
+    for (const beatsPerBar of candidates) {
+      for (let phase = 0; phase < beatsPerBar; phase++) {
+        let onSum = 0, onCount = 0, offSum = 0, offCount = 0;
+        for (let k = 0; k < accent.length; k++) {
+          if ((k - phase) % beatsPerBar === 0) { onSum += accent[k]; onCount++; }
+          else { offSum += accent[k]; offCount++; }
+        }
+        // Slight preference for 4/4, the common case when evidence is weak
+        const contrast = (onSum / onCount - offSum / offCount) * (beatsPerBar === 4 ? 1.1 : 1);
+        if (!best || contrast > best.contrast) best = { beatsPerBar, phase, contrast };
       }
     }
 
-    const beatIntervalSec = bestLag * this.hopSize / this.sampleRate;
-    let bpm = 60 / beatIntervalSec;
+    return { beatsPerBar: best.beatsPerBar, phase: best.phase };
+  }
+
+  /**
+   * 12-bin pitch-class profile for each beat span, summed from the
+   * per-frame profiles (frame-major, 12 per frame)
+   */
+  _beatChroma(beats, chroma) {
+    const numFrames = chroma.length / 12;
+    return beats.map((beat, k) => {
+      const profile = new Float32Array(12);
+      const end = k + 1 < beats.length ? beats[k + 1].frame : numFrames;
+      for (let f = beat.frame; f < end && f < numFrames; f++) {
+        for (let p = 0; p < 12; p++) profile[p] += chroma[f * 12 + p];
+      }
+      return profile;
+    });
+  }
+
+  _zScore(values) {
+    const mean = values.reduce((a, v) => a + v, 0) / values.length;
+    const variance = values.reduce((a, v) => a + (v - mean) * (v - mean), 0) / values.length;
+    const std = Math.sqrt(variance) || 1;
+    return values.map(v => (v - mean) / std);
+  }
 
-    // Normalize to common range
-    while (bpm > 200) bpm /= 2;
-    while (bpm < 60) bpm *= 2;
+  /**
+   * Index of the tracked beat an event belongs to. Events a little ahead
+   * of a beat (within 10% of the beat period) count as that beat; times
+   * outside the tracked span are extrapolated from the edge intervals.
+   */
+  _beatIndexAt(time, beats) {
+    const last = beats.length - 1;
+    if (time < beats[0].time) {
+      const interval = beats[1].time - beats[0].time;
+      return -Math.ceil((beats[0].time - time) / interval - 0.1);
+    }
+    if (time >= beats[last].time) {
+      const interval = beats[last].time - beats[last - 1].time;
+      return last + Math.floor((time - beats[last].time) / interval + 0.1);
+    }
+    let lo = 0, hi = last;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (beats[mid].time <= time) lo = mid; else hi = mid;
+    }
+    const interval = beats[hi].time - beats[lo].time;
+    return beats[hi].time - time <= 0.1 * interval ? hi : lo;
+  }
 
-    return Math.round(bpm * 10) / 10;
+  /**
+   * Bar and beat numbers for a beat index. Bar 1 starts on the first
+   * detected downbeat; beats before it form a pickup bar 0.
+   */
+  _barBeatAt(index, meter) {
+    const rel = index - meter.phase;
+    return {
+      bar: Math.floor(rel / meter.beatsPerBar) + 1,
+      beat: ((rel % meter.beatsPerBar) + meter.beatsPerBar) % meter.beatsPerBar + 1,
+    };
   }
 
   // ══════════════════════════════════════════════════
   //  UTILITIES
   // ══════════════════════════════════════════════════
 
+  /**
+   * First-order difference, half-wave rectified
+   */
+  _onsetFunction(signal) {
+    const odf = new Float32Array(signal.length);
+    for (let i = 1; i < signal.length; i++) {
+      const diff = signal[i] - signal[i - 1];
+      odf[i] = diff > 0 ? diff : 0;
+    }
+    return odf;
+  }
+
+  /**
+   * Time of a frame's window centre — what its features describe.
+   */
   _frameToTime(frameIndex) {
-    return frameIndex * this.hopSize / this.sampleRate;
+    return (frameIndex * this.hopSize + this.fftSize / 2) / this.sampleRate;
   }
 }
 
+// Keys of analyze() results besides the channels
+AudioAnalyzer.RESULT_KEYS = ['bpm', 'beats', 'tempoCurve', 'beatsPerBar', 'downbeats'];
+// Band features a custom channel can be built from
+AudioAnalyzer.CUSTOM_FEATURES = ['energy', 'flux'];
+
 // Export for UXP
 if (typeof module !== 'undefined') {
   module.exports = AudioAnalyzer;
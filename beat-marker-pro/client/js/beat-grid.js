@@ -0,0 +1,412 @@
+/**
+ * ════════════════════════════════════════════════════════
+ *  BEAT MARKER PRO — Grid Engine
+ *  Bar / beat / subdivision layout for grid mode
+ * ════════════════════════════════════════════════════════
+ *
+ *  Grid positions are laid out in beat units, then mapped to
+ *  seconds through a timing source:
+ *    constantTiming — one BPM from the Grid tab or tap tempo
+ *    trackedTiming  — per-beat timestamps from the beat tracker,
+ *                     so the grid follows tempo drift
+ *    tempoMapTiming — an edited tempo map: tempo / meter changes at
+ *                     bar.beat positions, optionally ramped
+ *
+ *  Beats are the pulse the BPM counts. A meter ({ beatsPerBar, beatUnit,
+ *  grouping }) splits each bar into groups of beatUnit notes: 4/4 is
+ *  1+1+1+1 quarters, 6/8 is 3+3 eighths pulsing in dotted quarters, 7/8
+ *  is 2+2+3 eighths. Equal groups make the group the beat; unequal
+ *  (additive) groups count single units, so 7/8 BPM is in eighths.
+ *
+ *  A groove template nudges positions in beat units before they are
+ *  mapped to time:
+ *    { name, stepsPerBeat, offsets: [beats, one per slot, cycling] }
+ *  Slot n sits at beat n / stepsPerBeat; positions between slots are
+ *  left alone. Swing is the two-slot template swingTemplate() builds,
+ *  on 8ths (half beats) whatever the grid step.
+ */
+
+var BeatGrid = (function () {
+  var EPSILON = 1e-6;
+
+  /**
+   * Fixed tempo starting at originSec.
+   */
+  function constantTiming(bpm, originSec) {
+    var beatDur = 60 / bpm;
+    return {
+      beatToTime: function (b) { return originSec + b * beatDur; },
+      timeToBeat: function (t) { return (t - originSec) / beatDur; },
+      bpmAt: function () { return bpm; },
+    };
+  }
+
+  /**
+   * Follows tracked beats ({ time } objects, sorted). Beat 0 is the first
+   * tracked beat at or after startSec. Positions between beats are
+   * interpolated; past the last beat the final interval is extended.
+   * When the beats carry detected bar / beat numbers, the grid is labelled
+   * from them so bar 1 lands on the detected downbeat.
+   * Returns null when fewer than two beats fall in range.
+   */
+  function trackedTiming(beats, startSec) {
+    var times = [];
+    var first = null;
+    for (var i = 0; i < beats.length; i++) {
+      if (beats[i].time >= startSec - EPSILON) {
+        if (!first) first = beats[i];
+        times.push(beats[i].time);
+      }
+    }
+    if (times.length < 2) return null;
+
+    var last = times.length - 1;
+    var lastInterval = times[last] - times[last - 1];
+
+    function segment(b) {
+      return Math.max(0, Math.min(last - 1, Math.floor(b)));
+    }
+
+    return {
+      beatToTime: function (b) {
+        if (b >= last) return times[last] + (b - last) * lastInterval;
+        var i = segment(b);
+        return times[i] + (b - i) * (times[i + 1] - times[i]);
+      },
+      timeToBeat: function (t) {
+        if (t >= times[last]) return last + (t - times[last]) / lastInterval;
+        var lo = 0, hi = last - 1;
+        while (lo < hi) {
+          var mid = (lo + hi + 1) >> 1;
+          if (times[mid] <= t) lo = mid; else hi = mid - 1;
+        }
+        return lo + (t - times[lo]) / (times[lo + 1] - times[lo]);
+      },
+      bpmAt: function (b) {
+        var i = segment(b);
+        return 60 / (times[i + 1] - times[i]);
+      },
+      startBar: first.bar,
+      startBeat: first.beat,
+    };
+  }
+
+  /**
+   * Tempo map starting at originSec, where bar 1 begins.
+   *
+   * changes: [{ bar, beat, bpm, beatsPerBar, beatUnit, grouping, ramp }],
+   *   the first at bar 1. beat (1-based, may be fractional) defaults to 1.
+   *   beatsPerBar starts a new meter (beatUnit defaults to the previous
+   *   one) and only counts on a bar's first beat. ramp glides the tempo
+   *   from the previous change to this one, linearly in beats; otherwise
+   *   it steps.
+   * Bars are laid out one by one (barLayout), so numbering stays right
+   * across meter changes.
+   */
+  function tempoMapTiming(changes, originSec) {
+    var meters = [{ bar: 1, startBeat: 0, layout: meterLayout(changes[0]) }];
+    var points = [];
+
+    function barStartBeat(bar) {
+      var m = meters[meters.length - 1];
+      for (var i = meters.length - 1; i > 0 && meters[i].bar > bar; i--) m = meters[i - 1];
+      return m.startBeat + (bar - m.bar) * m.layout.barBeats;
+    }
+
+    changes.slice().sort(function (a, b) {
+      return a.bar - b.bar || (a.beat || 1) - (b.beat || 1);
+    }).forEach(function (c) {
+      var beat = c.beat || 1;
+      var start = barStartBeat(c.bar);
+      var meter = meters[meters.length - 1];
+      if (beat === 1 && c.beatsPerBar && c.bar > 1) {
+        var layout = meterLayout({
+          beatsPerBar: c.beatsPerBar,
+          beatUnit: c.beatUnit || meter.layout.beatUnit,
+          grouping: c.grouping,
+        });
+        if (layout.key !== meter.layout.key) meters.push({ bar: c.bar, startBeat: start, layout: layout });
+      }
+      var point = { beat: start + beat - 1, bpm: c.bpm, ramp: !!c.ramp };
+      // A later change at the same position wins
+      if (points.length && Math.abs(points[points.length - 1].beat - point.beat) < EPSILON) points.pop();
+      points.push(point);
+    });
+
+    // Tempo segments: bpm0 at the start, bpm1 at the next point
+    var segments = [];
+    var time = 0;
+    points.forEach(function (p, i) {
+      var next = points[i + 1];
+      var seg = {
+        beat: p.beat,
+        length: next ? next.beat - p.beat : Infinity,
+        bpm0: p.bpm,
+        bpm1: next && next.ramp ? next.bpm : p.bpm,
+        time: time,
+      };
+      segments.push(seg);
+      if (next) time += segmentTime(seg, seg.length);
+    });
+
+    // Seconds from a segment's start to x beats into it
+    function segmentTime(seg, x) {
+      if (seg.bpm1 === seg.bpm0 || !isFinite(seg.length)) return 60 * x / seg.bpm0;
+      var rate = (seg.bpm1 - seg.bpm0) / seg.length;
+      return 60 / rate * Math.log((seg.bpm0 + rate * x) / seg.bpm0);
+    }
+
+    function segmentAt(key, value) {
+      var i = segments.length - 1;
+      while (i > 0 && segments[i][key] > value) i--;
+      return segments[i];
+    }
+
+    return {
+      beatToTime: function (b) {
+        var seg = segmentAt("beat", b);
+        return originSec + seg.time + segmentTime(seg, b - seg.beat);
+      },
+      timeToBeat: function (t) {
+        var seg = segmentAt("time", t - originSec);
+        var dt = t - originSec - seg.time;
+        if (seg.bpm1 === seg.bpm0 || !isFinite(seg.length)) return seg.beat + dt * seg.bpm0 / 60;
+        var rate = (seg.bpm1 - seg.bpm0) / seg.length;
+        return seg.beat + (seg.bpm0 * Math.exp(dt * rate / 60) - seg.bpm0) / rate;
+      },
+      bpmAt: function (b) {
+        var seg = segmentAt("beat", b);
+        if (seg.bpm1 === seg.bpm0 || !isFinite(seg.length)) return seg.bpm0;
+        return seg.bpm0 + (seg.bpm1 - seg.bpm0) * (b - seg.beat) / seg.length;
+      },
+      // n-th bar from the start (0-based): { bar, startBeat, meter }
+      barLayout: function (n) {
+        var bar = n + 1;
+        var m = meters[0];
+        for (var i = 1; i < meters.length && meters[i].bar <= bar; i++) m = meters[i];
+        return { bar: bar, startBeat: m.startBeat + (bar - m.bar) * m.layout.barBeats, meter: m.layout };
+      },
+    };
+  }
+
+  /**
+   * Default grouping of a bar, in beatUnit notes. x/8 (and shorter) meters
+   * divisible by three are compound (6/8 = 3+3); odd ones are additive,
+   * twos then a closing three (7/8 = 2+2+3); the rest count every unit.
+   */
+  function defaultGrouping(beatsPerBar, beatUnit) {
+    var groups = [], i;
+    if (beatUnit >= 8 && beatsPerBar > 3 && beatsPerBar % 3 === 0) {
+      for (i = 0; i < beatsPerBar / 3; i++) groups.push(3);
+    } else if (beatUnit >= 8 && beatsPerBar > 3 && beatsPerBar % 2 === 1) {
+      for (i = 0; i < (beatsPerBar - 3) / 2; i++) groups.push(2);
+      groups.push(3);
+    } else {
+      for (i = 0; i < beatsPerBar; i++) groups.push(1);
+    }
+    return groups;
+  }
+
+  /**
+   * Normalized meter: { beatsPerBar, beatUnit, groups, unitsPerBeat,
+   * barBeats, simple, key }. A grouping that doesn't add up to
+   * beatsPerBar is ignored in favour of the default.
+   */
+  function meterLayout(meter) {
+    var beatsPerBar = meter.beatsPerBar || 4;
+    var beatUnit = meter.beatUnit || 4;
+    var groups = meter.grouping && meter.grouping.length ? meter.grouping.slice() : null;
+    if (groups && groups.reduce(function (a, b) { return a + b; }, 0) !== beatsPerBar) groups = null;
+    if (!groups) groups = defaultGrouping(beatsPerBar, beatUnit);
+
+    var equal = groups.every(function (g) { return g === groups[0]; });
+    var unitsPerBeat = equal ? groups[0] : 1;
+    return {
+      beatsPerBar: beatsPerBar,
+      beatUnit: beatUnit,
+      groups: groups,
+      unitsPerBeat: unitsPerBeat,
+      barBeats: beatsPerBar / unitsPerBeat,
+      simple: groups.every(function (g) { return g === 1; }),
+      key: beatsPerBar + "/" + beatUnit + ":" + groups.join("+"),
+    };
+  }
+
+  /**
+   * Grid positions inside one bar for a subdivision button value, in
+   * beatUnit notes from the downbeat:
+   *   1 — the downbeat           2 — every other group start
+   *   4 — every group start      8 — every unit (half units in simple meters)
+   * Triplets (simple meters only) space the chosen level by 2/3.
+   * Returns [{ u, group, sub, isDown, isBeat }]; group and sub are 1-based.
+   */
+  function barPositions(layout, subdivision, triplet) {
+    var starts = [], u0 = 0;
+    layout.groups.forEach(function (g) { starts.push(u0); u0 += g; });
+    var units = [], step = 1;
+
+    if (layout.simple && triplet) {
+      var base = subdivision === 1 ? layout.beatsPerBar : subdivision === 2 ? 2 : subdivision === 8 ? 0.5 : 1;
+      step = base * 2 / 3;
+      for (var k = 0; k * step < layout.beatsPerBar - EPSILON; k++) units.push(k * step);
+    } else if (subdivision === 1) {
+      units = [0];
+    } else if (subdivision === 2) {
+      units = starts.filter(function (u, i) { return i % 2 === 0; });
+    } else if (subdivision === 8) {
+      step = layout.simple ? 0.5 : 1;
+      for (var j = 0; j * step < layout.beatsPerBar - EPSILON; j++) units.push(j * step);
+    } else {
+      units = starts;
+    }
+
+    return units.map(function (u) {
+      var gi = 0;
+      while (gi + 1 < starts.length && starts[gi + 1] <= u + EPSILON) gi++;
+      var into = u - starts[gi];
+      var onGroup = into < EPSILON;
+      return {
+        u: u,
+        group: gi + 1,
+        sub: onGroup ? 1 : Math.ceil(into / step - EPSILON) + 1,
+        isDown: u < EPSILON,
+        isBeat: onGroup,
+      };
+    });
+  }
+
+  /**
+   * Swing as a groove on notes `note` beats long (0.5 for 8ths, 0.25 for
+   * 16ths): every second one is pushed late so each pair splits swing% /
+   * (100 − swing)%. 50 is straight, 66.7 a triplet shuffle, 75 a dotted
+   * feel. Returns null when there is nothing to do.
+   */
+  function swingTemplate(swing, note) {
+    if (!swing || Math.abs(swing - 50) < EPSILON) return null;
+    return {
+      name: "Swing " + Math.round(swing) + "%",
+      stepsPerBeat: 1 / note,
+      offsets: [0, (2 * swing / 100 - 1) * note],
+    };
+  }
+
+  /**
+   * Beat position b moved by the groove slot it falls on.
+   */
+  function applyGroove(b, groove) {
+    if (!groove || !groove.offsets.length) return b;
+    var slot = b * groove.stepsPerBeat;
+    var n = Math.round(slot);
+    if (Math.abs(slot - n) > 1e-4) return b;
+    var len = groove.offsets.length;
+    return b + (groove.offsets[((n % len) + len) % len] || 0);
+  }
+
+  /**
+   * Groove from played events (e.g. detected hi-hats): for every slot of a
+   * cycleBeats-long cycle, the mean distance in beats between the events
+   * nearest that slot and the slot itself. Events more than a quarter slot
+   * from any slot count as off the grid and are ignored; slots nobody
+   * played stay at 0.
+   *
+   * times: sorted seconds. timing: a constantTiming / trackedTiming.
+   * Returns { name, stepsPerBeat, offsets, hits } — hits per slot.
+   */
+  function extractGroove(times, timing, stepsPerBeat, cycleBeats) {
+    var slots = Math.max(1, Math.round(stepsPerBeat * cycleBeats));
+    var sums = [], hits = [];
+    for (var i = 0; i < slots; i++) { sums.push(0); hits.push(0); }
+
+    for (var j = 0; j < times.length; j++) {
+      var pos = timing.timeToBeat(times[j]) * stepsPerBeat;
+      if (pos < -0.5) continue;
+      var n = Math.round(pos);
+      var dev = pos - n;
+      if (Math.abs(dev) > 0.25) continue;
+      var slot = ((n % slots) + slots) % slots;
+      sums[slot] += dev / stepsPerBeat;
+      hits[slot]++;
+    }
+
+    return {
+      name: "Extracted",
+      stepsPerBeat: stepsPerBeat,
+      offsets: sums.map(function (sum, k) { return hits[k] ? sum / hits[k] : 0; }),
+      hits: hits,
+    };
+  }
+
+  /**
+   * Builds grid positions up to endSec.
+   *
+   * options: { timing, endSec, meter, subdivision, triplet, swing,
+   *            groove, maxCount }
+   * meter is { beatsPerBar, beatUnit, grouping } (see meterLayout); a
+   * timing with a barLayout (tempo map) brings its own per bar. Every
+   * bar's positions restart on its downbeat. swing (50–75) swings the
+   * 8ths — positions half a beat after a beat move late, so coarser
+   * grids stay straight — and applies to straight grids only; a groove
+   * template wins over swing.
+   * Returns [{ time, bar, beat, sub, isDown, isBeat, accent, bpm }] —
+   * beat is the group within the bar, accent marks group starts of
+   * compound / additive meters.
+   */
+  function build(options) {
+    var timing = options.timing;
+    var maxCount = options.maxCount || 5000;
+    var positions = [];
+    var fixed = timing.barLayout ? null : meterLayout(options.meter || { beatsPerBar: options.beatsPerBar });
+    // Tracked beats may start mid-bar: the first bar is entered at beat startBeat
+    var firstBar = timing.startBar !== undefined ? timing.startBar : 1;
+    var lead = fixed && timing.startBeat !== undefined ? timing.startBeat - 1 : 0;
+    var swing = swingTemplate(options.swing, 0.5);
+    var grooves = {};
+
+    for (var n = 0; positions.length < maxCount; n++) {
+      var layout = timing.barLayout ? timing.barLayout(n)
+        : { bar: firstBar + n, startBeat: n * fixed.barBeats - lead, meter: fixed };
+      var meter = layout.meter;
+      var cells = barPositions(meter, options.subdivision, options.triplet);
+      if (!(meter.key in grooves)) {
+        grooves[meter.key] = options.groove || (options.triplet && meter.simple ? null : swing);
+      }
+
+      for (var i = 0; i < cells.length && positions.length < maxCount; i++) {
+        var c = cells[i];
+        var b = layout.startBeat + c.u / meter.unitsPerBeat;
+        if (b < -EPSILON) continue;
+        var time = timing.beatToTime(applyGroove(b, grooves[meter.key]));
+        if (time >= options.endSec) return positions;
+        positions.push({
+          time: time,
+          bar: layout.bar,
+          beat: c.group,
+          sub: c.sub,
+          isDown: c.isDown,
+          isBeat: c.isBeat,
+          accent: c.isBeat && !c.isDown && !meter.simple,
+          bpm: timing.bpmAt(b),
+        });
+      }
+    }
+
+    return positions;
+  }
+
+  return {
+    constantTiming: constantTiming,
+    trackedTiming: trackedTiming,
+    tempoMapTiming: tempoMapTiming,
+    meterLayout: meterLayout,
+    barPositions: barPositions,
+    swingTemplate: swingTemplate,
+    applyGroove: applyGroove,
+    extractGroove: extractGroove,
+    build: build,
+  };
+})();
+
+// Export for Node
+if (typeof module !== 'undefined') {
+  module.exports = BeatGrid;
+}
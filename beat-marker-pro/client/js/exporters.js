@@ -0,0 +1,305 @@
+/**
+ * ════════════════════════════════════════════════════════
+ *  BEAT MARKER PRO — Beat Map Exporters
+ *  Detected events → marker / cue / MIDI file formats
+ * ════════════════════════════════════════════════════════
+ *
+ *  Every exporter takes the same event list the panel would place:
+ *    [{ time, name, comments, type, color, strength, bar, beat }]
+ *  sorted by time, plus an info object:
+ *    { title, fps, dropFrame, bpm, beatsPerBar, duration }
+ *  dropFrame (29.97 / 59.94 sequences) switches EDL and Premiere CSV
+ *  timecode to drop-frame.
+ *
+ *  Text formats return a string; MIDI returns a Uint8Array.
+ */
+
+var BeatExporters = (function () {
+  // Premiere color index → name (0=Green ... 7=Cyan)
+  var COLOR_NAMES = ["Green", "Red", "Purple", "Orange", "Yellow", "White", "Blue", "Cyan"];
+  // Closest Avid locator colors for the same indices
+  var AVID_COLORS = ["GREEN", "RED", "MAGENTA", "YELLOW", "YELLOW", "WHITE", "BLUE", "CYAN"];
+  // General MIDI drum notes, one per channel type
+  var MIDI_NOTES = { kick: 36, snare: 38, hihat: 42, bass: 41, melody: 60, vocal: 64 };
+  var MIDI_DEFAULT_NOTE = 56;
+  var PPQ = 480;
+
+  function csvField(value) {
+    var s = value === undefined || value === null ? "" : String(value);
+    return /[",\n\r]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  }
+
+  function csvRow(fields) {
+    return fields.map(csvField).join(",");
+  }
+
+  function xmlEscape(s) {
+    return String(s)
+      .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;").replace(/'/g, "&apos;");
+  }
+
+  // A global in the panel; required under Node
+  function timing() {
+    return typeof Timing !== "undefined" ? Timing : require("./timing.js");
+  }
+
+  /**
+   * Timecode of the frame nearest seconds: HH:MM:SS:FF, or HH:MM:SS;FF
+   * drop-frame with info.dropFrame.
+   */
+  function timecode(seconds, info) {
+    var fps = info.fps || 24;
+    return timing().frameToTimecode(Math.round(seconds * fps), { fps: fps, dropFrame: !!info.dropFrame });
+  }
+
+  /**
+   * FCPXML frame duration as a rational string, e.g. "1001/24000s"
+   */
+  function frameDuration(fps) {
+    var base = Math.round(fps);
+    if (Math.abs(fps - base * 1000 / 1001) < 0.01) return { num: 1001, den: base * 1000 };
+    return { num: 100, den: Math.round(fps * 100) };
+  }
+
+  // ── NAMING ──
+
+  /**
+   * Marker name and comment for a detected event ({ time, type,
+   * strength, bar, beat, label }) from a name pattern with {type},
+   * {bar}, {beat} and {n} tokens; idx is its position in the list.
+   */
+  function describeEvent(pattern, ev, idx) {
+    var typeName = ev.type.charAt(0).toUpperCase() + ev.type.slice(1);
+    var name = pattern
+      .replace("{type}", typeName)
+      .replace("{bar}", ev.bar !== undefined ? ev.bar : "")
+      .replace("{beat}", ev.beat !== undefined ? ev.beat : "")
+      .replace("{n}", idx + 1)
+      .replace(/\s+/g, " ").trim();
+    return {
+      name: name,
+      comments: typeName + (ev.label ? " (" + ev.label + ")" : "") + " | " + ev.time.toFixed(3) + "s | str:" + (ev.strength || 0).toFixed(2),
+    };
+  }
+
+  // ── CSV ──
+
+  function toCSV(events) {
+    var lines = [csvRow(["time", "type", "name", "bar", "beat", "strength", "comments"])];
+    events.forEach(function (ev) {
+      lines.push(csvRow([ev.time.toFixed(6), ev.type, ev.name, ev.bar, ev.beat,
+        (ev.strength || 0).toFixed(3), ev.comments]));
+    });
+    return lines.join("\n") + "\n";
+  }
+
+  // ── JSON ──
+
+  function toJSON(events, info) {
+    return JSON.stringify({
+      generator: "Beat Marker Pro",
+      title: info.title || "",
+      bpm: info.bpm || null,
+      beatsPerBar: info.beatsPerBar || null,
+      duration: info.duration || null,
+      events: events.map(function (ev) {
+        return {
+          time: Math.round(ev.time * 1e6) / 1e6,
+          type: ev.type,
+          name: ev.name,
+          bar: ev.bar !== undefined ? ev.bar : null,
+          beat: ev.beat !== undefined ? ev.beat : null,
+          strength: Math.round((ev.strength || 0) * 1000) / 1000,
+          color: ev.color,
+        };
+      }),
+    }, null, 2);
+  }
+
+  // ── AUDACITY LABEL TRACK ──
+
+  function toAudacityLabels(events) {
+    return events.map(function (ev) {
+      var t = ev.time.toFixed(6);
+      return t + "\t" + t + "\t" + ev.name.replace(/[\t\n]/g, " ");
+    }).join("\n") + "\n";
+  }
+
+  // ── PREMIERE MARKER CSV ──
+
+  /**
+   * Same columns as Premiere's Markers panel export.
+   */
+  function toPremiereCSV(events, info) {
+    var lines = [csvRow(["Marker Name", "Description", "In", "Out", "Duration", "Marker Type"])];
+    events.forEach(function (ev) {
+      var tc = timecode(ev.time, info);
+      lines.push(csvRow([ev.name, ev.comments, tc, tc, timecode(0, info), "Comment"]));
+    });
+    return lines.join("\n") + "\n";
+  }
+
+  // ── FCPXML ──
+
+  /**
+   * FCPXML 1.9 project with one gap spanning the beat map; events are
+   * frame-aligned markers on the gap.
+   */
+  function toFCPXML(events, info) {
+    var fps = info.fps || 24;
+    var fd = frameDuration(fps);
+    var lastTime = events.length ? events[events.length - 1].time : 0;
+    var totalFrames = Math.ceil(Math.max(info.duration || 0, lastTime) * fps) + 1;
+    function rational(frames) {
+      return frames === 0 ? "0s" : (frames * fd.num) + "/" + fd.den + "s";
+    }
+
+    var title = xmlEscape(info.title || "Beat Map");
+    var lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<!DOCTYPE fcpxml>',
+      '<fcpxml version="1.9">',
+      '  <resources>',
+      '    <format id="r1" frameDuration="' + rational(1) + '"/>',
+      '  </resources>',
+      '  <library>',
+      '    <event name="Beat Marker Pro">',
+      '      <project name="' + title + '">',
+      '        <sequence format="r1" duration="' + rational(totalFrames) + '" tcStart="0s" tcFormat="NDF">',
+      '          <spine>',
+      '            <gap name="' + title + '" offset="0s" duration="' + rational(totalFrames) + '" start="0s">',
+    ];
+    events.forEach(function (ev) {
+      lines.push('              <marker start="' + rational(Math.round(ev.time * fps)) +
+        '" duration="' + rational(1) + '" value="' + xmlEscape(ev.name) +
+        '" note="' + xmlEscape(ev.comments || "") + '"/>');
+    });
+    lines.push(
+      '            </gap>',
+      '          </spine>',
+      '        </sequence>',
+      '      </project>',
+      '    </event>',
+      '  </library>',
+      '</fcpxml>');
+    return lines.join("\n") + "\n";
+  }
+
+  // ── EDL LOCATORS ──
+
+  /**
+   * CMX3600 EDL with one event covering the beat map and an Avid-style
+   * "* LOC:" locator line per marker.
+   */
+  function toEDL(events, info) {
+    var fps = info.fps || 24;
+    var lastTime = events.length ? events[events.length - 1].time : 0;
+    var end = timecode(Math.max(info.duration || 0, lastTime + 1 / fps), info);
+    var start = timecode(0, info);
+    var lines = [
+      "TITLE: " + (info.title || "Beat Map"),
+      "FCM: " + (info.dropFrame ? "DROP FRAME" : "NON-DROP FRAME"),
+      "",
+      "001  AX       AA/V  C        " + start + " " + end + " " + start + " " + end,
+      "* FROM CLIP NAME: " + (info.title || "Beat Map"),
+    ];
+    events.forEach(function (ev) {
+      var color = AVID_COLORS[ev.color] || "RED";
+      lines.push("* LOC: " + timecode(ev.time, info) + " " + (color + "        ").slice(0, 8) +
+        ev.name.replace(/[\r\n]/g, " "));
+    });
+    return lines.join("\n") + "\n";
+  }
+
+  // ── MIDI ──
+
+  function writeVarLen(bytes, value) {
+    var buffer = [value & 0x7f];
+    while ((value >>= 7) > 0) buffer.unshift((value & 0x7f) | 0x80);
+    for (var i = 0; i < buffer.length; i++) bytes.push(buffer[i]);
+  }
+
+  function writeUint32(bytes, value) {
+    bytes.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+  }
+
+  /**
+   * Standard MIDI File, format 0, on the drum channel (10). Each channel
+   * type gets its own note (see MIDI_NOTES); velocity follows strength.
+   * A single tempo event at info.bpm (120 if unknown) keeps tick
+   * positions equal to the detected times.
+   */
+  function toMIDI(events, info) {
+    var bpm = info.bpm || 120;
+    var ticksPerSec = bpm / 60 * PPQ;
+    var noteLen = PPQ / 4;
+    var usPerQuarter = Math.round(60000000 / bpm);
+
+    var noteEvents = [];
+    events.forEach(function (ev) {
+      var note = MIDI_NOTES[ev.type] !== undefined ? MIDI_NOTES[ev.type] : MIDI_DEFAULT_NOTE;
+      var velocity = Math.max(1, Math.min(127, Math.round(40 + 87 * Math.min(1, ev.strength || 0))));
+      var tick = Math.round(ev.time * ticksPerSec);
+      noteEvents.push({ tick: tick, order: 1, data: [0x99, note, velocity] });
+      noteEvents.push({ tick: tick + noteLen, order: 0, data: [0x89, note, 0] });
+    });
+    // Note-offs before note-ons at the same tick
+    noteEvents.sort(function (a, b) { return a.tick - b.tick || a.order - b.order; });
+
+    var track = [];
+    writeVarLen(track, 0);
+    track.push(0xff, 0x51, 0x03, (usPerQuarter >> 16) & 0xff, (usPerQuarter >> 8) & 0xff, usPerQuarter & 0xff);
+    var beatsPerBar = info.beatsPerBar || 4;
+    writeVarLen(track, 0);
+    track.push(0xff, 0x58, 0x04, beatsPerBar, 2, 24, 8);
+
+    var lastTick = 0;
+    noteEvents.forEach(function (e) {
+      writeVarLen(track, e.tick - lastTick);
+      lastTick = e.tick;
+      for (var i = 0; i < e.data.length; i++) track.push(e.data[i]);
+    });
+    writeVarLen(track, 0);
+    track.push(0xff, 0x2f, 0x00);
+
+    var bytes = [0x4d, 0x54, 0x68, 0x64]; // MThd
+    writeUint32(bytes, 6);
+    bytes.push(0, 0, 0, 1, (PPQ >> 8) & 0xff, PPQ & 0xff);
+    bytes.push(0x4d, 0x54, 0x72, 0x6b); // MTrk
+    writeUint32(bytes, track.length);
+    for (var i = 0; i < track.length; i++) bytes.push(track[i]);
+    return new Uint8Array(bytes);
+  }
+
+  // Format id → exporter + file extension
+  var FORMATS = {
+    csv:      { label: "CSV",                 ext: "csv",    fn: toCSV },
+    json:     { label: "JSON",                ext: "json",   fn: toJSON },
+    audacity: { label: "Audacity labels",     ext: "txt",    fn: toAudacityLabels },
+    premiere: { label: "Premiere marker CSV", ext: "csv",    fn: toPremiereCSV },
+    fcpxml:   { label: "FCPXML markers",      ext: "fcpxml", fn: toFCPXML },
+    edl:      { label: "EDL locators",        ext: "edl",    fn: toEDL },
+    midi:     { label: "MIDI file",           ext: "mid",    fn: toMIDI, binary: true },
+  };
+
+  return {
+    FORMATS: FORMATS,
+    COLOR_NAMES: COLOR_NAMES,
+    MIDI_NOTES: MIDI_NOTES,
+    timecode: timecode,
+    describeEvent: describeEvent,
+    toCSV: toCSV,
+    toJSON: toJSON,
+    toAudacityLabels: toAudacityLabels,
+    toPremiereCSV: toPremiereCSV,
+    toFCPXML: toFCPXML,
+    toEDL: toEDL,
+    toMIDI: toMIDI,
+  };
+})();
+
+// Export for Node
+if (typeof module !== 'undefined') {
+  module.exports = BeatExporters;
+}
@@ -0,0 +1,440 @@
+/**
+ * ════════════════════════════════════════════════════════
+ *  BEAT MARKER PRO — Beat Map Importers
+ *  MIDI / Audacity labels / CSV / Premiere marker list → events
+ * ════════════════════════════════════════════════════════
+ *
+ *  parse(fileName, arrayBuffer, { fps }) returns
+ *    { format, timeBase, events: [{ time, label, strength, bar?, beat? }] }
+ *  sorted by time, with events closer than 1ms merged.
+ *  Times are seconds from the start of the file's timeline; fps is only
+ *  used for timecode columns (Premiere lists, HH:MM:SS:FF values).
+ *  timeBase says whose timeline that is: "sequence" for Premiere marker
+ *  lists (exported from a sequence), "media" for everything else.
+ *  Throws an Error with a readable message on unrecognised input.
+ */
+
+var BeatImporters = (function () {
+  var NOTE_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+  var MERGE_WINDOW = 0.001;
+
+  // Lower-cased header names recognised in CSV files
+  var TIME_COLUMNS = ["time", "seconds", "time (s)", "start", "start time", "position", "onset", "in"];
+  var LABEL_COLUMNS = ["name", "label", "marker name", "text", "comment"];
+  var STRENGTH_COLUMNS = ["strength", "velocity", "confidence"];
+
+  // ── TEXT DECODING ──
+
+  function decodeText(bytes) {
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) return decodeUTF16(bytes, 2, true);
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) return decodeUTF16(bytes, 2, false);
+    var start = bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf ? 3 : 0;
+    if (typeof TextDecoder !== "undefined") return new TextDecoder("utf-8").decode(bytes.subarray(start));
+    var s = "";
+    for (var i = start; i < bytes.length; i++) s += String.fromCharCode(bytes[i]);
+    return decodeURIComponent(escape(s));
+  }
+
+  function decodeUTF16(bytes, start, littleEndian) {
+    var s = "";
+    for (var i = start; i + 1 < bytes.length; i += 2) {
+      s += String.fromCharCode(littleEndian ? bytes[i] | (bytes[i + 1] << 8) : (bytes[i] << 8) | bytes[i + 1]);
+    }
+    return s;
+  }
+
+  // ── TIME VALUES ──
+
+  /**
+   * Seconds from "12.5", "01:02.250" (MM:SS.mmm), "00:01:02.250"
+   * or timecode "HH:MM:SS:FF" / drop-frame "HH:MM:SS;FF".
+   * Returns NaN when the value isn't a time.
+   */
+  function parseTime(value, fps) {
+    var s = String(value).trim();
+    if (/^-?\d+(\.\d+)?$/.test(s)) return parseFloat(s);
+
+    var tc = /^(\d+):(\d+):(\d+)([:;.,])(\d+)$/.exec(s);
+    if (tc && (tc[4] === ":" || tc[4] === ";")) {
+      var hh = +tc[1], mm = +tc[2], ss = +tc[3], ff = +tc[5];
+      var base = Math.round(fps);
+      var frames = (hh * 3600 + mm * 60 + ss) * base + ff;
+      if (tc[4] === ";") {
+        // Drop-frame: 2 (or 4 at 59.94) frame numbers skipped each minute except every tenth
+        var drop = Math.round(fps * 0.066666);
+        var totalMinutes = hh * 60 + mm;
+        frames -= drop * (totalMinutes - Math.floor(totalMinutes / 10));
+      }
+      return frames / fps;
+    }
+
+    var clock = /^(?:(\d+):)?(\d+):(\d+(?:[.,]\d+)?)$/.exec(s);
+    if (clock) {
+      return (+(clock[1] || 0)) * 3600 + (+clock[2]) * 60 + parseFloat(clock[3].replace(",", "."));
+    }
+    return NaN;
+  }
+
+  // ── CSV / TSV ──
+
+  /**
+   * Rows of fields; handles quoted fields with embedded delimiters,
+   * doubled quotes and line breaks.
+   */
+  function parseDelimited(text, delimiter) {
+    var rows = [], row = [], field = "", inQuotes = false;
+    for (var i = 0; i < text.length; i++) {
+      var c = text[i];
+      if (inQuotes) {
+        if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+        else if (c === '"') inQuotes = false;
+        else field += c;
+      } else if (c === '"') {
+        inQuotes = true;
+      } else if (c === delimiter) {
+        row.push(field); field = "";
+      } else if (c === "\n" || c === "\r") {
+        if (c === "\r" && text[i + 1] === "\n") i++;
+        row.push(field); rows.push(row);
+        row = []; field = "";
+      } else {
+        field += c;
+      }
+    }
+    if (field !== "" || row.length) { row.push(field); rows.push(row); }
+    return rows.filter(function (r) { return r.join("").trim() !== ""; });
+  }
+
+  function guessDelimiter(firstLine) {
+    var counts = { "\t": 0, ",": 0, ";": 0 };
+    for (var i = 0; i < firstLine.length; i++) {
+      if (counts[firstLine[i]] !== undefined) counts[firstLine[i]]++;
+    }
+    if (counts["\t"] > 0) return "\t";
+    return counts[";"] > counts[","] ? ";" : ",";
+  }
+
+  function findColumn(header, names) {
+    for (var n = 0; n < names.length; n++) {
+      var idx = header.indexOf(names[n]);
+      if (idx >= 0) return idx;
+    }
+    return -1;
+  }
+
+  function parseCSV(text, fps) {
+    var firstLine = text.split(/\r?\n/)[0];
+    var rows = parseDelimited(text, guessDelimiter(firstLine));
+    if (rows.length === 0) throw new Error("File is empty");
+
+    var header = rows[0].map(function (h) { return h.trim().toLowerCase(); });
+    var hasHeader = isNaN(parseTime(rows[0][0], fps));
+    var cols = { time: 0, label: 1, strength: -1, bar: -1, beat: -1 };
+    if (hasHeader) {
+      cols.time = findColumn(header, TIME_COLUMNS);
+      cols.label = findColumn(header, LABEL_COLUMNS);
+      cols.strength = findColumn(header, STRENGTH_COLUMNS);
+      cols.bar = header.indexOf("bar");
+      cols.beat = header.indexOf("beat");
+      if (cols.time < 0) throw new Error("No time column found (expected one of: " + TIME_COLUMNS.join(", ") + ")");
+    }
+    var isPremiere = header.indexOf("marker name") >= 0 && header.indexOf("in") >= 0;
+
+    var events = [];
+    rows.slice(hasHeader ? 1 : 0).forEach(function (r) {
+      var time = parseTime(r[cols.time] || "", fps);
+      if (isNaN(time)) return;
+      var ev = { time: time, label: cols.label >= 0 ? (r[cols.label] || "").trim() : "", strength: 1 };
+      if (cols.strength >= 0) {
+        var str = parseFloat(r[cols.strength]);
+        // Velocity columns are 0–127
+        if (!isNaN(str)) ev.strength = str > 1 ? Math.min(1, str / 127) : str;
+      }
+      var bar = cols.bar >= 0 ? parseInt(r[cols.bar]) : NaN;
+      var beat = cols.beat >= 0 ? parseInt(r[cols.beat]) : NaN;
+      if (!isNaN(bar) && !isNaN(beat)) { ev.bar = bar; ev.beat = beat; }
+      events.push(ev);
+    });
+    return { format: isPremiere ? "premiere" : "csv", events: events };
+  }
+
+  // ── AUDACITY LABELS ──
+
+  function isAudacityLabels(text) {
+    return /^\s*-?\d+(\.\d+)?\t-?\d+(\.\d+)?(\t|$)/.test(text);
+  }
+
+  function parseAudacityLabels(text) {
+    var events = [];
+    text.split(/\r?\n/).forEach(function (line) {
+      // "\t" lines carry spectral-selection frequencies — skip them
+      if (!line.trim() || line.charAt(0) === "\\") return;
+      var parts = line.split("\t");
+      var time = parseFloat(parts[0]);
+      if (isNaN(time)) return;
+      events.push({ time: time, label: (parts[2] || "").trim(), strength: 1 });
+    });
+    return { format: "audacity", events: events };
+  }
+
+  // ── JSON (Beat Marker Pro export) ──
+
+  function parseJSON(text) {
+    var data = JSON.parse(text);
+    var list = Array.isArray(data) ? data : data.events;
+    if (!Array.isArray(list)) throw new Error("JSON has no events array");
+    var events = [];
+    list.forEach(function (e) {
+      var time = typeof e === "number" ? e : parseFloat(e.time);
+      if (isNaN(time)) return;
+      var ev = { time: time, label: e.name || e.label || "", strength: e.strength !== undefined ? e.strength : 1 };
+      if (e.bar !== undefined && e.bar !== null) { ev.bar = e.bar; ev.beat = e.beat; }
+      events.push(ev);
+    });
+    return { format: "json", events: events };
+  }
+
+  // ── MIDI ──
+
+  function noteName(note) {
+    return NOTE_NAMES[note % 12] + (Math.floor(note / 12) - 1);
+  }
+
+  /**
+   * Raw contents of a Standard MIDI File (format 0 or 1): the division
+   * plus tempo, time-signature and note-on events from every track, each
+   * with its absolute tick, sorted.
+   */
+  function readMIDI(bytes) {
+    var pos = 0;
+    function u32() { var v = ((bytes[pos] << 24) >>> 0) + (bytes[pos + 1] << 16) + (bytes[pos + 2] << 8) + bytes[pos + 3]; pos += 4; return v; }
+    function u16() { var v = (bytes[pos] << 8) | bytes[pos + 1]; pos += 2; return v; }
+    function varLen() {
+      var v = 0, b;
+      do { b = bytes[pos++]; v = (v << 7) | (b & 0x7f); } while (b & 0x80 && pos < bytes.length);
+      return v;
+    }
+    function chunkId() { var s = String.fromCharCode(bytes[pos], bytes[pos + 1], bytes[pos + 2], bytes[pos + 3]); pos += 4; return s; }
+
+    if (chunkId() !== "MThd") throw new Error("Not a MIDI file");
+    var headerLen = u32();
+    u16(); // format
+    var trackCount = u16();
+    var division = u16();
+    pos = 8 + headerLen;
+
+    var tempos = [], timeSigs = [], notes = [];
+    for (var t = 0; t < trackCount && pos < bytes.length; t++) {
+      var id = chunkId();
+      var len = u32();
+      var end = pos + len;
+      if (id !== "MTrk") { pos = end; continue; }
+
+      var tick = 0, status = 0;
+      while (pos < end) {
+        tick += varLen();
+        var b = bytes[pos];
+        if (b & 0x80) { status = b; pos++; } // otherwise running status
+        if (status === 0xff) {
+          var type = bytes[pos++];
+          var mlen = varLen();
+          if (type === 0x51) tempos.push({ tick: tick, usPerQuarter: (bytes[pos] << 16) | (bytes[pos + 1] << 8) | bytes[pos + 2] });
+          if (type === 0x58) timeSigs.push({ tick: tick, num: bytes[pos], den: Math.pow(2, bytes[pos + 1]) });
+          pos += mlen;
+          status = 0;
+        } else if (status === 0xf0 || status === 0xf7) {
+          pos += varLen();
+          status = 0;
+        } else {
+          var kind = status & 0xf0;
+          if (kind === 0xc0 || kind === 0xd0) {
+            pos += 1;
+          } else {
+            var note = bytes[pos], velocity = bytes[pos + 1];
+            pos += 2;
+            if (kind === 0x90 && velocity > 0) notes.push({ tick: tick, note: note, velocity: velocity });
+          }
+        }
+      }
+      pos = end;
+    }
+
+    var byTick = function (a, b) { return a.tick - b.tick; };
+    tempos.sort(byTick);
+    timeSigs.sort(byTick);
+    notes.sort(byTick);
+    return { division: division, tempos: tempos, timeSigs: timeSigs, notes: notes };
+  }
+
+  /**
+   * Bar (1-based) and beat (1-based, fractional) at a tick, walking the
+   * time-signature changes. Beats are the signature's denominator.
+   */
+  function midiBarBeat(division, timeSigs, tk) {
+    var bar = 1, segStart = 0, num = 4, den = 4;
+    for (var i = 0; i <= timeSigs.length; i++) {
+      var next = i < timeSigs.length ? timeSigs[i] : null;
+      var ticksPerBeat = division * 4 / den;
+      var ticksPerBar = ticksPerBeat * num;
+      if (!next || next.tick > tk) {
+        var into = tk - segStart;
+        return { bar: bar + Math.floor(into / ticksPerBar), beat: (into % ticksPerBar) / ticksPerBeat + 1 };
+      }
+      bar += Math.ceil((next.tick - segStart) / ticksPerBar - 1e-9);
+      segStart = next.tick;
+      num = next.num;
+      den = next.den;
+    }
+  }
+
+  /**
+   * Standard MIDI File (format 0 or 1). Every note-on becomes an event;
+   * tempo changes are honoured and bar / beat come from the file's
+   * time-signature events.
+   */
+  function parseMIDI(bytes) {
+    var midi = readMIDI(bytes);
+    var division = midi.division, tempos = midi.tempos;
+
+    var tickToSeconds;
+    if (division & 0x8000) {
+      // SMPTE division: frames per second × ticks per frame
+      var smpteFps = 256 - (division >> 8);
+      var ticksPerSecond = (smpteFps === 29 ? 29.97 : smpteFps) * (division & 0xff);
+      tickToSeconds = function (tk) { return tk / ticksPerSecond; };
+    } else {
+      tickToSeconds = function (tk) {
+        var sec = 0, lastTick = 0, us = 500000;
+        for (var i = 0; i < tempos.length && tempos[i].tick < tk; i++) {
+          sec += (tempos[i].tick - lastTick) * us / division / 1e6;
+          lastTick = tempos[i].tick;
+          us = tempos[i].usPerQuarter;
+        }
+        return sec + (tk - lastTick) * us / division / 1e6;
+      };
+    }
+
+    var events = midi.notes.map(function (n) {
+      var ev = { time: tickToSeconds(n.tick), label: noteName(n.note), strength: n.velocity / 127 };
+      if (!(division & 0x8000)) {
+        var bb = midiBarBeat(division, midi.timeSigs, n.tick);
+        ev.bar = bb.bar;
+        ev.beat = Math.floor(bb.beat);
+      }
+      return ev;
+    });
+    return { format: "midi", events: events };
+  }
+
+  /**
+   * Tempo map of a MIDI file as grid tempo-map changes:
+   *   [{ bar, beat, bpm, beatsPerBar, beatUnit }]
+   * starting at bar 1. BPM is quarter notes per minute, as in the file,
+   * and beat counts the signature's denominator (beat 4 of a 6/8 bar is
+   * its fourth eighth); beatsPerBar / beatUnit are the time signature,
+   * set on the changes where the signature changes. Consecutive
+   * identical entries collapse.
+   */
+  function midiTempoMap(arrayBuffer) {
+    var midi = readMIDI(new Uint8Array(arrayBuffer));
+    if (midi.division & 0x8000) throw new Error("MIDI file uses SMPTE time — no tempo map");
+
+    var marks = [];
+    midi.tempos.forEach(function (t) { marks.push({ tick: t.tick, bpm: 60000000 / t.usPerQuarter }); });
+    midi.timeSigs.forEach(function (t) { marks.push({ tick: t.tick, num: t.num, den: t.den }); });
+    marks.sort(function (a, b) { return a.tick - b.tick; });
+
+    var bpm = 120, num = 4, den = 4;
+    var changes = [{ bar: 1, beat: 1, bpm: bpm, beatsPerBar: num, beatUnit: den }];
+    marks.forEach(function (m) {
+      var meterChange = m.num !== undefined && (m.num !== num || m.den !== den);
+      if (m.bpm !== undefined) bpm = Math.round(m.bpm * 1000) / 1000;
+      if (m.num !== undefined) { num = m.num; den = m.den; }
+
+      var pos = midiBarBeat(midi.division, midi.timeSigs, m.tick);
+      var beat = Math.round(pos.beat * 1000) / 1000;
+      var last = changes[changes.length - 1];
+      if (last.bar === pos.bar && last.beat === beat) {
+        last.bpm = bpm;
+        if (meterChange || last.beatsPerBar) { last.beatsPerBar = num; last.beatUnit = den; }
+        return;
+      }
+      if (last.bpm === bpm && !meterChange) return;
+      var change = { bar: pos.bar, beat: beat, bpm: bpm };
+      if (meterChange) { change.beatsPerBar = num; change.beatUnit = den; }
+      changes.push(change);
+    });
+    return changes;
+  }
+
+  /**
+   * Note-on positions of a MIDI file in quarter notes from its start,
+   * sorted, whatever the tempo: the played timing against the file's
+   * own grid, e.g. for extracting a groove.
+   */
+  function midiNoteBeats(arrayBuffer) {
+    var midi = readMIDI(new Uint8Array(arrayBuffer));
+    if (midi.division & 0x8000) throw new Error("MIDI file uses SMPTE time — no beat grid");
+    return midi.notes.map(function (n) { return n.tick / midi.division; });
+  }
+
+  // ── ENTRY POINT ──
+
+  /**
+   * Sorts by time and merges events within MERGE_WINDOW, keeping the
+   * strongest and joining distinct labels ("C1+D1" for a chord).
+   */
+  function normalize(events) {
+    events.sort(function (a, b) { return a.time - b.time; });
+    var merged = [];
+    events.forEach(function (ev) {
+      if (ev.time < 0) return;
+      var prev = merged[merged.length - 1];
+      if (prev && ev.time - prev.time < MERGE_WINDOW) {
+        prev.strength = Math.max(prev.strength, ev.strength);
+        if (ev.label && prev.label.split("+").indexOf(ev.label) < 0) prev.label += (prev.label ? "+" : "") + ev.label;
+        return;
+      }
+      merged.push(ev);
+    });
+    return merged;
+  }
+
+  function parse(fileName, arrayBuffer, options) {
+    var fps = (options && options.fps) || 24;
+    var bytes = new Uint8Array(arrayBuffer);
+    var ext = (/\.([^.]+)$/.exec(fileName || "") || [])[1];
+    ext = ext ? ext.toLowerCase() : "";
+
+    var result;
+    if (ext === "mid" || ext === "midi" || (bytes[0] === 0x4d && bytes[1] === 0x54 && bytes[2] === 0x68 && bytes[3] === 0x64)) {
+      result = parseMIDI(bytes);
+    } else {
+      var text = decodeText(bytes);
+      if (ext === "json" || /^\s*[\[{]/.test(text)) result = parseJSON(text);
+      else if (isAudacityLabels(text)) result = parseAudacityLabels(text);
+      else result = parseCSV(text, fps);
+    }
+
+    result.events = normalize(result.events);
+    result.timeBase = result.format === "premiere" ? "sequence" : "media";
+    if (result.events.length === 0) throw new Error("No events found in " + (fileName || "file"));
+    return result;
+  }
+
+  return {
+    parse: parse,
+    parseTime: parseTime,
+    parseMIDI: parseMIDI,
+    midiTempoMap: midiTempoMap,
+    midiNoteBeats: midiNoteBeats,
+    parseCSV: parseCSV,
+    parseAudacityLabels: parseAudacityLabels,
+    parseJSON: parseJSON,
+  };
+})();
+
+// Export for Node
+if (typeof module !== 'undefined') {
+  module.exports = BeatImporters;
+}
@@ -25,14 +25,27 @@ var state = {
   bpm: null,
   subdivision: 4,
   triplet: false,
+  swing: 50,
+  // Groove templates (see BeatGrid); grooveIndex -1 is none
+  grooves: [],
+  grooveIndex: -1,
+  gridPreview: false,
+  // Tempo / meter changes after bar 1:
+  // [{ bar, beat, bpm, beatsPerBar, beatUnit, grouping, ramp }]
+  tempoMap: [],
+  followBeats: false,
   timeSigTop: 4,
   timeSigBottom: 4,
+  // Beat groups in timeSigBottom notes, e.g. [2, 2, 3]; null for the default
+  beatGrouping: null,
+  // The meter was picked by hand (or came with a tempo map), so analysis
+  // only suggests its own (see applyDetectedMeter)
+  meterFromUser: false,
   range: "inout",
+  destination: "sequence",
   offsetFrames: 0,
   namePattern: "{type} {bar}.{beat}",
   metronomeActive: false,
-  metronomeInterval: null,
-  metronomeBeat: 0,
   tapTimes: [],
   tapTimeout: null,
   audioContext: null,
@@ -40,12 +53,25 @@ var state = {
   monoSamples: null,
   vizMode: "waveform",
   analysisResults: null,
-
-  // Last batch tracking for undo
-  lastBatchStartTime: 0,
-  lastBatchEndTime: 0,
-  lastBatchCount: 0,
-  lastBatchPrefix: "",
+  analysisJob: null,
+  audioFileName: "",
+  // SHA-256 promise of the analyzed file (see AnalysisCache.hashAudio)
+  audioHash: null,
+  sourceClip: null,
+  sequenceClips: [],
+
+  // Placed batches, newest last:
+  // { label, items, target, ids, undone, replaced, replacedIds, merged }
+  batchHistory: [],
+  batchCounter: 0,
+  historyBusy: false,
+
+  // Placement against existing markers: "stack", "skip", "replace", "merge"
+  duplicateMode: "stack",
+  // Frame snapping: "off", "nearest", "floor"
+  snapMode: "nearest",
+  duplicateTolerance: 0.05,
+  dryRun: false,
 
   channels: {
     kick:   { enabled: true,  sensitivity: 0.50, color: 1, results: [] },
@@ -54,7 +80,13 @@ var state = {
     bass:   { enabled: true,  sensitivity: 0.50, color: 6, results: [] },
     melody: { enabled: false, sensitivity: 0.45, color: 2, results: [] },
     vocal:  { enabled: false, sensitivity: 0.45, color: 0, results: [] },
+    // Custom channels (custom: true) go here, before imported
+    // Filled from a beat map file, not by the analyzer
+    imported: { enabled: true, color: 5, results: [], imported: true, fileName: "", hasBars: false },
   },
+
+  // AudioAnalyzer#configure() options: { fftSize, hopSize, bands, customChannels }
+  analysisSettings: { fftSize: 2048, hopSize: 512, bands: {}, customChannels: [] },
 };
 
 var analyzer = new AudioAnalyzer();
@@ -123,6 +155,7 @@ function setBPM(val) {
   state.bpm = val;
   bpmInput.value = val;
   bpmDisplay.textContent = val.toFixed(1);
+  afterGridChange();
 }
 
 function tapTempo() {
@@ -168,10 +201,13 @@ function toggleChannel(ch) {
   var row = document.getElementById("ch-" + ch);
   toggle.classList.toggle("active", state.channels[ch].enabled);
   row.classList.toggle("disabled", !state.channels[ch].enabled);
+  if (state.channels[ch].imported) drawVisualization();
+  else scheduleRedetect();
 }
 
 function updateSensitivity(ch, val) {
   state.channels[ch].sensitivity = val / 100;
+  scheduleRedetect();
 }
 
 function updateChannelColor(ch, val) {
@@ -199,10 +235,29 @@ audioDropzone.addEventListener("drop", function (e) {
 });
 
 function analyzeAudioFile(file) {
+  setStatus("working", "Reading: " + file.name + "...");
+  var reader = new FileReader();
+  reader.onload = function () {
+    analyzeAudioData(reader.result, file.name, null);
+  };
+  reader.readAsArrayBuffer(file);
+}
+
+/**
+ * Decodes and analyzes encoded audio. sourceClip, when set, is the
+ * sequence clip the media came from; detected times are mapped through
+ * it into sequence time at placement (see mediaToSequenceTime).
+ */
+function analyzeAudioData(arrayBuffer, name, sourceClip) {
   var progressBar = document.getElementById("analysisProgress");
   var progressFill = document.getElementById("analysisProgressFill");
 
-  setStatus("working", "Analyzing: " + file.name + "...");
+  if (state.analysisJob) state.analysisJob.cancel("superseded");
+  stopPlayback(true);
+
+  setStatus("working", "Analyzing: " + name + "...");
+  // Hashed before decoding, which detaches the buffer
+  var contentHash = AnalysisCache.hashAudio(arrayBuffer);
   audioDropzone.classList.add("analyzing");
   progressBar.classList.add("visible");
   progressFill.style.width = "5%";
@@ -210,522 +265,3371 @@ function analyzeAudioFile(file) {
   var audioContext = new (window.AudioContext || window.webkitAudioContext)();
   state.audioContext = audioContext;
 
-  var reader = new FileReader();
-  reader.onload = function () {
-    audioContext.decodeAudioData(reader.result, function (audioBuffer) {
-      state.audioBuffer = audioBuffer;
-      progressFill.style.width = "15%";
-
-      // Mix to mono for viz
-      var left = audioBuffer.getChannelData(0);
-      var right = audioBuffer.numberOfChannels > 1 ? audioBuffer.getChannelData(1) : left;
-      state.monoSamples = new Float32Array(left.length);
-      for (var i = 0; i < left.length; i++) {
-        state.monoSamples[i] = (left[i] + right[i]) * 0.5;
-      }
+  audioContext.decodeAudioData(arrayBuffer, function (audioBuffer) {
+    progressFill.style.width = "15%";
 
-      // Build options
-      var options = {};
-      for (var ch in state.channels) {
-        var capCh = ch.charAt(0).toUpperCase() + ch.slice(1);
-        options["detect" + capCh] = state.channels[ch].enabled;
-        options["sensitivity" + capCh] = state.channels[ch].sensitivity;
-      }
+    // Mix to mono for viz
+    var left = audioBuffer.getChannelData(0);
+    var right = audioBuffer.numberOfChannels > 1 ? audioBuffer.getChannelData(1) : left;
+    var mono = new Float32Array(left.length);
+    for (var i = 0; i < left.length; i++) {
+      mono[i] = (left[i] + right[i]) * 0.5;
+    }
 
-      // Run analysis
-      analyzer.analyze(audioBuffer, options, function (pct, msg) {
-        progressFill.style.width = pct + "%";
-        setStatus("working", msg);
-      }).then(function (results) {
-        state.analysisResults = results;
-
-        var totalMarkers = 0;
-        for (var ch in state.channels) {
-          var count = results[ch] ? results[ch].length : 0;
-          state.channels[ch].results = results[ch] || [];
-          document.querySelector('.channel-count[data-ch="' + ch + '"]').textContent = count;
-          if (state.channels[ch].enabled) totalMarkers += count;
-        }
+    runAnalysis(contentHash, name, audioBuffer, mono, sourceClip);
+  }, function (err) {
+    setStatus("error", "Failed to decode audio: " + err);
+    audioDropzone.classList.remove("analyzing");
+    progressBar.classList.remove("visible");
+  });
+}
 
-        if (results.bpm) setBPM(results.bpm);
+/**
+ * Analyzes decoded audio with the current settings — from the cache when
+ * this content was analyzed with the same analysis settings before — and
+ * shows the results. contentHash is a promise of the file's SHA-256;
+ * monoSamples is the audio mixed down. The song on screen (audio,
+ * samples, results) only changes once the analysis succeeds.
+ */
+function runAnalysis(contentHash, name, audioBuffer, monoSamples, sourceClip) {
+  var progressBar = document.getElementById("analysisProgress");
+  var progressFill = document.getElementById("analysisProgressFill");
+  var cancelBtn = document.getElementById("cancelAnalysisBtn");
+
+  cancelBtn.classList.add("visible");
+  // Cached features, or analysis off the main thread
+  var job = startCachedAnalysis(contentHash, name, audioBuffer, monoSamples, buildAnalysisOptions(), function (pct, msg) {
+    progressFill.style.width = pct + "%";
+    setStatus("working", msg);
+  }, function () {
+    // No worker: the panel freezes until the analysis is done, so there
+    // is no progress to show and no Cancel to press
+    cancelBtn.classList.remove("visible");
+    progressBar.classList.remove("visible");
+    setStatus("working", "Analyzing — the panel is unresponsive until this finishes...");
+  });
+  state.analysisJob = job;
+
+  job.promise.then(function (results) {
+    state.analysisJob = null;
+    state.audioBuffer = audioBuffer;
+    state.monoSamples = monoSamples;
+    state.audioFileName = name;
+    state.audioHash = contentHash;
+    state.sourceClip = sourceClip;
+    if (results.bpm) setBPM(results.bpm);
+    var meterNote = results.beatsPerBar ? applyDetectedMeter(results.beatsPerBar) : "";
+    resetChannelEdits();
+
+    var totalMarkers = applyAnalysisResults(results);
+    setStatus("ready", "✓ " + totalMarkers + " events detected" + (job.cached ? " (cached analysis)" : "") + meterNote);
+    audioDropzone.classList.remove("analyzing");
+    cancelBtn.classList.remove("visible");
+    setTimeout(function () {
+      progressBar.classList.remove("visible");
+      progressFill.style.width = "0%";
+    }, 800);
+  }, function (err) {
+    if (state.analysisJob === job) state.analysisJob = null;
+    // A newer file replaced this job — leave its UI alone
+    if (err.superseded) return;
+    if (err.cancelled) setStatus("ready", "Analysis cancelled");
+    else setStatus("error", "Analysis failed: " + err.message);
+    audioDropzone.classList.remove("analyzing");
+    cancelBtn.classList.remove("visible");
+    progressBar.classList.remove("visible");
+    progressFill.style.width = "0%";
+  });
+}
 
-        document.getElementById("detectionSummary").style.display = "grid";
-        document.getElementById("sumTotal").textContent = totalMarkers;
-        document.getElementById("sumBPM").textContent = results.bpm ? results.bpm.toFixed(1) : "—";
-        document.getElementById("sumDuration").textContent = formatDuration(audioBuffer.duration);
+/**
+ * Runs AudioAnalyzer in a Web Worker so the panel stays responsive.
+ * Falls back to the main thread when the worker can't be started
+ * (e.g. browser preview from file:// without file access). That run
+ * blocks the panel and can't report progress or be stopped, so it
+ * calls onMainThread() first and starts a moment later, giving the
+ * panel a chance to show it.
+ *
+ * Returns { promise, cancel }. Cancelling terminates the worker (or
+ * drops a main-thread run that hasn't started) and rejects the promise
+ * with err.cancelled set.
+ */
+function startAnalysisJob(audioBuffer, options, onProgress, onMainThread) {
+  var worker = null;
+  var started = false;
+  var cancelled = false;
+  var rejectJob;
+
+  function runOnMainThread(resolve, reject) {
+    worker = null;
+    if (onMainThread) onMainThread();
+    setTimeout(function () {
+      if (cancelled) return;
+      // Its own analyzer, like the worker's: the shared one keeps the
+      // current song's features until this one's are complete
+      var local = new AudioAnalyzer();
+      local.analyze(audioBuffer, options).then(function (results) {
+        if (cancelled) return;
+        analyzer.setFeatures(local.getFeatures());
+        resolve(results);
+      }, reject);
+    }, 50);
+  }
 
-        document.getElementById("analysisViz").style.display = "block";
-        drawVisualization();
+  var promise = new Promise(function (resolve, reject) {
+    rejectJob = reject;
+    try {
+      worker = new Worker("js/analysis-worker.js");
+    } catch (e) {
+      runOnMainThread(resolve, reject);
+      return;
+    }
 
-        audioDropzone.querySelector(".drop-text").innerHTML =
-          "<strong>" + file.name + "</strong><br/><span style='font-size:9px;'>" +
-          totalMarkers + " events · " + (results.bpm ? results.bpm.toFixed(1) + " BPM" : "") + "</span>";
+    worker.onmessage = function (e) {
+      var msg = e.data;
+      started = true;
+      if (msg.type === "progress") {
+        onProgress(msg.pct, msg.msg);
+      } else if (msg.type === "result") {
+        worker.terminate();
+        analyzer.setFeatures(msg.features);
+        resolve(msg.results);
+      } else if (msg.type === "error") {
+        worker.terminate();
+        reject(new Error(msg.message));
+      }
+    };
+    worker.onerror = function (e) {
+      e.preventDefault();
+      worker.terminate();
+      // Script failed to load before any message — analyze here instead
+      if (!started) runOnMainThread(resolve, reject);
+      else reject(new Error(e.message || "Analysis worker failed"));
+    };
+
+    // Copies, so the decoded AudioBuffer stays intact for the visualization
+    var channels = [];
+    for (var c = 0; c < audioBuffer.numberOfChannels; c++) {
+      channels.push(new Float32Array(audioBuffer.getChannelData(c)));
+    }
+    worker.postMessage({
+      type: "analyze",
+      sampleRate: audioBuffer.sampleRate,
+      channels: channels,
+      options: options,
+    }, channels.map(function (ch) { return ch.buffer; }));
+  });
 
-        setStatus("ready", "✓ " + totalMarkers + " events detected");
-        audioDropzone.classList.remove("analyzing");
-        setTimeout(function () {
-          progressBar.classList.remove("visible");
-          progressFill.style.width = "0%";
-        }, 800);
-      });
-    }, function (err) {
-      setStatus("error", "Failed to decode audio: " + err);
-      audioDropzone.classList.remove("analyzing");
-      progressBar.classList.remove("visible");
-    });
+  return {
+    promise: promise,
+    cancel: function (reason) {
+      cancelled = true;
+      if (worker) worker.terminate();
+      rejectJob(cancelledError(reason));
+    },
   };
-  reader.readAsArrayBuffer(file);
 }
 
-// ══════════════════════════════════════════════════════
-//  VISUALIZATION
-// ══════════════════════════════════════════════════════
-
-function setVizMode(mode, btn) {
-  state.vizMode = mode;
-  document.querySelectorAll(".viz-controls button").forEach(function (b) { b.classList.remove("active"); });
-  btn.classList.add("active");
-  drawVisualization();
+function cancelledError(reason) {
+  var err = new Error("Analysis cancelled");
+  err.cancelled = true;
+  err.superseded = reason === "superseded";
+  return err;
 }
 
-function drawVisualization() {
-  var canvas = document.getElementById("vizCanvas");
-  var ctx = canvas.getContext("2d");
-  var dpr = window.devicePixelRatio || 1;
-  var rect = canvas.getBoundingClientRect();
-
-  canvas.width = rect.width * dpr;
-  canvas.height = 100 * dpr;
-  ctx.scale(dpr, dpr);
-  var w = rect.width, h = 100;
-
-  ctx.fillStyle = "#141414";
-  ctx.fillRect(0, 0, w, h);
-
-  if (!state.audioBuffer) return;
-  var duration = state.audioBuffer.duration;
+function cancelAnalysis() {
+  if (state.analysisJob) state.analysisJob.cancel();
+}
 
-  if (state.vizMode === "waveform" && state.monoSamples) {
-    var samples = state.monoSamples;
-    var samplesPerPixel = Math.floor(samples.length / w);
-    var mid = h / 2;
-    ctx.strokeStyle = "rgba(90,159,212,0.5)";
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    for (var x = 0; x < w; x++) {
-      var start = x * samplesPerPixel;
-      var mn = 0, mx = 0;
-      for (var i = start; i < start + samplesPerPixel && i < samples.length; i++) {
-        if (samples[i] < mn) mn = samples[i];
-        if (samples[i] > mx) mx = samples[i];
-      }
-      ctx.moveTo(x, mid + mn * mid);
-      ctx.lineTo(x, mid + mx * mid);
-    }
-    ctx.stroke();
+function buildAnalysisOptions() {
+  var settings = state.analysisSettings;
+  var options = {
+    fftSize: settings.fftSize,
+    hopSize: settings.hopSize,
+    bands: settings.bands,
+    customChannels: settings.customChannels,
+  };
+  for (var ch in state.channels) {
+    if (state.channels[ch].imported) continue;
+    var capCh = ch.charAt(0).toUpperCase() + ch.slice(1);
+    options["detect" + capCh] = state.channels[ch].enabled;
+    options["sensitivity" + capCh] = state.channels[ch].sensitivity;
   }
+  return options;
+}
 
-  // Draw onset lines
-  var colors = { kick: "#e05555", snare: "#e0a855", hihat: "#ccc855", bass: "#55b8e0", melody: "#a855e0", vocal: "#55e0a8" };
-  var heights = { kick: [0, 0.25], snare: [0.15, 0.40], hihat: [0.30, 0.50], bass: [0.50, 0.75], melody: [0.60, 0.85], vocal: [0.75, 1.0] };
+/**
+ * Refreshes per-channel counts and the summary total from
+ * state.channels[*].results. Returns the enabled event total.
+ */
+function updateEventCounts() {
+  var total = 0;
+  for (var ch in state.channels) {
+    var count = state.channels[ch].results.length;
+    document.querySelector('.channel-count[data-ch="' + ch + '"]').textContent = count;
+    if (state.channels[ch].enabled && !state.channels[ch].imported) total += count;
+  }
+  document.getElementById("sumTotal").textContent = total;
+  return total;
+}
 
-  var legendY = 8;
-  ctx.font = "8px -apple-system, sans-serif";
+/**
+ * Stores results on the channels (re-applying hand edits from the
+ * timeline editor) and refreshes counts, summary,
+ * visualization and drop-zone caption. Returns the enabled event total.
+ */
+function applyAnalysisResults(results) {
+  state.analysisResults = results;
 
   for (var ch in state.channels) {
-    var cfg = state.channels[ch];
-    if (!cfg.enabled || !cfg.results || cfg.results.length === 0) continue;
+    if (state.channels[ch].imported) continue;
+    state.channels[ch].results = applyChannelEdits(state.channels[ch], results[ch] || []);
+  }
+  // Picked events are new objects — drop stale references
+  editor.selection = [];
+  var totalMarkers = updateEventCounts();
 
-    var c = colors[ch] || "#999";
-    var ht = heights[ch] || [0, 1];
+  document.getElementById("detectionSummary").style.display = "grid";
+  document.getElementById("sumBPM").textContent = results.bpm ? results.bpm.toFixed(1) : "—";
+  document.getElementById("sumDuration").textContent = formatDuration(state.audioBuffer.duration);
 
-    ctx.strokeStyle = c;
-    ctx.lineWidth = 1;
-    ctx.globalAlpha = 0.7;
+  labelImportedEvents();
+  document.getElementById("analysisViz").style.display = "block";
+  drawVisualization();
 
-    for (var j = 0; j < cfg.results.length; j++) {
-      var ev = cfg.results[j];
-      var xPos = (ev.time / duration) * w;
-      ctx.beginPath();
-      ctx.moveTo(xPos, ht[0] * h);
-      ctx.lineTo(xPos, ht[1] * h);
-      ctx.stroke();
-    }
+  var clipLabel = state.sourceClip
+    ? " · " + state.sourceClip.track + " @ " + formatDuration(state.sourceClip.start) : "";
+  audioDropzone.querySelector(".drop-text").innerHTML =
+    "<strong>" + state.audioFileName + "</strong><br/><span style='font-size:9px;'>" +
+    totalMarkers + " events · " + (results.bpm ? results.bpm.toFixed(1) + " BPM" : "") +
+    clipLabel + "</span>";
 
-    ctx.globalAlpha = 1;
-    ctx.fillStyle = c;
-    ctx.fillRect(4, legendY - 5, 6, 6);
-    ctx.fillStyle = "#888";
-    ctx.fillText(ch + " (" + cfg.results.length + ")", 14, legendY);
-    legendY += 11;
-  }
-  ctx.globalAlpha = 1;
+  return totalMarkers;
 }
 
 // ══════════════════════════════════════════════════════
-//  METRONOME
+//  ANALYSIS CACHE
 // ══════════════════════════════════════════════════════
-
-function toggleMetronome() {
-  state.metronomeActive = !state.metronomeActive;
-  document.getElementById("metronomeToggle").classList.toggle("active", state.metronomeActive);
-  if (state.metronomeActive) startMetronome(); else stopMetronome();
+// Features of every analyzed song, on disk under the CEP user data
+// folder (in memory in preview mode). See analysis-cache.js.
+
+var analysisCache = AnalysisCache.open(analysisCacheStore());
+
+function analysisCacheStore() {
+  var fs = window.cep && window.cep.fs;
+  if (!fs || !csInterface) return AnalysisCache.memoryStore();
+  var dir = csInterface.getSystemPath(SystemPath.USER_DATA) + "/BeatMarkerPro";
+  fs.makedir(dir);
+  dir += "/AnalysisCache";
+  fs.makedir(dir);
+  return {
+    read: function (name) {
+      var res = fs.readFile(dir + "/" + name);
+      return res.err ? null : res.data;
+    },
+    write: function (name, text) {
+      var res = fs.writeFile(dir + "/" + name, text);
+      if (res.err) throw new Error("could not write " + name + " (error " + res.err + ")");
+    },
+    remove: function (name) { fs.deleteFile(dir + "/" + name); },
+    list: function () {
+      var res = fs.readdir(dir);
+      return res.err ? [] : res.data;
+    },
+  };
 }
 
-function startMetronome() {
-  stopMetronome();
-  if (!state.bpm) { setStatus("error", "Set BPM first"); state.metronomeActive = false; return; }
-  state.metronomeBeat = 0;
-  updateBeatDots();
-  var intervalMs = (60 / state.bpm) * 1000;
-  state.metronomeInterval = setInterval(function () {
-    var dots = document.querySelectorAll("#beatIndicator .beat-dot");
-    dots.forEach(function (d) { d.classList.remove("active"); });
-    var current = state.metronomeBeat % state.timeSigTop;
-    if (dots[current]) dots[current].classList.add("active");
-    playClick(current === 0);
-    state.metronomeBeat++;
-  }, intervalMs);
-}
+/**
+ * startAnalysisJob() behind the cache: a song whose content hash and
+ * analyzer settings match an entry is re-picked from the stored
+ * features instead of analyzed; anything else is analyzed and stored.
+ * Same { promise, cancel } shape; job.cached is set on a hit.
+ *
+ * The shared analyzer takes the new features and monoSamples (so
+ * repicks time onsets to the sample) together, only when the job
+ * succeeds; a cancelled or failed job leaves it on the previous song.
+ */
+function startCachedAnalysis(hashPromise, name, audioBuffer, monoSamples, options, onProgress, onMainThread) {
+  var job = { cached: false };
+  var inner = null, cancelled = false, rejectJob;
+
+  job.promise = new Promise(function (resolve, reject) {
+    rejectJob = reject;
+    hashPromise.then(function (hash) {
+      if (cancelled) return;
+      try {
+        analyzer.configure(options);
+      } catch (err) {
+        reject(err);
+        return;
+      }
+      var key = hash ? AnalysisCache.cacheKey(hash, analyzer, audioBuffer.sampleRate) : null;
+      var hit = key ? analysisCache.get(key) : null;
+      if (hit) {
+        job.cached = true;
+        analyzer.setSamples(monoSamples);
+        analyzer.setFeatures(hit.features);
+        try {
+          resolve(analyzer.repick(options));
+        } catch (err) {
+          reject(err);
+        }
+        return;
+      }
 
-function stopMetronome() {
-  if (state.metronomeInterval) { clearInterval(state.metronomeInterval); state.metronomeInterval = null; }
-  document.querySelectorAll("#beatIndicator .beat-dot").forEach(function (d) { d.classList.remove("active"); });
+      inner = startAnalysisJob(audioBuffer, options, onProgress, onMainThread);
+      inner.promise.then(function (results) {
+        // Stored before setSamples() clears the attacks the analysis found
+        if (key) {
+          try {
+            analysisCache.put(key, { name: name, duration: audioBuffer.duration, bpm: results.bpm }, analyzer.getFeatures());
+            renderCacheList();
+          } catch (err) {
+            console.log("Beat Marker Pro: analysis not cached — " + err.message);
+          }
+        }
+        analyzer.setSamples(monoSamples);
+        resolve(results);
+      }, reject);
+    });
+  });
+
+  job.cancel = function (reason) {
+    cancelled = true;
+    if (inner) inner.cancel(reason);
+    else rejectJob(cancelledError(reason));
+  };
+  return job;
 }
 
-function updateBeatDots() {
-  var container = document.getElementById("beatIndicator");
-  container.innerHTML = "";
-  for (var i = 0; i < state.timeSigTop; i++) {
-    var dot = document.createElement("div");
-    dot.className = "beat-dot" + (i === 0 ? " downbeat" : "");
-    container.appendChild(dot);
-  }
+function renderCacheList() {
+  var entries = analysisCache.list();
+  var list = document.getElementById("cacheList");
+  list.innerHTML = "";
+  var bytes = 0;
+  entries.forEach(function (entry) {
+    bytes += entry.size || 0;
+    var row = document.createElement("div");
+    row.className = "history-row";
+
+    var label = document.createElement("span");
+    label.textContent = entry.name + " · " + formatDuration(entry.duration || 0) +
+      (entry.bpm ? " · " + entry.bpm.toFixed(1) + " BPM" : "");
+    label.title = entry.created;
+    row.appendChild(label);
+
+    var btn = document.createElement("button");
+    btn.textContent = "✕";
+    btn.title = "Remove from cache";
+    btn.onclick = function () {
+      analysisCache.remove(entry.key);
+      renderCacheList();
+    };
+    row.appendChild(btn);
+    list.appendChild(row);
+  });
+  document.getElementById("cacheSummary").textContent = entries.length === 0 ? "No cached songs"
+    : entries.length + (entries.length === 1 ? " song · " : " songs · ") + (bytes / 1048576).toFixed(1) + " MB";
 }
 
-function playClick(isDownbeat) {
-  try {
-    if (!state.audioContext) state.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    var ctx = state.audioContext;
-    var osc = ctx.createOscillator();
-    var gain = ctx.createGain();
-    osc.connect(gain); gain.connect(ctx.destination);
-    osc.frequency.value = isDownbeat ? 1200 : 800;
-    osc.type = "sine";
-    gain.gain.setValueAtTime(0.12, ctx.currentTime);
-    gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.05);
-    osc.start(ctx.currentTime); osc.stop(ctx.currentTime + 0.05);
-  } catch (e) {}
+function clearAnalysisCache() {
+  analysisCache.clear();
+  renderCacheList();
+  setStatus("ready", "Analysis cache cleared");
 }
 
 // ══════════════════════════════════════════════════════
-//  GRID CONTROLS
+//  RE-DETECT (cached features)
 // ══════════════════════════════════════════════════════
 
-function setSubdivision(btn, value) {
-  document.querySelectorAll(".sub-btn").forEach(function (b) { b.classList.remove("active"); });
-  btn.classList.add("active");
-  state.subdivision = value;
-}
+var redetectPending = false;
 
-function setRange(btn, value) {
-  document.querySelectorAll(".range-btn").forEach(function (b) { b.classList.remove("active"); });
-  btn.classList.add("active");
-  state.range = value;
+/**
+ * Re-picks events from the analyzer's cached detection functions after a
+ * sensitivity or channel change. Coalesced to one run per animation frame
+ * so dragging a slider stays smooth.
+ */
+function scheduleRedetect() {
+  if (redetectPending || !state.analysisResults || state.analysisJob) return;
+  redetectPending = true;
+  requestAnimationFrame(function () {
+    redetectPending = false;
+    redetect();
+  });
 }
 
-document.getElementById("timeSigTop").addEventListener("change", function (e) {
-  state.timeSigTop = parseInt(e.target.value);
-  updateBeatDots();
-  if (state.metronomeActive) startMetronome();
-});
-
-document.getElementById("timeSigBottom").addEventListener("change", function (e) {
-  state.timeSigBottom = parseInt(e.target.value);
-});
-
-document.getElementById("offsetFrames").addEventListener("change", function (e) {
-  state.offsetFrames = parseInt(e.target.value) || 0;
-});
+function redetect() {
+  if (!analyzer.features || state.analysisJob) return;
+  var totalMarkers = applyAnalysisResults(analyzer.repick(buildAnalysisOptions()));
+  setStatus("ready", "✓ " + totalMarkers + " events detected");
+}
 
 // ══════════════════════════════════════════════════════
-//  PLACE DETECTED MARKERS (via ExtendScript)
+//  ADVANCED ANALYSIS
 // ══════════════════════════════════════════════════════
+// FFT and hop size, extra bands and custom channels: AudioAnalyzer
+// options (see configure()) kept in state.analysisSettings. They shape
+// the analysis itself, so a loaded song needs Re-analyze to pick them up.
 
-function placeDetectedMarkers() {
-  // Collect enabled events
-  var allEvents = [];
-  for (var ch in state.channels) {
-    var cfg = state.channels[ch];
-    if (!cfg.enabled || !cfg.results) continue;
-    for (var i = 0; i < cfg.results.length; i++) {
-      var ev = cfg.results[i];
-      allEvents.push({
-        time: ev.time,
-        type: ch,
-        strength: ev.strength || 0,
-        color: cfg.color,
-      });
-    }
+// Marker color a new custom channel starts with (Cyan)
+var CUSTOM_CHANNEL_COLOR = 7;
+var MARKER_COLOR_NAMES = ["Green", "Red", "Purple", "Orange", "Yellow", "White", "Blue", "Cyan"];
+
+/**
+ * Replaces parts of state.analysisSettings, if the analyzer accepts the
+ * result, and brings the custom channel rows in line. Reports the
+ * problem and returns false otherwise.
+ */
+function updateAnalysisSettings(changes) {
+  var next = Object.assign({}, state.analysisSettings, changes);
+  try {
+    new AudioAnalyzer().configure(next);
+  } catch (err) {
+    setStatus("error", err.message);
+    return false;
   }
+  state.analysisSettings = next;
+  syncCustomChannels();
+  renderAnalysisSettings();
+  if (state.analysisResults && !applyingSettings) {
+    setStatus("ready", "Analysis settings changed — Re-analyze to apply them");
+  }
+  return true;
+}
 
-  if (allEvents.length === 0) {
-    setStatus("error", "No detected events — analyze audio first");
+function setAnalysisResolution() {
+  updateAnalysisSettings({
+    fftSize: parseInt(document.getElementById("fftSizeSelect").value),
+    hopSize: parseInt(document.getElementById("hopSizeSelect").value),
+  });
+}
+
+function addCustomBand() {
+  var name = document.getElementById("customBandName").value.trim();
+  var bands = Object.assign({}, state.analysisSettings.bands);
+  bands[name] = {
+    low: parseFloat(document.getElementById("customBandLow").value),
+    high: parseFloat(document.getElementById("customBandHigh").value),
+  };
+  if (!updateAnalysisSettings({ bands: bands })) return;
+  ["customBandName", "customBandLow", "customBandHigh"].forEach(function (id) {
+    document.getElementById(id).value = "";
+  });
+}
+
+function removeCustomBand(name) {
+  var user = state.analysisSettings.customChannels.filter(function (def) {
+    return def.bands.indexOf(name) >= 0;
+  })[0];
+  if (user) {
+    setStatus("error", "Band " + name + " is used by channel " + user.name);
     return;
   }
+  var bands = Object.assign({}, state.analysisSettings.bands);
+  delete bands[name];
+  updateAnalysisSettings({ bands: bands });
+}
 
-  // Sort by time
-  allEvents.sort(function (a, b) { return a.time - b.time; });
-
-  if (!csInterface) {
-    setStatus("working", "Simulating...");
-    setTimeout(function () {
-      setStatus("ready", "Would place " + allEvents.length + " detected markers");
-    }, 600);
+/**
+ * Channel from the form. Bands are typed as "presence, jingle:2" —
+ * names with an optional weight each.
+ */
+function addCustomChannel() {
+  var name = document.getElementById("customChannelName").value.trim();
+  if (name.toLowerCase() === "imported") {
+    setStatus("error", "Channel name \"" + name + "\" is already in use");
     return;
   }
+  var bands = [], weights = [];
+  document.getElementById("customChannelBands").value.split(/[\s,;]+/).filter(Boolean).forEach(function (part) {
+    var pair = part.split(":");
+    bands.push(pair[0]);
+    weights.push(pair.length > 1 ? parseFloat(pair[1]) : 1);
+  });
+  var def = {
+    name: name,
+    bands: bands,
+    weights: weights,
+    feature: document.getElementById("customChannelFeature").value,
+    window: parseFloat(document.getElementById("customChannelWindow").value) / 1000,
+    minInterval: parseFloat(document.getElementById("customChannelMinInterval").value) / 1000,
+  };
+  if (!updateAnalysisSettings({ customChannels: state.analysisSettings.customChannels.concat([def]) })) return;
+  document.getElementById("customChannelName").value = "";
+  document.getElementById("customChannelBands").value = "";
+}
 
-  var btn = document.getElementById("placeDetectedBtn");
-  btn.disabled = true;
-  setStatus("working", "Getting sequence info...");
+function removeCustomChannel(name) {
+  updateAnalysisSettings({
+    customChannels: state.analysisSettings.customChannels.filter(function (def) { return def.name !== name; }),
+  });
+}
 
-  evalScript("getInOutRange()").then(function (result) {
-    var rangeInfo = JSON.parse(result);
-    if (rangeInfo.error) {
-      setStatus("error", rangeInfo.error);
-      btn.disabled = false;
+/**
+ * Adds a state.channels entry for each custom channel definition and
+ * drops entries whose definition is gone, keeping imported last.
+ */
+function syncCustomChannels() {
+  var defs = state.analysisSettings.customChannels;
+  var imported = state.channels.imported;
+  delete state.channels.imported;
+  Object.keys(state.channels).forEach(function (ch) {
+    var defined = defs.some(function (def) { return def.name === ch; });
+    if (state.channels[ch].custom && !defined) delete state.channels[ch];
+  });
+  defs.forEach(function (def) {
+    if (state.channels[def.name]) return;
+    state.channels[def.name] = { enabled: true, sensitivity: 0.5, color: CUSTOM_CHANNEL_COLOR, results: [], custom: true };
+  });
+  state.channels.imported = imported;
+  renderCustomChannelRows();
+}
+
+/**
+ * Custom channel rows in Detection Channels, same markup as the
+ * built-in rows. Names are restricted to letters, digits, - and _
+ * (AudioAnalyzer#configure), so they go into the markup as they are.
+ */
+function renderCustomChannelRows() {
+  var html = "";
+  state.analysisSettings.customChannels.forEach(function (def) {
+    var ch = def.name, cfg = state.channels[ch];
+    var colors = MARKER_COLOR_NAMES.map(function (label, value) {
+      return '<option value="' + value + '"' + (value === cfg.color ? " selected" : "") + ">" + label + "</option>";
+    }).join("");
+    html +=
+      '<div class="channel-row' + (cfg.enabled ? "" : " disabled") + '" id="ch-' + ch + '">' +
+      '<div class="channel-toggle' + (cfg.enabled ? " active" : "") + '" data-ch="' + ch + '" onclick="toggleChannel(\'' + ch + '\')"><div class="knob"></div></div>' +
+      '<div class="channel-icon" style="background:#999;">✦</div>' +
+      '<div class="channel-info"><div class="channel-name">' + ch + '</div><div class="channel-desc">' +
+      def.bands.join(" + ") + " · " + def.feature + "</div></div>" +
+      '<div class="channel-sensitivity"><input type="range" min="0" max="100" value="' + Math.round(cfg.sensitivity * 100) +
+      '" data-ch="' + ch + '" oninput="updateSensitivity(\'' + ch + '\',this.value)" /></div>' +
+      '<div class="channel-marker-color"><select data-ch="' + ch + '" onchange="updateChannelColor(\'' + ch + '\',this.value)">' + colors + "</select></div>" +
+      '<div class="channel-count" data-ch="' + ch + '">' + (state.analysisResults ? cfg.results.length : "—") + "</div>" +
+      "</div>";
+  });
+  document.getElementById("customChannelRows").innerHTML = html;
+}
+
+/**
+ * Advanced Analysis controls from state.analysisSettings.
+ */
+function renderAnalysisSettings() {
+  var settings = state.analysisSettings;
+  document.getElementById("fftSizeSelect").value = String(settings.fftSize);
+  document.getElementById("hopSizeSelect").value = String(settings.hopSize);
+  var rate = state.audioBuffer ? state.audioBuffer.sampleRate : 44100;
+  document.getElementById("analysisResolution").textContent =
+    (settings.hopSize / rate * 1000).toFixed(1) + " ms frames · " +
+    (rate / settings.fftSize).toFixed(1) + " Hz bins at " + (rate / 1000).toFixed(1) + " kHz";
+
+  var analyzerBands = new AudioAnalyzer().configure(settings).bands;
+  document.getElementById("bandNamesHint").textContent = "Bands: " + Object.keys(analyzerBands).join(", ");
+
+  renderSettingsList("customBandList", Object.keys(settings.bands), function (name) {
+    var band = settings.bands[name];
+    return name + " · " + band.low + "–" + band.high + " Hz";
+  }, removeCustomBand);
+  renderSettingsList("customChannelList", settings.customChannels.map(function (def) { return def.name; }), function (name) {
+    var def = settings.customChannels.filter(function (d) { return d.name === name; })[0];
+    return name + " · " + def.bands.map(function (band, i) {
+      return def.weights && def.weights[i] !== 1 ? band + ":" + def.weights[i] : band;
+    }).join(", ") + " · " + def.feature;
+  }, removeCustomChannel);
+}
+
+function renderSettingsList(listId, names, describe, remove) {
+  var list = document.getElementById(listId);
+  list.innerHTML = "";
+  names.forEach(function (name) {
+    var row = document.createElement("div");
+    row.className = "history-row";
+    var label = document.createElement("span");
+    label.textContent = describe(name);
+    row.appendChild(label);
+    var btn = document.createElement("button");
+    btn.textContent = "✕";
+    btn.title = "Remove";
+    btn.onclick = function () { remove(name); };
+    row.appendChild(btn);
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Analyzes the loaded song again with the current analysis settings.
+ */
+function reanalyze() {
+  if (!state.analysisResults || !state.audioHash) { setStatus("error", "Analyze audio first"); return; }
+  if (state.analysisJob) { setStatus("error", "Wait for the running analysis to finish"); return; }
+  stopPlayback(true);
+  setStatus("working", "Analyzing: " + state.audioFileName + "...");
+  audioDropzone.classList.add("analyzing");
+  document.getElementById("analysisProgress").classList.add("visible");
+  runAnalysis(state.audioHash, state.audioFileName, state.audioBuffer, state.monoSamples, state.sourceClip);
+}
+
+// ══════════════════════════════════════════════════════
+//  SEQUENCE AUDIO
+// ══════════════════════════════════════════════════════
+
+function loadSequenceClips() {
+  if (!csInterface) { setStatus("error", "Not connected"); return; }
+  setStatus("working", "Finding audio clips...");
+  evalScript("getSequenceAudioClips()").then(function (res) {
+    var info;
+    try {
+      info = JSON.parse(res);
+    } catch (e) {
+      setStatus("error", "Could not read the sequence's audio clips");
       return;
     }
+    if (info.error) { setStatus("error", info.error); return; }
+    if (info.clips.length === 0) { setStatus("error", "No audio clips with media in sequence"); return; }
 
-    var startSec = 0, endSec = rangeInfo.endTime;
-    if (state.range === "inout") {
-      startSec = rangeInfo.inPoint;
-      endSec = rangeInfo.outPoint;
-    } else if (state.range === "playhead") {
-      startSec = rangeInfo.playerPosition;
+    state.sequenceClips = info.clips;
+    if (info.clips.length === 1) {
+      document.getElementById("sequenceClipRow").style.display = "none";
+      analyzeSequenceClip(info.clips[0]);
+      return;
     }
 
-    // Apply offset using actual sequence fps
-    var offsetSec = state.offsetFrames / (rangeInfo.fps || 24);
-    startSec += offsetSec;
-
-    // Filter events to range
-    var filtered = allEvents.filter(function (ev) {
-      return ev.time >= startSec && ev.time <= endSec;
+    var select = document.getElementById("sequenceClipSelect");
+    select.innerHTML = "";
+    info.clips.forEach(function (clip, idx) {
+      var opt = document.createElement("option");
+      opt.value = idx;
+      opt.textContent = clip.track + " · " + formatDuration(clip.start) + " · " + clip.name;
+      select.appendChild(opt);
     });
+    document.getElementById("sequenceClipRow").style.display = "flex";
+    setStatus("ready", info.clips.length + " audio clips — pick one to analyze");
+  }, function (err) {
+    setStatus("error", err.message);
+  });
+}
 
-    if (filtered.length === 0) {
-      setStatus("error", "No events in selected range");
-      btn.disabled = false;
+function analyzeChosenSequenceClip() {
+  var idx = parseInt(document.getElementById("sequenceClipSelect").value);
+  if (state.sequenceClips[idx]) analyzeSequenceClip(state.sequenceClips[idx]);
+}
+
+function analyzeSequenceClip(clip) {
+  setStatus("working", "Reading: " + clip.name + "...");
+  var xhr = new XMLHttpRequest();
+  xhr.open("GET", pathToFileURL(clip.mediaPath));
+  xhr.responseType = "arraybuffer";
+  xhr.onload = function () {
+    // file:// loads report status 0, so check the payload instead
+    if (!xhr.response || xhr.response.byteLength === 0) {
+      setStatus("error", "Could not read " + clip.mediaPath);
+      return;
+    }
+    analyzeAudioData(xhr.response, clip.name, clip);
+  };
+  xhr.onerror = function () { setStatus("error", "Could not read " + clip.mediaPath); };
+  xhr.send();
+}
+
+function pathToFileURL(path) {
+  var p = path.replace(/\\/g, "/");
+  if (p.charAt(0) !== "/") p = "/" + p; // Windows drive letter
+  return "file://" + encodeURI(p).replace(/#/g, "%23").replace(/\?/g, "%3F");
+}
+
+/**
+ * Maps a time in the analyzed media to sequence time through the source
+ * clip's trim and position. Dropped files have no source clip and are
+ * used as-is. Returns null for times trimmed out of the clip.
+ */
+function mediaToSequenceTime(t) {
+  var clip = state.sourceClip;
+  if (!clip) return t;
+  if (t < clip.inPoint || t >= clip.outPoint) return null;
+  return clip.start + (t - clip.inPoint) / (clip.speed || 1);
+}
+
+/**
+ * Inverse of mediaToSequenceTime(): a sequence time as a position in
+ * the analyzed media. Returns null for times outside the source clip.
+ */
+function sequenceToMediaTime(t) {
+  var clip = state.sourceClip;
+  if (!clip) return t;
+  if (t < clip.start) return null;
+  var media = clip.inPoint + (t - clip.start) * (clip.speed || 1);
+  return media < clip.outPoint ? media : null;
+}
+
+// ══════════════════════════════════════════════════════
+//  IMPORT BEAT MAP
+// ══════════════════════════════════════════════════════
+
+document.getElementById("beatMapFileInput").addEventListener("change", function (e) {
+  if (e.target.files.length > 0) importBeatMap(e.target.files[0]);
+  e.target.value = "";
+});
+
+/**
+ * Loads a MIDI file, Audacity label track, CSV or Premiere marker list
+ * into the "imported" channel. Times are read as positions in the
+ * analyzed audio, like detected events, except Premiere marker lists:
+ * those are in sequence time and are mapped back into the analyzed
+ * clip, dropping markers outside it. Timecode columns use the active
+ * sequence's frame rate when connected.
+ */
+function importBeatMap(file) {
+  var reader = new FileReader();
+  reader.onload = function () {
+    evalScript("getInOutRange()").then(function (result) {
+      var fps = 24;
+      try {
+        var rangeInfo = JSON.parse(result);
+        if (rangeInfo.fps > 0) fps = rangeInfo.fps;
+      } catch (e) {}
+
+      var parsed = BeatImporters.parse(file.name, reader.result, { fps: fps });
+      var events = parsed.events;
+      if (parsed.timeBase === "sequence") {
+        events = events.filter(function (ev) {
+          ev.time = sequenceToMediaTime(ev.time);
+          return ev.time !== null;
+        });
+        if (events.length === 0) throw new Error("none of the markers in " + file.name + " fall within the analyzed clip");
+      }
+      applyImportedEvents(events, file.name);
+      var skipped = parsed.events.length - events.length;
+      setStatus("ready", "✓ Imported " + events.length + " events from " + file.name +
+        (skipped ? " (" + skipped + " outside the analyzed clip left out)" : ""));
+    }).then(null, function (err) {
+      setStatus("error", "Import failed: " + err.message);
+    });
+  };
+  reader.onerror = function () { setStatus("error", "Could not read " + file.name); };
+  reader.readAsArrayBuffer(file);
+}
+
+function applyImportedEvents(events, fileName) {
+  var cfg = state.channels.imported;
+  cfg.results = events.map(function (ev) {
+    ev.type = "imported";
+    return ev;
+  });
+  cfg.fileName = fileName;
+  cfg.hasBars = events.some(function (ev) { return ev.bar !== undefined; });
+  labelImportedEvents();
+  editor.selection = [];
+
+  document.getElementById("ch-imported").style.display = "";
+  document.getElementById("importedDesc").textContent = fileName;
+  document.querySelector('.channel-count[data-ch="imported"]').textContent = events.length;
+  document.getElementById("analysisViz").style.display = "block";
+  drawVisualization();
+}
+
+/**
+ * Imported maps without their own bar numbers (labels, CSV, marker
+ * lists) take bar / beat from the analyzed meter, when there is one.
+ */
+function labelImportedEvents() {
+  var cfg = state.channels.imported;
+  if (!cfg.hasBars && cfg.results.length) analyzer.labelBars(cfg.results);
+}
+
+/**
+ * Imported events that have a detected event (any enabled channel)
+ * within tolerance seconds.
+ */
+function countImportedMatches(tolerance) {
+  var detected = [];
+  for (var ch in state.channels) {
+    var cfg = state.channels[ch];
+    if (cfg.imported || !cfg.enabled) continue;
+    for (var i = 0; i < cfg.results.length; i++) detected.push(cfg.results[i].time);
+  }
+  detected.sort(function (a, b) { return a - b; });
+
+  var matched = 0, j = 0;
+  state.channels.imported.results.forEach(function (ev) {
+    while (j < detected.length && detected[j] < ev.time - tolerance) j++;
+    if (j < detected.length && detected[j] <= ev.time + tolerance) matched++;
+  });
+  return matched;
+}
+
+// ══════════════════════════════════════════════════════
+//  VISUALIZATION
+// ══════════════════════════════════════════════════════
+
+var RULER_HEIGHT = 12;
+var LANE_HEIGHT = 14;
+var PEAK_BIN = 256; // samples per cached waveform peak
+
+var CHANNEL_COLORS = { kick: "#e05555", snare: "#e0a855", hihat: "#ccc855", bass: "#55b8e0", melody: "#a855e0", vocal: "#55e0a8", imported: "#e8e8e8" };
+
+// View + interaction state of the timeline editor
+var editor = {
+  viewStart: 0,   // seconds at the left edge
+  viewSpan: 0,    // seconds across the canvas; 0 = whole file
+  selection: [],  // [{ ch, ev, orig }]
+  drag: null,     // { mode: "move" | "box", x0, y0, x1, y1, moved }
+  peaks: null,    // { min, max } per PEAK_BIN samples of state.monoSamples
+  legends: [],    // lane legend hit boxes from the last draw: { ch, x1, y0, y1 }
+  specImage: null, // offscreen tiles of the analyzer's log spectrogram
+  curve: null,    // cached detectionCurve() for the ODF view
+  grid: null,     // { key, positions } cached previewGrid() for the grid overlay
+  drawPending: false,
+};
+
+function setVizMode(mode, btn) {
+  state.vizMode = mode;
+  document.querySelectorAll(".viz-controls button[data-viz]").forEach(function (b) { b.classList.remove("active"); });
+  btn.classList.add("active");
+  drawVisualization();
+}
+
+function scheduleVizDraw() {
+  if (editor.drawPending) return;
+  editor.drawPending = true;
+  requestAnimationFrame(function () {
+    editor.drawPending = false;
+    drawVisualization();
+  });
+}
+
+function vizDuration() {
+  if (state.audioBuffer) return state.audioBuffer.duration;
+  var imported = state.channels.imported.results;
+  return imported.length ? imported[imported.length - 1].time + 1 : 0;
+}
+
+/**
+ * Visible window { start, span } in seconds, clamped to the file.
+ */
+function vizView() {
+  var duration = vizDuration();
+  var span = editor.viewSpan > 0 ? Math.min(editor.viewSpan, duration) : duration;
+  var start = Math.max(0, Math.min(editor.viewStart, duration - span));
+  return { start: start, span: span || 1 };
+}
+
+/**
+ * Channels drawn as lanes, top to bottom: enabled analyzer channels once
+ * audio is analyzed, plus the imported channel when it has events.
+ */
+function vizLanes() {
+  var lanes = [];
+  for (var ch in state.channels) {
+    var cfg = state.channels[ch];
+    if (!cfg.enabled) continue;
+    if (cfg.imported ? cfg.results.length === 0 : !state.analysisResults) continue;
+    lanes.push(ch);
+  }
+  return lanes;
+}
+
+/**
+ * Min / max of every PEAK_BIN samples, so zoomed-out redraws don't walk
+ * the whole file.
+ */
+function waveformPeaks() {
+  var samples = state.monoSamples;
+  if (!samples) return null;
+  if (editor.peaks && editor.peaks.source === samples) return editor.peaks;
+
+  var bins = Math.ceil(samples.length / PEAK_BIN);
+  var min = new Float32Array(bins), max = new Float32Array(bins);
+  for (var b = 0; b < bins; b++) {
+    var mn = 0, mx = 0;
+    var end = Math.min(samples.length, (b + 1) * PEAK_BIN);
+    for (var i = b * PEAK_BIN; i < end; i++) {
+      if (samples[i] < mn) mn = samples[i];
+      if (samples[i] > mx) mx = samples[i];
+    }
+    min[b] = mn;
+    max[b] = mx;
+  }
+  editor.peaks = { source: samples, min: min, max: max };
+  return editor.peaks;
+}
+
+function drawVisualization() {
+  var canvas = document.getElementById("vizCanvas");
+  var ctx = canvas.getContext("2d");
+  var dpr = window.devicePixelRatio || 1;
+  var lanes = vizLanes();
+  var h = Math.max(100, RULER_HEIGHT + lanes.length * LANE_HEIGHT + 4);
+
+  canvas.style.height = h + "px";
+  var rect = canvas.getBoundingClientRect();
+  canvas.width = rect.width * dpr;
+  canvas.height = h * dpr;
+  ctx.scale(dpr, dpr);
+  var w = rect.width;
+
+  ctx.fillStyle = "#141414";
+  ctx.fillRect(0, 0, w, h);
+
+  var duration = vizDuration();
+  if (!duration) return;
+  var view = vizView();
+  var pxPerSec = w / view.span;
+  function timeToX(t) { return (t - view.start) * pxPerSec; }
+
+  var areaH = h - RULER_HEIGHT;
+  if (state.vizMode === "waveform" && state.monoSamples) {
+    drawWaveform(ctx, view, w, RULER_HEIGHT, areaH);
+  } else if (state.vizMode === "spectrogram") {
+    drawSpectrogram(ctx, view, w, RULER_HEIGHT, areaH);
+  } else if (state.vizMode === "bands") {
+    drawBandEnergies(ctx, view, w, RULER_HEIGHT, areaH);
+  } else if (state.vizMode === "odf") {
+    drawDetectionCurve(ctx, view, w, RULER_HEIGHT, areaH);
+  }
+  if (state.gridPreview) drawGridPreview(ctx, view, w, RULER_HEIGHT, areaH);
+
+  drawRuler(ctx, view, w);
+
+  // Lanes
+  ctx.font = "8px -apple-system, sans-serif";
+  var selected = editor.selection.map(function (s) { return s.ev; });
+  editor.legends = [];
+  lanes.forEach(function (ch, laneIdx) {
+    var cfg = state.channels[ch];
+    var y0 = RULER_HEIGHT + laneIdx * LANE_HEIGHT;
+    var c = CHANNEL_COLORS[ch] || "#999";
+
+    ctx.fillStyle = laneIdx % 2 ? "rgba(255,255,255,0.02)" : "rgba(255,255,255,0.05)";
+    ctx.fillRect(0, y0, w, LANE_HEIGHT);
+
+    ctx.lineWidth = 1;
+    for (var j = 0; j < cfg.results.length; j++) {
+      var ev = cfg.results[j];
+      var x = timeToX(ev.time);
+      if (x < -2 || x > w + 2) continue;
+      var picked = selected.indexOf(ev) >= 0;
+      ctx.strokeStyle = picked ? "#ffffff" : c;
+      ctx.lineWidth = picked ? 2 : 1;
+      ctx.globalAlpha = picked ? 1 : 0.35 + 0.65 * Math.min(1, ev.strength || 0);
+      ctx.beginPath();
+      ctx.moveTo(x, y0 + 2);
+      ctx.lineTo(x, y0 + LANE_HEIGHT - 2);
+      ctx.stroke();
+    }
+    ctx.globalAlpha = 1;
+
+    var legend = ch + " (" + cfg.results.length + ")";
+    // Imported maps: how many have a detected event within 50ms
+    if (cfg.imported && state.analysisResults) legend += " · " + countImportedMatches(0.05) + " matched";
+    var legendW = ctx.measureText(legend).width + 12;
+    ctx.fillStyle = "rgba(20,20,20,0.75)";
+    ctx.fillRect(2, y0 + 2, legendW, LANE_HEIGHT - 4);
+    // Hollow swatch: channel's clicks are muted in playback
+    if (cfg.clickMuted) {
+      ctx.strokeStyle = c;
+      ctx.strokeRect(4.5, y0 + 4.5, 5, 5);
+    } else {
+      ctx.fillStyle = c;
+      ctx.fillRect(4, y0 + 4, 6, 6);
+    }
+    ctx.fillStyle = "#aaa";
+    ctx.fillText(legend, 13, y0 + 10);
+    editor.legends.push({ ch: ch, x1: 2 + legendW, y0: y0, y1: y0 + LANE_HEIGHT });
+  });
+
+  // Playhead
+  var headTime = playbackPosition();
+  if (playback.playing || headTime > 0) {
+    var hx = Math.round(timeToX(headTime)) + 0.5;
+    if (hx >= 0 && hx <= w) {
+      ctx.strokeStyle = playback.playing ? "#ffffff" : "rgba(255,255,255,0.5)";
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(hx, 0);
+      ctx.lineTo(hx, h);
+      ctx.stroke();
+    }
+  }
+
+  // Box selection
+  var drag = editor.drag;
+  if (drag && drag.mode === "box") {
+    ctx.strokeStyle = "rgba(255,255,255,0.7)";
+    ctx.setLineDash([3, 2]);
+    ctx.strokeRect(Math.min(drag.x0, drag.x1) + 0.5, Math.min(drag.y0, drag.y1) + 0.5,
+      Math.abs(drag.x1 - drag.x0), Math.abs(drag.y1 - drag.y0));
+    ctx.setLineDash([]);
+  }
+}
+
+function drawWaveform(ctx, view, w, top, height) {
+  var samples = state.monoSamples;
+  var sampleRate = state.audioBuffer.sampleRate;
+  var samplesPerPixel = view.span * sampleRate / w;
+  var peaks = samplesPerPixel >= PEAK_BIN ? waveformPeaks() : null;
+  var mid = top + height / 2;
+
+  ctx.strokeStyle = "rgba(90,159,212,0.5)";
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  for (var x = 0; x < w; x++) {
+    var s0 = Math.floor((view.start + x / w * view.span) * sampleRate);
+    var s1 = Math.max(s0 + 1, Math.floor((view.start + (x + 1) / w * view.span) * sampleRate));
+    var mn = 0, mx = 0, i;
+    if (peaks) {
+      for (i = Math.floor(s0 / PEAK_BIN); i < Math.ceil(s1 / PEAK_BIN) && i < peaks.min.length; i++) {
+        if (peaks.min[i] < mn) mn = peaks.min[i];
+        if (peaks.max[i] > mx) mx = peaks.max[i];
+      }
+    } else {
+      for (i = s0; i < s1 && i < samples.length; i++) {
+        if (samples[i] < mn) mn = samples[i];
+        if (samples[i] > mx) mx = samples[i];
+      }
+    }
+    ctx.moveTo(x + 0.5, mid + mn * height / 2);
+    ctx.lineTo(x + 0.5, mid + mx * height / 2);
+  }
+  ctx.stroke();
+}
+
+// Offscreen spectrogram tiles: columns per tile canvas, and columns in all
+// (longer songs pool several frames into a column) — within every
+// browser's canvas and ImageData limits
+var SPEC_TILE_WIDTH = 2048;
+var SPEC_MAX_COLUMNS = 32768;
+
+/**
+ * Analyzer's log-frequency spectrogram, rendered once per analysis into
+ * offscreen tiles (one pixel per column × bin) and scaled into view.
+ */
+function drawSpectrogram(ctx, view, w, top, height) {
+  var features = analyzer.features;
+  var spec = features && features.logSpectrogram;
+  if (!spec) return;
+
+  if (!editor.specImage || editor.specImage.source !== spec) {
+    editor.specImage = renderSpectrogramTiles(spec);
+  }
+  var image = editor.specImage;
+
+  // Columns are placed at their frames' window centres, like the events
+  var hopSeconds = features.hopSize / features.sampleRate;
+  var columnSeconds = hopSeconds * image.step;
+  var offsetSeconds = features.fftSize / 2 / features.sampleRate - hopSeconds / 2;
+  var c0 = (view.start - offsetSeconds) / columnSeconds;
+  var c1 = c0 + view.span / columnSeconds;
+  ctx.imageSmoothingEnabled = c1 - c0 > w;
+  image.tiles.forEach(function (tile, k) {
+    var s0 = Math.max(c0, k * SPEC_TILE_WIDTH);
+    var s1 = Math.min(c1, k * SPEC_TILE_WIDTH + tile.width);
+    if (s1 <= s0) return;
+    var x0 = (s0 - c0) / (c1 - c0) * w;
+    var x1 = (s1 - c0) / (c1 - c0) * w;
+    ctx.drawImage(tile, s0 - k * SPEC_TILE_WIDTH, 0, s1 - s0, spec.bins, x0, top, x1 - x0, height);
+  });
+  ctx.imageSmoothingEnabled = true;
+
+  ctx.fillStyle = "rgba(255,255,255,0.5)";
+  ctx.font = "8px -apple-system, sans-serif";
+  ctx.fillText(Math.round(spec.maxHz / 1000) + "k", w - 18, top + 9);
+  ctx.fillText(spec.minHz + "Hz", w - 24, top + height - 3);
+}
+
+/**
+ * Offscreen canvases of at most SPEC_TILE_WIDTH columns holding the log
+ * spectrogram, each column the loudest of step frames per bin.
+ * @returns {{ source, step: number, tiles: HTMLCanvasElement[] }}
+ */
+function renderSpectrogramTiles(spec) {
+  var step = Math.max(1, Math.ceil(spec.frames / SPEC_MAX_COLUMNS));
+  var columns = Math.ceil(spec.frames / step);
+  var lut = spectrogramPalette();
+  var tiles = [];
+  for (var start = 0; start < columns; start += SPEC_TILE_WIDTH) {
+    var width = Math.min(SPEC_TILE_WIDTH, columns - start);
+    var img = document.createElement("canvas");
+    img.width = width;
+    img.height = spec.bins;
+    var imgCtx = img.getContext("2d");
+    var pixels = imgCtx.createImageData(width, spec.bins);
+    for (var x = 0; x < width; x++) {
+      var f0 = (start + x) * step, f1 = Math.min(spec.frames, f0 + step);
+      for (var b = 0; b < spec.bins; b++) {
+        var v = 0;
+        for (var f = f0; f < f1; f++) v = Math.max(v, spec.data[f * spec.bins + b]);
+        // Low frequencies at the bottom
+        var o = ((spec.bins - 1 - b) * width + x) * 4;
+        var c = lut[v];
+        pixels.data[o] = c[0];
+        pixels.data[o + 1] = c[1];
+        pixels.data[o + 2] = c[2];
+        pixels.data[o + 3] = 255;
+      }
+    }
+    imgCtx.putImageData(pixels, 0, 0);
+    tiles.push(img);
+  }
+  return { source: spec, step: step, tiles: tiles };
+}
+
+var spectrogramLUT = null;
+
+// Black → purple → orange → pale yellow
+function spectrogramPalette() {
+  if (spectrogramLUT) return spectrogramLUT;
+  var stops = [[0, 0, 0, 4], [0.3, 80, 18, 123], [0.6, 220, 72, 68], [0.85, 252, 170, 60], [1, 252, 253, 191]];
+  spectrogramLUT = [];
+  for (var i = 0; i < 256; i++) {
+    var t = i / 255, k = 1;
+    while (k < stops.length - 1 && t > stops[k][0]) k++;
+    var a = stops[k - 1], b = stops[k];
+    var u = (t - a[0]) / (b[0] - a[0]);
+    spectrogramLUT.push([a[1] + (b[1] - a[1]) * u, a[2] + (b[2] - a[2]) * u, a[3] + (b[3] - a[3]) * u]);
+  }
+  return spectrogramLUT;
+}
+
+var BAND_COLORS = { subBass: "#e05555", bass: "#e0a855", lowMid: "#ccc855", highMid: "#55e0a8", presence: "#55b8e0", brilliance: "#a855e0" };
+
+/**
+ * The analyzer's band energies (custom bands too), each normalized to its own peak and
+ * log-compressed so quiet bands stay readable.
+ */
+function drawBandEnergies(ctx, view, w, top, height) {
+  var features = analyzer.features;
+  if (!features || !features.bandEnergies) return;
+  var hopSeconds = features.hopSize / features.sampleRate;
+  var offsetSeconds = features.fftSize / 2 / features.sampleRate;
+  var legendX = w - 4;
+
+  ctx.font = "8px -apple-system, sans-serif";
+  ctx.lineWidth = 1;
+  Object.keys(features.bandEnergies).forEach(function (band) {
+    var energy = features.bandEnergies[band];
+    var peak = 0;
+    for (var i = 0; i < energy.length; i++) if (energy[i] > peak) peak = energy[i];
+    if (peak <= 0) return;
+
+    var color = BAND_COLORS[band] || "#999";
+    ctx.strokeStyle = color;
+    ctx.globalAlpha = 0.8;
+    ctx.beginPath();
+    for (var x = 0; x < w; x++) {
+      var f0 = Math.round((view.start + x / w * view.span - offsetSeconds) / hopSeconds);
+      var f1 = Math.max(f0 + 1, Math.round((view.start + (x + 1) / w * view.span - offsetSeconds) / hopSeconds));
+      var v = 0;
+      for (var f = Math.max(0, f0); f < f1 && f < energy.length; f++) if (energy[f] > v) v = energy[f];
+      var y = top + height - Math.log10(1 + 9 * v / peak) * (height - 2);
+      if (x === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }
+    ctx.stroke();
+    ctx.globalAlpha = 1;
+
+    legendX -= ctx.measureText(band).width + 6;
+    ctx.fillStyle = color;
+    ctx.fillText(band, legendX, top + 9);
+  });
+}
+
+/**
+ * Onset detection function of the channel being tuned, with the adaptive
+ * threshold peak picking compares it to at the current sensitivity. The
+ * channel is the selected event's, else the first enabled lane.
+ */
+function drawDetectionCurve(ctx, view, w, top, height) {
+  if (!analyzer.features) return;
+  var ch = editor.selection.length ? editor.selection[0].ch : null;
+  if (!ch || state.channels[ch].imported) {
+    ch = vizLanes().filter(function (c) { return !state.channels[c].imported; })[0];
+  }
+  if (!ch) return;
+
+  var sensitivity = state.channels[ch].sensitivity;
+  var cached = editor.curve;
+  if (!cached || cached.features !== analyzer.features || cached.ch !== ch || cached.sensitivity !== sensitivity) {
+    cached = editor.curve = {
+      features: analyzer.features, ch: ch, sensitivity: sensitivity,
+      data: analyzer.detectionCurve(ch, buildAnalysisOptions()),
+    };
+  }
+  var curve = cached.data;
+  if (!curve) return;
+
+  var f0 = Math.max(0, Math.floor((view.start - curve.offsetSeconds) / curve.hopSeconds));
+  var f1 = Math.min(curve.odf.length, Math.ceil((view.start + view.span - curve.offsetSeconds) / curve.hopSeconds) + 1);
+  var peak = 0;
+  for (var f = f0; f < f1; f++) {
+    peak = Math.max(peak, curve.odf[f], isNaN(curve.threshold[f]) ? 0 : curve.threshold[f]);
+  }
+  if (peak <= 0) return;
+  function xAt(frame) { return (curve.offsetSeconds + frame * curve.hopSeconds - view.start) / view.span * w; }
+  function yAt(v) { return top + height - v / peak * (height - 4); }
+
+  // ODF as a filled trace
+  ctx.fillStyle = "rgba(90,159,212,0.35)";
+  ctx.strokeStyle = "rgba(90,159,212,0.9)";
+  ctx.beginPath();
+  ctx.moveTo(xAt(f0), top + height);
+  for (f = f0; f < f1; f++) ctx.lineTo(xAt(f), yAt(curve.odf[f]));
+  ctx.lineTo(xAt(f1 - 1), top + height);
+  ctx.fill();
+  ctx.stroke();
+
+  // Adaptive threshold
+  ctx.strokeStyle = "#e05555";
+  ctx.setLineDash([4, 2]);
+  ctx.beginPath();
+  var drawing = false;
+  for (f = f0; f < f1; f++) {
+    if (isNaN(curve.threshold[f])) { drawing = false; continue; }
+    if (drawing) ctx.lineTo(xAt(f), yAt(curve.threshold[f]));
+    else ctx.moveTo(xAt(f), yAt(curve.threshold[f]));
+    drawing = true;
+  }
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  ctx.font = "8px -apple-system, sans-serif";
+  ctx.fillStyle = "#aaa";
+  var label = ch + " onset function · threshold @ " + Math.round(sensitivity * 100) + "%";
+  ctx.fillText(label, w - ctx.measureText(label).width - 4, top + 9);
+}
+
+function drawRuler(ctx, view, w) {
+  var steps = [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300];
+  var pxPerSec = w / view.span;
+  var step = steps[steps.length - 1];
+  for (var i = 0; i < steps.length; i++) {
+    if (steps[i] * pxPerSec >= 50) { step = steps[i]; break; }
+  }
+
+  ctx.fillStyle = "#1c1c1c";
+  ctx.fillRect(0, 0, w, RULER_HEIGHT);
+  ctx.strokeStyle = "#444";
+  ctx.fillStyle = "#777";
+  ctx.font = "8px -apple-system, sans-serif";
+  ctx.beginPath();
+  for (var t = Math.ceil(view.start / step) * step; t <= view.start + view.span; t += step) {
+    var x = Math.round((t - view.start) * pxPerSec) + 0.5;
+    ctx.moveTo(x, RULER_HEIGHT - 4);
+    ctx.lineTo(x, RULER_HEIGHT);
+    ctx.fillText(step >= 1 ? formatDuration(t) : t.toFixed(2) + "s", x + 2, 8);
+  }
+  ctx.stroke();
+}
+
+// ══════════════════════════════════════════════════════
+//  TIMELINE EDITOR
+// ══════════════════════════════════════════════════════
+
+var vizCanvas = document.getElementById("vizCanvas");
+var auditionSource = null;
+
+function canvasPoint(e) {
+  var rect = vizCanvas.getBoundingClientRect();
+  return { x: e.clientX - rect.left, y: e.clientY - rect.top, w: rect.width };
+}
+
+function xToTime(x, w) {
+  var view = vizView();
+  return view.start + x / w * view.span;
+}
+
+/**
+ * Event under (x, y) within 4px, as { ch, ev }, or null.
+ */
+function hitEvent(x, y, w) {
+  var lane = vizLanes()[Math.floor((y - RULER_HEIGHT) / LANE_HEIGHT)];
+  if (!lane || y < RULER_HEIGHT) return null;
+  var view = vizView();
+  var best = null, bestDist = 4;
+  state.channels[lane].results.forEach(function (ev) {
+    var d = Math.abs((ev.time - view.start) / view.span * w - x);
+    if (d <= bestDist) { best = ev; bestDist = d; }
+  });
+  return best ? { ch: lane, ev: best } : null;
+}
+
+function legendAt(x, y) {
+  for (var i = 0; i < editor.legends.length; i++) {
+    var l = editor.legends[i];
+    if (x <= l.x1 && y >= l.y0 && y < l.y1) return l;
+  }
+  return null;
+}
+
+function isSelected(ev) {
+  return editor.selection.some(function (s) { return s.ev === ev; });
+}
+
+/**
+ * Plays a short snippet of the analyzed audio starting just before time.
+ */
+function auditionAt(time) {
+  var ctx = state.audioContext;
+  if (!state.audioBuffer || !ctx) return;
+  if (ctx.state === "suspended") ctx.resume();
+  if (auditionSource) {
+    try { auditionSource.stop(); } catch (e) {}
+  }
+  auditionSource = ctx.createBufferSource();
+  auditionSource.buffer = state.audioBuffer;
+  auditionSource.connect(ctx.destination);
+  auditionSource.start(0, Math.max(0, time - 0.03), 0.4);
+}
+
+vizCanvas.addEventListener("mousedown", function (e) {
+  if (e.button !== 0) return;
+  vizCanvas.focus();
+  var p = canvasPoint(e);
+  if (p.y < RULER_HEIGHT) {
+    seekPlayback(xToTime(p.x, p.w));
+    return;
+  }
+  var legend = legendAt(p.x, p.y);
+  if (legend) {
+    state.channels[legend.ch].clickMuted = !state.channels[legend.ch].clickMuted;
+    scheduleVizDraw();
+    return;
+  }
+  var hit = hitEvent(p.x, p.y, p.w);
+
+  if (hit) {
+    if (e.shiftKey && isSelected(hit.ev)) {
+      editor.selection = editor.selection.filter(function (s) { return s.ev !== hit.ev; });
+    } else if (e.shiftKey) {
+      editor.selection.push(hit);
+    } else if (!isSelected(hit.ev)) {
+      editor.selection = [hit];
+    }
+    editor.selection.forEach(function (s) { s.orig = s.ev.time; });
+    editor.drag = { mode: "move", x0: p.x, y0: p.y, moved: false };
+    auditionAt(hit.ev.time);
+  } else {
+    if (!e.shiftKey) editor.selection = [];
+    editor.drag = { mode: "box", x0: p.x, y0: p.y, x1: p.x, y1: p.y, moved: false };
+  }
+  scheduleVizDraw();
+});
+
+window.addEventListener("mousemove", function (e) {
+  var drag = editor.drag;
+  if (!drag) return;
+  var p = canvasPoint(e);
+  if (Math.abs(p.x - drag.x0) > 2 || Math.abs(p.y - drag.y0) > 2) drag.moved = true;
+
+  if (drag.mode === "move" && drag.moved) {
+    var dt = xToTime(p.x, p.w) - xToTime(drag.x0, p.w);
+    var duration = vizDuration();
+    editor.selection.forEach(function (s) {
+      s.ev.time = Math.max(0, Math.min(duration, s.orig + dt));
+    });
+  } else if (drag.mode === "box") {
+    drag.x1 = Math.max(0, Math.min(p.w, p.x));
+    drag.y1 = p.y;
+  }
+  scheduleVizDraw();
+});
+
+window.addEventListener("mouseup", function (e) {
+  var drag = editor.drag;
+  if (!drag) return;
+  editor.drag = null;
+  var p = canvasPoint(e);
+
+  if (drag.mode === "move" && drag.moved) {
+    editor.selection.forEach(function (s) { recordEventMove(s.ch, s.ev); });
+    afterEventEdit(editor.selection.map(function (s) { return s.ch; }));
+  } else if (drag.mode === "box" && !drag.moved) {
+    // Plain click on empty space
+    auditionAt(xToTime(drag.x0, p.w));
+  } else if (drag.mode === "box") {
+    selectBox(drag, p.w);
+  }
+  scheduleVizDraw();
+});
+
+vizCanvas.addEventListener("dblclick", function (e) {
+  var p = canvasPoint(e);
+  var lane = vizLanes()[Math.floor((p.y - RULER_HEIGHT) / LANE_HEIGHT)];
+  if (!lane || p.y < RULER_HEIGHT || hitEvent(p.x, p.y, p.w)) return;
+  addEvent(lane, xToTime(p.x, p.w));
+});
+
+vizCanvas.addEventListener("wheel", function (e) {
+  var duration = vizDuration();
+  if (!duration) return;
+  e.preventDefault();
+  var p = canvasPoint(e);
+  var view = vizView();
+
+  if (e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+    var delta = e.shiftKey ? e.deltaY : e.deltaX;
+    editor.viewStart = view.start + delta / p.w * view.span;
+    editor.viewSpan = view.span;
+  } else {
+    // Zoom around the time under the cursor
+    var anchor = xToTime(p.x, p.w);
+    var span = Math.max(0.25, Math.min(duration, view.span * Math.exp(e.deltaY * 0.002)));
+    editor.viewSpan = span;
+    editor.viewStart = anchor - p.x / p.w * span;
+  }
+  editor.viewStart = Math.max(0, Math.min(editor.viewStart, duration - editor.viewSpan));
+  scheduleVizDraw();
+}, { passive: false });
+
+vizCanvas.addEventListener("keydown", function (e) {
+  if (e.code === "Space") {
+    // Transport here; Space elsewhere is tap tempo
+    e.preventDefault();
+    e.stopPropagation();
+    togglePlayback();
+  } else if (e.code === "Delete" || e.code === "Backspace") {
+    e.preventDefault();
+    e.stopPropagation();
+    deleteSelectedEvents();
+  } else if (e.code === "Escape") {
+    editor.selection = [];
+    scheduleVizDraw();
+  } else if (e.code === "Digit0") {
+    editor.viewStart = 0;
+    editor.viewSpan = 0;
+    scheduleVizDraw();
+  }
+});
+
+function selectBox(drag, w) {
+  var lanes = vizLanes();
+  var t0 = xToTime(Math.min(drag.x0, drag.x1), w);
+  var t1 = xToTime(Math.max(drag.x0, drag.x1), w);
+  var l0 = Math.floor((Math.min(drag.y0, drag.y1) - RULER_HEIGHT) / LANE_HEIGHT);
+  var l1 = Math.floor((Math.max(drag.y0, drag.y1) - RULER_HEIGHT) / LANE_HEIGHT);
+
+  for (var l = Math.max(0, l0); l <= l1 && l < lanes.length; l++) {
+    var ch = lanes[l];
+    state.channels[ch].results.forEach(function (ev) {
+      if (ev.time >= t0 && ev.time <= t1 && !isSelected(ev)) editor.selection.push({ ch: ch, ev: ev });
+    });
+  }
+}
+
+// ── Edits ──
+// Analyzer channels keep their edits keyed by detection frame, so a
+// re-detect (sensitivity change) re-applies them to the new pick.
+// Imported events and hand-added ones are edited in place.
+
+function channelEdits(cfg) {
+  if (!cfg.edits) cfg.edits = { removed: {}, moved: {}, added: [] };
+  return cfg.edits;
+}
+
+function resetChannelEdits() {
+  for (var ch in state.channels) state.channels[ch].edits = null;
+  editor.selection = [];
+  editor.viewStart = 0;
+  editor.viewSpan = 0;
+}
+
+/**
+ * Applies a channel's hand edits to freshly picked events.
+ */
+function applyChannelEdits(cfg, events) {
+  var edits = cfg.edits;
+  if (!edits) return events;
+  var moved = [];
+  var out = events.filter(function (ev) { return !edits.removed[ev.frame]; });
+  out.forEach(function (ev) {
+    if (edits.moved[ev.frame] !== undefined) {
+      ev.time = edits.moved[ev.frame];
+      moved.push(ev);
+    }
+  });
+  analyzer.labelBars(moved);
+  out = out.concat(edits.added);
+  out.sort(function (a, b) { return a.time - b.time; });
+  return out;
+}
+
+function recordEventMove(ch, ev) {
+  var cfg = state.channels[ch];
+  if (!cfg.imported && !ev.manual) channelEdits(cfg).moved[ev.frame] = ev.time;
+}
+
+function addEvent(ch, time) {
+  var cfg = state.channels[ch];
+  var ev = { time: time, strength: 1, type: ch, manual: true };
+  if (!cfg.imported) channelEdits(cfg).added.push(ev);
+  cfg.results.push(ev);
+  editor.selection = [{ ch: ch, ev: ev }];
+  afterEventEdit([ch]);
+  auditionAt(time);
+}
+
+function deleteSelectedEvents() {
+  if (editor.selection.length === 0) return;
+  var touched = [];
+  editor.selection.forEach(function (s) {
+    var cfg = state.channels[s.ch];
+    if (!cfg.imported) {
+      var edits = channelEdits(cfg);
+      if (s.ev.manual) edits.added.splice(edits.added.indexOf(s.ev), 1);
+      else edits.removed[s.ev.frame] = true;
+    }
+    cfg.results.splice(cfg.results.indexOf(s.ev), 1);
+    touched.push(s.ch);
+  });
+  var count = editor.selection.length;
+  editor.selection = [];
+  afterEventEdit(touched);
+  setStatus("ready", "Deleted " + count + " event" + (count === 1 ? "" : "s"));
+}
+
+/**
+ * Re-sorts and re-labels edited channels, then refreshes counts and the
+ * canvas. Imported maps with their own bar numbers keep them.
+ */
+function afterEventEdit(channels) {
+  channels.forEach(function (ch) {
+    var cfg = state.channels[ch];
+    cfg.results.sort(function (a, b) { return a.time - b.time; });
+    if (!(cfg.imported && cfg.hasBars)) analyzer.labelBars(cfg.results);
+  });
+  updateEventCounts();
+  scheduleVizDraw();
+}
+
+// ══════════════════════════════════════════════════════
+//  PLAYBACK
+// ══════════════════════════════════════════════════════
+// Plays state.audioBuffer from playback.offset with an optional click per
+// detected event. Clicks are scheduled a little ahead on the audio clock
+// (AudioNode.start(when) is sample-accurate), so they stay locked to the
+// music however late the timer fires. Edits made while playing are heard
+// once the scheduler reaches them.
+
+var SCHEDULE_AHEAD = 0.12;   // seconds of clicks queued per tick
+var SCHEDULE_INTERVAL = 25;  // ms between scheduler ticks
+
+// Click voice per channel: a pitched blip or a filtered noise burst
+var CLICK_VOICES = {
+  kick:     { osc: "sine", freq: 90, sweep: 45, decay: 0.12, gain: 0.5 },
+  snare:    { noise: true, filter: "bandpass", freq: 1800, decay: 0.08, gain: 0.35 },
+  hihat:    { noise: true, filter: "highpass", freq: 7000, decay: 0.03, gain: 0.25 },
+  bass:     { osc: "triangle", freq: 110, decay: 0.1, gain: 0.35 },
+  melody:   { osc: "square", freq: 880, decay: 0.05, gain: 0.08 },
+  vocal:    { osc: "sawtooth", freq: 660, decay: 0.06, gain: 0.08 },
+  imported: { osc: "sine", freq: 1500, decay: 0.04, gain: 0.2 },
+};
+
+var playback = {
+  playing: false,
+  clicks: true,
+  offset: 0,          // audio time playback starts / paused at
+  startedAt: 0,       // audioContext time of offset
+  source: null,
+  musicGain: null,
+  clickBus: null,
+  scheduledUntil: 0,  // audio time clicks are queued up to
+  timer: null,
+  raf: null,
+  noise: null,        // shared white-noise buffer for noise voices
+};
+
+/**
+ * Current playhead in audio time.
+ */
+function playbackPosition() {
+  if (!playback.playing) return playback.offset;
+  return playback.offset + state.audioContext.currentTime - playback.startedAt;
+}
+
+function togglePlayback() {
+  if (playback.playing) pausePlayback();
+  else startPlayback();
+}
+
+function startPlayback() {
+  var ctx = state.audioContext;
+  if (!state.audioBuffer || !ctx) { setStatus("error", "Analyze audio first"); return; }
+  if (ctx.state === "suspended") ctx.resume();
+  stopPlayback(false);
+  if (playback.offset >= state.audioBuffer.duration) playback.offset = 0;
+
+  playback.musicGain = ctx.createGain();
+  playback.musicGain.gain.value = 0.8;
+  playback.musicGain.connect(ctx.destination);
+  playback.clickBus = ctx.createGain();
+  playback.clickBus.gain.value = playback.clicks ? 1 : 0;
+  playback.clickBus.connect(ctx.destination);
+
+  var source = ctx.createBufferSource();
+  source.buffer = state.audioBuffer;
+  source.connect(playback.musicGain);
+  source.onended = function () {
+    if (playback.source !== source) return;
+    stopPlayback(true);
+  };
+  // Small lead so the first clicks can be queued before the music starts
+  playback.startedAt = ctx.currentTime + 0.05;
+  source.start(playback.startedAt, playback.offset);
+  playback.source = source;
+  playback.scheduledUntil = playback.offset;
+  playback.playing = true;
+
+  scheduleClicks();
+  playback.timer = setInterval(scheduleClicks, SCHEDULE_INTERVAL);
+  playback.raf = requestAnimationFrame(followPlayhead);
+  updateTransport();
+}
+
+function pausePlayback() {
+  var position = playbackPosition();
+  stopPlayback(false);
+  playback.offset = Math.min(position, state.audioBuffer ? state.audioBuffer.duration : position);
+  updateTransport();
+  scheduleVizDraw();
+}
+
+/**
+ * Stops the music and any queued clicks; rewind returns the playhead to 0.
+ */
+function stopPlayback(rewind) {
+  if (playback.timer) { clearInterval(playback.timer); playback.timer = null; }
+  if (playback.raf) { cancelAnimationFrame(playback.raf); playback.raf = null; }
+  if (playback.source) {
+    var source = playback.source;
+    playback.source = null;
+    try { source.stop(); } catch (e) {}
+  }
+  // Disconnecting the buses silences clicks already queued ahead
+  if (playback.musicGain) { playback.musicGain.disconnect(); playback.musicGain = null; }
+  if (playback.clickBus) { playback.clickBus.disconnect(); playback.clickBus = null; }
+  playback.playing = false;
+  if (rewind) playback.offset = 0;
+  updateTransport();
+  scheduleVizDraw();
+}
+
+function seekPlayback(time) {
+  var duration = vizDuration();
+  time = Math.max(0, Math.min(time, duration));
+  if (playback.playing) {
+    stopPlayback(false);
+    playback.offset = time;
+    startPlayback();
+  } else {
+    playback.offset = time;
+    scheduleVizDraw();
+  }
+}
+
+function toggleClicks() {
+  playback.clicks = !playback.clicks;
+  if (playback.clickBus) playback.clickBus.gain.value = playback.clicks ? 1 : 0;
+  updateTransport();
+}
+
+function updateTransport() {
+  document.getElementById("playBtn").textContent = playback.playing ? "❚❚" : "▶";
+  document.getElementById("clicksBtn").classList.toggle("active", playback.clicks);
+}
+
+/**
+ * Queues a click for every event of every unmuted lane between the last
+ * scheduled time and SCHEDULE_AHEAD past the playhead.
+ */
+function scheduleClicks() {
+  if (!playback.playing) return;
+  var from = playback.scheduledUntil;
+  var until = Math.max(from, playbackPosition() + SCHEDULE_AHEAD);
+  var ctx = state.audioContext;
+
+  vizLanes().forEach(function (ch) {
+    var cfg = state.channels[ch];
+    if (cfg.clickMuted) return;
+    cfg.results.forEach(function (ev) {
+      if (ev.time < from || ev.time >= until) return;
+      var when = playback.startedAt + ev.time - playback.offset;
+      if (when >= ctx.currentTime) playVoice(CLICK_VOICES[ch] || CLICK_VOICES.imported, when, ev.strength);
+    });
+  });
+  playback.scheduledUntil = until;
+}
+
+/**
+ * One click at audio-clock time when, louder for stronger events.
+ */
+function playVoice(voice, when, strength) {
+  var ctx = state.audioContext;
+  var gain = ctx.createGain();
+  var level = voice.gain * (0.5 + 0.5 * Math.min(1, strength || 0));
+  gain.gain.setValueAtTime(level, when);
+  gain.gain.exponentialRampToValueAtTime(0.001, when + voice.decay);
+  gain.connect(playback.clickBus);
+
+  var node;
+  if (voice.noise) {
+    node = ctx.createBufferSource();
+    node.buffer = noiseBuffer();
+    var filter = ctx.createBiquadFilter();
+    filter.type = voice.filter;
+    filter.frequency.value = voice.freq;
+    node.connect(filter);
+    filter.connect(gain);
+  } else {
+    node = ctx.createOscillator();
+    node.type = voice.osc;
+    node.frequency.setValueAtTime(voice.freq, when);
+    if (voice.sweep) node.frequency.exponentialRampToValueAtTime(voice.sweep, when + voice.decay);
+    node.connect(gain);
+  }
+  node.start(when);
+  node.stop(when + voice.decay + 0.01);
+}
+
+function noiseBuffer() {
+  var ctx = state.audioContext;
+  if (!playback.noise || playback.noise.sampleRate !== ctx.sampleRate) {
+    var length = Math.round(ctx.sampleRate * 0.2);
+    playback.noise = ctx.createBuffer(1, length, ctx.sampleRate);
+    var data = playback.noise.getChannelData(0);
+    for (var i = 0; i < length; i++) data[i] = Math.random() * 2 - 1;
+  }
+  return playback.noise;
+}
+
+/**
+ * Redraws the playhead each frame and pages the view to keep it visible
+ * when zoomed in.
+ */
+function followPlayhead() {
+  if (!playback.playing) return;
+  var t = playbackPosition();
+  var view = vizView();
+  if (editor.viewSpan && !editor.drag && (t < view.start || t > view.start + view.span)) {
+    editor.viewStart = Math.max(0, Math.min(t, vizDuration() - editor.viewSpan));
+  }
+  drawVisualization();
+  playback.raf = requestAnimationFrame(followPlayhead);
+}
+
+// ══════════════════════════════════════════════════════
+//  METRONOME
+// ══════════════════════════════════════════════════════
+
+function toggleMetronome() {
+  state.metronomeActive = !state.metronomeActive;
+  document.getElementById("metronomeToggle").classList.toggle("active", state.metronomeActive);
+  if (state.metronomeActive) startMetronome(); else stopMetronome();
+}
+
+// Look-ahead scheduler: every METRONOME_INTERVAL ms, clicks falling in the
+// next SCHEDULE_AHEAD seconds are queued on the audio clock. While the song
+// is playing the grid is laid over it in audio time (offset and tracked
+// beats included); otherwise it free-runs from the moment it was started.
+
+var METRONOME_INTERVAL = 25;
+
+var metronome = {
+  timer: null,
+  ctx: null,         // audio context the bus belongs to
+  bus: null,
+  fps: 24,           // sequence frame rate for the frame offset
+  anchor: null,      // clock the queued clicks were scheduled against
+  freeStart: 0,      // audioContext time of free-run grid time 0
+  gridKey: "",
+  positions: [],
+  builtUntil: 0,
+  scheduledUntil: 0,
+  pending: [],       // [{ when, beat }] for the beat dots
+};
+
+function startMetronome() {
+  stopMetronome();
+  if (!state.bpm && !trackedBeats()) { setStatus("error", "Set BPM first"); state.metronomeActive = false; return; }
+  if (!state.audioContext) state.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  if (state.audioContext.state === "suspended") state.audioContext.resume();
+  updateBeatDots();
+
+  function begin() {
+    if (!state.metronomeActive) return;
+    metronome.anchor = null;
+    metronome.gridKey = "";
+    metronomeTick();
+    metronome.timer = setInterval(metronomeTick, METRONOME_INTERVAL);
+  }
+  if (!csInterface) { begin(); return; }
+  // Frame offset needs the sequence frame rate
+  evalScript("getInOutRange()").then(function (result) {
+    try {
+      var rangeInfo = JSON.parse(result);
+      if (!rangeInfo.error) metronome.fps = Timing.fromRangeInfo(rangeInfo).fps;
+    } catch (e) {}
+    begin();
+  }, function () {
+    // Keeps the last known frame rate
+    begin();
+  });
+}
+
+function stopMetronome() {
+  if (metronome.timer) { clearInterval(metronome.timer); metronome.timer = null; }
+  silenceMetronome();
+  document.querySelectorAll("#beatIndicator .beat-dot").forEach(function (d) { d.classList.remove("active"); });
+}
+
+// Dropping the bus cuts off clicks already queued ahead
+function silenceMetronome() {
+  if (metronome.bus) { metronome.bus.disconnect(); metronome.bus = null; }
+  metronome.pending = [];
+}
+
+/**
+ * Where the metronome is on the audio clock: grid time now, and how to
+ * turn a grid time into audioContext time. Follows the song while it is
+ * playing, otherwise free-runs.
+ */
+function metronomeClock() {
+  var ctx = state.audioContext;
+  if (playback.playing) {
+    return {
+      id: "song:" + playback.startedAt,
+      song: true,
+      now: playbackPosition(),
+      toContext: function (t) { return playback.startedAt + t - playback.offset; },
+    };
+  }
+  if (!metronome.anchor || metronome.anchor.song) metronome.freeStart = ctx.currentTime + 0.05;
+  return {
+    id: "free:" + metronome.freeStart,
+    song: false,
+    now: ctx.currentTime - metronome.freeStart,
+    toContext: function (t) { return metronome.freeStart + t; },
+  };
+}
+
+/**
+ * The current grid, as BeatGrid.build positions in grid time up to endSec.
+ * Against the song (audio time) it starts at the frame offset and follows
+ * tracked beats when "Follow detected beats" is on; free-running it is a
+ * plain BPM grid. Also drawn by the canvas grid preview.
+ */
+function previewGrid(song, endSec) {
+  var beats = song && state.followBeats && state.analysisResults ? state.analysisResults.beats : null;
+  var grid = gridTiming(beats, song ? state.offsetFrames / metronome.fps : 0);
+  return grid ? BeatGrid.build(gridBuildOptions(grid.timing, endSec, 100000)) : [];
+}
+
+function metronomeTick() {
+  var ctx = state.audioContext;
+  if (!ctx) return;
+  var clock = metronomeClock();
+
+  // Song started, stopped or seeked, or a new file replaced the context:
+  // drop what was queued against the old clock and start from now
+  if (!metronome.anchor || metronome.anchor.id !== clock.id || metronome.ctx !== ctx) {
+    silenceMetronome();
+    metronome.ctx = ctx;
+    metronome.bus = ctx.createGain();
+    metronome.bus.connect(ctx.destination);
+    metronome.anchor = clock;
+    metronome.scheduledUntil = clock.now;
+    metronome.gridKey = "";
+  }
+
+  var until = clock.now + SCHEDULE_AHEAD;
+  // Rebuild when a grid setting changed or the free-run grid runs out
+  var key = [clock.song, gridSettingsKey(), metronome.fps].join("|");
+  if (key !== metronome.gridKey || until > metronome.builtUntil) {
+    metronome.builtUntil = clock.song ? state.audioBuffer.duration : until + 30;
+    metronome.positions = previewGrid(clock.song, metronome.builtUntil);
+    metronome.gridKey = key;
+  }
+
+  var positions = metronome.positions;
+  var lo = 0, hi = positions.length;
+  while (lo < hi) {
+    var mid = (lo + hi) >> 1;
+    if (positions[mid].time < metronome.scheduledUntil) lo = mid + 1; else hi = mid;
+  }
+  for (var i = lo; i < positions.length && positions[i].time < until; i++) {
+    var p = positions[i];
+    var when = clock.toContext(p.time);
+    if (when < ctx.currentTime) continue;
+    playClick(p.isDown ? "down" : p.isBeat ? "beat" : "sub", when, metronome.bus);
+    if (p.isBeat) metronome.pending.push({ when: when, beat: p.beat });
+  }
+  metronome.scheduledUntil = until;
+
+  // Light the dot of the latest beat that has sounded
+  var current = null;
+  while (metronome.pending.length && metronome.pending[0].when <= ctx.currentTime) current = metronome.pending.shift();
+  if (current) {
+    var dots = document.querySelectorAll("#beatIndicator .beat-dot");
+    dots.forEach(function (d, idx) { d.classList.toggle("active", idx === current.beat - 1); });
+  }
+}
+
+// One dot per beat group of the bar
+function updateBeatDots() {
+  var container = document.getElementById("beatIndicator");
+  container.innerHTML = "";
+  var groups = BeatGrid.meterLayout(currentMeter()).groups;
+  for (var i = 0; i < groups.length; i++) {
+    var dot = document.createElement("div");
+    dot.className = "beat-dot" + (i === 0 ? " downbeat" : "");
+    container.appendChild(dot);
+  }
+}
+
+/**
+ * Metronome click at audio-clock time when (default: now) into
+ * destination (default: speakers). kind is "down", "beat" or "sub".
+ */
+function playClick(kind, when, destination) {
+  try {
+    if (!state.audioContext) state.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    var ctx = state.audioContext;
+    if (when === undefined) when = ctx.currentTime;
+    var osc = ctx.createOscillator();
+    var gain = ctx.createGain();
+    osc.connect(gain); gain.connect(destination || ctx.destination);
+    osc.frequency.value = kind === "down" ? 1200 : kind === "beat" ? 800 : 600;
+    osc.type = "sine";
+    gain.gain.setValueAtTime(kind === "sub" ? 0.06 : 0.12, when);
+    gain.gain.exponentialRampToValueAtTime(0.001, when + 0.05);
+    osc.start(when); osc.stop(when + 0.05);
+  } catch (e) {}
+}
+
+// ══════════════════════════════════════════════════════
+//  GRID CONTROLS
+// ══════════════════════════════════════════════════════
+
+function setSubdivision(btn, value) {
+  document.querySelectorAll(".sub-btn").forEach(function (b) { b.classList.remove("active"); });
+  btn.classList.add("active");
+  state.subdivision = value;
+  afterGridChange();
+}
+
+function setRange(btn, value) {
+  document.querySelectorAll(".range-btn[data-range]").forEach(function (b) { b.classList.remove("active"); });
+  btn.classList.add("active");
+  state.range = value;
+}
+
+/**
+ * Timing source for a grid starting at startSec: the tempo map when it
+ * has changes, else the tracked beats (null when not following), else the
+ * BPM. Returns { timing, label, varying, source }, or null without a BPM.
+ */
+function gridTiming(beats, startSec) {
+  var changes = tempoMapChanges();
+  if (changes) {
+    return { timing: BeatGrid.tempoMapTiming(changes, startSec), label: "tempo map", varying: true, source: "tempo map" };
+  }
+  var tracked = beats ? BeatGrid.trackedTiming(beats, startSec) : null;
+  if (tracked) return { timing: tracked, label: "tracked tempo", varying: true, source: "tracked" };
+  if (!state.bpm) return null;
+  return { timing: BeatGrid.constantTiming(state.bpm, startSec), label: state.bpm + " BPM", varying: false };
+}
+
+/**
+ * BeatGrid.build options for the Grid tab settings.
+ */
+function gridBuildOptions(timing, endSec, maxCount) {
+  return {
+    timing: timing,
+    endSec: endSec,
+    meter: currentMeter(),
+    subdivision: state.subdivision,
+    triplet: state.triplet,
+    swing: state.swing,
+    groove: activeGroove(),
+    maxCount: maxCount,
+  };
+}
+
+/**
+ * Everything the grid depends on, for callers that cache built positions.
+ */
+function gridSettingsKey() {
+  var groove = activeGroove();
+  return [state.bpm, BeatGrid.meterLayout(currentMeter()).key, state.subdivision, state.triplet, state.swing,
+    groove ? groove.stepsPerBeat + ":" + groove.offsets.join(",") : "", JSON.stringify(state.tempoMap),
+    state.offsetFrames, state.followBeats, state.analysisResults ? 1 : 0].join("|");
+}
+
+/**
+ * Beats from the last analysis, in destination time, when "Follow detected
+ * beats" is on; otherwise null so grid mode falls back to the fixed BPM.
+ */
+function trackedBeats() {
+  var beats = state.analysisResults && state.analysisResults.beats;
+  if (!state.followBeats || !beats) return null;
+
+  var mapped = [];
+  for (var i = 0; i < beats.length; i++) {
+    var t = destinationTime(beats[i].time);
+    if (t !== null) mapped.push({ time: t, bar: beats[i].bar, beat: beats[i].beat });
+  }
+  return mapped.length >= 2 ? mapped : null;
+}
+
+document.getElementById("timeSigTop").addEventListener("change", function (e) {
+  state.meterFromUser = true;
+  setTimeSigTop(parseInt(e.target.value));
+});
+
+function setTimeSigTop(val) {
+  state.timeSigTop = val;
+  // A grouping for another numerator no longer fits
+  if (state.beatGrouping && state.beatGrouping.reduce(function (a, b) { return a + b; }, 0) !== val) {
+    state.beatGrouping = null;
+  }
+  var select = document.getElementById("timeSigTop");
+  // Imported tempo maps can bring meters the list doesn't offer
+  if (!select.querySelector('option[value="' + val + '"]')) {
+    var opt = document.createElement("option");
+    opt.value = val;
+    opt.textContent = val;
+    select.appendChild(opt);
+  }
+  select.value = val;
+  updateMeterHint();
+  updateBeatDots();
+  if (state.metronomeActive) startMetronome();
+  afterGridChange();
+}
+
+document.getElementById("timeSigBottom").addEventListener("change", function (e) {
+  state.meterFromUser = true;
+  setTimeSignature(state.timeSigTop, parseInt(e.target.value));
+});
+
+document.getElementById("beatGrouping").addEventListener("change", function (e) {
+  var text = e.target.value.trim();
+  if (!text) { setBeatGrouping(null); return; }
+  var grouping = parseGrouping(text);
+  if (!grouping || grouping.reduce(function (a, b) { return a + b; }, 0) !== state.timeSigTop) {
+    setStatus("error", "Grouping must add up to " + state.timeSigTop + ", e.g. 2+2+3");
+    e.target.value = state.beatGrouping ? state.beatGrouping.join("+") : "";
+    return;
+  }
+  state.meterFromUser = true;
+  setBeatGrouping(grouping);
+});
+
+/**
+ * The Grid tab meter, as BeatGrid.meterLayout takes it.
+ */
+function currentMeter() {
+  return { beatsPerBar: state.timeSigTop, beatUnit: state.timeSigBottom, grouping: state.beatGrouping };
+}
+
+function parseGrouping(text) {
+  if (!/^\s*\d+(\s*\+\s*\d+)*\s*$/.test(text)) return null;
+  var groups = text.split("+").map(function (g) { return parseInt(g); });
+  return groups.every(function (g) { return g > 0; }) ? groups : null;
+}
+
+function setTimeSignature(top, bottom) {
+  state.timeSigBottom = bottom;
+  document.getElementById("timeSigBottom").value = bottom;
+  setTimeSigTop(top);
+}
+
+/**
+ * Takes the analyzed meter for the Grid tab unless the user picked one;
+ * then it is only suggested. The detector counts tracked beats and
+ * tells 4 from 3, so it can't see 7/8 or 6/8 and never overrides them.
+ * Returns a note for the status line.
+ */
+function applyDetectedMeter(beatsPerBar) {
+  if (!state.meterFromUser) {
+    // Tracked beats are counted, so it is a simple meter
+    setTimeSignature(beatsPerBar, 4);
+    return "";
+  }
+  if (beatsPerBar === state.timeSigTop) return "";
+  return " · sounds like " + beatsPerBar + "/4, kept " + formatMapMeter(currentMeter());
+}
+
+function setBeatGrouping(grouping) {
+  state.beatGrouping = grouping;
+  updateMeterHint();
+  updateBeatDots();
+  if (state.metronomeActive) startMetronome();
+  afterGridChange();
+}
+
+/**
+ * Shows the grouping in effect, and what the BPM counts in this meter.
+ */
+function updateMeterHint() {
+  var layout = BeatGrid.meterLayout(currentMeter());
+  var input = document.getElementById("beatGrouping");
+  input.value = state.beatGrouping ? state.beatGrouping.join("+") : "";
+  input.placeholder = layout.groups.join("+");
+  var unit = { 1: "whole", 2: "half", 4: "quarter", 8: "eighth", 16: "16th" }[layout.beatUnit] || "1/" + layout.beatUnit;
+  document.getElementById("meterHint").textContent = "BPM counts " +
+    (layout.unitsPerBeat === 3 ? "dotted " + ({ 8: "quarter", 16: "eighth", 4: "half" }[layout.beatUnit] || unit) + "s"
+      : layout.unitsPerBeat === 1 ? unit + " notes" : layout.unitsPerBeat + " × " + unit + " notes");
+}
+
+document.getElementById("offsetFrames").addEventListener("change", function (e) {
+  state.offsetFrames = parseInt(e.target.value) || 0;
+  afterGridChange();
+});
+
+document.getElementById("namePattern").addEventListener("input", function (e) {
+  state.namePattern = e.target.value || e.target.placeholder;
+});
+
+// ══════════════════════════════════════════════════════
+//  PLACE DETECTED MARKERS (via ExtendScript)
+// ══════════════════════════════════════════════════════
+
+/**
+ * Events from every enabled channel, in the destination's time base,
+ * sorted by time. Events that fall outside a sequence clip's trim are
+ * dropped.
+ */
+function collectDetectedEvents() {
+  var allEvents = [];
+  for (var ch in state.channels) {
+    var cfg = state.channels[ch];
+    if (!cfg.enabled || !cfg.results) continue;
+    for (var i = 0; i < cfg.results.length; i++) {
+      var ev = cfg.results[i];
+      var destTime = destinationTime(ev.time);
+      if (destTime === null) continue;
+      allEvents.push({
+        time: destTime,
+        type: ch,
+        strength: ev.strength || 0,
+        color: cfg.color,
+        bar: ev.bar,
+        beat: ev.beat,
+        label: ev.label,
+      });
+    }
+  }
+  allEvents.sort(function (a, b) { return a.time - b.time; });
+  return allEvents;
+}
+
+/**
+ * Marker name / comment for a detected event, from the name pattern.
+ * idx is the event's position in the placed (or exported) list.
+ */
+function detectedMarker(ev, idx) {
+  var described = BeatExporters.describeEvent(state.namePattern, ev, idx);
+  return {
+    time: ev.time,
+    name: described.name,
+    comments: described.comments,
+    color: ev.color,
+  };
+}
+
+function placeDetectedMarkers() {
+  var allEvents = collectDetectedEvents();
+
+  if (allEvents.length === 0) {
+    setStatus("error", "No detected events — analyze audio first");
+    return;
+  }
+
+  if (!csInterface) {
+    setStatus("working", "Simulating...");
+    setTimeout(function () {
+      setStatus("ready", "Would place " + allEvents.length + " detected markers");
+    }, 600);
+    return;
+  }
+
+  var btn = document.getElementById("placeDetectedBtn");
+  btn.disabled = true;
+  setStatus("working", "Getting sequence info...");
+
+  evalScript("getInOutRange()").then(function (result) {
+    var rangeInfo = JSON.parse(result);
+    if (rangeInfo.error) {
+      setStatus("error", rangeInfo.error);
+      btn.disabled = false;
+      return;
+    }
+
+    var range = placementRange(rangeInfo);
+    var startSec = range.startSec, endSec = range.endSec;
+
+    // Filter events to range
+    var filtered = allEvents.filter(function (ev) {
+      return ev.time >= startSec && ev.time <= endSec;
+    });
+
+    if (filtered.length === 0) {
+      setStatus("error", "No events in selected range");
+      btn.disabled = false;
       return;
     }
 
     // Build marker batch
-    var batch = filtered.map(function (ev, idx) {
-      var typeName = ev.type.charAt(0).toUpperCase() + ev.type.slice(1);
+    var batch = filtered.map(detectedMarker);
+
+    placeBatch(batch, rangeInfo, "Detected", "detected markers", btn);
+  }, function (err) {
+    setStatus("error", err.message);
+    btn.disabled = false;
+  });
+}
+
+// ══════════════════════════════════════════════════════
+//  EXPORT BEAT MAP
+// ══════════════════════════════════════════════════════
+
+/**
+ * Writes the detected events (same channels, names and times as Place
+ * Detected Markers, but ignoring the Timeline Range) in the format
+ * chosen in #exportFormat. Timecode formats use the active sequence's
+ * frame rate and drop-frame setting when connected.
+ */
+function exportDetected() {
+  var allEvents = collectDetectedEvents();
+  if (allEvents.length === 0) {
+    setStatus("error", "No detected events — analyze audio first");
+    return;
+  }
+
+  var formatId = document.getElementById("exportFormat").value;
+  var format = BeatExporters.FORMATS[formatId];
+  var events = allEvents.map(function (ev, idx) {
+    var marker = detectedMarker(ev, idx);
+    marker.type = ev.type;
+    marker.strength = ev.strength;
+    marker.bar = ev.bar;
+    marker.beat = ev.beat;
+    return marker;
+  });
+
+  var baseName = (state.audioFileName || "beat-map").replace(/\.[^.]+$/, "");
+  evalScript("getInOutRange()").then(function (result) {
+    var fps = 24, dropFrame = false;
+    try {
+      var rangeInfo = JSON.parse(result);
+      if (rangeInfo.fps > 0) fps = rangeInfo.fps;
+      dropFrame = !!rangeInfo.dropFrame;
+    } catch (e) {}
+
+    var content = format.fn(events, {
+      title: baseName,
+      fps: fps,
+      dropFrame: dropFrame,
+      bpm: state.bpm,
+      beatsPerBar: state.timeSigTop,
+      duration: state.audioBuffer ? state.audioBuffer.duration : 0,
+    });
+    saveExportFile(baseName + "." + format.ext, content, format.ext, !!format.binary);
+  }, function (err) {
+    setStatus("error", "Export failed: " + err.message);
+  });
+}
+
+/**
+ * Save dialog + write inside CEP; browser download in preview mode.
+ * Binary content (Uint8Array) is written through base64.
+ */
+function saveExportFile(fileName, content, ext, isBinary) {
+  var doneMessage = "✓ Exported " + fileName;
+
+  if (window.cep && window.cep.fs) {
+    var dialog = window.cep.fs.showSaveDialogEx("Export Beat Map", "", [ext], fileName);
+    if (dialog.err || !dialog.data) return; // cancelled
+
+    var data = content, encoding = window.cep.encoding.UTF8;
+    if (isBinary) {
+      var binary = "";
+      for (var i = 0; i < content.length; i++) binary += String.fromCharCode(content[i]);
+      data = btoa(binary);
+      encoding = window.cep.encoding.Base64;
+    }
+    var write = window.cep.fs.writeFile(dialog.data, data, encoding);
+    if (write.err) setStatus("error", "Could not write " + dialog.data);
+    else setStatus("ready", doneMessage);
+    return;
+  }
+
+  var blob = new Blob([content], { type: isBinary ? "audio/midi" : "text/plain" });
+  var link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(function () { URL.revokeObjectURL(link.href); }, 1000);
+  setStatus("ready", doneMessage);
+}
+
+// ══════════════════════════════════════════════════════
+//  SWING + GROOVE
+// ══════════════════════════════════════════════════════
+// Offsets are shown and typed as % of one groove slot (a 16th by default),
+// stored in beats as BeatGrid expects.
+
+var BUILTIN_GROOVES = [54, 58, 62, 66].map(function (swing) {
+  var groove = BeatGrid.swingTemplate(swing, 0.25);
+  groove.name = "16th swing " + swing + "%";
+  return groove;
+});
+
+function setSwing(value) {
+  state.swing = parseInt(value) || 50;
+  document.getElementById("swingAmount").value = state.swing;
+  document.getElementById("swingValue").textContent = state.swing + "%";
+  afterGridChange();
+}
+
+function activeGroove() {
+  return state.grooveIndex >= 0 ? state.grooves[state.grooveIndex] || null : null;
+}
+
+function renderGrooveList() {
+  var select = document.getElementById("grooveSelect");
+  select.innerHTML = "";
+  var none = document.createElement("option");
+  none.value = "-1";
+  none.textContent = "None";
+  select.appendChild(none);
+  state.grooves.forEach(function (groove, idx) {
+    var opt = document.createElement("option");
+    opt.value = idx;
+    opt.textContent = groove.name;
+    select.appendChild(opt);
+  });
+  select.value = String(state.grooveIndex);
+
+  var groove = activeGroove();
+  document.getElementById("grooveOffsets").value = groove ? formatGrooveOffsets(groove) : "";
+  if (groove) document.getElementById("grooveResolution").value = String(groove.stepsPerBeat);
+}
+
+function selectGroove(value) {
+  state.grooveIndex = parseInt(value);
+  renderGrooveList();
+  afterGridChange();
+}
+
+function formatGrooveOffsets(groove) {
+  return groove.offsets.map(function (o) {
+    return Math.round(o * groove.stepsPerBeat * 1000) / 10;
+  }).join(", ");
+}
+
+/**
+ * Typed offsets become the "Custom" template, created on first edit.
+ */
+function editGrooveOffsets() {
+  var text = document.getElementById("grooveOffsets").value.trim();
+  var stepsPerBeat = parseFloat(document.getElementById("grooveResolution").value) || 4;
+  if (!text) { selectGroove(-1); return; }
+
+  var offsets = [];
+  var parts = text.split(/[\s,;]+/);
+  for (var i = 0; i < parts.length; i++) {
+    var pct = parseFloat(parts[i]);
+    if (isNaN(pct) || Math.abs(pct) > 50) {
+      setStatus("error", "Groove offsets are % of a slot, between −50 and 50");
+      return;
+    }
+    offsets.push(pct / 100 / stepsPerBeat);
+  }
+  setGroove({ name: "Custom", stepsPerBeat: stepsPerBeat, offsets: offsets });
+}
+
+/**
+ * Adds a template (replacing one with the same name) and selects it.
+ */
+function setGroove(groove) {
+  var idx = -1;
+  state.grooves.forEach(function (g, i) { if (g.name === groove.name) idx = i; });
+  if (idx >= 0) state.grooves[idx] = groove;
+  else idx = state.grooves.push(groove) - 1;
+  state.grooveIndex = idx;
+  renderGrooveList();
+  afterGridChange();
+}
+
+/**
+ * Averages where a detected channel's hits fall around each slot of a
+ * beat, against the tracked beats (or the BPM), into a template.
+ */
+function extractGrooveFromChannel() {
+  var ch = document.getElementById("grooveSource").value;
+  var cfg = state.channels[ch];
+  var results = state.analysisResults;
+  if (!results || !cfg || cfg.results.length === 0) {
+    setStatus("error", "Analyze audio with " + ch + " enabled first");
+    return;
+  }
+  var timing = results.beats ? BeatGrid.trackedTiming(results.beats, 0) : null;
+  if (!timing) {
+    var bpm = state.bpm || results.bpm;
+    if (!bpm) { setStatus("error", "Set BPM first"); return; }
+    timing = BeatGrid.constantTiming(bpm, 0);
+  }
+
+  var stepsPerBeat = parseFloat(document.getElementById("grooveResolution").value) || 4;
+  var times = cfg.results.map(function (ev) { return ev.time; });
+  var groove = BeatGrid.extractGroove(times, timing, stepsPerBeat, 1);
+  var used = groove.hits.reduce(function (a, b) { return a + b; }, 0);
+  if (used === 0) {
+    setStatus("error", "No " + ch + " hits near the grid to extract from");
+    return;
+  }
+  groove.name = "From " + ch;
+  delete groove.hits;
+  setGroove(groove);
+  setStatus("ready", "Groove from " + used + " " + ch + " hits: " + formatGrooveOffsets(groove) + " (% of a slot)");
+}
+
+document.getElementById("grooveMidiInput").addEventListener("change", function (e) {
+  var file = e.target.files[0];
+  e.target.value = "";
+  if (file) importGroove(file);
+});
+
+/**
+ * Extracts a groove from the notes of a MIDI pattern (an MPC or other
+ * drum machine export), at the chosen resolution, against the file's
+ * own beat grid.
+ */
+function importGroove(file) {
+  var reader = new FileReader();
+  reader.onload = function () {
+    var beats;
+    try {
+      beats = BeatImporters.midiNoteBeats(reader.result);
+    } catch (err) {
+      setStatus("error", "Groove import failed: " + err.message);
+      return;
+    }
+    var stepsPerBeat = parseFloat(document.getElementById("grooveResolution").value) || 4;
+    // At 60 BPM a second is a beat, so positions go in as they are
+    var groove = BeatGrid.extractGroove(beats, BeatGrid.constantTiming(60, 0), stepsPerBeat, 1);
+    var used = groove.hits.reduce(function (a, b) { return a + b; }, 0);
+    if (used === 0) {
+      setStatus("error", "No notes near the grid in " + file.name);
+      return;
+    }
+    groove.name = file.name.replace(/\.midi?$/i, "");
+    delete groove.hits;
+    setGroove(groove);
+    setStatus("ready", "Groove from " + used + " notes in " + file.name + ": " + formatGrooveOffsets(groove) + " (% of a slot)");
+  };
+  reader.onerror = function () { setStatus("error", "Could not read " + file.name); };
+  reader.readAsArrayBuffer(file);
+}
+
+function toggleGridPreview(on) {
+  state.gridPreview = on;
+  drawVisualization();
+}
+
+/**
+ * Grid settings changed: the metronome picks it up on its next tick;
+ * the canvas preview needs a redraw.
+ */
+function afterGridChange() {
+  if (state.gridPreview) scheduleVizDraw();
+}
+
+/**
+ * Grid lines over the visualization in audio time, as the metronome
+ * plays them against the song: downbeats brightest, subdivisions faint.
+ */
+function drawGridPreview(ctx, view, w, top, height) {
+  var key = gridSettingsKey() + "|" + metronome.fps + "|" + vizDuration();
+  if (!editor.grid || editor.grid.key !== key) {
+    editor.grid = { key: key, positions: previewGrid(true, vizDuration()) };
+  }
+  ctx.lineWidth = 1;
+  editor.grid.positions.forEach(function (p) {
+    if (p.time < view.start || p.time > view.start + view.span) return;
+    var x = Math.round((p.time - view.start) / view.span * w) + 0.5;
+    ctx.strokeStyle = p.isDown ? "rgba(255,214,90,0.6)" : p.isBeat ? "rgba(255,214,90,0.3)" : "rgba(255,214,90,0.12)";
+    ctx.beginPath();
+    ctx.moveTo(x, top);
+    ctx.lineTo(x, top + height);
+    ctx.stroke();
+  });
+}
+
+// ══════════════════════════════════════════════════════
+//  TEMPO MAP
+// ══════════════════════════════════════════════════════
+// Bar 1 takes the BPM field and Time Sig; the list holds the changes
+// after it. Positions are typed "bar" or "bar.beat" (beat may be
+// fractional, e.g. "12.2.5").
+
+/**
+ * Full change list for BeatGrid.tempoMapTiming, or null when the map is
+ * empty and the grid runs at one tempo.
+ */
+function tempoMapChanges() {
+  if (state.tempoMap.length === 0) return null;
+  var base = { bar: 1, beat: 1, bpm: state.bpm || 120, beatsPerBar: state.timeSigTop,
+    beatUnit: state.timeSigBottom, grouping: state.beatGrouping };
+  return [base].concat(state.tempoMap.filter(function (c) { return c.bar > 1 || c.beat > 1; }));
+}
+
+function formatMapPosition(change) {
+  return change.bar + (change.beat !== 1 ? "." + Math.round(change.beat * 1000) / 1000 : "");
+}
+
+function parseMapPosition(text) {
+  var m = /^\s*(\d+)(?:\.(\d+(?:\.\d+)?))?\s*$/.exec(text);
+  if (!m) return null;
+  var bar = parseInt(m[1]), beat = m[2] ? parseFloat(m[2]) : 1;
+  return bar >= 1 && beat >= 1 ? { bar: bar, beat: beat } : null;
+}
+
+function formatMapMeter(change) {
+  if (!change.beatsPerBar) return "";
+  return change.beatsPerBar + (change.beatUnit ? "/" + change.beatUnit : "") +
+    (change.grouping ? " " + change.grouping.join("+") : "");
+}
+
+/**
+ * "7", "7/8" or "7/8 2+2+3" → { beatsPerBar, beatUnit, grouping }; null
+ * when blank or malformed. A grouping must add up to the numerator.
+ */
+function parseMapMeter(text) {
+  var m = /^\s*(\d+)(?:\s*\/\s*(\d+))?(?:\s+(\d+(?:\s*\+\s*\d+)*))?\s*$/.exec(text);
+  if (!m) return null;
+  var meter = { beatsPerBar: parseInt(m[1]) };
+  if (meter.beatsPerBar < 1 || meter.beatsPerBar > 32) return null;
+  if (m[2]) meter.beatUnit = parseInt(m[2]);
+  if (m[3]) {
+    meter.grouping = parseGrouping(m[3]);
+    if (!meter.grouping || meter.grouping.reduce(function (a, b) { return a + b; }, 0) !== meter.beatsPerBar) return null;
+  }
+  return meter;
+}
+
+function renderTempoMap() {
+  var list = document.getElementById("tempoMapList");
+  list.innerHTML = "";
+  state.tempoMap.forEach(function (change, idx) {
+    var row = document.createElement("div");
+    row.className = "tempo-row";
+
+    var pos = document.createElement("input");
+    pos.type = "text";
+    pos.value = formatMapPosition(change);
+    pos.title = "Bar, or bar.beat";
+    pos.addEventListener("change", function () {
+      var parsed = parseMapPosition(pos.value);
+      if (!parsed) { setStatus("error", "Position is a bar or bar.beat, e.g. 17 or 17.3"); pos.value = formatMapPosition(change); return; }
+      change.bar = parsed.bar;
+      change.beat = parsed.beat;
+      sortTempoMap();
+    });
+
+    var bpm = document.createElement("input");
+    bpm.type = "number";
+    bpm.min = 20; bpm.max = 300; bpm.step = "0.1";
+    bpm.value = change.bpm;
+    bpm.title = "BPM";
+    bpm.addEventListener("change", function () {
+      var val = parseFloat(bpm.value);
+      if (val >= 20 && val <= 300) change.bpm = val;
+      else bpm.value = change.bpm;
+      afterTempoMapChange();
+    });
+
+    var meter = document.createElement("input");
+    meter.type = "text";
+    meter.placeholder = "—";
+    meter.value = formatMapMeter(change);
+    meter.title = "Meter from here, e.g. 3/4, 6/8 or 7/8 2+2+3 (blank: unchanged). Only on a bar's first beat";
+    meter.addEventListener("change", function () {
+      var parsed = parseMapMeter(meter.value);
+      delete change.beatsPerBar;
+      delete change.beatUnit;
+      delete change.grouping;
+      if (parsed) {
+        change.beatsPerBar = parsed.beatsPerBar;
+        if (parsed.beatUnit) change.beatUnit = parsed.beatUnit;
+        if (parsed.grouping) change.grouping = parsed.grouping;
+      } else if (meter.value.trim()) {
+        setStatus("error", "Meter is beats/unit with an optional grouping, e.g. 7/8 2+2+3");
+      }
+      meter.value = formatMapMeter(change);
+      afterTempoMapChange();
+    });
+
+    var ramp = document.createElement("label");
+    ramp.className = "tempo-ramp";
+    ramp.title = "Glide from the previous tempo instead of jumping";
+    var rampBox = document.createElement("input");
+    rampBox.type = "checkbox";
+    rampBox.checked = !!change.ramp;
+    rampBox.addEventListener("change", function () {
+      change.ramp = rampBox.checked;
+      afterTempoMapChange();
+    });
+    ramp.appendChild(rampBox);
+    ramp.appendChild(document.createTextNode("ramp"));
+
+    var remove = document.createElement("button");
+    remove.className = "tempo-remove";
+    remove.textContent = "×";
+    remove.title = "Remove this change";
+    remove.addEventListener("click", function () {
+      state.tempoMap.splice(idx, 1);
+      renderTempoMap();
+      afterTempoMapChange();
+    });
+
+    [pos, bpm, meter, ramp, remove].forEach(function (el) { row.appendChild(el); });
+    list.appendChild(row);
+  });
+  document.getElementById("tempoMapEmpty").style.display = state.tempoMap.length ? "none" : "";
+}
+
+function sortTempoMap() {
+  state.tempoMap.sort(function (a, b) { return a.bar - b.bar || a.beat - b.beat; });
+  renderTempoMap();
+  afterTempoMapChange();
+}
+
+function addTempoChange() {
+  var last = state.tempoMap[state.tempoMap.length - 1];
+  state.tempoMap.push({
+    bar: last ? last.bar + 8 : 9,
+    beat: 1,
+    bpm: last ? last.bpm : state.bpm || 120,
+    ramp: false,
+  });
+  sortTempoMap();
+}
+
+function clearTempoMap() {
+  state.tempoMap = [];
+  renderTempoMap();
+  afterTempoMapChange();
+}
+
+function afterTempoMapChange() {
+  var count = state.tempoMap.length;
+  document.getElementById("tempoMapSummary").textContent = count ? count + " change" + (count === 1 ? "" : "s") : "";
+  afterGridChange();
+}
+
+document.getElementById("tempoMidiInput").addEventListener("change", function (e) {
+  var file = e.target.files[0];
+  e.target.value = "";
+  if (file) importTempoMap(file);
+});
+
+/**
+ * Replaces the map with a MIDI file's tempo track; its bar 1 tempo and
+ * meter go to the BPM field and Time Sig.
+ */
+function importTempoMap(file) {
+  var reader = new FileReader();
+  reader.onload = function () {
+    var changes;
+    try {
+      changes = BeatImporters.midiTempoMap(reader.result);
+    } catch (err) {
+      setStatus("error", "Tempo import failed: " + err.message);
+      return;
+    }
+    // MIDI tempo is in quarter notes and positions in the signature's
+    // denominator; the grid counts both in each meter's beat
+    var layout = null;
+    changes.forEach(function (c) {
+      if (c.beatsPerBar) layout = BeatGrid.meterLayout(c);
+      c.bpm = Math.round(c.bpm * layout.beatUnit / (4 * layout.unitsPerBeat) * 1000) / 1000;
+      c.beat = Math.round(((c.beat - 1) / layout.unitsPerBeat + 1) * 1000) / 1000;
+    });
+    var first = changes.shift();
+    setBPM(first.bpm);
+    state.beatGrouping = null;
+    state.meterFromUser = true;
+    setTimeSignature(first.beatsPerBar, first.beatUnit);
+    state.tempoMap = changes.map(function (c) {
+      var change = { bar: c.bar, beat: c.beat, bpm: c.bpm, ramp: false };
+      if (c.beatsPerBar) {
+        change.beatsPerBar = c.beatsPerBar;
+        change.beatUnit = c.beatUnit;
+      }
+      return change;
+    });
+    renderTempoMap();
+    afterTempoMapChange();
+    setStatus("ready", "Tempo map from " + file.name + ": " + first.bpm + " BPM, " +
+      state.tempoMap.length + " change" + (state.tempoMap.length === 1 ? "" : "s"));
+  };
+  reader.onerror = function () { setStatus("error", "Could not read " + file.name); };
+  reader.readAsArrayBuffer(file);
+}
+
+// ══════════════════════════════════════════════════════
+//  PLACE GRID MARKERS
+// ══════════════════════════════════════════════════════
+
+function placeGridMarkers() {
+  if (!state.bpm && !trackedBeats()) { setStatus("error", "Set BPM first"); return; }
+
+  if (!csInterface) {
+    setStatus("working", "Simulating...");
+    setTimeout(function () {
+      setStatus("ready", "Would place grid markers at " + gridTiming(trackedBeats(), 0).label);
+    }, 600);
+    return;
+  }
+
+  var btn = document.getElementById("placeGridBtn");
+  btn.disabled = true;
+  setStatus("working", "Getting sequence info...");
+
+  evalScript("getInOutRange()").then(function (result) {
+    var rangeInfo = JSON.parse(result);
+    if (rangeInfo.error) {
+      setStatus("error", rangeInfo.error);
+      btn.disabled = false;
+      return;
+    }
+
+    var range = placementRange(rangeInfo);
+    var startSec = range.startSec, endSec = range.endSec;
+    if (!isFinite(endSec)) {
+      setStatus("error", "Analyze the audio first — it sets the project item grid length");
+      btn.disabled = false;
+      return;
+    }
+
+    var grid = gridTiming(trackedBeats(), startSec);
+    var tempoLabel = grid.label;
+    var positions = BeatGrid.build(gridBuildOptions(grid.timing, endSec, 5000));
+    var groove = activeGroove();
+    var feel = groove ? " | " + groove.name
+      : state.swing !== 50 && !state.triplet ? " | Swing " + state.swing + "%" : "";
+
+    if (positions.length === 0) {
+      setStatus("error", "No grid positions in selected range");
+      btn.disabled = false;
+      return;
+    }
+
+    var gridColorDown = parseInt((document.getElementById("gridColorDown") || {}).value || "0");
+    var gridColorBeat = parseInt((document.getElementById("gridColorBeat") || {}).value || "6");
+    var gridColorSub = parseInt((document.getElementById("gridColorSub") || {}).value || "2");
+
+    var batch = positions.map(function (p, idx) {
+      // Group starts take the beat color, so 2+2+3 reads on the timeline
+      var colorIdx = p.isDown ? gridColorDown : p.isBeat ? gridColorBeat : gridColorSub;
+
       var name = state.namePattern
-        .replace("{type}", typeName)
-        .replace("{bar}", "")
-        .replace("{beat}", "")
-        .replace("{n}", idx + 1)
-        .replace(/\s+/g, " ").trim();
+        .replace("{type}", p.isDown ? "↓" : p.accent ? ">" : "·")
+        .replace("{bar}", p.bar)
+        .replace("{beat}", p.beat)
+        .replace("{sub}", p.sub)
+        .replace("{n}", idx + 1);
+
       return {
-        time: ev.time,
+        time: p.time,
         name: name,
-        comments: typeName + " | " + ev.time.toFixed(3) + "s | str:" + ev.strength.toFixed(2),
-        color: ev.color,
+        comments: "Bar " + p.bar + " | Beat " + p.beat + "." + p.sub + " | " +
+          (grid.varying ? p.bpm.toFixed(1) + " BPM (" + grid.source + ")" : tempoLabel) + feel,
+        color: colorIdx,
       };
     });
 
-    // Track for undo
-    state.lastBatchStartTime = batch[0].time;
-    state.lastBatchEndTime = batch[batch.length - 1].time;
-    state.lastBatchCount = batch.length;
+    placeBatch(batch, rangeInfo, "Grid " + tempoLabel, "grid markers at " + tempoLabel, btn);
+  }, function (err) {
+    setStatus("error", err.message);
+    btn.disabled = false;
+  });
+}
+
+// ══════════════════════════════════════════════════════
+//  MARKER DESTINATION + BATCH SENDING
+// ══════════════════════════════════════════════════════
+
+function setDestination(btn, value) {
+  document.querySelectorAll(".dest-btn").forEach(function (b) { b.classList.remove("active"); });
+  btn.classList.add("active");
+  state.destination = value;
+}
+
+/**
+ * Destination arguments appended to host marker calls:
+ * destination name plus the analyzed media path, which the host uses
+ * to find the project item when none is selected in the Project panel.
+ */
+function destinationArgs() {
+  var mediaPath = state.sourceClip ? state.sourceClip.mediaPath : "";
+  return quoteForEval(state.destination) + "," + quoteForEval(mediaPath);
+}
+
+/**
+ * Pins the destination down to the sequence, clip or project item it
+ * resolves to now (host resolveMarkerTarget), so a batch and its undo /
+ * redo act on that object even after the user switches sequence or
+ * selection. onDone(target, error) — target is an argument string for
+ * host marker calls, like destinationArgs().
+ */
+function resolveDestination(onDone) {
+  evalScript("resolveMarkerTarget(" + destinationArgs() + ")").then(function (res) {
+    var r;
+    try {
+      r = JSON.parse(res);
+    } catch (e) {
+      r = { error: "Could not find the marker destination" };
+    }
+    if (r.error) { onDone(null, r.error); return; }
+    onDone(quoteForEval(JSON.stringify(r.ref)) + "," + quoteForEval(""), null);
+  }, function (err) {
+    onDone(null, err.message);
+  });
+}
+
+/**
+ * Converts an analyzed media time into the destination's time base.
+ * Project item markers live in media time; sequence and clip
+ * destinations take sequence time (the host maps clip trims).
+ */
+function destinationTime(mediaTime) {
+  return state.destination === "projectItem" ? mediaTime : mediaToSequenceTime(mediaTime);
+}
+
+/**
+ * Placement window in the destination's time base. Sequence and clip
+ * destinations use the Timeline Range; project item markers span the
+ * analyzed file. The frame offset applies to both.
+ */
+function placementRange(rangeInfo) {
+  var startSec = 0, endSec = parseFloat(rangeInfo.endTime);
+  if (state.destination === "projectItem") {
+    endSec = state.audioBuffer ? state.audioBuffer.duration : Infinity;
+  } else if (state.range === "inout") {
+    startSec = parseFloat(rangeInfo.inPoint);
+    endSec = parseFloat(rangeInfo.outPoint);
+  } else if (state.range === "playhead") {
+    startSec = parseFloat(rangeInfo.playerPosition);
+  }
+
+  // Apply offset in frames of the sequence timebase
+  startSec += state.offsetFrames / Timing.fromRangeInfo(rangeInfo).fps;
+  return { startSec: startSec, endSec: endSec };
+}
+
+/**
+ * Sends markers to the host in chunks of 200 (ExtendScript string limits),
+ * reporting progress under progressLabel. target is a resolveDestination()
+ * string, so redo can replay a batch to where it was first placed.
+ * onDone(placed, skipped, error, ids) — error is set if the host refused
+ * the batch; ids identify the created markers for undo.
+ */
+function sendMarkerBatch(batch, target, progressLabel, onDone) {
+  var CHUNK_SIZE = 200;
+  var totalPlaced = 0;
+  var totalSkipped = 0;
+  var ids = [];
+  var batchTag = "b" + Date.now().toString(36) + "-" + (++state.batchCounter);
+  var chunks = [];
+  for (var c = 0; c < batch.length; c += CHUNK_SIZE) {
+    chunks.push(batch.slice(c, c + CHUNK_SIZE));
+  }
+
+  function processChunk(index) {
+    if (index >= chunks.length) {
+      onDone(totalPlaced, totalSkipped, null, ids);
+      return;
+    }
+    var script = "createMarkerBatch(" + quoteForEval(JSON.stringify(chunks[index])) + "," + target +
+      "," + quoteForEval(batchTag) + ")";
+    evalScript(script).then(function (res) {
+      try {
+        var r = JSON.parse(res);
+        if (r.error) { onDone(totalPlaced, totalSkipped, r.error, ids); return; }
+        totalPlaced += r.placed || 0;
+        totalSkipped += r.skipped || 0;
+        ids = ids.concat(r.ids || []);
+      } catch (e) {}
+      setStatus("working", progressLabel + ": " + totalPlaced + "/" + batch.length);
+      processChunk(index + 1);
+    }, function (err) {
+      onDone(totalPlaced, totalSkipped, err.message, ids);
+    });
+  }
+
+  processChunk(0);
+}
+
+function skippedNote(skipped) {
+  return skipped > 0 ? " (" + skipped + " outside clip)" : "";
+}
+
+// ══════════════════════════════════════════════════════
+//  FRAME QUANTIZATION
+// ══════════════════════════════════════════════════════
+
+function setSnapMode(btn, value) {
+  document.querySelectorAll(".snap-btn").forEach(function (b) { b.classList.remove("active"); });
+  btn.classList.add("active");
+  state.snapMode = value;
+}
+
+/**
+ * Snaps batch items to the timebase (state.snapMode). Each item gets the
+ * exact ticks the host places it on, and its comment records the frame
+ * timecode and quantization error. Project item markers are snapped to
+ * the active sequence's timebase too.
+ * @returns {{ maxError: number, meanError: number }} seconds
+ */
+function quantizeBatch(batch, timebase) {
+  var sum = 0, max = 0;
+  batch.forEach(function (item) {
+    var q = Timing.quantize(item.time, timebase, state.snapMode);
+    item.ticks = q.ticks;
+    item.time = q.seconds;
+    if (q.frame !== null) {
+      item.comments += " | " + Timing.frameToTimecode(q.frame, timebase) + " Δ" + Timing.formatError(q.error);
+    }
+    sum += Math.abs(q.error);
+    max = Math.max(max, Math.abs(q.error));
+  });
+  return { maxError: max, meanError: batch.length ? sum / batch.length : 0 };
+}
+
+function snapNote(snap) {
+  if (state.snapMode === "off") return "";
+  return " · snapped, max Δ" + (snap.maxError * 1000).toFixed(1) + "ms (avg " + (snap.meanError * 1000).toFixed(1) + "ms)";
+}
+
+// ══════════════════════════════════════════════════════
+//  DUPLICATE HANDLING
+// ══════════════════════════════════════════════════════
+
+function setDuplicateMode(btn, value) {
+  document.querySelectorAll(".dup-btn").forEach(function (b) { b.classList.remove("active"); });
+  btn.classList.add("active");
+  state.duplicateMode = value;
+}
+
+document.getElementById("duplicateTolerance").addEventListener("change", function (e) {
+  state.duplicateTolerance = Math.max(0, parseFloat(e.target.value) || 0) / 1000;
+});
 
-    // Send in chunks of 200 (ExtendScript string limits)
-    var CHUNK_SIZE = 200;
-    var totalPlaced = 0;
-    var chunks = [];
-    for (var c = 0; c < batch.length; c += CHUNK_SIZE) {
-      chunks.push(batch.slice(c, c + CHUNK_SIZE));
-    }
+/**
+ * Places a batch at the current destination: snaps it to the sequence
+ * timebase, honours the duplicate mode and dry-run setting, and records
+ * it in the undo history. rangeInfo is the getInOutRange() result.
+ * doneLabel finishes the status line ("✓ Placed 42 <doneLabel>").
+ */
+function placeBatch(batch, rangeInfo, historyLabel, doneLabel, btn) {
+  var snap = quantizeBatch(batch, Timing.fromRangeInfo(rangeInfo));
 
-    setStatus("working", "Placing " + batch.length + " markers...");
+  resolveDestination(function (target, error) {
+    if (error) {
+      setStatus("error", error);
+      btn.disabled = false;
+      return;
+    }
+    if (state.duplicateMode !== "stack") setStatus("working", "Reading existing markers...");
 
-    function processChunk(index) {
-      if (index >= chunks.length) {
-        setStatus("ready", "✓ Placed " + totalPlaced + " detected markers");
+    planPlacement(batch, target, function (plan, error) {
+      if (error) {
+        setStatus("error", error);
         btn.disabled = false;
         return;
       }
-      var jsonStr = JSON.stringify(chunks[index]).replace(/\\/g, "\\\\").replace(/'/g, "\\'");
-      evalScript("createMarkerBatch('" + jsonStr + "')").then(function (res) {
-        try {
-          var r = JSON.parse(res);
-          totalPlaced += r.placed || 0;
-        } catch (e) {}
-        setStatus("working", "Placing markers: " + totalPlaced + "/" + batch.length);
-        processChunk(index + 1);
+      if (state.dryRun) {
+        setStatus("ready", "Dry run — would " + planSummary(plan) + snapNote(snap));
+        btn.disabled = false;
+        return;
+      }
+
+      setStatus("working", "Placing " + plan.add.length + " markers...");
+      applyPlan(plan, target, historyLabel, function (placed, skipped, error) {
+        if (error) setStatus("error", error);
+        else setStatus("ready", "✓ Placed " + placed + " " + doneLabel + skippedNote(skipped) + duplicateNote(plan) + snapNote(snap));
+        btn.disabled = false;
       });
+    });
+  });
+}
+
+/**
+ * Decides per batch item whether it is added, replaces existing markers,
+ * merges into one, or is skipped. "stack" adds everything without
+ * reading the destination.
+ * onDone(plan, error) — plan: { add, replace, merge, skipped }
+ */
+function planPlacement(batch, target, onDone) {
+  if (state.duplicateMode === "stack") {
+    onDone({ add: batch, replace: [], merge: [], skipped: 0 });
+    return;
+  }
+  evalScript("listMarkers(50000," + target + ")").then(function (res) {
+    var info;
+    try {
+      info = JSON.parse(res);
+    } catch (e) {
+      info = { error: "Could not read existing markers" };
     }
+    if (info.error) { onDone(null, info.error); return; }
+    onDone(resolveDuplicates(batch, info.markers, state.duplicateMode, state.duplicateTolerance));
+  }, function (err) {
+    onDone(null, err.message);
+  });
+}
 
-    processChunk(0);
+/**
+ * existing: listMarkers() entries. An item matches the nearest existing
+ * marker within tolerance seconds (placeTime, the panel's time base).
+ *
+ *   skip    — matched items are dropped
+ *   replace — matched markers are deleted, items are added
+ *   merge   — matched markers stay and take the item's name and comment
+ *             ("Beat 2.1 / Kick 2.1"); items already named there are dropped
+ */
+function resolveDuplicates(batch, existing, mode, tolerance) {
+  var sorted = existing.slice().sort(function (a, b) { return a.placeTime - b.placeTime; });
+  var plan = { add: [], replace: [], merge: [], skipped: 0 };
+  var replaced = {};
+  var merges = {};
+
+  batch.forEach(function (item) {
+    var hit = nearestMarker(sorted, item.time, tolerance);
+    if (!hit) {
+      plan.add.push(item);
+    } else if (mode === "skip") {
+      plan.skipped++;
+    } else if (mode === "replace") {
+      if (!replaced[hit.id]) {
+        replaced[hit.id] = true;
+        plan.replace.push(hit);
+      }
+      plan.add.push(item);
+    } else {
+      var m = merges[hit.id];
+      var names = (m ? m.name : hit.name).split(" / ");
+      if (names.indexOf(item.name) >= 0) {
+        plan.skipped++;
+        return;
+      }
+      if (!m) {
+        m = merges[hit.id] = {
+          id: hit.id, name: hit.name, comments: hit.comments,
+          before: { name: hit.name, comments: hit.comments },
+        };
+        plan.merge.push(m);
+      }
+      m.name = m.name ? m.name + " / " + item.name : item.name;
+      m.comments = m.comments ? m.comments + " || " + item.comments : item.comments;
+    }
   });
+  return plan;
 }
 
-// ══════════════════════════════════════════════════════
-//  PLACE GRID MARKERS
-// ══════════════════════════════════════════════════════
+function nearestMarker(sorted, time, tolerance) {
+  var lo = 0, hi = sorted.length;
+  while (lo < hi) {
+    var mid = (lo + hi) >> 1;
+    if (sorted[mid].placeTime < time) lo = mid + 1;
+    else hi = mid;
+  }
+  var best = null;
+  [lo - 1, lo].forEach(function (i) {
+    if (i < 0 || i >= sorted.length) return;
+    var d = Math.abs(sorted[i].placeTime - time);
+    if (d <= tolerance && (!best || d < Math.abs(best.placeTime - time))) best = sorted[i];
+  });
+  return best;
+}
 
-function placeGridMarkers() {
-  if (!state.bpm) { setStatus("error", "Set BPM first"); return; }
+function planSummary(plan) {
+  return "add " + plan.add.length + ", replace " + plan.replace.length +
+    ", merge " + plan.merge.length + ", skip " + plan.skipped;
+}
 
-  if (!csInterface) {
-    setStatus("working", "Simulating...");
-    setTimeout(function () {
-      setStatus("ready", "Would place grid markers at " + state.bpm + " BPM");
-    }, 600);
-    return;
-  }
+function duplicateNote(plan) {
+  var parts = [];
+  if (plan.replace.length) parts.push(plan.replace.length + " replaced");
+  if (plan.merge.length) parts.push(plan.merge.length + " merged");
+  if (plan.skipped) parts.push(plan.skipped + " duplicates skipped");
+  return parts.length ? " · " + parts.join(", ") : "";
+}
 
-  var btn = document.getElementById("placeGridBtn");
-  btn.disabled = true;
-  setStatus("working", "Getting sequence info...");
+/**
+ * Deletes replaced markers, renames merged ones, then places the new
+ * markers. onDone(placed, skipped, error)
+ */
+function applyPlan(plan, target, historyLabel, onDone) {
+  var entry = {
+    label: historyLabel,
+    items: plan.add,
+    target: target,
+    ids: [],
+    undone: false,
+    // Replaced markers, kept so undo can put them back
+    replaced: plan.replace.map(function (m) {
+      return { time: m.placeTime, name: m.name, comments: m.comments, color: m.color };
+    }),
+    replacedIds: plan.replace.map(function (m) { return m.id; }),
+    merged: plan.merge,
+  };
 
-  evalScript("getInOutRange()").then(function (result) {
-    var rangeInfo = JSON.parse(result);
-    if (rangeInfo.error) {
-      setStatus("error", rangeInfo.error);
-      btn.disabled = false;
+  // On failure nothing is placed, but what was already deleted or renamed
+  // is still recorded so undo can put it back
+  function fail(error) {
+    entry.items = [];
+    recordBatch(entry);
+    onDone(0, 0, error);
+  }
+
+  deleteMarkerIds(entry.replacedIds, target, function (removed, error, failed, processed) {
+    if (!error && failed.length) error = failed.length + " existing markers could not be replaced";
+    if (error) {
+      var attempted = entry.replacedIds.slice(0, processed);
+      entry.replaced = entry.replaced.filter(function (m, i) {
+        return i < processed && failed.indexOf(attempted[i]) < 0;
+      });
+      entry.replacedIds = [];
+      entry.merged = [];
+      fail(error);
       return;
     }
+    entry.replacedIds = [];
+    updateMarkers(mergeUpdates(entry.merged, false), target, function (error) {
+      if (error) { fail(error); return; }
+      sendMarkerBatch(entry.items, target, "Placing markers", function (placed, skipped, error, ids) {
+        entry.ids = ids;
+        recordBatch(entry);
+        onDone(placed, skipped, error);
+      });
+    });
+  });
+}
 
-    var startSec = 0, endSec = parseFloat(rangeInfo.endTime);
-    if (state.range === "inout") {
-      startSec = parseFloat(rangeInfo.inPoint);
-      endSec = parseFloat(rangeInfo.outPoint);
-    } else if (state.range === "playhead") {
-      startSec = parseFloat(rangeInfo.playerPosition);
-    }
+function mergeUpdates(merged, restore) {
+  return merged.map(function (m) {
+    var values = restore ? m.before : m;
+    return { id: m.id, name: values.name, comments: values.comments };
+  });
+}
 
-    var offsetSec = state.offsetFrames / (rangeInfo.fps || 24);
-    startSec += offsetSec;
+/**
+ * Deletes markers by id in chunks. onDone(removed, error, failed,
+ * processed) — failed lists markers the host found but couldn't delete;
+ * ids neither removed nor failed weren't there. processed counts the ids
+ * whose chunks the host got through; the rest were never tried.
+ */
+function deleteMarkerIds(ids, target, onDone) {
+  var CHUNK_SIZE = 1000;
+  var removed = 0;
+  var failed = [];
+  function processChunk(start) {
+    if (start >= ids.length) { onDone(removed, null, failed, ids.length); return; }
+    var chunk = ids.slice(start, start + CHUNK_SIZE);
+    evalScript("deleteMarkersById(" + quoteForEval(JSON.stringify(chunk)) + "," + target + ")").then(function (res) {
+      try {
+        var r = JSON.parse(res);
+        if (r.error) { onDone(removed, r.error, failed, start); return; }
+        removed += r.removed;
+        failed = failed.concat(r.failed || []);
+      } catch (e) {
+        onDone(removed, "Could not delete markers", failed, start);
+        return;
+      }
+      processChunk(start + CHUNK_SIZE);
+    }, function (err) {
+      onDone(removed, err.message, failed, start);
+    });
+  }
+  processChunk(0);
+}
 
-    var beatDurSec = 60 / state.bpm;
-    var tripletMult = state.triplet ? 2 / 3 : 1;
-    var beatsPerBar = state.timeSigTop;
-    var subDuration;
+/**
+ * Error for a deletion that removed fewer markers than it was given, or
+ * null when all went.
+ */
+function shortRemovalError(removed, count, failed) {
+  if (removed >= count) return null;
+  return "removed " + removed + " of " + count + " markers" +
+    (failed.length ? " (" + failed.length + " could not be deleted)" : " (the rest are no longer there)");
+}
 
-    switch (state.subdivision) {
-      case 1: subDuration = beatDurSec * beatsPerBar; break;
-      case 2: subDuration = beatDurSec * 2; break;
-      case 4: subDuration = beatDurSec; break;
-      case 8: subDuration = beatDurSec / 2; break;
-      default: subDuration = beatDurSec;
+/**
+ * Renames markers by id. onDone(error)
+ */
+function updateMarkers(updates, target, onDone) {
+  if (updates.length === 0) { onDone(null); return; }
+  evalScript("updateMarkersById(" + quoteForEval(JSON.stringify(updates)) + "," + target + ")").then(function (res) {
+    try {
+      var r = JSON.parse(res);
+      onDone(r.error || null);
+    } catch (e) {
+      onDone("Could not update markers");
     }
-    subDuration *= tripletMult;
+  }, function (err) {
+    onDone(err.message);
+  });
+}
 
-    var gridColorDown = parseInt((document.getElementById("gridColorDown") || {}).value || "0");
-    var gridColorBeat = parseInt((document.getElementById("gridColorBeat") || {}).value || "6");
-    var gridColorSub = parseInt((document.getElementById("gridColorSub") || {}).value || "2");
+// ══════════════════════════════════════════════════════
+//  CLEAR / UNDO
+// ══════════════════════════════════════════════════════
 
-    var batch = [];
-    var t = startSec;
-    var bar = 1, beat = 1, sub = 1;
-    var subsPerBeat = Math.max(1, state.subdivision / 4);
+var HISTORY_LIMIT = 20;
 
-    while (t < endSec && batch.length < 5000) {
-      var isDown = (beat === 1 && sub === 1);
-      var isBeat = (sub === 1);
-      var colorIdx = isDown ? gridColorDown : isBeat ? gridColorBeat : gridColorSub;
+function recordBatch(entry) {
+  if (entry.ids.length === 0 && entry.replaced.length === 0 && entry.merged.length === 0) return;
+  state.batchHistory.push(entry);
+  if (state.batchHistory.length > HISTORY_LIMIT) state.batchHistory.shift();
+  renderBatchHistory();
+}
 
-      var name = state.namePattern
-        .replace("{type}", isDown ? "↓" : "·")
-        .replace("{bar}", bar)
-        .replace("{beat}", beat)
-        .replace("{sub}", sub)
-        .replace("{n}", batch.length + 1);
-
-      batch.push({
-        time: t,
-        name: name,
-        comments: "Bar " + bar + " | Beat " + beat + "." + sub + " | " + state.bpm + " BPM",
-        color: colorIdx,
-      });
+/**
+ * Removes exactly the markers created by history entry index — hand-placed
+ * markers and other batches in the same span are left alone — then puts
+ * back markers the batch replaced and restores names it merged into.
+ */
+function undoBatch(index) {
+  var entry = state.batchHistory[index];
+  if (!csInterface || !entry || entry.undone || state.historyBusy) return;
+
+  state.historyBusy = true;
+  setStatus("working", "Undoing " + entry.label + "...");
+
+  function finish(error, message) {
+    state.historyBusy = false;
+    renderBatchHistory();
+    if (error) setStatus("error", "Undo failed: " + error);
+    else setStatus("ready", message);
+  }
 
-      t += subDuration;
-      sub++;
-      if (sub > subsPerBeat) { sub = 1; beat++; }
-      if (beat > beatsPerBar) { beat = 1; bar++; }
-    }
+  deleteMarkerIds(entry.ids, entry.target, function (removed, error, failed) {
+    if (error) { finish(error); return; }
+    error = shortRemovalError(removed, entry.ids.length, failed);
+    // Markers still there stay with the batch for another try
+    entry.ids = failed;
+    if (error) { finish(error); return; }
+    entry.undone = true;
+    sendMarkerBatch(entry.replaced, entry.target, "Restoring replaced", function (placed, skipped, error, ids) {
+      entry.replacedIds = ids;
+      if (error) { finish(error); return; }
+      updateMarkers(mergeUpdates(entry.merged, true), entry.target, function (error) {
+        finish(error, "✓ Removed " + removed + " markers (" + entry.label + ")");
+      });
+    });
+  });
+}
 
-    state.lastBatchStartTime = batch[0].time;
-    state.lastBatchEndTime = batch[batch.length - 1].time;
-    state.lastBatchCount = batch.length;
+/**
+ * Applies an undone batch again, at its original destination.
+ */
+function redoBatch(index) {
+  var entry = state.batchHistory[index];
+  if (!csInterface || !entry || !entry.undone || state.historyBusy) return;
 
-    setStatus("working", "Placing " + batch.length + " grid markers...");
+  state.historyBusy = true;
 
-    var CHUNK_SIZE = 200;
-    var totalPlaced = 0;
-    var chunks = [];
-    for (var c = 0; c < batch.length; c += CHUNK_SIZE) {
-      chunks.push(batch.slice(c, c + CHUNK_SIZE));
-    }
+  function finish(error, message) {
+    state.historyBusy = false;
+    renderBatchHistory();
+    if (error) setStatus("error", "Redo failed: " + error);
+    else setStatus("ready", message);
+  }
 
-    function processChunk(index) {
-      if (index >= chunks.length) {
-        setStatus("ready", "✓ Placed " + totalPlaced + " grid markers at " + state.bpm + " BPM");
-        btn.disabled = false;
-        return;
-      }
-      var jsonStr = JSON.stringify(chunks[index]).replace(/\\/g, "\\\\").replace(/'/g, "\\'");
-      evalScript("createMarkerBatch('" + jsonStr + "')").then(function (res) {
-        try {
-          var r = JSON.parse(res);
-          totalPlaced += r.placed || 0;
-        } catch (e) {}
-        setStatus("working", "Grid markers: " + totalPlaced + "/" + batch.length);
-        processChunk(index + 1);
+  deleteMarkerIds(entry.replacedIds, entry.target, function (removed, error, failed) {
+    if (error) { finish(error); return; }
+    error = shortRemovalError(removed, entry.replacedIds.length, failed);
+    entry.replacedIds = failed;
+    if (error) { finish(error); return; }
+    updateMarkers(mergeUpdates(entry.merged, false), entry.target, function (error) {
+      if (error) { finish(error); return; }
+      sendMarkerBatch(entry.items, entry.target, "Redo " + entry.label, function (placed, skipped, error, ids) {
+        entry.ids = ids;
+        entry.undone = false;
+        finish(error, "✓ Restored " + placed + " markers (" + entry.label + ")" + skippedNote(skipped));
       });
-    }
-
-    processChunk(0);
+    });
   });
 }
 
-// ══════════════════════════════════════════════════════
-//  CLEAR / UNDO
-// ══════════════════════════════════════════════════════
-
 function clearLastBatch() {
   if (!csInterface) { setStatus("ready", "Nothing to undo (preview)"); return; }
-  if (state.lastBatchCount === 0) { setStatus("ready", "No batch to undo"); return; }
+  for (var i = state.batchHistory.length - 1; i >= 0; i--) {
+    if (!state.batchHistory[i].undone) { undoBatch(i); return; }
+  }
+  setStatus("ready", "No batch to undo");
+}
 
-  setStatus("working", "Removing last batch...");
-  // Use a small time buffer around the batch range
-  var s = state.lastBatchStartTime - 0.001;
-  var e = state.lastBatchEndTime + 0.001;
-  evalScript("clearMarkersInRange(" + s + "," + e + ",'')").then(function (res) {
-    try {
-      var r = JSON.parse(res);
-      setStatus("ready", "✓ Removed " + r.removed + " markers");
-      state.lastBatchCount = 0;
-    } catch (err) {
-      setStatus("error", "Undo failed");
-    }
-  });
+function redoLastBatch() {
+  if (!csInterface) { setStatus("ready", "Nothing to redo (preview)"); return; }
+  // Most recently placed batch that is currently undone
+  for (var i = state.batchHistory.length - 1; i >= 0; i--) {
+    if (state.batchHistory[i].undone) { redoBatch(i); return; }
+  }
+  setStatus("ready", "No batch to redo");
+}
+
+function renderBatchHistory() {
+  var list = document.getElementById("batchHistory");
+  list.innerHTML = "";
+  for (var i = state.batchHistory.length - 1; i >= 0; i--) {
+    var entry = state.batchHistory[i];
+    var row = document.createElement("div");
+    row.className = "history-row" + (entry.undone ? " undone" : "");
+
+    var label = document.createElement("span");
+    label.textContent = entry.label + " · " + entry.items.length +
+      (entry.replaced.length ? " · " + entry.replaced.length + " replaced" : "") +
+      (entry.merged.length ? " · " + entry.merged.length + " merged" : "");
+    row.appendChild(label);
+
+    var btn = document.createElement("button");
+    btn.textContent = entry.undone ? "Redo" : "Undo";
+    btn.onclick = (function (idx, undone) {
+      return function () { if (undone) redoBatch(idx); else undoBatch(idx); };
+    })(i, entry.undone);
+    row.appendChild(btn);
+    list.appendChild(row);
+  }
 }
 
 function clearAllMarkers() {
   if (!csInterface) { setStatus("ready", "No markers (preview)"); return; }
   setStatus("working", "Clearing all markers...");
-  evalScript("clearAllMarkers()").then(function (res) {
-    try {
-      var r = JSON.parse(res);
-      setStatus("ready", "✓ Removed " + r.removed + " markers");
-    } catch (err) {
-      setStatus("error", "Clear failed");
-    }
+  resolveDestination(function (target, error) {
+    if (error) { setStatus("error", error); return; }
+    evalScript("clearAllMarkers(" + target + ")").then(function (res) {
+      if (res.indexOf("error:") === 0) { setStatus("error", "Clear failed: " + res.substring(6)); return; }
+      try {
+        var r = JSON.parse(res);
+        // Batches placed here are gone; undone ones can still be redone
+        state.batchHistory = state.batchHistory.filter(function (entry) {
+          return entry.target !== target || entry.undone;
+        });
+        renderBatchHistory();
+        setStatus("ready", "✓ Removed " + r.removed + " markers");
+      } catch (err) {
+        setStatus("error", "Clear failed");
+      }
+    }, function (err) {
+      setStatus("error", "Clear failed: " + err.message);
+    });
   });
 }
 
@@ -735,12 +3639,7 @@ function clearAllMarkers() {
 
 function usePlayheadAsOffset() {
   if (!csInterface) { setStatus("error", "Not connected"); return; }
-  evalScript("getInOutRange()").then(function (rangeRes) {
-    var fps = 24;
-    try {
-      var rangeInfo = JSON.parse(rangeRes);
-      if (rangeInfo.fps && rangeInfo.fps > 0) fps = rangeInfo.fps;
-    } catch (e) {}
+  function readPlayhead(fps) {
     evalScript("getPlayheadFrames(" + fps + ")").then(function (res) {
       var frames = parseInt(res);
       if (frames >= 0) {
@@ -750,8 +3649,376 @@ function usePlayheadAsOffset() {
       } else {
         setStatus("error", "Could not read playhead");
       }
+    }, function (err) {
+      setStatus("error", "Could not read playhead: " + err.message);
+    });
+  }
+  evalScript("getInOutRange()").then(function (rangeRes) {
+    var fps = 24;
+    try {
+      var rangeInfo = JSON.parse(rangeRes);
+      if (rangeInfo.fps && rangeInfo.fps > 0) fps = rangeInfo.fps;
+    } catch (e) {}
+    readPlayhead(fps);
+  }, function () {
+    readPlayhead(24);
+  });
+}
+
+// ══════════════════════════════════════════════════════
+//  SETTINGS + PRESETS
+// ══════════════════════════════════════════════════════
+// Panel settings persist in localStorage and restore on load; named
+// presets hold the same settings object, advanced analysis settings
+// included. Song data — BPM, tempo map, analysis results, offset — and
+// the dry-run switch are deliberately left out.
+
+var SETTINGS_KEY = "beatMarkerPro.settings";
+var PRESETS_KEY = "beatMarkerPro.presets";
+var PRESET_FORMAT = "beat-marker-pro-preset";
+var SETTINGS_SAVE_DELAY = 400;
+
+var BUILTIN_PRESETS = {
+  "EDM cuts": {
+    channels: { kick: { enabled: true, sensitivity: 0.6 }, snare: { enabled: true, sensitivity: 0.5 },
+      hihat: { enabled: false }, bass: { enabled: false }, melody: { enabled: false }, vocal: { enabled: false } },
+    subdivision: 4, triplet: false, swing: 50, groove: null,
+    timeSigTop: 4, timeSigBottom: 4, beatGrouping: null,
+    namePattern: "{type} {bar}.{beat}",
+  },
+  "Hip-hop snares only": {
+    channels: { kick: { enabled: false }, snare: { enabled: true, sensitivity: 0.55 },
+      hihat: { enabled: false }, bass: { enabled: false }, melody: { enabled: false }, vocal: { enabled: false } },
+    subdivision: 8, triplet: false, swing: 58, groove: null,
+    timeSigTop: 4, timeSigBottom: 4, beatGrouping: null,
+    namePattern: "Snare {bar}.{beat}",
+  },
+  "Ballad half notes": {
+    channels: { kick: { enabled: true, sensitivity: 0.4 }, snare: { enabled: false },
+      hihat: { enabled: false }, bass: { enabled: false }, melody: { enabled: true, sensitivity: 0.4 }, vocal: { enabled: false } },
+    subdivision: 2, triplet: false, swing: 50, groove: null,
+    timeSigTop: 4, timeSigBottom: 4, beatGrouping: null,
+    namePattern: "Bar {bar}.{beat}",
+  },
+};
+
+var settingsSaveTimer = null;
+var applyingSettings = false;
+
+/**
+ * Current panel settings as a plain, JSON-safe object.
+ */
+function collectSettings() {
+  var channels = {};
+  Object.keys(state.channels).forEach(function (ch) {
+    var cfg = state.channels[ch];
+    channels[ch] = { enabled: cfg.enabled, color: cfg.color };
+    if (!cfg.imported) channels[ch].sensitivity = cfg.sensitivity;
+  });
+  var groove = activeGroove();
+  return {
+    channels: channels,
+    analysis: state.analysisSettings,
+    subdivision: state.subdivision,
+    triplet: state.triplet,
+    followBeats: state.followBeats,
+    swing: state.swing,
+    groove: groove ? groove.name : null,
+    grooves: state.grooves.slice(BUILTIN_GROOVES.length),
+    timeSigTop: state.timeSigTop,
+    timeSigBottom: state.timeSigBottom,
+    beatGrouping: state.beatGrouping,
+    meterFromUser: state.meterFromUser,
+    gridColors: {
+      down: parseInt(document.getElementById("gridColorDown").value),
+      beat: parseInt(document.getElementById("gridColorBeat").value),
+      sub: parseInt(document.getElementById("gridColorSub").value),
+    },
+    range: state.range,
+    destination: state.destination,
+    snapMode: state.snapMode,
+    duplicateMode: state.duplicateMode,
+    duplicateTolerance: state.duplicateTolerance,
+    namePattern: state.namePattern,
+    exportFormat: document.getElementById("exportFormat").value,
+  };
+}
+
+/**
+ * Applies a settings object through the same setters the controls use.
+ * Keys that are missing (older files, partial presets) keep their
+ * current value; unknown keys are ignored.
+ */
+function applySettings(settings) {
+  if (!settings || typeof settings !== "object") return;
+  applyingSettings = true;
+  try {
+    // First, so custom channels exist for their channel settings below
+    if (settings.analysis && typeof settings.analysis === "object") {
+      var analysis = settings.analysis;
+      updateAnalysisSettings({
+        fftSize: analysis.fftSize || state.analysisSettings.fftSize,
+        hopSize: analysis.hopSize || state.analysisSettings.hopSize,
+        bands: analysis.bands || {},
+        customChannels: Array.isArray(analysis.customChannels) ? analysis.customChannels : [],
+      });
+    }
+    var channels = settings.channels || {};
+    Object.keys(channels).forEach(function (ch) {
+      var cfg = state.channels[ch], saved = channels[ch];
+      if (!cfg || !saved) return;
+      if (typeof saved.enabled === "boolean" && saved.enabled !== cfg.enabled) toggleChannel(ch);
+      if (typeof saved.sensitivity === "number" && !cfg.imported) {
+        cfg.sensitivity = Math.max(0, Math.min(1, saved.sensitivity));
+        var slider = document.querySelector('.channel-sensitivity input[data-ch="' + ch + '"]');
+        if (slider) slider.value = Math.round(cfg.sensitivity * 100);
+      }
+      if (typeof saved.color === "number") {
+        cfg.color = saved.color;
+        var colorSelect = document.querySelector('.channel-marker-color select[data-ch="' + ch + '"]');
+        if (colorSelect) colorSelect.value = String(saved.color);
+      }
+    });
+    scheduleRedetect();
+
+    if (settings.subdivision) {
+      var subBtn = document.querySelector('.sub-btn[data-sub="' + settings.subdivision + '"]');
+      if (subBtn) setSubdivision(subBtn, settings.subdivision);
+    }
+    if (typeof settings.triplet === "boolean") {
+      state.triplet = settings.triplet;
+      document.getElementById("tripletToggle").checked = state.triplet;
+    }
+    if (typeof settings.followBeats === "boolean") {
+      state.followBeats = settings.followBeats;
+      document.getElementById("followBeatsToggle").checked = state.followBeats;
+    }
+    if (typeof settings.swing === "number") setSwing(settings.swing);
+    if (Array.isArray(settings.grooves)) {
+      state.grooves = BUILTIN_GROOVES.concat(settings.grooves.filter(function (g) {
+        return g && g.name && g.stepsPerBeat > 0 && Array.isArray(g.offsets);
+      }));
+    }
+    if (settings.groove !== undefined) {
+      state.grooveIndex = -1;
+      state.grooves.forEach(function (g, i) { if (g.name === settings.groove) state.grooveIndex = i; });
+    }
+    renderGrooveList();
+
+    if (settings.timeSigTop > 0) {
+      setTimeSignature(settings.timeSigTop, settings.timeSigBottom > 0 ? settings.timeSigBottom : state.timeSigBottom);
+    }
+    if (settings.beatGrouping !== undefined) {
+      var grouping = Array.isArray(settings.beatGrouping) ? settings.beatGrouping : null;
+      var fits = grouping && grouping.reduce(function (a, b) { return a + b; }, 0) === state.timeSigTop;
+      setBeatGrouping(fits ? grouping : null);
+    }
+    if (typeof settings.meterFromUser === "boolean") {
+      state.meterFromUser = settings.meterFromUser;
+    } else if (settings.timeSigTop > 0) {
+      // Older settings: anything but plain 4/4 was picked by hand
+      state.meterFromUser = !(state.timeSigTop === 4 && state.timeSigBottom === 4 && !state.beatGrouping);
+    }
+    if (settings.gridColors) {
+      ["down", "beat", "sub"].forEach(function (kind) {
+        var value = settings.gridColors[kind];
+        if (typeof value === "number") {
+          document.getElementById("gridColor" + kind.charAt(0).toUpperCase() + kind.slice(1)).value = String(value);
+        }
+      });
+    }
+
+    var rangeBtn = settings.range && document.querySelector('.range-btn[data-range="' + settings.range + '"]');
+    if (rangeBtn) setRange(rangeBtn, settings.range);
+    var destBtn = settings.destination && document.querySelector('.dest-btn[data-dest="' + settings.destination + '"]');
+    if (destBtn) setDestination(destBtn, settings.destination);
+    var snapBtn = settings.snapMode && document.querySelector('.snap-btn[data-snap="' + settings.snapMode + '"]');
+    if (snapBtn) setSnapMode(snapBtn, settings.snapMode);
+    var dupBtn = settings.duplicateMode && document.querySelector('.dup-btn[data-dup="' + settings.duplicateMode + '"]');
+    if (dupBtn) setDuplicateMode(dupBtn, settings.duplicateMode);
+    if (typeof settings.duplicateTolerance === "number") {
+      state.duplicateTolerance = Math.max(0, settings.duplicateTolerance);
+      document.getElementById("duplicateTolerance").value = Math.round(state.duplicateTolerance * 1000);
+    }
+    if (typeof settings.namePattern === "string" && settings.namePattern) {
+      state.namePattern = settings.namePattern;
+      document.getElementById("namePattern").value = settings.namePattern;
+    }
+    var exportFormat = document.getElementById("exportFormat");
+    if (settings.exportFormat && exportFormat.querySelector('option[value="' + settings.exportFormat + '"]')) {
+      exportFormat.value = settings.exportFormat;
+    }
+  } finally {
+    applyingSettings = false;
+  }
+}
+
+function readStorage(key) {
+  try {
+    var raw = window.localStorage && localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeStorage(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    console.log("Beat Marker Pro: could not save " + key + " (" + e.message + ")");
+  }
+}
+
+function saveSettings() {
+  settingsSaveTimer = null;
+  writeStorage(SETTINGS_KEY, { version: 1, settings: collectSettings() });
+}
+
+/**
+ * Debounced save after any control change; setters run from the same
+ * event, so state is current by the time the timer fires.
+ */
+function scheduleSettingsSave() {
+  if (applyingSettings) return;
+  if (settingsSaveTimer) clearTimeout(settingsSaveTimer);
+  settingsSaveTimer = setTimeout(saveSettings, SETTINGS_SAVE_DELAY);
+}
+
+["change", "input", "click"].forEach(function (type) {
+  document.addEventListener(type, scheduleSettingsSave, true);
+});
+window.addEventListener("beforeunload", function () {
+  if (settingsSaveTimer) { clearTimeout(settingsSaveTimer); saveSettings(); }
+});
+
+function restoreSettings() {
+  var saved = readStorage(SETTINGS_KEY);
+  if (saved && saved.settings) applySettings(saved.settings);
+}
+
+// ── Named presets ──
+
+function userPresets() {
+  return readStorage(PRESETS_KEY) || {};
+}
+
+function renderPresetList(selected) {
+  var select = document.getElementById("presetSelect");
+  select.innerHTML = "";
+  var none = document.createElement("option");
+  none.value = "";
+  none.textContent = "Presets…";
+  select.appendChild(none);
+
+  [["Built-in", BUILTIN_PRESETS], ["Saved", userPresets()]].forEach(function (group) {
+    var names = Object.keys(group[1]);
+    if (names.length === 0) return;
+    var optgroup = document.createElement("optgroup");
+    optgroup.label = group[0];
+    names.sort().forEach(function (name) {
+      var opt = document.createElement("option");
+      opt.value = name;
+      opt.textContent = name;
+      optgroup.appendChild(opt);
     });
+    select.appendChild(optgroup);
   });
+  select.value = selected || "";
+}
+
+function findPreset(name) {
+  if (BUILTIN_PRESETS.hasOwnProperty(name)) return BUILTIN_PRESETS[name];
+  var presets = userPresets();
+  return presets.hasOwnProperty(name) ? presets[name] : null;
+}
+
+function loadPreset(name) {
+  var preset = name && findPreset(name);
+  if (!preset) return;
+  applySettings(preset);
+  saveSettings();
+  document.getElementById("presetName").value = name;
+  setStatus("ready", "Preset loaded: " + name);
+}
+
+function savePreset() {
+  var name = document.getElementById("presetName").value.trim() || document.getElementById("presetSelect").value;
+  if (!name) { setStatus("error", "Name the preset first"); return; }
+  if (BUILTIN_PRESETS.hasOwnProperty(name)) { setStatus("error", "\"" + name + "\" is built in — pick another name"); return; }
+  var presets = userPresets();
+  var existed = presets.hasOwnProperty(name);
+  presets[name] = collectSettings();
+  writeStorage(PRESETS_KEY, presets);
+  renderPresetList(name);
+  setStatus("ready", (existed ? "Preset updated: " : "Preset saved: ") + name);
+}
+
+function deletePreset() {
+  var name = document.getElementById("presetSelect").value;
+  var presets = userPresets();
+  if (!presets.hasOwnProperty(name)) {
+    setStatus("error", name ? "Built-in presets can't be deleted" : "Choose a saved preset to delete");
+    return;
+  }
+  delete presets[name];
+  writeStorage(PRESETS_KEY, presets);
+  renderPresetList();
+  setStatus("ready", "Preset deleted: " + name);
+}
+
+/**
+ * Writes the selected preset (or the current settings) as a shareable
+ * JSON file.
+ */
+function exportPreset() {
+  var name = document.getElementById("presetSelect").value;
+  var settings = name ? findPreset(name) : collectSettings();
+  if (!name) name = document.getElementById("presetName").value.trim() || "Beat Marker Pro settings";
+  var file = { format: PRESET_FORMAT, version: 1, name: name, settings: settings };
+  saveExportFile(name.replace(/[\\\/:*?"<>|]+/g, "_") + ".json", JSON.stringify(file, null, 2), "json", false);
+}
+
+document.getElementById("presetFileInput").addEventListener("change", function (e) {
+  var file = e.target.files[0];
+  if (file) importPresetFile(file);
+  e.target.value = "";
+});
+
+/**
+ * Adds the presets from an exported file (one preset, or an array of
+ * them) to the saved list and loads the last one.
+ */
+function importPresetFile(file) {
+  var reader = new FileReader();
+  reader.onload = function () {
+    var entries;
+    try {
+      var data = JSON.parse(reader.result);
+      entries = Array.isArray(data) ? data : [data];
+      entries.forEach(function (entry) {
+        if (!entry || entry.format !== PRESET_FORMAT || !entry.name || typeof entry.settings !== "object") {
+          throw new Error("not a Beat Marker Pro preset file");
+        }
+      });
+    } catch (err) {
+      setStatus("error", "Preset import failed: " + err.message);
+      return;
+    }
+    var presets = userPresets();
+    entries.forEach(function (entry) {
+      // Keep built-in names pointing at the built-ins
+      var name = BUILTIN_PRESETS.hasOwnProperty(entry.name) ? entry.name + " (imported)" : entry.name;
+      presets[name] = entry.settings;
+      entry.name = name;
+    });
+    writeStorage(PRESETS_KEY, presets);
+    var last = entries[entries.length - 1].name;
+    renderPresetList(last);
+    loadPreset(last);
+    if (entries.length > 1) setStatus("ready", "Imported " + entries.length + " presets from " + file.name);
+  };
+  reader.readAsText(file);
 }
 
 // ══════════════════════════════════════════════════════
@@ -763,6 +4030,17 @@ function setStatus(type, message) {
   document.getElementById("statusText").textContent = message;
 }
 
+/**
+ * Single-quoted ExtendScript string literal. Line breaks are escaped too:
+ * ExtendScript (ES3) ends a literal at U+2028 / U+2029, which JSON
+ * leaves raw.
+ */
+function quoteForEval(str) {
+  return "'" + String(str).replace(/\\/g, "\\\\").replace(/'/g, "\\'")
+    .replace(/\n/g, "\\n").replace(/\r/g, "\\r")
+    .replace(/\u2028/g, "\\u2028").replace(/\u2029/g, "\\u2029") + "'";
+}
+
 function formatDuration(sec) {
   var m = Math.floor(sec / 60);
   var s = Math.floor(sec % 60);
@@ -775,6 +4053,14 @@ function formatDuration(sec) {
 
 function init() {
   updateBeatDots();
+  state.grooves = BUILTIN_GROOVES.slice();
+  renderGrooveList();
+  renderTempoMap();
+  updateMeterHint();
+  renderPresetList();
+  renderAnalysisSettings();
+  restoreSettings();
+  renderCacheList();
 
   if (csInterface) {
     // Ping Premiere to verify connection
@@ -0,0 +1,105 @@
+/**
+ * ════════════════════════════════════════════════════════
+ *  BEAT MARKER PRO — Timing
+ *  Seconds ↔ Premiere ticks ↔ sequence frames
+ * ════════════════════════════════════════════════════════
+ *
+ *  Premiere counts time in ticks (254,016,000,000 per second). A
+ *  sequence's timebase is a whole number of ticks per frame, so
+ *  23.976 (10,594,584,000) and 29.97 (8,475,667,200) are exact here
+ *  rather than rounded frame rates. Tick counts stay well inside the
+ *  2^53 safe-integer range for any realistic sequence length.
+ */
+
+var Timing = (function () {
+  var TICKS_PER_SECOND = 254016000000;
+
+  /**
+   * Timebase from a getInOutRange() / getSequenceInfo() result; falls
+   * back to 24 fps when the host didn't report one (preview mode).
+   * @returns {{ ticksPerFrame: number, fps: number, dropFrame: boolean }}
+   */
+  function fromRangeInfo(info) {
+    var ticksPerFrame = info && info.ticksPerFrame > 0 ? info.ticksPerFrame
+      : TICKS_PER_SECOND / (info && info.fps > 0 ? info.fps : 24);
+    return {
+      ticksPerFrame: ticksPerFrame,
+      fps: TICKS_PER_SECOND / ticksPerFrame,
+      dropFrame: !!(info && info.dropFrame),
+    };
+  }
+
+  function secondsToTicks(seconds) {
+    return Math.round(seconds * TICKS_PER_SECOND);
+  }
+
+  function ticksToSeconds(ticks) {
+    return ticks / TICKS_PER_SECOND;
+  }
+
+  /**
+   * Snaps a time to the timebase.
+   *   "off"     — exact tick, no frame snapping
+   *   "nearest" — closest frame boundary
+   *   "floor"   — frame boundary at or before the time
+   * @returns {{ ticks, frame, seconds, error }} error is quantized − original,
+   *   in seconds; frame is null for "off".
+   */
+  function quantize(seconds, timebase, mode) {
+    var ticks = secondsToTicks(seconds);
+    if (mode === "off") {
+      return { ticks: ticks, frame: null, seconds: ticksToSeconds(ticks), error: ticksToSeconds(ticks) - seconds };
+    }
+    var exact = ticks / timebase.ticksPerFrame;
+    // Absorb float noise so a time already on a frame never floors to the previous one
+    var frame = mode === "floor" ? Math.floor(exact + 1e-9) : Math.round(exact);
+    var snapped = frame * timebase.ticksPerFrame;
+    return { ticks: snapped, frame: frame, seconds: ticksToSeconds(snapped), error: ticksToSeconds(snapped) - seconds };
+  }
+
+  /**
+   * Timecode for a frame count. Drop-frame (29.97 / 59.94) skips frame
+   * numbers 0–1 (0–3 at 59.94) every minute except each tenth, and uses
+   * ";" before the frames field.
+   */
+  function frameToTimecode(frame, timebase) {
+    var base = Math.round(timebase.fps);
+    var f = frame;
+    var sep = ":";
+    if (timebase.dropFrame) {
+      var drop = Math.round(timebase.fps * 0.066666);
+      var perMinute = base * 60 - drop;
+      var perTenMinutes = perMinute * 10 + drop;
+      var tens = Math.floor(f / perTenMinutes);
+      var rem = f % perTenMinutes;
+      f += drop * 9 * tens + (rem > drop ? drop * Math.floor((rem - drop) / perMinute) : 0);
+      sep = ";";
+    }
+    function pad(n) { return (n < 10 ? "0" : "") + n; }
+    return pad(Math.floor(f / (base * 3600))) + ":" + pad(Math.floor(f / (base * 60)) % 60) + ":" +
+      pad(Math.floor(f / base) % 60) + sep + pad(f % base);
+  }
+
+  /**
+   * Signed millisecond label for a quantization error, e.g. "+3.2ms".
+   */
+  function formatError(seconds) {
+    var ms = seconds * 1000;
+    return (ms >= 0 ? "+" : "−") + Math.abs(ms).toFixed(1) + "ms";
+  }
+
+  return {
+    TICKS_PER_SECOND: TICKS_PER_SECOND,
+    fromRangeInfo: fromRangeInfo,
+    secondsToTicks: secondsToTicks,
+    ticksToSeconds: ticksToSeconds,
+    quantize: quantize,
+    frameToTimecode: frameToTimecode,
+    formatError: formatError,
+  };
+})();
+
+// Export for Node
+if (typeof module !== 'undefined') {
+  module.exports = Timing;
+}
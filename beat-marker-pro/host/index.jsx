@@ -8,6 +8,49 @@
  *  ExtendScript runs in Premiere's scripting engine (ES3)
  */
 
+// ══════════════════════════════════════════════════════
+//  TIMEBASE
+// ══════════════════════════════════════════════════════
+
+var TICKS_PER_SECOND = 254016000000;
+
+// Sequence videoDisplayFormat values that count drop-frame timecode
+var DROP_FRAME_FORMATS = { 102: true, 106: true };
+
+/**
+ * Frame timing of a sequence from seq.timebase (ticks per frame), so
+ * 23.976 and 29.97 are exact rather than rounded from videoFrameRate.
+ *
+ * @returns {object} { ticksPerFrame, fps, dropFrame }
+ */
+function getSequenceTimebase(seq) {
+  var ticksPerFrame = 0;
+  try { ticksPerFrame = parseFloat(seq.timebase); } catch (e) {}
+  if (!ticksPerFrame || ticksPerFrame <= 0) ticksPerFrame = TICKS_PER_SECOND / 24;
+
+  var dropFrame = false;
+  try { dropFrame = DROP_FRAME_FORMATS[seq.getSettings().videoDisplayFormat] === true; } catch (e2) {}
+
+  return {
+    ticksPerFrame: ticksPerFrame,
+    fps: TICKS_PER_SECOND / ticksPerFrame,
+    dropFrame: dropFrame,
+  };
+}
+
+/**
+ * Moves a marker to an exact tick position. Markers are created from
+ * seconds, which can land a tick or so off a frame boundary.
+ */
+function setMarkerTicks(marker, ticks) {
+  try {
+    var t = new Time();
+    t.ticks = String(ticks);
+    marker.start = t;
+    marker.end = t;
+  } catch (e) {}
+}
+
 // ══════════════════════════════════════════════════════
 //  SEQUENCE INFO
 // ══════════════════════════════════════════════════════
@@ -16,37 +59,18 @@ function getSequenceInfo() {
   var seq = app.project.activeSequence;
   if (!seq) return JSON.stringify({ error: "No active sequence" });
 
-  var fps = 23.976;
-  try {
-    // Get frame rate from sequence settings
-    var timebase = seq.videoDisplayFormat;
-    // Try to extract from the sequence's time display
-    var seqEnd = seq.end;
-    if (seqEnd && parseFloat(seqEnd) > 0) {
-      fps = seq.getSettings().videoFrameRate
-        ? parseFloat(seq.getSettings().videoFrameRate)
-        : 23.976;
-    }
-  } catch (e) {
-    fps = 23.976;
-  }
-
-  // Try getting framerate from timebase
-  try {
-    var ticks = seq.getPlayerPosition().ticks;
-    fps = seq.getSettings().videoFrameRate
-      ? parseFloat(seq.getSettings().videoFrameRate)
-      : 23.976;
-  } catch (e2) {}
+  var timebase = getSequenceTimebase(seq);
 
   var info = {
     name: seq.name,
     id: seq.sequenceID,
     inPoint: seq.getInPointAsTime().seconds,
     outPoint: seq.getOutPointAsTime().seconds,
-    endTime: seq.end,
+    endTime: parseFloat(seq.end) / TICKS_PER_SECOND,
     playerPosition: seq.getPlayerPosition().seconds,
-    fps: fps,
+    fps: timebase.fps,
+    ticksPerFrame: timebase.ticksPerFrame,
+    dropFrame: timebase.dropFrame,
     numMarkers: seq.markers.numMarkers,
     numVideoTracks: seq.videoTracks.numTracks,
     numAudioTracks: seq.audioTracks.numTracks,
@@ -65,9 +89,18 @@ function getPlayheadSeconds() {
   return String(seq.getPlayerPosition().seconds);
 }
 
+/**
+ * Playhead position in frames of the sequence timebase. fps is only
+ * used if the timebase can't be read.
+ */
 function getPlayheadFrames(fps) {
   var seq = app.project.activeSequence;
   if (!seq) return "-1";
+  var ticksPerFrame = 0;
+  try { ticksPerFrame = parseFloat(seq.timebase); } catch (e) {}
+  if (ticksPerFrame > 0) {
+    return String(Math.round(parseFloat(seq.getPlayerPosition().ticks) / ticksPerFrame));
+  }
   var secs = parseFloat(seq.getPlayerPosition().seconds);
   return String(Math.round(secs * fps));
 }
@@ -80,45 +113,304 @@ function getInOutRange() {
   var seq = app.project.activeSequence;
   if (!seq) return JSON.stringify({ error: "No active sequence" });
 
-  var fps = 24;
-  try {
-    var seqFps = parseFloat(seq.getSettings().videoFrameRate);
-    if (seqFps && seqFps > 0) fps = seqFps;
-  } catch (e) {}
+  var timebase = getSequenceTimebase(seq);
 
   var result = {
     inPoint: parseFloat(seq.getInPointAsTime().seconds),
     outPoint: parseFloat(seq.getOutPointAsTime().seconds),
-    endTime: parseFloat(seq.end),
+    endTime: parseFloat(seq.end) / TICKS_PER_SECOND,
     playerPosition: parseFloat(seq.getPlayerPosition().seconds),
-    fps: fps,
+    fps: timebase.fps,
+    ticksPerFrame: timebase.ticksPerFrame,
+    dropFrame: timebase.dropFrame,
   };
 
   return JSON.stringify(result);
 }
 
+// ══════════════════════════════════════════════════════
+//  SEQUENCE AUDIO CLIPS
+// ══════════════════════════════════════════════════════
+
+/**
+ * Lists audio clips in the active sequence with what the panel needs to
+ * load their media and map detected events back into sequence time.
+ * If any audio clips are selected, only those are returned.
+ *
+ * Times are in seconds: start/end on the timeline, inPoint/outPoint
+ * in the source media.
+ *
+ * @returns {string} JSON { clips: [{ track, name, mediaPath, start, end,
+ *   inPoint, outPoint, speed, selected }] }
+ */
+function getSequenceAudioClips() {
+  try {
+    var seq = app.project.activeSequence;
+    if (!seq) return JSON.stringify({ error: "No active sequence" });
+
+    var all = [];
+    var selected = [];
+
+    for (var t = 0; t < seq.audioTracks.numTracks; t++) {
+      var track = seq.audioTracks[t];
+      for (var c = 0; c < track.clips.numItems; c++) {
+        var clip = track.clips[c];
+        var mediaPath = "";
+        try {
+          mediaPath = clip.projectItem ? clip.projectItem.getMediaPath() : "";
+        } catch (pe) {}
+        // Nested sequences and synthetic media have no file to analyze
+        if (!mediaPath) continue;
+
+        var isSelected = false;
+        try { isSelected = clip.isSelected(); } catch (se) {}
+        var speed = 1;
+        try { speed = parseFloat(clip.getSpeed()) || 1; } catch (spe) {}
+
+        var info = {
+          track: "A" + (t + 1),
+          name: clip.name || "",
+          mediaPath: mediaPath,
+          start: parseFloat(clip.start.seconds),
+          end: parseFloat(clip.end.seconds),
+          inPoint: parseFloat(clip.inPoint.seconds),
+          outPoint: parseFloat(clip.outPoint.seconds),
+          speed: speed,
+          selected: isSelected,
+        };
+        all.push(info);
+        if (isSelected) selected.push(info);
+      }
+    }
+
+    return JSON.stringify({ clips: selected.length > 0 ? selected : all });
+  } catch (e) {
+    return JSON.stringify({ error: e.toString() });
+  }
+}
+
+// ══════════════════════════════════════════════════════
+//  MARKER DESTINATIONS
+// ══════════════════════════════════════════════════════
+
+/**
+ * Resolves the marker collection for a destination.
+ *
+ *   "sequence"    — active sequence markers; times are sequence seconds
+ *   "clip"        — markers on the source of the selected timeline clip;
+ *                   sequence seconds are mapped through the clip's trim,
+ *                   and times outside the clip are rejected
+ *   "projectItem" — markers on the project item selected in the Project
+ *                   panel (bins skipped; of several, the one whose media
+ *                   is at mediaPath), else the item whose media is at
+ *                   mediaPath; times are media seconds
+ *
+ * destination can also be the JSON ref of a target resolved earlier
+ * (see resolveMarkerTarget), which names the exact sequence, clip or
+ * project item whatever is active or selected now.
+ *
+ * @returns {object} { markers, toTarget(sec), fromTarget(sec), accepts(sec), name, ref }
+ *   or { error }
+ */
+function getMarkerTarget(destination, mediaPath) {
+  var dest = destination || "sequence";
+  if (dest.charAt(0) === "{") return getTargetByRef(JSON.parse(dest));
+  var seq = app.project.activeSequence;
+
+  if (dest === "sequence") {
+    if (!seq) return { error: "No active sequence" };
+    return sequenceTarget(seq);
+  }
+
+  if (dest === "clip") {
+    if (!seq) return { error: "No active sequence" };
+    var clip = null;
+    var selection = seq.getSelection();
+    for (var i = 0; selection && i < selection.length; i++) {
+      if (selection[i].projectItem) { clip = selection[i]; break; }
+    }
+    if (!clip) return { error: "Select a clip in the timeline" };
+    return clipTarget(seq, clip);
+  }
+
+  if (dest === "projectItem") {
+    var item = null;
+    var selected = [];
+    try {
+      var viewSel = app.getCurrentProjectViewSelection();
+      for (var s = 0; viewSel && s < viewSel.length; s++) {
+        var type = viewSel[s] ? viewSel[s].type : null;
+        if (type === ProjectItemType.CLIP || type === ProjectItemType.FILE) selected.push(viewSel[s]);
+      }
+    } catch (ve) {}
+    for (var m = 0; mediaPath && m < selected.length && !item; m++) {
+      if (hasMediaPath(selected[m], mediaPath)) item = selected[m];
+    }
+    if (!item && selected.length > 0) item = selected[0];
+    if (!item && mediaPath) item = findProjectItemByPath(app.project.rootItem, mediaPath);
+    if (!item) return { error: "Select a project item in the Project panel" };
+    return projectItemTarget(item);
+  }
+
+  return { error: "Unknown destination: " + dest };
+}
+
+function sequenceTarget(seq) {
+  return {
+    markers: seq.markers,
+    toTarget: function (sec) { return sec; },
+    fromTarget: function (sec) { return sec; },
+    accepts: function () { return true; },
+    name: seq.name,
+    ref: { destination: "sequence", sequenceID: String(seq.sequenceID) },
+  };
+}
+
+function clipTarget(seq, clip) {
+  var clipStart = parseFloat(clip.start.seconds);
+  var clipEnd = parseFloat(clip.end.seconds);
+  var clipIn = parseFloat(clip.inPoint.seconds);
+  var speed = 1;
+  try { speed = parseFloat(clip.getSpeed()) || 1; } catch (spe) {}
+
+  return {
+    markers: clip.projectItem.getMarkers(),
+    toTarget: function (sec) { return clipIn + (sec - clipStart) * speed; },
+    fromTarget: function (sec) { return clipStart + (sec - clipIn) / speed; },
+    accepts: function (sec) { return sec >= clipStart && sec < clipEnd; },
+    name: clip.name,
+    ref: { destination: "clip", sequenceID: String(seq.sequenceID), nodeId: String(clip.nodeId) },
+  };
+}
+
+function projectItemTarget(item) {
+  return {
+    markers: item.getMarkers(),
+    toTarget: function (sec) { return sec; },
+    fromTarget: function (sec) { return sec; },
+    accepts: function () { return true; },
+    name: item.name,
+    ref: { destination: "projectItem", nodeId: String(item.nodeId) },
+  };
+}
+
+/**
+ * The target a resolveMarkerTarget() ref names, or { error } when that
+ * sequence, clip or project item is gone.
+ */
+function getTargetByRef(ref) {
+  if (ref.destination === "projectItem") {
+    var item = findProjectItemByNodeId(app.project.rootItem, ref.nodeId);
+    if (!item) return { error: "The project item these markers were placed on is gone" };
+    return projectItemTarget(item);
+  }
+
+  var seq = null;
+  var sequences = app.project.sequences;
+  for (var i = 0; i < sequences.numSequences; i++) {
+    if (String(sequences[i].sequenceID) === ref.sequenceID) { seq = sequences[i]; break; }
+  }
+  if (!seq) return { error: "The sequence these markers were placed on is gone" };
+  if (ref.destination === "sequence") return sequenceTarget(seq);
+
+  var groups = [seq.videoTracks, seq.audioTracks];
+  for (var g = 0; g < groups.length; g++) {
+    for (var t = 0; groups[g] && t < groups[g].numTracks; t++) {
+      var clips = groups[g][t] ? groups[g][t].clips : null;
+      for (var c = 0; clips && c < clips.numItems; c++) {
+        if (String(clips[c].nodeId) === ref.nodeId && clips[c].projectItem) return clipTarget(seq, clips[c]);
+      }
+    }
+  }
+  return { error: "The clip these markers were placed on is gone" };
+}
+
+/**
+ * Pins a destination down to the sequence, clip or project item it
+ * resolves to now. The ref can be passed as the destination of any
+ * marker call later, e.g. to undo a batch where it was placed.
+ *
+ * @returns {string} JSON { ref, name } or { error }
+ */
+function resolveMarkerTarget(destination, mediaPath) {
+  try {
+    var target = getMarkerTarget(destination, mediaPath);
+    if (target.error) return JSON.stringify({ error: target.error });
+    return JSON.stringify({ ref: target.ref, name: target.name });
+  } catch (e) {
+    return JSON.stringify({ error: e.toString() });
+  }
+}
+
+/**
+ * Depth-first search of the project for the item with the given nodeId.
+ */
+function findProjectItemByNodeId(parent, nodeId) {
+  for (var i = 0; i < parent.children.numItems; i++) {
+    var child = parent.children[i];
+    if (String(child.nodeId) === nodeId) return child;
+    if (child.type === ProjectItemType.BIN) {
+      var found = findProjectItemByNodeId(child, nodeId);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * Depth-first search of the project for the item whose media is at path.
+ */
+function findProjectItemByPath(parent, path) {
+  for (var i = 0; i < parent.children.numItems; i++) {
+    var child = parent.children[i];
+    if (child.type === ProjectItemType.BIN) {
+      var found = findProjectItemByPath(child, path);
+      if (found) return found;
+    } else if (hasMediaPath(child, path)) {
+      return child;
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a project item's media is at path (separators and case
+ * ignored).
+ */
+function hasMediaPath(item, path) {
+  var itemPath = "";
+  try { itemPath = item.getMediaPath(); } catch (e) {}
+  if (!itemPath) return false;
+  return itemPath.replace(/\\/g, "/").toLowerCase() === String(path).replace(/\\/g, "/").toLowerCase();
+}
+
 // ══════════════════════════════════════════════════════
 //  CREATE A SINGLE MARKER
 // ══════════════════════════════════════════════════════
 
 /**
- * Creates a single sequence marker at the given time.
+ * Creates a single marker at the given time.
  *
  * @param {number} timeSeconds — position in seconds
  * @param {string} name — marker name
  * @param {string} comments — marker comment
  * @param {number} colorIndex — Premiere marker color (0-7)
  *   0=Green, 1=Red, 2=Purple, 3=Orange, 4=Yellow, 5=White, 6=Blue, 7=Cyan
+ * @param {string} destination — "sequence" (default), "clip" or "projectItem"
+ * @param {string} mediaPath — project item lookup for "projectItem"
  *
  * @returns {string} "ok" or error message
  */
-function createMarker(timeSeconds, name, comments, colorIndex) {
+function createMarker(timeSeconds, name, comments, colorIndex, destination, mediaPath) {
   try {
-    var seq = app.project.activeSequence;
-    if (!seq) return "error:No active sequence";
+    var target = getMarkerTarget(destination, mediaPath);
+    if (target.error) return "error:" + target.error;
 
-    var markers = seq.markers;
-    var newMarker = markers.createMarker(parseFloat(timeSeconds));
+    var time = parseFloat(timeSeconds);
+    if (!target.accepts(time)) return "error:Time is outside the selected clip";
+
+    var markers = target.markers;
+    var newMarker = markers.createMarker(target.toTarget(time));
 
     if (newMarker) {
       newMarker.name = name || "";
@@ -149,32 +441,50 @@ function createMarker(timeSeconds, name, comments, colorIndex) {
 /**
  * Creates multiple markers from a JSON array.
  * Each element: { time: seconds, name: string, comments: string, color: int }
+ * plus optional ticks (integer, panel time base) — when present it wins
+ * over time and the marker is placed on that exact tick.
  *
  * We batch these to minimize evalScript round-trips.
  *
  * @param {string} jsonStr — JSON array of marker objects
- * @returns {string} — JSON result with count and errors
+ * @param {string} destination — "sequence" (default), "clip" or "projectItem"
+ * @param {string} mediaPath — project item lookup for "projectItem"
+ * @param {string} batchTag — panel's batch id; only used to tag comments
+ *   when this Premiere version doesn't expose marker GUIDs
+ * @returns {string} — JSON result with count, errors and the ids of the
+ *   created markers (see markerId); markers that fall outside a "clip"
+ *   destination are counted as skipped
  */
-function createMarkerBatch(jsonStr) {
+function createMarkerBatch(jsonStr, destination, mediaPath, batchTag) {
   try {
-    var seq = app.project.activeSequence;
-    if (!seq) return JSON.stringify({ error: "No active sequence", placed: 0 });
+    var target = getMarkerTarget(destination, mediaPath);
+    if (target.error) return JSON.stringify({ error: target.error, placed: 0 });
 
-    var markers = seq.markers;
+    var markers = target.markers;
     var batch = JSON.parse(jsonStr);
     var placed = 0;
     var errors = 0;
+    var skipped = 0;
+    var ids = [];
 
     for (var i = 0; i < batch.length; i++) {
       try {
         var item = batch[i];
-        var m = markers.createMarker(parseFloat(item.time));
+        var hasTicks = item.ticks !== undefined && item.ticks !== null;
+        var time = hasTicks ? parseFloat(item.ticks) / TICKS_PER_SECOND : parseFloat(item.time);
+        if (!target.accepts(time)) {
+          skipped++;
+          continue;
+        }
+        var m = markers.createMarker(target.toTarget(time));
         if (m) {
+          if (hasTicks) setMarkerTicks(m, Math.round(target.toTarget(time) * TICKS_PER_SECOND));
           m.name = item.name || "";
           m.comments = item.comments || "";
           try {
             m.setColorByIndex(parseInt(item.color) || 0);
           } catch (ce) {}
+          ids.push(markerId(m, batchTag));
           placed++;
         } else {
           errors++;
@@ -184,34 +494,52 @@ function createMarkerBatch(jsonStr) {
       }
     }
 
-    return JSON.stringify({ placed: placed, errors: errors, total: batch.length });
+    return JSON.stringify({ placed: placed, errors: errors, skipped: skipped, total: batch.length, ids: ids });
   } catch (e) {
     return JSON.stringify({ error: e.toString(), placed: 0 });
   }
 }
 
+/**
+ * Stable identity for a marker we created: its GUID where the API
+ * exposes one, otherwise a "[bmp:<tag>]" suffix on its comments.
+ */
+function markerId(marker, batchTag) {
+  var guid = "";
+  try { guid = marker.guid || ""; } catch (ge) {}
+  if (guid) return String(guid);
+
+  var tag = "[bmp:" + (batchTag || "batch") + "]";
+  marker.comments = (marker.comments ? marker.comments + " " : "") + tag;
+  return "tag:" + tag;
+}
+
 // ══════════════════════════════════════════════════════
 //  CLEAR MARKERS
 // ══════════════════════════════════════════════════════
 
 /**
- * Removes all sequence markers.
+ * Removes all markers at the destination. A marker that won't go (the
+ * delete throws or leaves the count unchanged) ends it with an error
+ * instead of looping on it.
  */
-function clearAllMarkers() {
+function clearAllMarkers(destination, mediaPath) {
   try {
-    var seq = app.project.activeSequence;
-    if (!seq) return "error:No active sequence";
+    var target = getMarkerTarget(destination, mediaPath);
+    if (target.error) return "error:" + target.error;
 
-    var markers = seq.markers;
-    var firstMarker = markers.getFirstMarker();
+    var markers = target.markers;
     var count = 0;
 
-    while (firstMarker) {
-      markers.deleteMarker(firstMarker);
+    while (markers.numMarkers > 0) {
+      var left = markers.numMarkers;
+      try {
+        markers.deleteMarker(markers.getFirstMarker());
+      } catch (de) {}
+      if (markers.numMarkers >= left) {
+        return "error:Removed " + count + " markers, then one could not be deleted";
+      }
       count++;
-      firstMarker = markers.getFirstMarker();
-      // Safety
-      if (count > 10000) break;
     }
 
     return JSON.stringify({ removed: count });
@@ -221,25 +549,142 @@ function clearAllMarkers() {
 }
 
 /**
- * Removes markers within a time range (for undo-last-batch).
- * We store the time range of the last batch on the panel side.
+ * Walks the destination's markers and returns those matching the ids,
+ * as [{ marker, id }]. Ids are GUIDs, "tag:<comment tag>" (see markerId)
+ * or "at:<seconds>" for markers listed without a GUID.
+ */
+function findMarkersById(markers, ids) {
+  var guids = {};
+  var tagSeen = {};
+  var tags = [];
+  var times = [];
+  for (var i = 0; i < ids.length; i++) {
+    var id = String(ids[i]);
+    if (id.indexOf("tag:") === 0) {
+      if (!tagSeen[id]) {
+        tagSeen[id] = true;
+        tags.push(id.substring(4));
+      }
+    } else if (id.indexOf("at:") === 0) {
+      times.push({ id: id, time: parseFloat(id.substring(3)) });
+    } else {
+      guids[id] = true;
+    }
+  }
+
+  var found = [];
+  var marker = markers.getFirstMarker();
+  var count = 0;
+  while (marker) {
+    var guid = "";
+    try { guid = marker.guid || ""; } catch (ge) {}
+    var match = guid && guids[guid] === true ? guid : null;
+    for (var t = 0; !match && t < tags.length; t++) {
+      if ((marker.comments || "").indexOf(tags[t]) >= 0) match = "tag:" + tags[t];
+    }
+    if (!match && times.length) {
+      var mTime = parseFloat(marker.start.seconds);
+      for (var k = 0; k < times.length; k++) {
+        if (Math.abs(times[k].time - mTime) < 0.000001) { match = times[k].id; break; }
+      }
+    }
+    if (match) found.push({ marker: marker, id: match });
+
+    marker = markers.getNextMarker(marker);
+    count++;
+    if (count > 50000) break; // Safety
+  }
+  return found;
+}
+
+/**
+ * Removes exactly the markers with the given ids (from createMarkerBatch
+ * or listMarkers), leaving every other marker alone. Used for batch undo
+ * and duplicate replacement.
+ *
+ * @param {string} idsJson — JSON array of marker ids
+ * @returns {string} JSON { removed, failed } — failed lists the ids of
+ *   markers that were found but couldn't be deleted; ids not found at
+ *   all are in neither
  */
-function clearMarkersInRange(startSec, endSec, namePrefix) {
+function deleteMarkersById(idsJson, destination, mediaPath) {
   try {
-    var seq = app.project.activeSequence;
-    if (!seq) return "error:No active sequence";
+    var target = getMarkerTarget(destination, mediaPath);
+    if (target.error) return JSON.stringify({ error: target.error, removed: 0, failed: [] });
+
+    // Collect first, then delete (can't modify while iterating)
+    var found = findMarkersById(target.markers, JSON.parse(idsJson));
+    var removed = 0;
+    var failed = [];
+    for (var d = 0; d < found.length; d++) {
+      try {
+        target.markers.deleteMarker(found[d].marker);
+        removed++;
+      } catch (de) {
+        failed.push(found[d].id);
+      }
+    }
 
-    var markers = seq.markers;
+    return JSON.stringify({ removed: removed, failed: failed });
+  } catch (e) {
+    return JSON.stringify({ error: e.toString(), removed: 0, failed: [] });
+  }
+}
+
+/**
+ * Renames markers in place. Used to merge events into existing markers.
+ *
+ * @param {string} jsonStr — JSON array of { id, name, comments }
+ * @returns {string} JSON { updated }
+ */
+function updateMarkersById(jsonStr, destination, mediaPath) {
+  try {
+    var target = getMarkerTarget(destination, mediaPath);
+    if (target.error) return JSON.stringify({ error: target.error, updated: 0 });
+
+    var updates = JSON.parse(jsonStr);
+    var byId = {};
+    var ids = [];
+    for (var i = 0; i < updates.length; i++) {
+      byId[updates[i].id] = updates[i];
+      ids.push(updates[i].id);
+    }
+
+    var found = findMarkersById(target.markers, ids);
+    for (var f = 0; f < found.length; f++) {
+      var u = byId[found[f].id];
+      found[f].marker.name = u.name || "";
+      found[f].marker.comments = u.comments || "";
+    }
+
+    return JSON.stringify({ updated: found.length });
+  } catch (e) {
+    return JSON.stringify({ error: e.toString(), updated: 0 });
+  }
+}
+
+/**
+ * Removes markers within a time range.
+ * The range is in the panel's time base and mapped like createMarkerBatch.
+ */
+function clearMarkersInRange(startSec, endSec, namePrefix, destination, mediaPath) {
+  try {
+    var target = getMarkerTarget(destination, mediaPath);
+    if (target.error) return "error:" + target.error;
+
+    var markers = target.markers;
     var marker = markers.getFirstMarker();
     var toDelete = [];
     var count = 0;
+    var rangeStart = target.toTarget(parseFloat(startSec));
+    var rangeEnd = target.toTarget(parseFloat(endSec));
 
     // Collect markers to delete (can't modify while iterating)
     while (marker) {
       var mTime = parseFloat(marker.start.seconds);
       var mName = marker.name || "";
 
-      if (mTime >= parseFloat(startSec) && mTime <= parseFloat(endSec)) {
+      if (mTime >= rangeStart && mTime <= rangeEnd) {
         // If namePrefix provided, only delete matching markers
         if (!namePrefix || mName.indexOf(namePrefix) === 0) {
           toDelete.push(marker);
@@ -252,13 +697,18 @@ function clearMarkersInRange(startSec, endSec, namePrefix) {
     }
 
     // Delete collected markers
+    var removed = 0;
+    var errors = 0;
     for (var i = 0; i < toDelete.length; i++) {
       try {
         markers.deleteMarker(toDelete[i]);
-      } catch (de) {}
+        removed++;
+      } catch (de) {
+        errors++;
+      }
     }
 
-    return JSON.stringify({ removed: toDelete.length });
+    return JSON.stringify({ removed: removed, errors: errors });
   } catch (e) {
     return "error:" + e.toString();
   }
@@ -268,22 +718,37 @@ function clearMarkersInRange(startSec, endSec, namePrefix) {
 //  LIST EXISTING MARKERS
 // ══════════════════════════════════════════════════════
 
-function listMarkers(maxCount) {
+/**
+ * Lists markers at the destination. time is in the destination's own
+ * time base (source media seconds for "clip" and "projectItem");
+ * placeTime is the same position in the panel's placement time base
+ * (sequence seconds for "clip"). id is the marker's GUID, or "at:<time>"
+ * where GUIDs aren't available.
+ */
+function listMarkers(maxCount, destination, mediaPath) {
   try {
-    var seq = app.project.activeSequence;
-    if (!seq) return JSON.stringify({ error: "No active sequence" });
+    var target = getMarkerTarget(destination, mediaPath);
+    if (target.error) return JSON.stringify({ error: target.error });
 
-    var markers = seq.markers;
+    var markers = target.markers;
     var result = [];
     var marker = markers.getFirstMarker();
     var limit = parseInt(maxCount) || 500;
     var i = 0;
 
     while (marker && i < limit) {
+      var time = parseFloat(marker.start.seconds);
+      var guid = "";
+      try { guid = marker.guid || ""; } catch (ge) {}
+      var color = 0;
+      try { color = marker.getColorByIndex(); } catch (ce) {}
       result.push({
-        time: parseFloat(marker.start.seconds),
+        id: guid ? String(guid) : "at:" + time,
+        time: time,
+        placeTime: target.fromTarget(time),
         name: marker.name || "",
         comments: marker.comments || "",
+        color: color,
       });
       marker = markers.getNextMarker(marker);
       i++;
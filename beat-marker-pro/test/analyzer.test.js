@@ -0,0 +1,216 @@
+/**
+ * AudioAnalyzer DSP core: the real-input FFT, frame-by-frame analysis and the
+ * analysis settings (FFT / hop size, custom bands and channels).
+ */
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+
+var AudioAnalyzer = require("../client/js/audio-analyzer.js");
+var AnalysisCache = require("../client/js/analysis-cache.js");
+var signals = require("./helpers/signals.js");
+var harness = require("./helpers/harness.js");
+var metrics = require("./helpers/metrics.js");
+
+// "808 only" and "tambourine" detectors for signals.percussionLoop()
+var CUSTOM = {
+  bands: { low808: { low: 30, high: 65 }, jingle: { low: 8000, high: 12500 } },
+  customChannels: [
+    { name: "sub808", bands: ["low808"], feature: "energy", minInterval: 0.15 },
+    { name: "tambourine", bands: ["jingle"], weights: [1], feature: "energy", window: 0.1, minInterval: 0.1 },
+  ],
+};
+
+/**
+ * Magnitudes of the Hann-windowed frame by direct DFT, in doubles.
+ */
+function referenceSpectrum(frame) {
+  var N = frame.length, out = new Float64Array(N / 2);
+  var windowed = frame.map(function (x, i) { return x * 0.5 * (1 - Math.cos(2 * Math.PI * i / (N - 1))); });
+  for (var k = 0; k < N / 2; k++) {
+    var re = 0, im = 0;
+    for (var n = 0; n < N; n++) {
+      re += windowed[n] * Math.cos(2 * Math.PI * k * n / N);
+      im -= windowed[n] * Math.sin(2 * Math.PI * k * n / N);
+    }
+    out[k] = Math.hypot(re, im);
+  }
+  return out;
+}
+
+test("magnitude spectrum matches a direct DFT", function () {
+  var analyzer = new AudioAnalyzer();
+  var rand = signals.random(3);
+  [64, 512, 2048].forEach(function (N) {
+    var frame = new Float64Array(N);
+    for (var i = 0; i < N; i++) frame[i] = Math.sin(i * 0.37) * 0.5 + (rand() - 0.5) * 0.3;
+    var mag = analyzer._magnitudeSpectrum(frame, 0, analyzer._fftPlan(N), new Float32Array(N / 2));
+    var ref = referenceSpectrum(frame);
+    for (var k = 0; k < N / 2; k++) {
+      assert.ok(Math.abs(mag[k] - ref[k]) <= 1e-6 * Math.max(1, ref[k]), "N=" + N + " bin " + k + ": " + mag[k] + " vs " + ref[k]);
+    }
+  });
+});
+
+test("a sine lands in its FFT bin", function () {
+  var analyzer = new AudioAnalyzer();
+  var N = 2048, bin = 93, frame = new Float32Array(N + 100);
+  for (var i = 0; i < frame.length; i++) frame[i] = Math.sin(2 * Math.PI * bin * i / N);
+  // Starting mid-buffer, and again past the end (zero-padded)
+  [100, frame.length - N / 2].forEach(function (start) {
+    var mag = analyzer._magnitudeSpectrum(frame, start, analyzer._fftPlan(N), new Float32Array(N / 2));
+    var peak = 0;
+    for (var k = 1; k < N / 2; k++) if (mag[k] > mag[peak]) peak = k;
+    assert.equal(peak, bin);
+  });
+});
+
+test("analysis reduces each frame as it goes and keeps no full spectrogram", function () {
+  var track = signals.clickTrack(100, 3, 1);
+  var analyzer = new AudioAnalyzer();
+  return analyzer.analyze(track.buffer, { detectHihat: true }).then(function () {
+    var frames = Math.floor((track.buffer.length - 2048) / 512) + 1;
+    assert.equal(analyzer.features.spectrogram, undefined);
+    assert.equal(analyzer.features.logSpectrogram.frames, frames);
+    assert.equal(analyzer.features.detection.hihat.strength.length, frames);
+  });
+});
+
+test("audio shorter than one FFT frame analyzes to no events", function () {
+  var analyzer = new AudioAnalyzer();
+  var buffer = signals.toBuffer(new Float32Array(1000), 44100);
+  return analyzer.analyze(buffer, harness.ALL_CHANNELS).then(function (results) {
+    assert.deepEqual(results.kick, []);
+    assert.equal(analyzer.features.logSpectrogram.frames, 0);
+  });
+});
+
+test("FFT and hop size are analysis options", function () {
+  var track = signals.clickTrack(100, 6, 1);
+  var analyzer = new AudioAnalyzer();
+  return analyzer.analyze(track.buffer, { fftSize: 1024, hopSize: 256, detectHihat: true }).then(function (results) {
+    assert.equal(analyzer.features.logSpectrogram.frames, Math.floor((track.buffer.length - 1024) / 256) + 1);
+    assert.equal(analyzer.features.fftSize, 1024);
+    assert.equal(analyzer.features.hopSize, 256);
+    // Times are refined from the frame's window centre, within the attack search
+    results.hihat.forEach(function (ev) { assert.ok(Math.abs(ev.time * 44100 - (ev.frame * 256 + 512)) <= 128 + 512); });
+    assert.ok(metrics.scoreOnsets(results.hihat.map(function (ev) { return ev.time; }), track.truth.hihat).f >= 0.9);
+
+    // Settings don't stick: the next analysis is back on the defaults
+    return analyzer.analyze(track.buffer, { detectHihat: true });
+  }).then(function () {
+    assert.equal(analyzer.features.fftSize, 2048);
+    assert.equal(analyzer.features.hopSize, 512);
+  });
+});
+
+test("onsets are timed to the sample at any FFT size", function () {
+  var track = signals.clickTrack(100, 6, 1);
+  // Largest error among the detected clicks (misses are detection.test.js's business)
+  function maxError(events) {
+    return Math.max.apply(null, track.truth.hihat.map(function (t) {
+      var error = Math.min.apply(null, events.map(function (ev) { return Math.abs(ev.time - t); }));
+      return error <= metrics.DEFAULT_TOLERANCE ? error : 0;
+    }));
+  }
+  return [1024, 4096, 8192].reduce(function (done, fftSize) {
+    return done.then(function () {
+      var analyzer = new AudioAnalyzer();
+      return analyzer.analyze(track.buffer, { fftSize: fftSize, detectHihat: true }).then(function (results) {
+        assert.ok(maxError(results.hihat) < 0.0005, "FFT " + fftSize + ": off by " + (maxError(results.hihat) * 1000).toFixed(2) + "ms");
+      });
+    });
+  }, Promise.resolve());
+});
+
+test("cached features time onsets to the sample from their attacks or the audio", function () {
+  var track = signals.drumLoop(120, 4, 9);
+  var analyzer = new AudioAnalyzer();
+  return analyzer.analyze(track.buffer, harness.ALL_CHANNELS).then(function (results) {
+    var features = analyzer.getFeatures();
+    var cached = new AudioAnalyzer();
+    cached.setFeatures(features);
+    assert.deepEqual(cached.repick(harness.ALL_CHANNELS), results);
+
+    // Without either, peaks are interpolated between frames
+    cached.setFeatures(Object.assign({}, features, { attacks: {} }));
+    var coarse = cached.repick(harness.ALL_CHANNELS);
+    assert.equal(coarse.kick.length, results.kick.length);
+    assert.ok(Math.abs(metrics.scoreOnsets(coarse.kick.map(function (ev) { return ev.time; }), track.truth.kick).meanError) < 0.01);
+    assert.notDeepEqual(coarse.kick, results.kick);
+
+    // Audio given as a loader is read on the first attack search
+    var loads = 0;
+    cached.setSamples(function () { loads++; return track.buffer; });
+    assert.deepEqual(cached.repick(harness.ALL_CHANNELS), results);
+    assert.equal(loads, 1);
+  });
+});
+
+test("custom channels pick out an 808 and a tambourine", function () {
+  var track = signals.percussionLoop(100, 6, 4);
+  var analyzer = new AudioAnalyzer();
+  return analyzer.analyze(track.buffer, CUSTOM).then(function (results) {
+    ["sub808", "tambourine"].forEach(function (ch) {
+      var score = metrics.scoreOnsets(results[ch].map(function (ev) { return ev.time; }), track.truth[ch]);
+      assert.ok(score.f >= 0.9, ch + " F " + score.f.toFixed(3));
+      assert.equal(results[ch][0].type, ch);
+    });
+    assert.ok(analyzer.getFeatures().bandEnergies.jingle instanceof Float64Array);
+
+    // Repicked like any channel: option keys follow the name
+    var fewer = analyzer.repick(Object.assign({ sensitivityTambourine: 0, detectSub808: false }, CUSTOM));
+    assert.equal(fewer.sub808, undefined);
+    assert.ok(fewer.tambourine.length <= results.tambourine.length);
+    // Without its definition the channel is gone from the results
+    assert.equal(analyzer.repick({}).tambourine, undefined);
+  });
+});
+
+test("invalid analysis settings are rejected", function () {
+  var analyzer = new AudioAnalyzer();
+  function channel(def) { return { bands: CUSTOM.bands, customChannels: [Object.assign({ name: "x", bands: ["low808"] }, def)] }; }
+  [
+    [{ fftSize: 3000 }, /FFT size/],
+    [{ fftSize: 512, hopSize: 1024 }, /Hop size/],
+    [{ bands: { wide: { low: 500, high: 100 } } }, /Band "wide"/],
+    [channel({ name: "Kick" }), /already in use/],
+    [channel({ name: "bpm" }), /already in use/],
+    [channel({ name: "808" }), /Invalid channel name/],
+    [channel({ bands: ["nope"] }), /unknown band "nope"/],
+    [channel({ weights: [1, 2] }), /one weight/],
+    [channel({ feature: "pitch" }), /feature must be/],
+    [channel({ window: 0 }), /window must be/],
+  ].forEach(function (c) {
+    assert.throws(function () { analyzer.configure(c[0]); }, c[1]);
+  });
+  return assert.rejects(analyzer.analyze(signals.toBuffer(new Float32Array(4096), 44100), { hopSize: 10 }), /Hop size/);
+});
+
+test("cache entries pack an array shared by two fields once and decode it shared", function () {
+  var track = signals.drumLoop(120, 2, 3);
+  var analyzer = new AudioAnalyzer();
+  return analyzer.analyze(track.buffer, harness.ALL_CHANNELS).then(function () {
+    var features = analyzer.getFeatures();
+    var encoded = AnalysisCache.encode(features);
+    assert.equal(encoded.detection.kick.signal.$typed, "Float32Array");
+    assert.equal(typeof encoded.detection.kick.strength.$ref, "number");
+    // Bass reads strength from energy, not its flux signal
+    assert.equal(encoded.detection.bass.strength.$typed, "Float32Array");
+
+    var decoded = AnalysisCache.decode(JSON.parse(JSON.stringify(encoded)));
+    assert.equal(decoded.detection.kick.strength, decoded.detection.kick.signal);
+    assert.deepEqual(decoded, features);
+  });
+});
+
+test("custom channel recipes are part of the cache key, their sensitivities aren't", function () {
+  function key(options) { return AnalysisCache.cacheKey("abc", new AudioAnalyzer().configure(options), 44100); }
+  assert.equal(key({}), key({ detectKick: false, sensitivitySnare: 0.9 }));
+  assert.notEqual(key({}), key(CUSTOM));
+  assert.equal(key(CUSTOM), key(Object.assign({ sensitivityTambourine: 0.2 }, CUSTOM)));
+  var heavier = Object.assign({}, CUSTOM, {
+    customChannels: [CUSTOM.customChannels[0], Object.assign({}, CUSTOM.customChannels[1], { weights: [2] })],
+  });
+  assert.notEqual(key(CUSTOM), key(heavier));
+});
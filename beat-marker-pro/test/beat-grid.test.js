@@ -0,0 +1,171 @@
+/**
+ * Grid math (client/js/beat-grid.js): swing and groove templates, and
+ * tempo map timing.
+ */
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+
+var BeatGrid = require("../client/js/beat-grid.js");
+
+function near(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, (message || "") + " " + actual + " ≠ " + expected);
+}
+
+function nearAll(actual, expected) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach(function (v, i) { near(v, expected[i], "[" + i + "]"); });
+}
+
+test("swing templates push every second note late", function () {
+  assert.equal(BeatGrid.swingTemplate(50, 0.25), null);
+  assert.equal(BeatGrid.swingTemplate(0, 0.25), null);
+
+  var swing = BeatGrid.swingTemplate(66, 0.25);
+  assert.equal(swing.name, "Swing 66%");
+  assert.equal(swing.stepsPerBeat, 4);
+  nearAll(swing.offsets, [0, 0.08]);
+  // Each pair of 16ths splits 66 / 34
+  nearAll([0, 0.25, 0.5, 0.75, 1].map(function (b) { return BeatGrid.applyGroove(b, swing); }),
+    [0, 0.33, 0.5, 0.83, 1]);
+
+  // 75% on 8ths: the dotted feel
+  nearAll(BeatGrid.swingTemplate(75, 0.5).offsets, [0, 0.25]);
+});
+
+test("grooves move slot positions only, cycling in both directions", function () {
+  var groove = { name: "g", stepsPerBeat: 4, offsets: [0, 0.05, -0.02, 0.03] };
+  near(BeatGrid.applyGroove(2.25, groove), 2.3);
+  near(BeatGrid.applyGroove(2.5, groove), 2.48);
+  // Slot -1 is the cycle's last
+  near(BeatGrid.applyGroove(-0.25, groove), -0.22);
+  // Between slots, or no groove: left alone
+  near(BeatGrid.applyGroove(2.1, groove), 2.1);
+  near(BeatGrid.applyGroove(2.25, null), 2.25);
+  near(BeatGrid.applyGroove(2.25, { stepsPerBeat: 4, offsets: [] }), 2.25);
+});
+
+test("a groove applied to a grid is extracted back from its times", function () {
+  var groove = { name: "g", stepsPerBeat: 4, offsets: [0.01, 0.05, -0.02, 0.03] };
+  var timing = BeatGrid.constantTiming(96, 0.4);
+  var times = [];
+  for (var slot = 0; slot < 32; slot++) times.push(timing.beatToTime(BeatGrid.applyGroove(slot / 4, groove)));
+
+  var extracted = BeatGrid.extractGroove(times, timing, 4, 1);
+  assert.equal(extracted.stepsPerBeat, 4);
+  nearAll(extracted.offsets, groove.offsets);
+  assert.deepEqual(extracted.hits, [8, 8, 8, 8]);
+
+  // Over two beats the same template shows up twice
+  nearAll(BeatGrid.extractGroove(times, timing, 4, 2).offsets, groove.offsets.concat(groove.offsets));
+});
+
+test("extraction ignores hits far from any slot and leaves unplayed slots straight", function () {
+  var timing = BeatGrid.constantTiming(60, 0);
+  // 8th-note hits, 30 ms late, plus one between slots
+  var times = [0.03, 0.53, 1.03, 1.53, 1.125];
+  var groove = BeatGrid.extractGroove(times, timing, 4, 1);
+  nearAll(groove.offsets, [0.03, 0, 0.03, 0]);
+  assert.deepEqual(groove.hits, [2, 0, 2, 0]);
+});
+
+test("a groove replaces swing on the built grid", function () {
+  var timing = BeatGrid.constantTiming(60, 0);
+  var options = { timing: timing, endSec: 2, meter: { beatsPerBar: 4, beatUnit: 4 }, subdivision: 8, swing: 66 };
+  var swung = BeatGrid.build(options).map(function (p) { return p.time; });
+  nearAll(swung, [0, 0.66, 1, 1.66]);
+
+  options.groove = { name: "g", stepsPerBeat: 2, offsets: [0.02, -0.05] };
+  var grooved = BeatGrid.build(options).map(function (p) { return p.time; });
+  nearAll(grooved, [0.02, 0.45, 1.02, 1.45]);
+
+  // Triplet grids ignore swing
+  delete options.groove;
+  options.subdivision = 4;
+  options.triplet = true;
+  nearAll(BeatGrid.build(options).map(function (p) { return p.time; }), [0, 2 / 3, 4 / 3]);
+});
+
+test("swing moves the 8ths whatever the grid step", function () {
+  var timing = BeatGrid.constantTiming(60, 0);
+  function times(subdivision) {
+    return BeatGrid.build({
+      timing: timing, endSec: 8, meter: { beatsPerBar: 4, beatUnit: 4 }, subdivision: subdivision, swing: 66,
+    }).map(function (p) { return p.time; });
+  }
+  // Downbeats and beats have no 8th between them to swing
+  nearAll(times(1), [0, 4]);
+  nearAll(times(4), [0, 1, 2, 3, 4, 5, 6, 7]);
+  nearAll(times(8).slice(0, 4), [0, 0.66, 1, 1.66]);
+});
+
+// ── Tempo maps ──
+
+// 120 BPM, 60 from bar 3, 90 from beat 3 of bar 4; bar 1 at 1 s.
+// Listed out of order, as the map is edited
+var STEPPED = [
+  { bar: 1, beat: 1, bpm: 120, beatsPerBar: 4, beatUnit: 4 },
+  { bar: 4, beat: 3, bpm: 90 },
+  { bar: 3, beat: 1, bpm: 60 },
+];
+
+test("a stepped tempo map times beats at and across segment boundaries", function () {
+  var timing = BeatGrid.tempoMapTiming(STEPPED, 1);
+  // Bars 1–2 at 0.5 s a beat, bar 3 and half of bar 4 at 1 s, then 2/3 s
+  var beats = [0, 4, 7.5, 8, 8.5, 12, 14, 16];
+  var times = [1, 3, 4.75, 5, 5.5, 9, 11, 11 + 4 / 3];
+  beats.forEach(function (b, i) {
+    near(timing.beatToTime(b), times[i], "beat " + b);
+    near(timing.timeToBeat(times[i]), b, times[i] + " s");
+  });
+  // A boundary belongs to the segment it starts
+  assert.equal(timing.bpmAt(7.999), 120);
+  assert.equal(timing.bpmAt(8), 60);
+  assert.equal(timing.bpmAt(14), 90);
+  // Before the origin the first tempo extends back
+  near(timing.beatToTime(-1), 0.5);
+});
+
+test("a ramp glides the tempo linearly in beats", function () {
+  var timing = BeatGrid.tempoMapTiming([
+    { bar: 1, beat: 1, bpm: 120 },
+    { bar: 2, beat: 1, bpm: 60, ramp: true },
+  ], 0);
+  assert.equal(timing.bpmAt(0), 120);
+  assert.equal(timing.bpmAt(2), 90);
+  assert.equal(timing.bpmAt(4), 60);
+  // ∫ 60 / bpm(x) dx over the ramp: 4 ln 2 s
+  near(timing.beatToTime(4), 4 * Math.LN2);
+  near(timing.timeToBeat(4 * Math.LN2), 4);
+  near(timing.timeToBeat(timing.beatToTime(1.5)), 1.5);
+  near(timing.beatToTime(6), 4 * Math.LN2 + 2);
+});
+
+test("bars stay numbered across tempo and meter changes", function () {
+  var timing = BeatGrid.tempoMapTiming([
+    { bar: 1, beat: 1, bpm: 120, beatsPerBar: 4, beatUnit: 4 },
+    { bar: 3, beat: 1, bpm: 120, beatsPerBar: 3 },
+    // 6/8 counted in dotted quarters, one a second
+    { bar: 5, beat: 1, bpm: 60, beatsPerBar: 6, beatUnit: 8 },
+  ], 0);
+  assert.equal(timing.barLayout(2).meter.key, "3/4:1+1+1");
+  assert.equal(timing.barLayout(4).meter.key, "6/8:3+3");
+  assert.equal(timing.barLayout(5).startBeat, 16);
+
+  var grid = BeatGrid.build({ timing: timing, endSec: 11, subdivision: 4 });
+  var downbeats = grid.filter(function (p) { return p.isDown; });
+  assert.deepEqual(downbeats.map(function (p) { return p.bar; }), [1, 2, 3, 4, 5, 6]);
+  nearAll(downbeats.map(function (p) { return p.time; }), [0, 2, 4, 5.5, 7, 9]);
+  // Every beat of a bar carries its number
+  assert.deepEqual(grid.filter(function (p) { return p.bar === 3; }).map(function (p) { return p.beat; }), [1, 2, 3]);
+  assert.deepEqual(grid.filter(function (p) { return p.bar === 5; }).map(function (p) { return [p.beat, p.bpm]; }), [[1, 60], [2, 60]]);
+});
+
+test("a tempo change mid-bar keeps the bar's numbering", function () {
+  var grid = BeatGrid.build({ timing: BeatGrid.tempoMapTiming(STEPPED, 1), endSec: 13, subdivision: 4 });
+  var bar4 = grid.filter(function (p) { return p.bar === 4; });
+  assert.deepEqual(bar4.map(function (p) { return p.beat; }), [1, 2, 3, 4]);
+  nearAll(bar4.map(function (p) { return p.time; }), [9, 10, 11, 11 + 2 / 3]);
+  assert.deepEqual(bar4.map(function (p) { return p.bpm; }), [60, 60, 90, 90]);
+  assert.equal(grid[grid.length - 1].bar, 5);
+});
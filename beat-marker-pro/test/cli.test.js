@@ -0,0 +1,102 @@
+/**
+ * Batch CLI (cli/beat-marker.js) on copies of the reference fixture.
+ */
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+
+var cli = require("../cli/beat-marker.js");
+var AudioDecoders = require("../cli/audio-decoders.js");
+
+var FIXTURE = path.join(__dirname, "fixtures", "drum-loop-120.flac");
+
+/**
+ * Temp folder with the fixture as each of the given track names.
+ */
+function trackFolder(names) {
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), "bmp-cli-"));
+  fs.mkdirSync(path.join(dir, "in"));
+  names.forEach(function (name) { fs.copyFileSync(FIXTURE, path.join(dir, "in", name)); });
+  return dir;
+}
+
+/**
+ * Runs main() with stderr captured. Resolves { code, stderr }.
+ */
+function run(argv) {
+  var lines = [];
+  var write = process.stderr.write;
+  process.stderr.write = function (text) { lines.push(String(text)); return true; };
+  function restore() { process.stderr.write = write; }
+  return cli.main(argv).then(function (code) {
+    restore();
+    return { code: code, stderr: lines.join("") };
+  }, function (err) {
+    restore();
+    throw err;
+  });
+}
+
+test("a track that can't be written fails alone; the batch goes on", function (t) {
+  var dir = trackFolder(["a.flac", "b.flac", "c.flac"]);
+  t.after(function () { fs.rmSync(dir, { recursive: true, force: true }); });
+  var out = path.join(dir, "out");
+  // b's beat map path is taken by a folder
+  fs.mkdirSync(path.join(out, "b.json"), { recursive: true });
+
+  return run(["-o", out, path.join(dir, "in")]).then(function (r) {
+    assert.equal(r.code, 1);
+    assert.match(r.stderr, /\[2\/3\] b\.flac — failed: /);
+    assert.match(r.stderr, /2 of 3 tracks written/);
+    assert.ok(fs.statSync(path.join(out, "a.json")).isFile());
+    assert.ok(fs.statSync(path.join(out, "c.json")).isFile());
+  });
+});
+
+test("an output folder that can't be created fails every track, not the run", function (t) {
+  var dir = trackFolder(["a.flac", "b.flac"]);
+  t.after(function () { fs.rmSync(dir, { recursive: true, force: true }); });
+  // A file where the output folder should be
+  var out = path.join(dir, "out");
+  fs.writeFileSync(out, "");
+
+  return run(["-o", out, path.join(dir, "in")]).then(function (r) {
+    assert.equal(r.code, 1);
+    assert.equal(r.stderr.match(/ — failed: /g).length, 2);
+    assert.match(r.stderr, /0 of 2 tracks written/);
+  });
+});
+
+test("a cached track is written again without decoding it", function (t) {
+  var dir = trackFolder(["a.flac"]);
+  var decode = AudioDecoders.decode;
+  var decoded = 0;
+  AudioDecoders.decode = function (bytes) { decoded++; return decode(bytes); };
+  t.after(function () {
+    AudioDecoders.decode = decode;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  var out = path.join(dir, "out");
+  var argv = ["-o", out, "--cache", path.join(dir, "cache"), path.join(dir, "in")];
+  function beatMap() { return fs.readFileSync(path.join(out, "a.json"), "utf8"); }
+
+  var first;
+  return run(argv).then(function (r) {
+    assert.equal(r.code, 0);
+    assert.equal(decoded, 1);
+    first = beatMap();
+    return run(argv);
+  }).then(function (r) {
+    assert.match(r.stderr, /\(cached\)/);
+    assert.equal(decoded, 1);
+    assert.equal(beatMap(), first);
+    // Channels the entry has no attacks for need the audio after all
+    return run(["-c", "all"].concat(argv));
+  }).then(function (r) {
+    assert.match(r.stderr, /\(cached\)/);
+    assert.equal(decoded, 2);
+  });
+});
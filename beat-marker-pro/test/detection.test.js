@@ -0,0 +1,97 @@
+/**
+ * Onset detection regression tests: per-channel precision / recall /
+ * F-measure on synthetic tracks and annotated reference files.
+ *
+ * Floors sit just under what the analyzer scores today, so a change
+ * that makes detection worse fails here; when a change makes it better,
+ * raise the floors. `node test/report.js` prints the full numbers.
+ */
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+
+var signals = require("./helpers/signals.js");
+var harness = require("./helpers/harness.js");
+var metrics = require("./helpers/metrics.js");
+
+// Mean onset offset (detected − truth) allowed, seconds — well inside
+// a frame at 60 fps
+var MAX_OFFSET = 0.005;
+
+var CASES = [
+  {
+    track: signals.drumLoop(120, 8, 1),
+    floors: {
+      kick: { f: 0.95 },
+      snare: { recall: 0.95, f: 0.6 },
+      hihat: { recall: 0.95, f: 0.8 },
+    },
+  },
+  {
+    track: signals.drumLoop(95, 6, 2),
+    floors: {
+      kick: { f: 0.95 },
+      snare: { recall: 0.95, f: 0.6 },
+      hihat: { recall: 0.95, f: 0.7 },
+    },
+  },
+  {
+    track: signals.bassLine(110, 6, 3),
+    floors: { bass: { recall: 0.7, f: 0.5 } },
+  },
+  {
+    track: signals.noiseBursts(40, 4),
+    floors: { snare: { precision: 0.95, recall: 0.95 } },
+  },
+  {
+    track: signals.clickTrack(100, 15, 5),
+    floors: { hihat: { f: 0.95 } },
+  },
+];
+
+function checkFloors(scores, floors, label) {
+  Object.keys(floors).forEach(function (ch) {
+    var s = scores[ch];
+    Object.keys(floors[ch]).forEach(function (measure) {
+      assert.ok(s[measure] >= floors[ch][measure],
+        label + " " + ch + " " + measure + " " + s[measure].toFixed(3) + " < floor " + floors[ch][measure]);
+    });
+    assert.ok(Math.abs(s.meanError) <= MAX_OFFSET,
+      label + " " + ch + " onsets are off by " + (s.meanError * 1000).toFixed(1) + "ms on average");
+  });
+}
+
+CASES.forEach(function (c) {
+  test("detects " + c.track.name, function (t) {
+    return harness.analyze(c.track).then(function (results) {
+      harness.formatScores(c.track, results).split("\n").forEach(t.diagnostic, t);
+      checkFloors(metrics.scoreResults(results, c.track.truth), c.floors, c.track.name);
+    });
+  });
+});
+
+test("disabled channels are not detected", function () {
+  var track = signals.drumLoop(120, 2, 6);
+  return harness.analyze(track, { detectKick: true, detectSnare: false, detectHihat: false, detectBass: false, detectMelody: false }).then(function (results) {
+    assert.ok(results.kick.length > 0);
+    assert.equal(results.snare, undefined);
+    assert.equal(results.hihat, undefined);
+  });
+});
+
+// ── Annotated reference tracks (test/fixtures, $BMP_FIXTURES) ──
+
+harness.listFixtures().forEach(function (manifest) {
+  test("reference track " + manifest, function (t) {
+    var track = harness.loadFixture(manifest);
+    return harness.analyze(track).then(function (results) {
+      harness.formatScores(track, results, track.tolerance).split("\n").forEach(t.diagnostic, t);
+      var scores = metrics.scoreResults(results, track.truth, track.tolerance);
+      Object.keys(track.minF).forEach(function (ch) {
+        assert.ok(scores[ch], track.name + " has no " + ch + " annotations");
+        assert.ok(scores[ch].f >= track.minF[ch],
+          track.name + " " + ch + " F " + scores[ch].f.toFixed(3) + " < floor " + track.minF[ch]);
+      });
+    });
+  });
+});
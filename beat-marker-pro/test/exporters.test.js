@@ -0,0 +1,38 @@
+/**
+ * Beat map exporters (client/js/exporters.js): timecode formats.
+ */
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+
+var BeatExporters = require("../client/js/exporters.js");
+var BeatImporters = require("../client/js/importers.js");
+
+// Ten minutes in, where non-drop timecode at 29.97 is 18 frames behind
+var EVENTS = [1, 60.06, 600].map(function (time, idx) {
+  return { time: time, name: "Beat " + (idx + 1), comments: "", type: "kick", color: 0 };
+});
+
+test("EDL and Premiere CSV timecode follow a drop-frame timebase", function () {
+  var info = { title: "Song", fps: 30000 / 1001, dropFrame: true, duration: 601 };
+  var edl = BeatExporters.toEDL(EVENTS, info);
+  assert.match(edl, /^FCM: DROP FRAME$/m);
+  assert.deepEqual(edl.match(/^\* LOC: \S+/gm), [
+    "* LOC: 00:00:01;00",
+    "* LOC: 00:01:00;02",
+    "* LOC: 00:10:00;00",
+  ]);
+
+  var csv = BeatExporters.toPremiereCSV(EVENTS, info);
+  var parsed = BeatImporters.parse("markers.csv", new TextEncoder().encode(csv).buffer, { fps: info.fps });
+  assert.equal(parsed.events.length, EVENTS.length);
+  parsed.events.forEach(function (ev, i) {
+    assert.ok(Math.abs(ev.time - EVENTS[i].time) < 1 / info.fps, ev.time + " for " + EVENTS[i].time);
+  });
+});
+
+test("timecode stays non-drop without the flag", function () {
+  var edl = BeatExporters.toEDL(EVENTS, { title: "Song", fps: 30000 / 1001, duration: 601 });
+  assert.match(edl, /^FCM: NON-DROP FRAME$/m);
+  assert.match(edl, /^\* LOC: 00:09:59:12 /m);
+});
@@ -0,0 +1,128 @@
+/**
+ * ════════════════════════════════════════════════════════
+ *  BEAT MARKER PRO — Detection Harness
+ *  Runs AudioAnalyzer on test tracks and scores the results
+ * ════════════════════════════════════════════════════════
+ *
+ *  Tracks are synthetic (signals.js) or annotated reference files. A
+ *  reference track is a "<name>.truth.json" manifest next to its audio:
+ *
+ *    {
+ *      "audio": "song.flac",                  WAV / AIFF / FLAC
+ *      "bpm": 128,                            optional
+ *      "tolerance": 0.05,                     optional, seconds
+ *      "channels": {
+ *        "kick": "song.kick.txt",             any file BeatImporters reads
+ *        "snare": [0.52, 1.46, 2.41]          or the times inline
+ *      },
+ *      "minF": { "kick": 0.8 }                optional regression floors
+ *    }
+ *
+ *  Manifests are read from test/fixtures/ and from the folder in
+ *  BMP_FIXTURES, so large or licensed songs can stay out of the repo.
+ */
+
+var fs = require("fs");
+var path = require("path");
+
+var AudioAnalyzer = require("../../client/js/audio-analyzer.js");
+var BeatImporters = require("../../client/js/importers.js");
+var AudioDecoders = require("../../cli/audio-decoders.js");
+var metrics = require("./metrics.js");
+
+var FIXTURE_DIRS = [path.join(__dirname, "..", "fixtures")].concat(
+  process.env.BMP_FIXTURES ? [path.resolve(process.env.BMP_FIXTURES)] : []);
+
+// Every channel on, at the analyzer's default sensitivities
+var ALL_CHANNELS = {
+  detectKick: true, detectSnare: true, detectHihat: true,
+  detectBass: true, detectMelody: true, detectVocal: true,
+};
+
+/**
+ * Analyzes a track with every channel on; results are kept on the track
+ * so several tests can score one analysis.
+ * @returns {Promise<object>} AudioAnalyzer results
+ */
+function analyze(track, options) {
+  if (!options && track.results) return Promise.resolve(track.results);
+  return new AudioAnalyzer().analyze(track.buffer, options || ALL_CHANNELS).then(function (results) {
+    if (!options) track.results = results;
+    return results;
+  });
+}
+
+// ── Reference files ──
+
+function listFixtures() {
+  var manifests = [];
+  FIXTURE_DIRS.forEach(function (dir) {
+    if (!fs.existsSync(dir)) return;
+    fs.readdirSync(dir).sort().forEach(function (name) {
+      if (/\.truth\.json$/.test(name)) manifests.push(path.join(dir, name));
+    });
+  });
+  return manifests;
+}
+
+function readTimes(spec, dir) {
+  if (Array.isArray(spec)) return spec.slice();
+  var file = path.resolve(dir, spec);
+  var bytes = fs.readFileSync(file);
+  var parsed = BeatImporters.parse(path.basename(file), bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+  return parsed.events.map(function (ev) { return ev.time; });
+}
+
+/**
+ * Decodes a manifest's audio and reads its annotations into a track.
+ */
+function loadFixture(manifestPath) {
+  var dir = path.dirname(manifestPath);
+  var manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  if (!manifest.audio) throw new Error(path.basename(manifestPath) + " has no \"audio\" file");
+  var truth = {};
+  Object.keys(manifest.channels || {}).forEach(function (ch) {
+    truth[ch] = readTimes(manifest.channels[ch], dir);
+  });
+  return {
+    name: path.basename(manifestPath).replace(/\.truth\.json$/, ""),
+    buffer: AudioDecoders.decode(fs.readFileSync(path.resolve(dir, manifest.audio))),
+    truth: truth,
+    bpm: manifest.bpm || null,
+    tolerance: manifest.tolerance || metrics.DEFAULT_TOLERANCE,
+    minF: manifest.minF || {},
+  };
+}
+
+// ── Reporting ──
+
+function pct(x) {
+  return (x * 100).toFixed(1).padStart(6);
+}
+
+/**
+ * Text table of one track's scores, one row per channel with truth.
+ */
+function formatScores(track, results, tolerance) {
+  var scores = metrics.scoreResults(results, track.truth, tolerance);
+  var lines = [];
+  var tempo = track.bpm ? metrics.scoreTempo(results.bpm, track.bpm) : null;
+  lines.push(track.name + " — BPM " + (results.bpm || "—") +
+    (tempo ? " (truth " + track.bpm + ", " + (tempo.accuracy1 ? "ok" : tempo.accuracy2 ? "octave error" : "wrong") + ")" : ""));
+  lines.push("  channel      P       R       F    TP   FP   FN   offset");
+  Object.keys(scores).forEach(function (ch) {
+    var s = scores[ch];
+    lines.push("  " + ch.padEnd(8) + pct(s.precision) + "  " + pct(s.recall) + "  " + pct(s.f) +
+      String(s.tp).padStart(6) + String(s.fp).padStart(5) + String(s.fn).padStart(5) +
+      ((s.meanError * 1000).toFixed(1) + "ms").padStart(10));
+  });
+  return lines.join("\n");
+}
+
+module.exports = {
+  ALL_CHANNELS: ALL_CHANNELS,
+  analyze: analyze,
+  listFixtures: listFixtures,
+  loadFixture: loadFixture,
+  formatScores: formatScores,
+};
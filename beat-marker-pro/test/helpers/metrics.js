@@ -0,0 +1,94 @@
+/**
+ * ════════════════════════════════════════════════════════
+ *  BEAT MARKER PRO — Detection Metrics
+ *  Precision / recall / F-measure and tempo accuracy
+ * ════════════════════════════════════════════════════════
+ *
+ *  Onsets are scored the MIREX way: each reference onset can be matched
+ *  by at most one detection within ±tolerance seconds, closest pairs
+ *  first. Tempo uses MIREX Accuracy1 (within 4 %) and Accuracy2 (also
+ *  allowing double / half / triple / third).
+ */
+
+var DEFAULT_TOLERANCE = 0.05;
+var TEMPO_TOLERANCE = 0.04;
+
+/**
+ * @param {number[]} detected  onset times, seconds
+ * @param {number[]} reference ground-truth onset times, seconds
+ * @returns {{ tp, fp, fn, precision, recall, f, meanError }} meanError is
+ *   the mean signed (detected − reference) offset of matched pairs
+ */
+function scoreOnsets(detected, reference, tolerance) {
+  if (tolerance === undefined) tolerance = DEFAULT_TOLERANCE;
+  var det = detected.slice().sort(function (a, b) { return a - b; });
+  var ref = reference.slice().sort(function (a, b) { return a - b; });
+
+  // Candidate pairs within tolerance, matched closest first
+  var pairs = [];
+  var lo = 0;
+  for (var i = 0; i < ref.length; i++) {
+    while (lo < det.length && det[lo] < ref[i] - tolerance) lo++;
+    for (var j = lo; j < det.length && det[j] <= ref[i] + tolerance; j++) {
+      pairs.push({ r: i, d: j, dist: Math.abs(det[j] - ref[i]) });
+    }
+  }
+  pairs.sort(function (a, b) { return a.dist - b.dist; });
+
+  var usedRef = {}, usedDet = {}, tp = 0, errorSum = 0;
+  pairs.forEach(function (p) {
+    if (usedRef[p.r] || usedDet[p.d]) return;
+    usedRef[p.r] = usedDet[p.d] = true;
+    tp++;
+    errorSum += det[p.d] - ref[p.r];
+  });
+
+  var fp = det.length - tp, fn = ref.length - tp;
+  var precision = det.length ? tp / det.length : (ref.length ? 0 : 1);
+  var recall = ref.length ? tp / ref.length : 1;
+  return {
+    tp: tp,
+    fp: fp,
+    fn: fn,
+    precision: precision,
+    recall: recall,
+    f: precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0,
+    meanError: tp ? errorSum / tp : 0,
+  };
+}
+
+/**
+ * @returns {{ accuracy1: boolean, accuracy2: boolean, ratio: number }}
+ */
+function scoreTempo(estimated, reference, tolerance) {
+  if (tolerance === undefined) tolerance = TEMPO_TOLERANCE;
+  if (!estimated || !reference) return { accuracy1: false, accuracy2: false, ratio: NaN };
+  var ratio = estimated / reference;
+  function near(r) { return Math.abs(ratio / r - 1) <= tolerance; }
+  return {
+    accuracy1: near(1),
+    accuracy2: [1, 2, 0.5, 3, 1 / 3].some(near),
+    ratio: ratio,
+  };
+}
+
+/**
+ * Per-channel scores of AudioAnalyzer results against a track's truth.
+ * Only channels with ground truth are scored.
+ */
+function scoreResults(results, truth, tolerance) {
+  var scores = {};
+  Object.keys(truth).forEach(function (ch) {
+    var detected = (results[ch] || []).map(function (ev) { return ev.time; });
+    scores[ch] = scoreOnsets(detected, truth[ch], tolerance);
+  });
+  return scores;
+}
+
+module.exports = {
+  DEFAULT_TOLERANCE: DEFAULT_TOLERANCE,
+  TEMPO_TOLERANCE: TEMPO_TOLERANCE,
+  scoreOnsets: scoreOnsets,
+  scoreTempo: scoreTempo,
+  scoreResults: scoreResults,
+};
@@ -0,0 +1,50 @@
+/**
+ * ════════════════════════════════════════════════════════
+ *  BEAT MARKER PRO — Test MIDI Files
+ *  Standard MIDI Files built from a list of events
+ * ════════════════════════════════════════════════════════
+ *
+ *  midiFile(division, events) returns the bytes of a format 0 file
+ *  with one track. Events are at absolute ticks:
+ *    { tick, tempo: bpm }               set tempo (quarter notes)
+ *    { tick, meter: [num, den] }        time signature
+ *    { tick, note, velocity? }          note on (and off a tick later)
+ */
+
+function varLen(value) {
+  var bytes = [value & 0x7f];
+  while ((value >>= 7) > 0) bytes.unshift((value & 0x7f) | 0x80);
+  return bytes;
+}
+
+function midiFile(division, events) {
+  var messages = [];
+  events.forEach(function (ev) {
+    if (ev.tempo !== undefined) {
+      var us = Math.round(60000000 / ev.tempo);
+      messages.push({ tick: ev.tick, bytes: [0xff, 0x51, 3, (us >> 16) & 0xff, (us >> 8) & 0xff, us & 0xff] });
+    } else if (ev.meter) {
+      messages.push({ tick: ev.tick, bytes: [0xff, 0x58, 4, ev.meter[0], Math.log2(ev.meter[1]), 24, 8] });
+    } else {
+      messages.push({ tick: ev.tick, bytes: [0x90, ev.note, ev.velocity || 100] });
+      messages.push({ tick: ev.tick + 1, bytes: [0x80, ev.note, 0] });
+    }
+  });
+  messages.sort(function (a, b) { return a.tick - b.tick; });
+
+  var track = [], last = 0;
+  messages.forEach(function (m) {
+    track.push.apply(track, varLen(m.tick - last).concat(m.bytes));
+    last = m.tick;
+  });
+  track.push(0, 0xff, 0x2f, 0); // end of track
+
+  var header = [0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, division >> 8, division & 0xff];
+  var length = track.length;
+  var chunk = [0x4d, 0x54, 0x72, 0x6b, (length >>> 24) & 0xff, (length >> 16) & 0xff, (length >> 8) & 0xff, length & 0xff];
+  return new Uint8Array(header.concat(chunk, track)).buffer;
+}
+
+module.exports = {
+  midiFile: midiFile,
+};
@@ -0,0 +1,285 @@
+/**
+ * ════════════════════════════════════════════════════════
+ *  BEAT MARKER PRO — Panel Loader
+ *  Runs the CEP panel scripts in Node against a mock host
+ * ════════════════════════════════════════════════════════
+ *
+ *  Loads the scripts index.html lists into one VM context with a small
+ *  DOM stand-in and window.__adobe_cep__ wired to host/index.jsx on a
+ *  mock Premiere (premiere.js). Tests drive the panel through its own
+ *  functions and state — the DOM here only records what the panel
+ *  writes (status line, buttons); it doesn't render or dispatch clicks.
+ *
+ *    var panel = loadPanel({ sequence: { fps: 25 } });
+ *    panel.window.placeGridMarkers();
+ *    return panel.settle().then(function () { panel.premiere.markers(); });
+ */
+
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+
+var mock = require("./premiere.js");
+
+var CLIENT_DIR = path.join(__dirname, "..", "..", "client");
+var INDEX_HTML = fs.readFileSync(path.join(CLIENT_DIR, "index.html"), "utf8");
+
+// ── DOM stand-in ──
+
+function FakeClassList(el) {
+  this.el = el;
+}
+
+FakeClassList.prototype.names = function () {
+  return this.el.className.split(/\s+/).filter(Boolean);
+};
+FakeClassList.prototype.contains = function (name) { return this.names().indexOf(name) >= 0; };
+FakeClassList.prototype.add = function (name) {
+  if (!this.contains(name)) this.el.className = this.names().concat(name).join(" ");
+};
+FakeClassList.prototype.remove = function (name) {
+  this.el.className = this.names().filter(function (n) { return n !== name; }).join(" ");
+};
+FakeClassList.prototype.toggle = function (name, force) {
+  var on = force === undefined ? !this.contains(name) : !!force;
+  if (on) this.add(name);
+  else this.remove(name);
+  return on;
+};
+
+// Canvas context whose every method is a no-op
+var NOOP_CONTEXT = new Proxy({}, {
+  get: function (target, prop) {
+    if (prop === "measureText") return function () { return { width: 0 }; };
+    if (prop === "createLinearGradient") return function () { return { addColorStop: function () {} }; };
+    return prop in target ? target[prop] : function () {};
+  },
+  set: function (target, prop, value) { target[prop] = value; return true; },
+});
+
+function FakeElement(tagName, attrs) {
+  attrs = attrs || {};
+  this.tagName = tagName.toUpperCase();
+  this.id = attrs.id || "";
+  this.value = attrs.value !== undefined ? attrs.value : "";
+  this.checked = attrs.checked !== undefined;
+  this.disabled = attrs.disabled !== undefined;
+  this.className = attrs["class"] || "";
+  this.classList = new FakeClassList(this);
+  this.style = {};
+  this.dataset = {};
+  this.children = [];
+  this.parentNode = null;
+  this.listeners = {};
+  this.files = [];
+  this.width = 300;
+  this.height = 150;
+  this._text = "";
+}
+
+Object.defineProperty(FakeElement.prototype, "textContent", {
+  get: function () { return this._text; },
+  set: function (text) { this._text = String(text); this.children = []; },
+});
+Object.defineProperty(FakeElement.prototype, "innerHTML", {
+  get: function () { return this._text; },
+  set: function (html) { this._text = String(html); this.children = []; },
+});
+Object.defineProperty(FakeElement.prototype, "options", {
+  get: function () { return this.children; },
+});
+Object.defineProperty(FakeElement.prototype, "firstChild", {
+  get: function () { return this.children[0] || null; },
+});
+Object.defineProperty(FakeElement.prototype, "nextElementSibling", {
+  get: function () {
+    var siblings = this.parentNode ? this.parentNode.children : [];
+    return siblings[siblings.indexOf(this) + 1] || new FakeElement("div");
+  },
+});
+
+FakeElement.prototype.appendChild = function (child) {
+  if (child.parentNode) child.parentNode.removeChild(child);
+  child.parentNode = this;
+  this.children.push(child);
+  return child;
+};
+FakeElement.prototype.insertBefore = function (child, ref) {
+  var i = this.children.indexOf(ref);
+  if (i < 0) return this.appendChild(child);
+  child.parentNode = this;
+  this.children.splice(i, 0, child);
+  return child;
+};
+FakeElement.prototype.removeChild = function (child) {
+  var i = this.children.indexOf(child);
+  if (i >= 0) this.children.splice(i, 1);
+  child.parentNode = null;
+  return child;
+};
+FakeElement.prototype.remove = function () {
+  if (this.parentNode) this.parentNode.removeChild(this);
+};
+FakeElement.prototype.setAttribute = function (name, value) { this[name] = String(value); };
+FakeElement.prototype.getAttribute = function (name) { return this[name] !== undefined ? String(this[name]) : null; };
+FakeElement.prototype.addEventListener = function (type, fn) {
+  (this.listeners[type] = this.listeners[type] || []).push(fn);
+};
+FakeElement.prototype.removeEventListener = function (type, fn) {
+  this.listeners[type] = (this.listeners[type] || []).filter(function (f) { return f !== fn; });
+};
+FakeElement.prototype.dispatchEvent = function (event) {
+  var self = this;
+  (this.listeners[event.type] || []).forEach(function (fn) { fn.call(self, event); });
+  return true;
+};
+// Selectors aren't matched: lookups get a detached element, lists are empty
+FakeElement.prototype.querySelector = function () { return new FakeElement("div"); };
+FakeElement.prototype.querySelectorAll = function () { return []; };
+FakeElement.prototype.getContext = function () { return NOOP_CONTEXT; };
+FakeElement.prototype.getBoundingClientRect = function () {
+  return { left: 0, top: 0, right: this.width, bottom: this.height, width: this.width, height: this.height };
+};
+FakeElement.prototype.click = function () {};
+FakeElement.prototype.focus = function () {};
+FakeElement.prototype.blur = function () {};
+
+function parseAttrs(source) {
+  var attrs = {};
+  var re = /([\w-]+)(?:="([^"]*)")?/g, m;
+  while ((m = re.exec(source))) attrs[m[1]] = m[2] !== undefined ? m[2] : "";
+  return attrs;
+}
+
+/**
+ * Elements with an id in index.html, with their initial value / checked
+ * state; a select takes its selected (else first) option's value.
+ */
+function seedElements() {
+  var elements = {};
+  var tagRe = /<(\w+)\s([^>]*\bid="[^"]+"[^>]*)>/g, m;
+  while ((m = tagRe.exec(INDEX_HTML))) {
+    var attrs = parseAttrs(m[2]);
+    if (m[1] === "select") {
+      var body = INDEX_HTML.slice(tagRe.lastIndex, INDEX_HTML.indexOf("</select>", tagRe.lastIndex));
+      var options = body.match(/<option[^>]*>/g) || [];
+      var chosen = options.filter(function (o) { return /\sselected\b/.test(o); })[0] || options[0];
+      attrs.value = chosen ? parseAttrs(chosen.slice(7, -1)).value || "" : "";
+    }
+    elements[attrs.id] = new FakeElement(m[1], attrs);
+  }
+  return elements;
+}
+
+function createDocument() {
+  var elements = seedElements();
+  var doc = new FakeElement("#document");
+  doc.body = new FakeElement("body");
+  doc.getElementById = function (id) {
+    if (!elements[id]) elements[id] = new FakeElement("div", { id: id });
+    return elements[id];
+  };
+  doc.createElement = function (tag) { return new FakeElement(tag); };
+  doc.createTextNode = function (text) {
+    var node = new FakeElement("#text");
+    node.textContent = text;
+    return node;
+  };
+  return doc;
+}
+
+function memoryStorage(initial) {
+  var data = Object.assign({}, initial);
+  return {
+    data: data,
+    getItem: function (key) { return key in data ? data[key] : null; },
+    setItem: function (key, value) { data[key] = String(value); },
+    removeItem: function (key) { delete data[key]; },
+  };
+}
+
+// ── Loader ──
+
+function panelScripts() {
+  var scripts = [];
+  var re = /<script src="([^"]+)"><\/script>/g, m;
+  while ((m = re.exec(INDEX_HTML))) scripts.push(path.join(CLIENT_DIR, m[1]));
+  return scripts;
+}
+
+/**
+ * Loads the panel against a mock Premiere.
+ *
+ * @param {object|null} options createPremiere() options, plus storage
+ *   (localStorage contents); null loads the panel in preview mode
+ *   (no CEP host)
+ * @returns {object} { window, document, premiere, host, bridge,
+ *   status(), settle() }
+ */
+function loadPanel(options) {
+  var premiere = null, host = null, bridge = null;
+  if (options !== null) {
+    premiere = mock.createPremiere(options);
+    host = mock.loadHost(premiere);
+    bridge = mock.cepBridge(host);
+  }
+
+  var document = createDocument();
+  var window = vm.createContext({
+    document: document,
+    navigator: { userAgent: "Node" },
+    localStorage: memoryStorage(options && options.storage),
+    console: console,
+    setTimeout: setTimeout,
+    clearTimeout: clearTimeout,
+    setInterval: setInterval,
+    clearInterval: clearInterval,
+    requestAnimationFrame: function () { return 0; },
+    cancelAnimationFrame: function () {},
+    addEventListener: function () {},
+    removeEventListener: function () {},
+  });
+  window.window = window;
+  if (bridge) window.__adobe_cep__ = bridge;
+
+  panelScripts().forEach(function (file) {
+    vm.runInContext(fs.readFileSync(file, "utf8"), window, { filename: file });
+  });
+
+  return {
+    window: window,
+    document: document,
+    premiere: premiere,
+    host: host,
+    bridge: bridge,
+    /**
+     * The status line: { type: "ready" | "working" | "error", text }
+     */
+    status: function () {
+      return {
+        type: document.getElementById("statusDot").className.replace("status-dot", "").trim(),
+        text: document.getElementById("statusText").textContent,
+      };
+    },
+    /**
+     * Resolves once no host call is in flight and the panel has had a
+     * few turns to act on the last answer.
+     */
+    settle: function () {
+      return new Promise(function (resolve) {
+        (function wait(idle) {
+          setImmediate(function () {
+            if (bridge && bridge.pending > 0) wait(0);
+            else if (idle < 3) wait(idle + 1);
+            else resolve();
+          });
+        })(0);
+      });
+    },
+  };
+}
+
+module.exports = {
+  FakeElement: FakeElement,
+  loadPanel: loadPanel,
+};
@@ -0,0 +1,410 @@
+/**
+ * ════════════════════════════════════════════════════════
+ *  BEAT MARKER PRO — Mock Premiere Host
+ *  Stand-in for Premiere's scripting DOM and the CEP bridge
+ * ════════════════════════════════════════════════════════
+ *
+ *  Just enough of app.project to run host/index.jsx in Node:
+ *  the active sequence (markers, in/out, player position, timebase,
+ *  audio clips, selection), other open sequences, and project items
+ *  with their own markers.
+ *
+ *    var premiere = createPremiere({ sequence: { fps: 29.97, duration: 60 } });
+ *    var host = loadHost(premiere);
+ *    host.evalScript("getInOutRange()");      // the string the panel sees
+ *    premiere.markers();                      // what ended up on the timeline
+ *
+ *  cepBridge(host) wraps it as window.__adobe_cep__ for the panel, with
+ *  evalScript answering asynchronously like CEP does.
+ */
+
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+
+var HOST_SCRIPT = path.join(__dirname, "..", "..", "host", "index.jsx");
+var TICKS_PER_SECOND = 254016000000;
+var EVAL_ERROR = "EvalScript error.";
+
+// Ticks per frame, as Premiere reports seq.timebase
+var TIMEBASES = {
+  23.976: "10594584000",
+  24: "10584000000",
+  25: "10160640000",
+  29.97: "8475667200",
+  30: "8467200000",
+  50: "5080320000",
+  59.94: "4237833600",
+  60: "4233600000",
+};
+
+var ProjectItemType = { CLIP: 1, BIN: 2, ROOT: 3, FILE: 4 };
+
+// ── Time ──
+
+function Time(seconds) {
+  this.ticks = String(Math.round((seconds || 0) * TICKS_PER_SECOND));
+}
+
+Object.defineProperty(Time.prototype, "seconds", {
+  get: function () { return parseFloat(this.ticks) / TICKS_PER_SECOND; },
+  set: function (sec) { this.ticks = String(Math.round(sec * TICKS_PER_SECOND)); },
+});
+
+function copyTime(t) {
+  var copy = new Time();
+  copy.ticks = String(t.ticks);
+  return copy;
+}
+
+// ── Markers ──
+
+var guidCounter = 0;
+// nodeIds of project items, bins and track items
+var nodeCounter = 0;
+
+function Marker(collection, seconds) {
+  var start = new Time(seconds), end = new Time(seconds);
+  this.name = "";
+  this.comments = "";
+  this.colorIndex = 0;
+  if (collection.guids) this.guid = "guid-" + (++guidCounter);
+  Object.defineProperty(this, "start", {
+    enumerable: true,
+    get: function () { return copyTime(start); },
+    set: function (t) { start = copyTime(t); },
+  });
+  Object.defineProperty(this, "end", {
+    enumerable: true,
+    get: function () { return copyTime(end); },
+    set: function (t) { end = copyTime(t); },
+  });
+}
+
+Marker.prototype.setColorByIndex = function (index) { this.colorIndex = index; };
+Marker.prototype.getColorByIndex = function () { return this.colorIndex; };
+
+/**
+ * A marker collection; like Premiere's, it iterates in time order.
+ * guids: false models versions whose markers have no GUID.
+ */
+function MarkerCollection(guids) {
+  this.guids = guids !== false;
+  this.items = [];
+}
+
+Object.defineProperty(MarkerCollection.prototype, "numMarkers", {
+  get: function () { return this.items.length; },
+});
+
+MarkerCollection.prototype.sorted = function () {
+  var items = this.items;
+  return items.slice().sort(function (a, b) {
+    return parseFloat(a.start.ticks) - parseFloat(b.start.ticks) || items.indexOf(a) - items.indexOf(b);
+  });
+};
+
+MarkerCollection.prototype.createMarker = function (seconds) {
+  var marker = new Marker(this, parseFloat(seconds));
+  this.items.push(marker);
+  return marker;
+};
+
+MarkerCollection.prototype.deleteMarker = function (marker) {
+  var i = this.items.indexOf(marker);
+  if (i >= 0) this.items.splice(i, 1);
+};
+
+MarkerCollection.prototype.getFirstMarker = function () {
+  return this.sorted()[0];
+};
+
+MarkerCollection.prototype.getNextMarker = function (marker) {
+  var order = this.sorted();
+  var i = order.indexOf(marker);
+  return i >= 0 ? order[i + 1] : undefined;
+};
+
+/**
+ * Plain copies of the markers, in time order — for assertions.
+ */
+MarkerCollection.prototype.list = function () {
+  return this.sorted().map(function (m) {
+    return {
+      time: m.start.seconds,
+      ticks: m.start.ticks,
+      name: m.name,
+      comments: m.comments,
+      color: m.colorIndex,
+      guid: m.guid,
+    };
+  });
+};
+
+// ── Project ──
+
+function collection(items, countKey) {
+  var c = items.slice();
+  c[countKey] = items.length;
+  return c;
+}
+
+function ProjectItem(name, mediaPath, guids) {
+  this.name = name;
+  this.nodeId = "node-" + (++nodeCounter);
+  this.type = ProjectItemType.CLIP;
+  this.mediaPath = mediaPath || "";
+  this.markers = new MarkerCollection(guids);
+}
+
+ProjectItem.prototype.getMediaPath = function () { return this.mediaPath; };
+ProjectItem.prototype.getMarkers = function () { return this.markers; };
+
+function Bin(name, children) {
+  this.name = name;
+  this.nodeId = "node-" + (++nodeCounter);
+  this.type = ProjectItemType.BIN;
+  this.children = collection(children, "numItems");
+}
+
+/**
+ * @param {object} spec { track, name, mediaPath, start, end, inPoint, speed, selected }
+ *   times in seconds; end defaults to 10 s after start
+ */
+function TrackItem(spec, projectItem) {
+  var speed = spec.speed || 1;
+  var start = spec.start || 0, end = spec.end !== undefined ? spec.end : start + 10;
+  var inPoint = spec.inPoint || 0;
+  this.name = spec.name || (projectItem ? projectItem.name : "");
+  this.nodeId = "node-" + (++nodeCounter);
+  this.projectItem = projectItem;
+  this.start = new Time(start);
+  this.end = new Time(end);
+  this.inPoint = new Time(inPoint);
+  this.outPoint = new Time(inPoint + (end - start) * speed);
+  this.selected = !!spec.selected;
+  this.speed = speed;
+}
+
+TrackItem.prototype.isSelected = function () { return this.selected; };
+TrackItem.prototype.getSpeed = function () { return this.speed; };
+
+/**
+ * @param {object} spec {
+ *   name, fps | timebase (ticks per frame), dropFrame,
+ *   duration, inPoint, outPoint, playerPosition,   seconds
+ *   audioClips: [TrackItem spec], audioTracks (count, default 2)
+ * }
+ */
+function Sequence(spec, project) {
+  var duration = spec.duration !== undefined ? spec.duration : 60;
+  this.name = spec.name || "Sequence 01";
+  this.sequenceID = spec.id || "seq-1";
+  this.timebase = spec.timebase || TIMEBASES[spec.fps || 24] || String(Math.round(TICKS_PER_SECOND / spec.fps));
+  this.end = String(Math.round(duration * TICKS_PER_SECOND));
+  this.markers = new MarkerCollection(project.guids);
+  this.inPoint = spec.inPoint || 0;
+  this.outPoint = spec.outPoint !== undefined ? spec.outPoint : duration;
+  this.playerPosition = spec.playerPosition || 0;
+  this.videoDisplayFormat = spec.dropFrame ? 102 : 100;
+  this.videoTracks = collection([{ clips: collection([], "numItems") }], "numTracks");
+
+  var tracks = [];
+  var clips = spec.audioClips || [];
+  var trackCount = Math.max(spec.audioTracks || 2, clips.reduce(function (n, c) { return Math.max(n, c.track || 1); }, 0));
+  for (var t = 0; t < trackCount; t++) tracks.push({ clips: [] });
+  this.trackItems = clips.map(function (c) {
+    var item = new TrackItem(c, c.mediaPath ? project.itemForMedia(c.mediaPath) : null);
+    tracks[(c.track || 1) - 1].clips.push(item);
+    return item;
+  });
+  this.audioTracks = collection(tracks.map(function (t) {
+    return { clips: collection(t.clips, "numItems") };
+  }), "numTracks");
+}
+
+Sequence.prototype.getSettings = function () { return { videoDisplayFormat: this.videoDisplayFormat }; };
+Sequence.prototype.getInPointAsTime = function () { return new Time(this.inPoint); };
+Sequence.prototype.getOutPointAsTime = function () { return new Time(this.outPoint); };
+Sequence.prototype.getPlayerPosition = function () { return new Time(this.playerPosition); };
+Sequence.prototype.getSelection = function () {
+  return this.trackItems.filter(function (item) { return item.selected; });
+};
+
+/**
+ * Builds a mock Premiere.
+ *
+ * @param {object} options {
+ *   sequence: Sequence spec, or null for no active sequence,
+ *   sequences: [Sequence spec]                 other open sequences (ids seq-2, seq-3, ...),
+ *   projectItems: [{ name, mediaPath, bin }]   project panel contents,
+ *   projectSelection: [name]                  items or bins selected in the Project panel,
+ *   guids: false                               markers without GUIDs (older versions),
+ *   version
+ * }
+ * @returns {object} { app, globals, sequence, sequences, item(name),
+ *   activate(sequenceName), markers(target) }
+ */
+function createPremiere(options) {
+  options = options || {};
+  var project = { guids: options.guids !== false };
+  var items = [];
+  var bins = {};
+  var rootChildren = [];
+
+  function addItem(name, mediaPath, binName) {
+    var item = new ProjectItem(name, mediaPath, project.guids);
+    items.push(item);
+    if (binName) {
+      if (!bins[binName]) {
+        bins[binName] = [];
+        rootChildren.push({ bin: binName });
+      }
+      bins[binName].push(item);
+    } else {
+      rootChildren.push(item);
+    }
+    return item;
+  }
+
+  project.itemForMedia = function (mediaPath) {
+    for (var i = 0; i < items.length; i++) if (items[i].mediaPath === mediaPath) return items[i];
+    return addItem(path.basename(mediaPath), mediaPath);
+  };
+
+  (options.projectItems || []).forEach(function (spec) { addItem(spec.name, spec.mediaPath, spec.bin); });
+  var sequence = options.sequence === null ? null : new Sequence(options.sequence || {}, project);
+  var sequences = (sequence ? [sequence] : []).concat((options.sequences || []).map(function (spec, i) {
+    return new Sequence(Object.assign({ id: "seq-" + (i + 2), name: "Sequence 0" + (i + 2) }, spec), project);
+  }));
+
+  // Bins are built last so clips added by the sequence land in them too
+  var rootItem = {
+    name: "root",
+    type: ProjectItemType.ROOT,
+    children: collection(rootChildren.map(function (child) {
+      return child.bin ? new Bin(child.bin, bins[child.bin]) : child;
+    }), "numItems"),
+  };
+
+  function item(name) {
+    for (var i = 0; i < items.length; i++) if (items[i].name === name) return items[i];
+    return null;
+  }
+
+  function itemOrBin(name) {
+    var children = rootItem.children;
+    for (var i = 0; i < children.numItems; i++) {
+      if (children[i].type === ProjectItemType.BIN && children[i].name === name) return children[i];
+    }
+    return item(name);
+  }
+
+  function sequenceNamed(name) {
+    for (var i = 0; i < sequences.length; i++) if (sequences[i].name === name) return sequences[i];
+    return null;
+  }
+
+  var app = {
+    version: options.version || "25.0.0",
+    project: { activeSequence: sequence, rootItem: rootItem, sequences: collection(sequences, "numSequences") },
+    projectSelection: (options.projectSelection || []).map(itemOrBin),
+    getCurrentProjectViewSelection: function () { return this.projectSelection; },
+  };
+
+  return {
+    app: app,
+    globals: { app: app, Time: Time, ProjectItemType: ProjectItemType },
+    sequence: sequence,
+    sequences: sequences,
+    item: item,
+    /**
+     * Makes the named sequence the active one.
+     */
+    activate: function (name) {
+      app.project.activeSequence = sequenceNamed(name);
+    },
+    /**
+     * Markers at a target — the first sequence by default, or a project
+     * item or sequence by name — as plain objects in time order.
+     */
+    markers: function (name) {
+      return (name ? item(name) || sequenceNamed(name) : sequence).markers.list();
+    },
+  };
+}
+
+// ── Host script ──
+
+/**
+ * Evaluates host/index.jsx against a mock Premiere.
+ * @returns {object} { context, evalScript(script) } — evalScript returns
+ *   what CEP would hand the panel: the result as a string, or
+ *   "EvalScript error." if the script throws or doesn't parse
+ */
+function loadHost(premiere) {
+  var context = vm.createContext(Object.assign({}, premiere.globals));
+  vm.runInContext(fs.readFileSync(HOST_SCRIPT, "utf8"), context, { filename: HOST_SCRIPT });
+
+  function evalScript(script) {
+    // ExtendScript is ES3: U+2028 / U+2029 end a string literal there,
+    // while V8 accepts them
+    if (/[\u2028\u2029]/.test(script)) return EVAL_ERROR;
+    try {
+      return String(vm.runInContext(script, context));
+    } catch (e) {
+      return EVAL_ERROR;
+    }
+  }
+
+  return { context: context, evalScript: evalScript };
+}
+
+/**
+ * window.__adobe_cep__ backed by a loaded host. Every script is logged
+ * in calls; intercept(script) may return a string to answer instead of
+ * the host (to inject failures). Results arrive asynchronously.
+ */
+function cepBridge(host) {
+  var bridge = {
+    calls: [],
+    pending: 0,
+    intercept: null,
+    getHostEnvironment: function () {
+      return JSON.stringify({ appName: "PPRO", appVersion: "25.0.0", appLocale: "en_US" });
+    },
+    getSystemPath: function () { return "file:///tmp/beat-marker-pro-test"; },
+    evalScript: function (script, callback) {
+      bridge.calls.push(script);
+      bridge.pending++;
+      setImmediate(function () {
+        var answer = bridge.intercept ? bridge.intercept(script) : undefined;
+        var result = typeof answer === "string" ? answer : host.evalScript(script);
+        bridge.pending--;
+        callback(result);
+      });
+    },
+    addEventListener: function () {},
+    removeEventListener: function () {},
+    invokeAsync: function () {},
+    requestOpenExtension: function () {},
+    closeExtension: function () {},
+    /**
+     * Scripts sent so far that call the named host function.
+     */
+    callsTo: function (fnName) {
+      return bridge.calls.filter(function (s) { return s.indexOf(fnName + "(") === 0; });
+    },
+  };
+  return bridge;
+}
+
+module.exports = {
+  TICKS_PER_SECOND: TICKS_PER_SECOND,
+  TIMEBASES: TIMEBASES,
+  EVAL_ERROR: EVAL_ERROR,
+  Time: Time,
+  createPremiere: createPremiere,
+  loadHost: loadHost,
+  cepBridge: cepBridge,
+};
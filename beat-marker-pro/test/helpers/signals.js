@@ -0,0 +1,251 @@
+/**
+ * ════════════════════════════════════════════════════════
+ *  BEAT MARKER PRO — Test Signals
+ *  Synthetic tracks with known ground truth
+ * ════════════════════════════════════════════════════════
+ *
+ *  Each generator returns a track:
+ *    { name, buffer, truth: { kick: [sec], snare: [...], ... }, bpm }
+ *  buffer is the AudioBuffer stand-in AudioAnalyzer.analyze() takes;
+ *  truth lists onset times per detection channel. Noise comes from a
+ *  seeded generator, so every run sees the same samples.
+ */
+
+var SAMPLE_RATE = 44100;
+
+/**
+ * mulberry32 — small seeded PRNG, uniform in [0, 1).
+ */
+function random(seed) {
+  var a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    var t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function toBuffer(samples, sampleRate) {
+  return {
+    sampleRate: sampleRate,
+    numberOfChannels: 1,
+    length: samples.length,
+    duration: samples.length / sampleRate,
+    getChannelData: function () { return samples; },
+  };
+}
+
+function track(name, seconds, bpm, seed) {
+  var samples = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+  return { name: name, samples: samples, truth: {}, bpm: bpm, rand: random(seed || 1) };
+}
+
+function finish(t) {
+  // Keep the mix inside −1…1 without changing its shape
+  var peak = 0;
+  for (var i = 0; i < t.samples.length; i++) peak = Math.max(peak, Math.abs(t.samples[i]));
+  if (peak > 0.95) {
+    for (var j = 0; j < t.samples.length; j++) t.samples[j] *= 0.95 / peak;
+  }
+  Object.keys(t.truth).forEach(function (ch) { t.truth[ch].sort(function (a, b) { return a - b; }); });
+  return { name: t.name, buffer: toBuffer(t.samples, SAMPLE_RATE), truth: t.truth, bpm: t.bpm };
+}
+
+function mark(t, channel, time) {
+  (t.truth[channel] = t.truth[channel] || []).push(time);
+}
+
+// ── Voices ──
+
+/**
+ * Pitch-swept sine thump (120 → 45 Hz), the shape of an electronic kick.
+ */
+function addKick(t, time, gain) {
+  var start = Math.round(time * SAMPLE_RATE), len = Math.round(0.3 * SAMPLE_RATE);
+  var phase = 0;
+  for (var i = 0; i < len && start + i < t.samples.length; i++) {
+    var s = i / SAMPLE_RATE;
+    phase += 2 * Math.PI * (45 + 75 * Math.exp(-s * 30)) / SAMPLE_RATE;
+    t.samples[start + i] += (gain || 0.9) * Math.sin(phase) * Math.exp(-s * 12);
+  }
+}
+
+/**
+ * Exponentially decaying white-noise burst. highpass > 0 differentiates
+ * it that many times (brighter: hi-hat); body adds a 190 Hz tone (snare).
+ */
+function addNoiseBurst(t, time, options) {
+  var start = Math.round(time * SAMPLE_RATE), len = Math.round((options.length || 0.15) * SAMPLE_RATE);
+  var decay = options.decay || 25, gain = options.gain || 0.5;
+  var prev = [0, 0, 0];
+  for (var i = 0; i < len && start + i < t.samples.length; i++) {
+    var s = i / SAMPLE_RATE;
+    var v = t.rand() * 2 - 1;
+    for (var k = 0; k < (options.highpass || 0); k++) {
+      var d = v - prev[k];
+      prev[k] = v;
+      v = d * 0.5;
+    }
+    if (options.body) v += Math.sin(2 * Math.PI * 190 * s) * options.body;
+    t.samples[start + i] += gain * v * Math.exp(-s * decay);
+  }
+}
+
+function addSnare(t, time) {
+  addNoiseBurst(t, time, { length: 0.18, decay: 22, gain: 0.55, highpass: 1, body: 0.5 });
+}
+
+function addHihat(t, time) {
+  addNoiseBurst(t, time, { length: 0.06, decay: 70, gain: 0.35, highpass: 3 });
+}
+
+/**
+ * Sine note with a short attack and release; harmonics > 0 adds that
+ * many overtones at 1/n amplitude.
+ */
+function addNote(t, time, duration, freq, gain, harmonics) {
+  var start = Math.round(time * SAMPLE_RATE), len = Math.round(duration * SAMPLE_RATE);
+  var attack = 0.005 * SAMPLE_RATE, release = 0.02 * SAMPLE_RATE;
+  for (var i = 0; i < len && start + i < t.samples.length; i++) {
+    var env = Math.min(1, i / attack, (len - i) / release);
+    var v = 0;
+    for (var h = 1; h <= (harmonics || 0) + 1; h++) v += Math.sin(2 * Math.PI * freq * h * i / SAMPLE_RATE) / h;
+    t.samples[start + i] += gain * env * v;
+  }
+}
+
+/**
+ * Inharmonic 8–12 kHz partials with a fast decay: a tambourine jingle.
+ */
+function addJingle(t, time) {
+  var partials = [8300, 9100, 10300, 11700];
+  var start = Math.round(time * SAMPLE_RATE), len = Math.round(0.12 * SAMPLE_RATE);
+  for (var i = 0; i < len && start + i < t.samples.length; i++) {
+    var v = 0;
+    for (var p = 0; p < partials.length; p++) v += Math.sin(2 * Math.PI * partials[p] * i / SAMPLE_RATE + p);
+    t.samples[start + i] += 0.12 * v * Math.exp(-i / SAMPLE_RATE * 35);
+  }
+}
+
+function addNoiseFloor(t, level) {
+  for (var i = 0; i < t.samples.length; i++) t.samples[i] += (t.rand() * 2 - 1) * level;
+}
+
+// ── Tracks ──
+
+/**
+ * Kick on every beat, snare on 2 and 4, closed hi-hat on eighths.
+ */
+function drumLoop(bpm, bars, seed) {
+  var beat = 60 / bpm;
+  var t = track("drum loop " + bpm, bars * 4 * beat + 1, bpm, seed);
+  for (var b = 0; b < bars * 4; b++) {
+    var time = 0.25 + b * beat;
+    addKick(t, time);
+    mark(t, "kick", time);
+    if (b % 2 === 1) { addSnare(t, time); mark(t, "snare", time); }
+    addHihat(t, time);
+    addHihat(t, time + beat / 2);
+    mark(t, "hihat", time);
+    mark(t, "hihat", time + beat / 2);
+  }
+  addNoiseFloor(t, 0.002);
+  return finish(t);
+}
+
+/**
+ * Metronome: short wideband tick on every beat, accented downbeats.
+ * The tick is a bright transient, so its truth is the hi-hat channel.
+ */
+function clickTrack(bpm, seconds, seed) {
+  var beat = 60 / bpm;
+  var t = track("click track " + bpm, seconds, bpm, seed);
+  for (var b = 0; 0.1 + b * beat < seconds - 0.2; b++) {
+    var time = 0.1 + b * beat;
+    addNoiseBurst(t, time, { length: 0.03, decay: 150, gain: b % 4 === 0 ? 0.8 : 0.5, highpass: 1 });
+    addNote(t, time, 0.03, b % 4 === 0 ? 1500 : 1000, 0.3, 0);
+    mark(t, "hihat", time);
+  }
+  return finish(t);
+}
+
+/**
+ * Sine bass line: notes of varying length and pitch (E1–E2), some
+ * tied straight into the next, some with rests between.
+ */
+function bassLine(bpm, bars, seed) {
+  var beat = 60 / bpm;
+  var t = track("bass line " + bpm, bars * 4 * beat + 1, bpm, seed);
+  var pitches = [41.2, 49.0, 55.0, 61.7, 73.4, 82.4];
+  // Lengths in eighths; a negative length is a rest
+  var pattern = [2, 1, 1, -1, 3, 2, -2, 1, 1, 2];
+  var pos = 0, step = 0, n = 0;
+  while (pos < bars * 8) {
+    var len = pattern[step++ % pattern.length];
+    if (len > 0) {
+      var time = 0.25 + pos * beat / 2;
+      addNote(t, time, len * beat / 2 - 0.01, pitches[n++ % pitches.length], 0.6, 2);
+      mark(t, "bass", time);
+    }
+    pos += Math.abs(len);
+  }
+  addNoiseFloor(t, 0.002);
+  return finish(t);
+}
+
+/**
+ * Sub-bass 808 hits on a syncopated pattern, a tambourine on the
+ * off-beat eighths and mid-range chord stabs — voices only a custom
+ * channel separates. Truth is under the channel names the tests
+ * define: "sub808" and "tambourine".
+ */
+function percussionLoop(bpm, bars, seed) {
+  var beat = 60 / bpm;
+  var t = track("percussion loop " + bpm, bars * 4 * beat + 1, bpm, seed);
+  // 808 positions in eighths of the bar, and each one's length in eighths
+  var hits = [[0, 3], [3, 2], [5, 1], [6, 2]];
+  for (var bar = 0; bar < bars; bar++) {
+    var barStart = 0.25 + bar * 4 * beat;
+    hits.forEach(function (hit) {
+      var time = barStart + hit[0] * beat / 2;
+      addNote(t, time, hit[1] * beat / 2 - 0.01, 49, 0.7, 0);
+      mark(t, "sub808", time);
+    });
+    for (var e = 1; e < 8; e += 2) {
+      addJingle(t, barStart + e * beat / 2);
+      mark(t, "tambourine", barStart + e * beat / 2);
+    }
+    [0, 2.5].forEach(function (b) {
+      [440, 554, 659].forEach(function (f) { addNote(t, barStart + b * beat, beat / 2, f, 0.1, 2); });
+    });
+  }
+  addNoiseFloor(t, 0.002);
+  return finish(t);
+}
+
+/**
+ * Snare-like noise bursts at irregular times (no tempo), 150–600 ms apart.
+ */
+function noiseBursts(count, seed) {
+  var t = track("noise bursts", 1 + count * 0.6, null, seed);
+  var time = 0.3;
+  for (var i = 0; i < count; i++) {
+    addNoiseBurst(t, time, { length: 0.12, decay: 30, gain: 0.4 + t.rand() * 0.3, highpass: 1, body: 0.3 });
+    mark(t, "snare", time);
+    time += 0.15 + t.rand() * 0.45;
+  }
+  addNoiseFloor(t, 0.002);
+  return finish(t);
+}
+
+module.exports = {
+  SAMPLE_RATE: SAMPLE_RATE,
+  random: random,
+  toBuffer: toBuffer,
+  drumLoop: drumLoop,
+  clickTrack: clickTrack,
+  bassLine: bassLine,
+  noiseBursts: noiseBursts,
+  percussionLoop: percussionLoop,
+};
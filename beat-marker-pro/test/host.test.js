@@ -0,0 +1,243 @@
+/**
+ * host/index.jsx against the mock Premiere (helpers/premiere.js).
+ */
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+
+var mock = require("./helpers/premiere.js");
+
+var TPS = mock.TICKS_PER_SECOND;
+
+function setup(options) {
+  var premiere = mock.createPremiere(options);
+  var host = mock.loadHost(premiere);
+  return {
+    premiere: premiere,
+    call: function (script) { return host.evalScript(script); },
+    json: function (script) { return JSON.parse(host.evalScript(script)); },
+  };
+}
+
+function batchScript(items, destination, mediaPath, tag) {
+  return "createMarkerBatch('" + JSON.stringify(items) + "','" + (destination || "sequence") + "','" +
+    (mediaPath || "") + "','" + (tag || "t1") + "')";
+}
+
+test("getInOutRange reports the sequence range and timebase", function () {
+  var h = setup({ sequence: { fps: 29.97, dropFrame: true, duration: 120, inPoint: 10, outPoint: 20, playerPosition: 12.5 } });
+  var range = h.json("getInOutRange()");
+  assert.equal(range.inPoint, 10);
+  assert.equal(range.outPoint, 20);
+  assert.equal(range.endTime, 120);
+  assert.equal(range.playerPosition, 12.5);
+  assert.equal(range.ticksPerFrame, 8475667200);
+  assert.ok(Math.abs(range.fps - 30000 / 1001) < 1e-9);
+  assert.equal(range.dropFrame, true);
+});
+
+test("host calls report a missing sequence", function () {
+  var h = setup({ sequence: null });
+  assert.equal(h.json("getInOutRange()").error, "No active sequence");
+  assert.equal(h.json("ping()").hasSequence, false);
+  assert.equal(h.call("getPlayheadSeconds()"), "-1");
+  assert.deepEqual(h.json(batchScript([{ time: 1 }])), { error: "No active sequence", placed: 0 });
+});
+
+test("getPlayheadFrames counts frames of the sequence timebase", function () {
+  var h = setup({ sequence: { fps: 23.976, playerPosition: 1001 / 24000 * 48 } });
+  assert.equal(h.call("getPlayheadFrames(24)"), "48");
+});
+
+test("createMarkerBatch places markers with names, comments, colors and exact ticks", function () {
+  var h = setup({ sequence: { fps: 25 } });
+  var frameTicks = 10160640000;
+  var r = h.json(batchScript([
+    { time: 1, name: "Kick 1.1", comments: "first", color: 1 },
+    { time: 0.5, ticks: frameTicks * 13, name: "Snare 1.2", comments: "", color: 3 },
+  ]));
+  assert.equal(r.placed, 2);
+  assert.equal(r.total, 2);
+  assert.equal(r.ids.length, 2);
+
+  var markers = h.premiere.markers();
+  assert.deepEqual(markers.map(function (m) { return m.name; }), ["Snare 1.2", "Kick 1.1"]);
+  assert.equal(markers[0].ticks, String(frameTicks * 13));
+  assert.equal(markers[0].color, 3);
+  assert.equal(markers[1].comments, "first");
+  assert.equal(markers[1].ticks, String(TPS));
+});
+
+test("createMarkerBatch tags comments when markers have no GUID", function () {
+  var h = setup({ sequence: {}, guids: false });
+  var r = h.json(batchScript([{ time: 1, name: "a", comments: "c" }, { time: 2, name: "b" }], "sequence", "", "b42"));
+  assert.deepEqual(r.ids, ["tag:[bmp:b42]", "tag:[bmp:b42]"]);
+  assert.deepEqual(h.premiere.markers().map(function (m) { return m.comments; }), ["c [bmp:b42]", "[bmp:b42]"]);
+
+  assert.deepEqual(h.json("deleteMarkersById('[\"tag:[bmp:b42]\"]','sequence','')"), { removed: 2, failed: [] });
+  assert.equal(h.premiere.markers().length, 0);
+});
+
+test("clip destination maps sequence time through the clip trim and speed", function () {
+  var h = setup({
+    sequence: {
+      audioClips: [{ track: 1, mediaPath: "/media/song.wav", start: 10, end: 20, inPoint: 30, speed: 2, selected: true }],
+    },
+  });
+  var r = h.json(batchScript([{ time: 9 }, { time: 12, name: "in" }, { time: 20 }], "clip"));
+  assert.equal(r.placed, 1);
+  assert.equal(r.skipped, 2);
+
+  var markers = h.premiere.markers("song.wav");
+  assert.equal(markers.length, 1);
+  assert.equal(markers[0].time, 34);
+
+  var listed = h.json("listMarkers(10,'clip','')").markers;
+  assert.equal(listed[0].time, 34);
+  assert.equal(listed[0].placeTime, 12);
+});
+
+test("clip destination needs a selected clip", function () {
+  var h = setup({ sequence: { audioClips: [{ mediaPath: "/media/song.wav" }] } });
+  assert.equal(h.json(batchScript([{ time: 1 }], "clip")).error, "Select a clip in the timeline");
+});
+
+test("projectItem destination finds the item by media path, inside bins", function () {
+  var h = setup({
+    sequence: {},
+    projectItems: [
+      { name: "other.wav", mediaPath: "/media/other.wav" },
+      { name: "song.wav", mediaPath: "C:\\Media\\Song.WAV", bin: "Music" },
+    ],
+  });
+  var r = h.json(batchScript([{ time: 3, name: "x" }], "projectItem", "c:/media/song.wav"));
+  assert.equal(r.placed, 1);
+  assert.equal(h.premiere.markers("song.wav").length, 1);
+  assert.equal(h.premiere.markers("other.wav").length, 0);
+
+  assert.equal(h.json(batchScript([{ time: 3 }], "projectItem", "/missing.wav")).error,
+    "Select a project item in the Project panel");
+});
+
+test("projectItem destination prefers the Project panel selection", function () {
+  var h = setup({
+    sequence: {},
+    projectItems: [{ name: "a.wav", mediaPath: "/a.wav" }, { name: "b.wav", mediaPath: "/b.wav" }],
+    projectSelection: ["b.wav"],
+  });
+  h.json(batchScript([{ time: 1 }], "projectItem", "/a.wav"));
+  assert.equal(h.premiere.markers("b.wav").length, 1);
+});
+
+test("projectItem destination skips selected bins and prefers the selected item with the analyzed media", function () {
+  var h = setup({
+    sequence: {},
+    projectItems: [
+      { name: "a.wav", mediaPath: "/a.wav" },
+      { name: "b.wav", mediaPath: "/b.wav" },
+      { name: "c.wav", mediaPath: "/c.wav", bin: "Music" },
+    ],
+    projectSelection: ["Music", "a.wav", "b.wav"],
+  });
+  h.json(batchScript([{ time: 1 }], "projectItem", "/b.wav"));
+  assert.equal(h.premiere.markers("b.wav").length, 1);
+  // Without a match, the first selected item that isn't a bin
+  h.json(batchScript([{ time: 2 }], "projectItem", "/c.wav"));
+  assert.equal(h.premiere.markers("a.wav").length, 1);
+
+  // Only a bin selected: found by media path instead
+  h.premiere.app.projectSelection = h.premiere.app.projectSelection.slice(0, 1);
+  h.json(batchScript([{ time: 3 }], "projectItem", "/c.wav"));
+  assert.equal(h.premiere.markers("c.wav").length, 1);
+  assert.equal(h.json(batchScript([{ time: 3 }], "projectItem", "")).error,
+    "Select a project item in the Project panel");
+});
+
+test("deleteMarkersById and updateMarkersById only touch the listed markers", function () {
+  var h = setup({ sequence: {} });
+  h.premiere.sequence.markers.createMarker(5).name = "hand placed";
+  var ids = h.json(batchScript([{ time: 1, name: "a" }, { time: 2, name: "b" }, { time: 3, name: "c" }])).ids;
+
+  assert.deepEqual(h.json("updateMarkersById('" + JSON.stringify([{ id: ids[1], name: "B", comments: "merged" }]) + "','sequence','')"),
+    { updated: 1 });
+  assert.deepEqual(h.json("deleteMarkersById('" + JSON.stringify([ids[0], ids[2]]) + "','sequence','')"), { removed: 2, failed: [] });
+  assert.deepEqual(h.premiere.markers().map(function (m) { return m.name + "|" + m.comments; }),
+    ["B|merged", "hand placed|"]);
+});
+
+test("deleteMarkersById counts only the deletes that succeed and lists the ones that failed", function () {
+  var h = setup({ sequence: {} });
+  var ids = h.json(batchScript([{ time: 1, name: "a" }, { time: 2, name: "locked" }, { time: 3, name: "c" }])).ids;
+  var markers = h.premiere.sequence.markers;
+  var deleteMarker = markers.deleteMarker;
+  markers.deleteMarker = function (m) {
+    if (m.name === "locked") throw new Error("Marker is locked");
+    return deleteMarker.call(this, m);
+  };
+
+  assert.deepEqual(h.json("deleteMarkersById('" + JSON.stringify(ids) + "','sequence','')"), { removed: 2, failed: [ids[1]] });
+  assert.deepEqual(h.premiere.markers().map(function (m) { return m.name; }), ["locked"]);
+});
+
+test("listMarkers ids markers without GUIDs by time, and deleteMarkersById accepts them", function () {
+  var h = setup({ sequence: {}, guids: false });
+  h.premiere.sequence.markers.createMarker(1.5).name = "x";
+  h.premiere.sequence.markers.createMarker(2.5).name = "y";
+  var listed = h.json("listMarkers(500,'sequence','')");
+  assert.equal(listed.total, 2);
+  assert.equal(listed.markers[0].id, "at:1.5");
+  assert.deepEqual(h.json("deleteMarkersById('[\"at:1.5\"]','sequence','')"), { removed: 1, failed: [] });
+  assert.deepEqual(h.premiere.markers().map(function (m) { return m.name; }), ["y"]);
+});
+
+test("clearMarkersInRange honours the range and name prefix; clearAllMarkers removes everything", function () {
+  var h = setup({ sequence: {} });
+  h.json(batchScript([1, 2, 3, 4].map(function (t) { return { time: t, name: (t % 2 ? "Kick " : "Beat ") + t }; })));
+  assert.deepEqual(h.json("clearMarkersInRange(1.5,4,'Kick','sequence','')"), { removed: 1, errors: 0 });
+  assert.deepEqual(h.premiere.markers().map(function (m) { return m.name; }), ["Kick 1", "Beat 2", "Beat 4"]);
+  assert.deepEqual(h.json("clearAllMarkers('sequence','')"), { removed: 3 });
+  assert.equal(h.premiere.sequence.markers.numMarkers, 0);
+});
+
+test("clearAllMarkers reports a marker it can't delete instead of looping on it", function () {
+  var h = setup({ sequence: {} });
+  h.json(batchScript([1, 2, 3].map(function (t) { return { time: t, name: "Beat " + t }; })));
+  var markers = h.premiere.sequence.markers;
+  var deleteMarker = markers.deleteMarker;
+  // Premiere can ignore a delete; the second marker stays put
+  markers.deleteMarker = function (m) {
+    if (m.name !== "Beat 2") deleteMarker.call(this, m);
+  };
+  assert.equal(h.call("clearAllMarkers('sequence','')"), "error:Removed 1 markers, then one could not be deleted");
+  assert.deepEqual(h.premiere.markers().map(function (m) { return m.name; }), ["Beat 2", "Beat 3"]);
+
+  markers.deleteMarker = function () { throw new Error("Marker is locked"); };
+  assert.match(h.call("clearAllMarkers('sequence','')"), /^error:Removed 0 markers/);
+});
+
+test("getSequenceAudioClips lists clips with media, selected ones only when any are", function () {
+  var h = setup({
+    sequence: {
+      audioClips: [
+        { track: 1, mediaPath: "/a.wav", start: 0, end: 5 },
+        { track: 2, mediaPath: "/b.wav", start: 2, end: 6, inPoint: 1, selected: true },
+        { track: 2, start: 8, end: 9 },
+      ],
+    },
+  });
+  var clips = h.json("getSequenceAudioClips()").clips;
+  assert.equal(clips.length, 1);
+  assert.deepEqual(clips[0], {
+    track: "A2", name: "b.wav", mediaPath: "/b.wav", start: 2, end: 6, inPoint: 1, outPoint: 5, speed: 1, selected: true,
+  });
+
+  h.premiere.sequence.trackItems[1].selected = false;
+  assert.equal(h.json("getSequenceAudioClips()").clips.length, 2);
+});
+
+test("malformed scripts come back as an EvalScript error", function () {
+  var h = setup({ sequence: {} });
+  assert.equal(h.call("createMarkerBatch('[{\"name\":\"it's\"}]')"), mock.EVAL_ERROR);
+  assert.equal(h.call("createMarkerBatch('[{\"name\":\"a\u2028b\"}]')"), mock.EVAL_ERROR);
+  assert.equal(h.json("createMarkerBatch('not json')").placed, 0);
+});
@@ -0,0 +1,42 @@
+/**
+ * Beat map importers (client/js/importers.js) on files built in memory.
+ */
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+
+var BeatImporters = require("../client/js/importers.js");
+var midiFile = require("./helpers/midi.js").midiFile;
+
+var PPQ = 480;
+
+test("MIDI tempo maps count positions in the signature's denominator", function () {
+  // Two bars of 6/8 at 90 BPM, a tempo change on the second eighth group
+  // of bar 2, then 4/4 from bar 3
+  var bytes = midiFile(PPQ, [
+    { tick: 0, tempo: 90 },
+    { tick: 0, meter: [6, 8] },
+    { tick: 6 * PPQ / 2 + 3 * PPQ / 2, tempo: 120 },
+    { tick: 2 * 6 * PPQ / 2, meter: [4, 4] },
+  ]);
+  assert.deepEqual(BeatImporters.midiTempoMap(bytes), [
+    { bar: 1, beat: 1, bpm: 90, beatsPerBar: 6, beatUnit: 8 },
+    { bar: 2, beat: 4, bpm: 120 },
+    { bar: 3, beat: 1, bpm: 120, beatsPerBar: 4, beatUnit: 4 },
+  ]);
+});
+
+test("MIDI notes take bar and beat from the time signatures", function () {
+  var bytes = midiFile(PPQ, [
+    { tick: 0, meter: [6, 8] },
+    { tick: 0, note: 36 },
+    { tick: 3 * PPQ / 2, note: 38 },
+    { tick: 6 * PPQ / 2 + PPQ / 2, note: 42 },
+  ]);
+  var parsed = BeatImporters.parse("groove.mid", bytes);
+  assert.equal(parsed.format, "midi");
+  assert.equal(parsed.timeBase, "media");
+  assert.deepEqual(parsed.events.map(function (ev) { return [ev.label, ev.bar, ev.beat]; }),
+    [["C2", 1, 1], ["D2", 1, 4], ["F#2", 2, 2]]);
+  assert.equal(parsed.events[1].time, 0.75);
+});
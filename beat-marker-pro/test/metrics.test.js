@@ -0,0 +1,48 @@
+var test = require("node:test");
+var assert = require("node:assert/strict");
+
+var metrics = require("./helpers/metrics.js");
+
+test("scoreOnsets: exact detections score 1", function () {
+  var s = metrics.scoreOnsets([0.5, 1, 1.5], [0.5, 1, 1.5]);
+  assert.equal(s.tp, 3);
+  assert.equal(s.f, 1);
+  assert.equal(s.meanError, 0);
+});
+
+test("scoreOnsets: tolerance window is inclusive", function () {
+  var s = metrics.scoreOnsets([1.05, 2.051], [1, 2], 0.05);
+  assert.equal(s.tp, 1);
+  assert.equal(s.fp, 1);
+  assert.equal(s.fn, 1);
+  assert.equal(s.precision, 0.5);
+  assert.equal(s.recall, 0.5);
+});
+
+test("scoreOnsets: one detection matches one reference, closest first", function () {
+  // 1.03 is nearer 1.04 than 1.0, so 1.0 goes unmatched
+  var s = metrics.scoreOnsets([1.03], [1, 1.04], 0.05);
+  assert.equal(s.tp, 1);
+  assert.equal(s.fn, 1);
+  assert.ok(Math.abs(s.meanError + 0.01) < 1e-9);
+
+  var doubled = metrics.scoreOnsets([1, 1.01], [1], 0.05);
+  assert.equal(doubled.tp, 1);
+  assert.equal(doubled.fp, 1);
+});
+
+test("scoreOnsets: empty lists", function () {
+  assert.equal(metrics.scoreOnsets([], []).f, 1);
+  assert.equal(metrics.scoreOnsets([], [1]).recall, 0);
+  assert.equal(metrics.scoreOnsets([1], []).precision, 0);
+});
+
+test("scoreTempo: accuracy1 within 4 %, accuracy2 allows octave and triple errors", function () {
+  assert.deepEqual(pick(metrics.scoreTempo(122, 120)), [true, true]);
+  assert.deepEqual(pick(metrics.scoreTempo(60.5, 120)), [false, true]);
+  assert.deepEqual(pick(metrics.scoreTempo(180, 60)), [false, true]);
+  assert.deepEqual(pick(metrics.scoreTempo(80, 120)), [false, false]);
+  assert.deepEqual(pick(metrics.scoreTempo(null, 120)), [false, false]);
+
+  function pick(s) { return [s.accuracy1, s.accuracy2]; }
+});
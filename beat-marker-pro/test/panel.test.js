@@ -0,0 +1,370 @@
+/**
+ * Panel behaviour outside placement — visualization, imports, analysis
+ * runs — with the panel scripts in Node (helpers/panel.js).
+ */
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+
+var loadPanel = require("./helpers/panel.js").loadPanel;
+var signals = require("./helpers/signals.js");
+var midiFile = require("./helpers/midi.js").midiFile;
+
+/**
+ * Makes the panel's offscreen canvases record their ImageData sizes.
+ */
+function recordCanvases(panel) {
+  var created = [];
+  var createElement = panel.document.createElement;
+  panel.document.createElement = function (tag) {
+    if (tag !== "canvas") return createElement(tag);
+    var canvas = {
+      width: 0,
+      height: 0,
+      getContext: function () {
+        return {
+          createImageData: function (w, h) {
+            created.push({ width: w, height: h });
+            return { data: new Uint8ClampedArray(w * h * 4) };
+          },
+          putImageData: function () {},
+        };
+      },
+    };
+    return canvas;
+  };
+  return created;
+}
+
+function drawCalls() {
+  var calls = [];
+  return {
+    calls: calls,
+    drawImage: function (img, sx, sy, sw, sh, dx, dy, dw, dh) {
+      calls.push({ img: img, sx: sx, sw: sw, dx: dx, dw: dw });
+    },
+    fillText: function () {},
+  };
+}
+
+test("a long song's spectrogram is drawn from tiles within canvas limits", function () {
+  var panel = loadPanel(null);
+  var created = recordCanvases(panel);
+  var frames = 200000, bins = 96;   // 20 minutes at a 256-sample hop
+  panel.window.analyzer.features = {
+    sampleRate: 44100, fftSize: 2048, hopSize: 256,
+    logSpectrogram: { frames: frames, bins: bins, data: new Uint8Array(frames * bins), minHz: 30, maxHz: 16000 },
+  };
+  var duration = frames * 256 / 44100;
+
+  var ctx = drawCalls();
+  panel.window.drawSpectrogram(ctx, { start: 0, span: duration }, 800, 0, 100);
+  assert.ok(created.length > 1);
+  created.forEach(function (size) {
+    assert.ok(size.width <= 2048, "ImageData " + size.width + " wide");
+    assert.equal(size.height, bins);
+  });
+  var step = panel.window.editor.specImage.step;
+  var columns = created.reduce(function (n, size) { return n + size.width; }, 0);
+  assert.equal(columns, Math.ceil(frames / step));
+  assert.ok(columns <= 32768);
+  // Whole song in view: every tile drawn, side by side across the canvas
+  assert.equal(ctx.calls.length, created.length);
+  var last = ctx.calls[ctx.calls.length - 1];
+  assert.ok(Math.abs(last.dx + last.dw - 800) < 1);
+
+  // Zoomed in: only the tile under the view, rendered once
+  ctx = drawCalls();
+  panel.window.drawSpectrogram(ctx, { start: duration / 2, span: 5 }, 800, 0, 100);
+  assert.ok(ctx.calls.length >= 1 && ctx.calls.length <= 2);
+  assert.equal(created.length, Math.ceil(columns / 2048));
+});
+
+/**
+ * A 120 BPM click track as decoded audio.
+ */
+function decodedClickTrack(seconds) {
+  return signals.clickTrack(120, seconds || 4, 1).buffer;
+}
+
+/**
+ * Starts the panel's analysis of decoded audio, as analyzeAudioData()
+ * does once the file is decoded.
+ */
+function startAnalysis(panel, buffer) {
+  panel.window.runAnalysis(Promise.resolve(null), "click.wav", buffer, buffer.getChannelData(0), null);
+}
+
+function waitFor(check) {
+  return new Promise(function (resolve) {
+    (function poll() {
+      if (check()) resolve();
+      else setTimeout(poll, 20);
+    })();
+  });
+}
+
+test("without a worker, analysis hides Cancel and swaps features in only when done", function () {
+  var panel = loadPanel(null);
+  var buffer = decodedClickTrack();
+  var analyzer = panel.window.analyzer;
+  var before = { bpm: 90, beats: [] };
+  analyzer.setFeatures(before);
+  var cancelBtn = panel.document.getElementById("cancelAnalysisBtn");
+
+  startAnalysis(panel, buffer);
+  assert.ok(cancelBtn.classList.contains("visible"));
+  return panel.settle().then(function () {
+    // Deferred, so the panel can show that it is busy first
+    assert.ok(!cancelBtn.classList.contains("visible"));
+    assert.match(panel.status().text, /unresponsive until this finishes/);
+    assert.equal(analyzer.features, before);
+    return waitFor(function () { return panel.status().type !== "working"; });
+  }).then(function () {
+    assert.equal(panel.status().type, "ready");
+    assert.notEqual(analyzer.features, before);
+    assert.ok(Math.abs(analyzer.features.bpm - 120) < 2);
+  });
+});
+
+test("a main-thread analysis replaced before it starts never runs", function () {
+  var panel = loadPanel(null);
+  var buffer = decodedClickTrack();
+  var analyzer = panel.window.analyzer;
+  var before = { bpm: 90, beats: [] };
+  analyzer.setFeatures(before);
+
+  startAnalysis(panel, buffer);
+  return panel.settle().then(function () {
+    panel.window.state.analysisJob.cancel("superseded");
+    return new Promise(function (resolve) { setTimeout(resolve, 200); });
+  }).then(function () {
+    assert.equal(analyzer.features, before);
+    assert.equal(panel.window.state.analysisJob, null);
+  });
+});
+
+test("a cancelled analysis leaves the previous song's audio and samples", function () {
+  var panel = loadPanel(null);
+  var state = panel.window.state, analyzer = panel.window.analyzer;
+  var first = decodedClickTrack(), second = signals.clickTrack(100, 4, 2).buffer;
+  startAnalysis(panel, first);
+  return panel.settle().then(function () {
+    return waitFor(function () { return panel.status().type !== "working"; });
+  }).then(function () {
+    assert.equal(state.audioBuffer, first);
+    var results = state.analysisResults;
+
+    startAnalysis(panel, second);
+    assert.equal(state.audioBuffer, first);
+    return panel.settle().then(function () {
+      panel.window.cancelAnalysis();
+      return panel.settle();
+    }).then(function () {
+      assert.equal(panel.status().text, "Analysis cancelled");
+      assert.equal(state.audioBuffer, first);
+      assert.equal(state.monoSamples, first.getChannelData(0));
+      assert.equal(analyzer.samples, first.getChannelData(0));
+      assert.equal(state.analysisResults, results);
+    });
+  });
+});
+
+/**
+ * Imports text as a beat map file through the panel's file reader path.
+ */
+function importText(panel, name, text) {
+  panel.window.FileReader = function () {};
+  panel.window.FileReader.prototype.readAsArrayBuffer = function () {
+    var reader = this;
+    setImmediate(function () {
+      reader.result = new TextEncoder().encode(text).buffer;
+      reader.onload();
+    });
+  };
+  panel.window.importBeatMap({ name: name });
+}
+
+/**
+ * Times of the imported channel's events (a plain array; the panel's
+ * are from its own realm).
+ */
+function importedTimes(panel, map) {
+  return Array.from(panel.window.state.channels.imported.results, function (ev) {
+    return map ? map(ev.time) : ev.time;
+  });
+}
+
+var PREMIERE_LIST = "Marker Name\tDescription\tIn\tOut\tDuration\tMarker Type\n" +
+  "Beat 1\t\t00:00:09:00\t00:00:09:00\t00:00:00:00\tComment\n" +
+  "Beat 2\t\t00:00:12:00\t00:00:12:00\t00:00:00:00\tComment\n" +
+  "Beat 3\t\t00:00:13:12\t00:00:13:12\t00:00:00:00\tComment\n" +
+  "Beat 4\t\t00:00:20:00\t00:00:20:00\t00:00:00:00\tComment\n";
+
+test("a Premiere marker list is read as sequence time and placed where it was", function () {
+  var panel = loadPanel(null);
+  // Analyzed from a clip at 10 s on the timeline, trimmed to 2–8 s of its media
+  panel.window.state.sourceClip = { name: "song.wav", track: "A1", start: 10, end: 16, inPoint: 2, outPoint: 8, speed: 1 };
+  importText(panel, "markers.txt", PREMIERE_LIST);
+  return panel.settle().then(function () {
+    assert.deepEqual(importedTimes(panel), [4, 5.5]);
+    assert.match(panel.status().text, /Imported 2 events .*\(2 outside the analyzed clip left out\)/);
+    // Back in sequence time for a sequence destination, unchanged
+    assert.deepEqual(importedTimes(panel, panel.window.destinationTime), [12, 13.5]);
+  });
+});
+
+test("other beat maps stay in media time", function () {
+  var panel = loadPanel(null);
+  panel.window.state.sourceClip = { name: "song.wav", track: "A1", start: 10, end: 16, inPoint: 2, outPoint: 8, speed: 1 };
+  importText(panel, "beats.csv", "time,label\n4,one\n5.5,two\n");
+  return panel.settle().then(function () {
+    assert.deepEqual(importedTimes(panel), [4, 5.5]);
+    assert.equal(panel.status().text, "✓ Imported 2 events from beats.csv");
+  });
+});
+
+test("a failed import reports its error", function () {
+  var panel = loadPanel({});
+  panel.bridge.intercept = function (script) {
+    if (script.indexOf("getInOutRange(") === 0) return "EvalScript error.";
+  };
+  importText(panel, "beats.csv", "time,label\n4,one\n");
+  return panel.settle().then(function () {
+    assert.deepEqual(panel.status(), { type: "error", text: "Import failed: ExtendScript evaluation error" });
+  });
+});
+
+test("a failed sequence clip lookup reports its error", function () {
+  var panel = loadPanel({});
+  var reply = "EvalScript error.";
+  panel.bridge.intercept = function (script) {
+    if (script.indexOf("getSequenceAudioClips(") === 0) return reply;
+  };
+  panel.window.loadSequenceClips();
+  return panel.settle().then(function () {
+    assert.deepEqual(panel.status(), { type: "error", text: "ExtendScript evaluation error" });
+    reply = "undefined";
+    panel.window.loadSequenceClips();
+    return panel.settle();
+  }).then(function () {
+    assert.deepEqual(panel.status(), { type: "error", text: "Could not read the sequence's audio clips" });
+  });
+});
+
+test("the playhead offset reads the playhead even when the frame rate can't be read", function () {
+  var panel = loadPanel({ sequence: { fps: 24, playerPosition: 2 } });
+  var fail = { "getInOutRange(": true };
+  panel.bridge.intercept = function (script) {
+    if (fail[script.slice(0, script.indexOf("(") + 1)]) return "EvalScript error.";
+  };
+  panel.window.usePlayheadAsOffset();
+  return panel.settle().then(function () {
+    assert.deepEqual(panel.status(), { type: "ready", text: "Offset: frame 48" });
+    fail["getPlayheadFrames("] = true;
+    panel.window.usePlayheadAsOffset();
+    return panel.settle();
+  }).then(function () {
+    assert.deepEqual(panel.status(), { type: "error", text: "Could not read playhead: ExtendScript evaluation error" });
+  });
+});
+
+/**
+ * Runs the panel's analysis on a click track accented every 4 beats.
+ * Resolves when it is done.
+ */
+function analyzeClickTrack(panel) {
+  var buffer = decodedClickTrack(10);
+  startAnalysis(panel, buffer);
+  return panel.settle().then(function () {
+    return waitFor(function () { return panel.status().type !== "working"; });
+  });
+}
+
+function pickControl(panel, id, value) {
+  var el = panel.document.getElementById(id);
+  el.value = String(value);
+  el.dispatchEvent({ type: "change", target: el });
+}
+
+test("analysis sets the detected meter when none was picked", function () {
+  var panel = loadPanel(null);
+  panel.window.setTimeSignature(3, 4);
+  return analyzeClickTrack(panel).then(function () {
+    assert.equal(panel.window.state.timeSigTop, 4);
+    assert.equal(panel.window.state.timeSigBottom, 4);
+    assert.doesNotMatch(panel.status().text, /sounds like/);
+  });
+});
+
+test("analysis only suggests its meter over one the user picked", function () {
+  var panel = loadPanel(null);
+  pickControl(panel, "timeSigTop", 7);
+  pickControl(panel, "timeSigBottom", 8);
+  pickControl(panel, "beatGrouping", "2+2+3");
+  return analyzeClickTrack(panel).then(function () {
+    var state = panel.window.state;
+    assert.deepEqual([state.timeSigTop, state.timeSigBottom, Array.from(state.beatGrouping)], [7, 8, [2, 2, 3]]);
+    assert.match(panel.status().text, /· sounds like 4\/4, kept 7\/8 2\+2\+3$/);
+    // Saved with the settings, so a reload keeps treating it as picked
+    assert.equal(panel.window.collectSettings().meterFromUser, true);
+  });
+});
+
+/**
+ * Makes the panel's FileReader hand back bytes, right away.
+ */
+// bytes null makes the read fail
+function readerOf(panel, bytes) {
+  panel.window.FileReader = function () {};
+  panel.window.FileReader.prototype.readAsArrayBuffer = function () {
+    if (bytes === null) { this.onerror(); return; }
+    this.result = bytes;
+    this.onload();
+  };
+}
+
+test("a compound-meter MIDI tempo map lands on the grid's beats", function () {
+  var panel = loadPanel(null);
+  readerOf(panel, midiFile(480, [
+    { tick: 0, tempo: 90 },
+    { tick: 0, meter: [6, 8] },
+    // Second dotted quarter of bar 2
+    { tick: 6 * 240 + 3 * 240, tempo: 120 },
+    { tick: 2 * 6 * 240, meter: [4, 4] },
+  ]));
+  panel.window.importTempoMap({ name: "tempo.mid" });
+
+  var state = panel.window.state;
+  assert.deepEqual([state.bpm, state.timeSigTop, state.timeSigBottom], [60, 6, 8]);
+  assert.deepEqual(JSON.parse(JSON.stringify(state.tempoMap)), [
+    { bar: 2, beat: 2, bpm: 80, ramp: false },
+    { bar: 3, beat: 1, bpm: 120, ramp: false, beatsPerBar: 4, beatUnit: 4 },
+  ]);
+});
+
+test("an unreadable tempo map file is reported", function () {
+  var panel = loadPanel(null);
+  readerOf(panel, null);
+  panel.window.importTempoMap({ name: "tempo.mid" });
+  assert.deepEqual(panel.status(), { type: "error", text: "Could not read tempo.mid" });
+});
+
+test("a groove is extracted from a swung MIDI pattern", function () {
+  var panel = loadPanel(null);
+  // Two bars of 16th hats at 96 PPQ, every second one 6 ticks late
+  // (an MPC at 62% swing), with a kick on each beat
+  var notes = [];
+  for (var n = 0; n < 32; n++) {
+    notes.push({ tick: n * 24 + (n % 2 ? 6 : 0), note: 42 });
+    if (n % 4 === 0) notes.push({ tick: n * 24, note: 36 });
+  }
+  readerOf(panel, midiFile(96, [{ tick: 0, tempo: 95 }].concat(notes)));
+  panel.window.importGroove({ name: "MPC Swing 62.mid" });
+
+  var groove = panel.window.activeGroove();
+  assert.equal(groove.name, "MPC Swing 62");
+  assert.equal(groove.stepsPerBeat, 4);
+  assert.deepEqual(Array.from(groove.offsets), [0, 0.0625, 0, 0.0625]);
+  assert.equal(panel.status().text, "Groove from 40 notes in MPC Swing 62.mid: 0, 25, 0, 25 (% of a slot)");
+});
@@ -0,0 +1,407 @@
+/**
+ * Panel → host placement flow, end to end: the panel scripts run against
+ * host/index.jsx on a mock Premiere (helpers/panel.js, helpers/premiere.js).
+ */
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+
+var loadPanel = require("./helpers/panel.js").loadPanel;
+var mock = require("./helpers/premiere.js");
+
+/**
+ * Panel with kick events at the given times as its only detection results.
+ */
+function panelWithKicks(times, options) {
+  var panel = loadPanel(options !== undefined ? options : { sequence: { duration: 600 } });
+  var state = panel.window.state;
+  state.range = "full";
+  state.snapMode = "off";
+  state.namePattern = "{type}";
+  state.channels.kick.results = times.map(function (t) { return { time: t, strength: 1 }; });
+  return panel;
+}
+
+function range(n, step) {
+  var times = [];
+  for (var i = 0; i < n; i++) times.push(1 + i * step);
+  return times;
+}
+
+function names(markers) {
+  return markers.map(function (m) { return m.name; });
+}
+
+test("connects and reports the active sequence", function () {
+  var panel = loadPanel({ sequence: { name: "Edit v3" } });
+  return panel.settle().then(function () {
+    assert.deepEqual(panel.status(), { type: "ready", text: "Connected — Sequence: Edit v3" });
+  });
+});
+
+test("grid markers are placed on frames of the sequence timebase", function () {
+  var panel = loadPanel({ sequence: { fps: 29.97, duration: 10, inPoint: 2, outPoint: 6 } });
+  panel.window.setBPM(100);
+  panel.window.placeGridMarkers();
+  return panel.settle().then(function () {
+    var markers = panel.premiere.markers();
+    assert.equal(markers.length, 7);
+    assert.equal(markers[0].name, "↓ 1.1");
+    // The in point is snapped to frame 60
+    assert.equal(markers[0].ticks, String(60 * 8475667200));
+    markers.forEach(function (m) {
+      assert.equal(Number(m.ticks) % 8475667200, 0, m.name + " is off the frame grid");
+    });
+    assert.match(panel.status().text, /^✓ Placed 7 grid markers at 100 BPM/);
+  });
+});
+
+test("large batches are sent in chunks of 200 and undone exactly", function () {
+  var panel = panelWithKicks(range(450, 0.25));
+  panel.premiere.sequence.markers.createMarker(0.5).name = "hand placed";
+  panel.window.placeDetectedMarkers();
+  return panel.settle().then(function () {
+    var chunks = panel.bridge.callsTo("createMarkerBatch");
+    assert.equal(chunks.length, 3);
+    assert.deepEqual(chunks.map(function (script) {
+      return JSON.parse(script.match(/^createMarkerBatch\('(.*?)','/)[1]).length;
+    }), [200, 200, 50]);
+    assert.equal(panel.premiere.markers().length, 451);
+    assert.equal(panel.status().text, "✓ Placed 450 detected markers");
+    assert.equal(panel.window.state.batchHistory[0].ids.length, 450);
+
+    panel.window.clearLastBatch();
+    return panel.settle();
+  }).then(function () {
+    assert.deepEqual(names(panel.premiere.markers()), ["hand placed"]);
+    assert.equal(panel.status().text, "✓ Removed 450 markers (Detected)");
+
+    panel.window.redoLastBatch();
+    return panel.settle();
+  }).then(function () {
+    assert.equal(panel.premiere.markers().length, 451);
+  });
+});
+
+test("undo finds its markers by comment tag when markers have no GUID", function () {
+  var panel = panelWithKicks([1, 2, 3], { sequence: {}, guids: false });
+  panel.premiere.sequence.markers.createMarker(2).name = "hand placed";
+  panel.window.placeDetectedMarkers();
+  return panel.settle().then(function () {
+    assert.equal(panel.premiere.markers().length, 4);
+    panel.window.clearLastBatch();
+    return panel.settle();
+  }).then(function () {
+    assert.deepEqual(names(panel.premiere.markers()), ["hand placed"]);
+  });
+});
+
+test("undo and redo act on the sequence the batch was placed on, whichever is active", function () {
+  var panel = panelWithKicks([1, 2, 3], { sequence: { duration: 600 }, sequences: [{ name: "B-roll" }] });
+  panel.premiere.sequences[1].markers.createMarker(2).name = "other sequence";
+  panel.window.placeDetectedMarkers();
+  return panel.settle().then(function () {
+    panel.premiere.activate("B-roll");
+    panel.window.clearLastBatch();
+    return panel.settle();
+  }).then(function () {
+    assert.equal(panel.status().text, "✓ Removed 3 markers (Detected)");
+    assert.deepEqual(panel.premiere.markers(), []);
+    assert.deepEqual(names(panel.premiere.markers("B-roll")), ["other sequence"]);
+    panel.window.redoLastBatch();
+    return panel.settle();
+  }).then(function () {
+    assert.equal(panel.premiere.markers().length, 3);
+    assert.equal(panel.premiere.markers("B-roll").length, 1);
+  });
+});
+
+test("undo on a clip destination finds its clip after the selection moves", function () {
+  var panel = panelWithKicks([1, 2], {
+    sequence: {
+      audioClips: [
+        { mediaPath: "/media/song.wav", start: 0, end: 10, selected: true },
+        { mediaPath: "/media/other.wav", start: 10, end: 20 },
+      ],
+    },
+  });
+  panel.window.state.destination = "clip";
+  panel.premiere.item("other.wav").markers.createMarker(1).name = "keep";
+  panel.window.placeDetectedMarkers();
+  return panel.settle().then(function () {
+    assert.equal(panel.premiere.markers("song.wav").length, 2);
+    panel.premiere.sequence.trackItems[0].selected = false;
+    panel.premiere.sequence.trackItems[1].selected = true;
+    panel.window.clearLastBatch();
+    return panel.settle();
+  }).then(function () {
+    assert.deepEqual(panel.premiere.markers("song.wav"), []);
+    assert.deepEqual(names(panel.premiere.markers("other.wav")), ["keep"]);
+  });
+});
+
+test("an undo that can't remove every marker fails and stays undoable", function () {
+  var panel = panelWithKicks([1, 2, 3]);
+  var markers = panel.premiere.sequence.markers;
+  var deleteMarker = markers.deleteMarker;
+  var locked = true;
+  markers.deleteMarker = function (m) {
+    if (locked && m.start.seconds === 2) throw new Error("Marker is locked");
+    return deleteMarker.call(this, m);
+  };
+  panel.window.placeDetectedMarkers();
+  return panel.settle().then(function () {
+    panel.window.clearLastBatch();
+    return panel.settle();
+  }).then(function () {
+    assert.deepEqual(panel.status(), { type: "error", text: "Undo failed: removed 2 of 3 markers (1 could not be deleted)" });
+    var entry = panel.window.state.batchHistory[0];
+    assert.equal(entry.undone, false);
+    assert.equal(entry.ids.length, 1);
+
+    locked = false;
+    panel.window.clearLastBatch();
+    return panel.settle();
+  }).then(function () {
+    assert.equal(panel.status().text, "✓ Removed 1 markers (Detected)");
+    assert.deepEqual(panel.premiere.markers(), []);
+    assert.equal(panel.window.state.batchHistory[0].undone, true);
+  });
+});
+
+test("marker text survives quoting into the ExtendScript call", function () {
+  // Imported beat map labels end up in comments as they are
+  var label = "it's \"verse\" C:\\beats\\1\nline\u2028sep\u2029end";
+  var panel = panelWithKicks([1]);
+  panel.window.state.channels.kick.results[0].label = label;
+  panel.window.placeDetectedMarkers();
+  return panel.settle().then(function () {
+    assert.equal(panel.status().type, "ready", panel.status().text);
+    assert.equal(panel.premiere.markers()[0].comments, "Kick (" + label + ") | 1.000s | str:1.00");
+  });
+});
+
+test("duplicate modes against existing markers", function () {
+  function run(mode) {
+    var panel = panelWithKicks([1, 2, 3]);
+    var existing = panel.premiere.sequence.markers.createMarker(2.02);
+    existing.name = "Beat 1.2";
+    existing.comments = "grid";
+    panel.window.state.duplicateMode = mode;
+    panel.window.placeDetectedMarkers();
+    return panel.settle().then(function () { return panel; });
+  }
+
+  return run("skip").then(function (panel) {
+    assert.deepEqual(names(panel.premiere.markers()), ["Kick", "Beat 1.2", "Kick"]);
+    assert.match(panel.status().text, /1 duplicates skipped/);
+    return run("replace");
+  }).then(function (panel) {
+    assert.deepEqual(names(panel.premiere.markers()), ["Kick", "Kick", "Kick"]);
+    panel.window.clearLastBatch();
+    return panel.settle().then(function () { return panel; });
+  }).then(function (panel) {
+    // Undo puts the replaced marker back
+    assert.deepEqual(names(panel.premiere.markers()), ["Beat 1.2"]);
+    return run("merge");
+  }).then(function (panel) {
+    var markers = panel.premiere.markers();
+    assert.deepEqual(names(markers), ["Kick", "Beat 1.2 / Kick", "Kick"]);
+    assert.match(markers[1].comments, /^grid \|\| /);
+  });
+});
+
+test("a replace that can't delete every match still records the ones it deleted", function () {
+  var panel = panelWithKicks([1, 2, 3]);
+  var markers = panel.premiere.sequence.markers;
+  ["Beat 1.1", "Beat 1.2"].forEach(function (name, i) {
+    markers.createMarker(1.02 + i).name = name;
+  });
+  var deleteMarker = markers.deleteMarker;
+  markers.deleteMarker = function (m) {
+    if (m.name === "Beat 1.2") throw new Error("Marker is locked");
+    return deleteMarker.call(this, m);
+  };
+  panel.window.state.duplicateMode = "replace";
+  panel.window.placeDetectedMarkers();
+  return panel.settle().then(function () {
+    assert.deepEqual(panel.status(), { type: "error", text: "1 existing markers could not be replaced" });
+    assert.deepEqual(names(panel.premiere.markers()), ["Beat 1.2"]);
+    var entry = panel.window.state.batchHistory[0];
+    assert.deepEqual(Array.from(entry.replaced, function (m) { return m.name; }), ["Beat 1.1"]);
+    assert.equal(entry.items.length, 0);
+
+    panel.window.clearLastBatch();
+    return panel.settle();
+  }).then(function () {
+    assert.deepEqual(names(panel.premiere.markers()), ["Beat 1.1", "Beat 1.2"]);
+  });
+});
+
+test("a merge whose renames fail stays undoable", function () {
+  var panel = panelWithKicks([1, 2]);
+  var existing = panel.premiere.sequence.markers.createMarker(1.02);
+  existing.name = "Beat 1.1";
+  panel.bridge.intercept = function (script) {
+    if (script.indexOf("updateMarkersById(") === 0 && existing.name === "Beat 1.1") {
+      existing.name = "Beat 1.1 / Kick";
+      return mock.EVAL_ERROR;
+    }
+  };
+  panel.window.state.duplicateMode = "merge";
+  panel.window.placeDetectedMarkers();
+  return panel.settle().then(function () {
+    assert.deepEqual(panel.status(), { type: "error", text: "ExtendScript evaluation error" });
+    assert.equal(panel.window.state.batchHistory.length, 1);
+    panel.bridge.intercept = null;
+    panel.window.clearLastBatch();
+    return panel.settle();
+  }).then(function () {
+    assert.deepEqual(names(panel.premiere.markers()), ["Beat 1.1"]);
+  });
+});
+
+test("clearing all markers reports a marker that won't go", function () {
+  var panel = panelWithKicks([1, 2]);
+  panel.window.placeDetectedMarkers();
+  return panel.settle().then(function () {
+    panel.premiere.sequence.markers.deleteMarker = function () {};
+    panel.window.clearAllMarkers();
+    return panel.settle();
+  }).then(function () {
+    assert.deepEqual(panel.status(), { type: "error", text: "Clear failed: Removed 0 markers, then one could not be deleted" });
+    // The batch is still there to undo
+    assert.equal(panel.window.state.batchHistory.length, 1);
+  });
+});
+
+test("dry run reads markers but places nothing", function () {
+  var panel = panelWithKicks([1, 2]);
+  panel.window.state.dryRun = true;
+  panel.window.state.duplicateMode = "skip";
+  panel.window.placeDetectedMarkers();
+  return panel.settle().then(function () {
+    assert.equal(panel.bridge.callsTo("createMarkerBatch").length, 0);
+    assert.equal(panel.premiere.markers().length, 0);
+    assert.match(panel.status().text, /^Dry run — would add 2, replace 0, merge 0, skip 0/);
+  });
+});
+
+test("placement without an active sequence reports it and re-enables the button", function () {
+  var panel = panelWithKicks([1], { sequence: null });
+  var btn = panel.document.getElementById("placeDetectedBtn");
+  panel.window.placeDetectedMarkers();
+  assert.equal(btn.disabled, true);
+  return panel.settle().then(function () {
+    assert.deepEqual(panel.status(), { type: "error", text: "No active sequence" });
+    assert.equal(btn.disabled, false);
+  });
+});
+
+test("a failed host call ends the placement with an error", function () {
+  var panel = panelWithKicks(range(300, 0.25));
+  var btn = panel.document.getElementById("placeDetectedBtn");
+  var batches = 0;
+  panel.bridge.intercept = function (script) {
+    if (script.indexOf("createMarkerBatch(") === 0 && ++batches === 2) return mock.EVAL_ERROR;
+  };
+  panel.window.placeDetectedMarkers();
+  return panel.settle().then(function () {
+    assert.deepEqual(panel.status(), { type: "error", text: "ExtendScript evaluation error" });
+    assert.equal(btn.disabled, false);
+    // The first chunk landed and stays undoable
+    assert.equal(panel.premiere.markers().length, 200);
+    assert.equal(panel.window.state.batchHistory[0].ids.length, 200);
+  });
+});
+
+test("a host error mid-batch stops sending", function () {
+  var panel = panelWithKicks(range(450, 0.25));
+  var batches = 0;
+  panel.bridge.intercept = function (script) {
+    if (script.indexOf("createMarkerBatch(") === 0 && ++batches === 2) {
+      return JSON.stringify({ error: "Project is read-only", placed: 0 });
+    }
+  };
+  panel.window.placeDetectedMarkers();
+  return panel.settle().then(function () {
+    assert.deepEqual(panel.status(), { type: "error", text: "Project is read-only" });
+    assert.equal(panel.bridge.callsTo("createMarkerBatch").length, 2);
+  });
+});
+
+test("clip destination places only events inside the selected clip", function () {
+  var panel = panelWithKicks([1, 5, 12], {
+    sequence: { audioClips: [{ mediaPath: "/media/song.wav", start: 4, end: 10, inPoint: 0, selected: true }] },
+  });
+  panel.window.state.destination = "clip";
+  panel.window.placeDetectedMarkers();
+  return panel.settle().then(function () {
+    var markers = panel.premiere.markers("song.wav");
+    assert.deepEqual(markers.map(function (m) { return m.time; }), [1]);
+    assert.equal(panel.status().text, "✓ Placed 1 detected markers (2 outside clip)");
+  });
+});
+
+test("preview mode simulates placement without a host", function () {
+  var panel = panelWithKicks([1, 2, 3], null);
+  panel.window.placeDetectedMarkers();
+  assert.equal(panel.status().text, "Simulating...");
+});
+
+test("custom channels from a preset reach the analysis options, placement and saved settings", function () {
+  var panel = panelWithKicks([]);
+  var window = panel.window;
+  window.applySettings({
+    analysis: {
+      fftSize: 4096,
+      bands: { jingle: { low: 8000, high: 12500 } },
+      customChannels: [{ name: "tambourine", bands: ["jingle"], feature: "energy", window: 0.1, minInterval: 0.1 }],
+    },
+    channels: { tambourine: { enabled: true, sensitivity: 0.7, color: 4 } },
+  });
+  var channels = Object.keys(window.state.channels);
+  assert.deepEqual(channels.slice(-2), ["tambourine", "imported"]);
+
+  var options = window.buildAnalysisOptions();
+  assert.equal(options.fftSize, 4096);
+  assert.equal(options.sensitivityTambourine, 0.7);
+  assert.equal(options.customChannels[0].name, "tambourine");
+
+  var saved = JSON.parse(JSON.stringify(window.collectSettings()));
+  assert.deepEqual(saved.analysis.bands, { jingle: { low: 8000, high: 12500 } });
+  assert.deepEqual(saved.channels.tambourine, { enabled: true, color: 4, sensitivity: 0.7 });
+
+  // A band still in use stays; an unknown band is refused
+  window.removeCustomBand("jingle");
+  assert.deepEqual(panel.status(), { type: "error", text: "Band jingle is used by channel tambourine" });
+  assert.equal(window.updateAnalysisSettings({ customChannels: [{ name: "x", bands: ["nope"] }] }), false);
+  assert.equal(window.state.channels.x, undefined);
+
+  window.state.channels.tambourine.results = [{ time: 1, strength: 1, type: "tambourine" }];
+  window.placeDetectedMarkers();
+  return panel.settle().then(function () {
+    var markers = panel.premiere.markers();
+    assert.deepEqual(names(markers), ["Tambourine"]);
+    assert.equal(markers[0].color, 4);
+
+    window.removeCustomChannel("tambourine");
+    assert.equal(window.state.channels.tambourine, undefined);
+  });
+});
+
+test("grid markers follow the tempo map and keep counting bars across it", function () {
+  var panel = loadPanel({ sequence: { fps: 24, duration: 20, inPoint: 0, outPoint: 8 } });
+  panel.window.setBPM(120);
+  panel.window.state.tempoMap = [{ bar: 3, beat: 1, bpm: 60, ramp: false }];
+  panel.window.placeGridMarkers();
+  return panel.settle().then(function () {
+    var markers = panel.premiere.markers();
+    assert.deepEqual(names(markers), [
+      "↓ 1.1", "· 1.2", "· 1.3", "· 1.4", "↓ 2.1", "· 2.2", "· 2.3", "· 2.4",
+      "↓ 3.1", "· 3.2", "· 3.3", "· 3.4",
+    ]);
+    assert.deepEqual(markers.map(function (m) { return m.time; }), [0, 0.5, 1, 1.5, 2, 2.5, 3, 3.5, 4, 5, 6, 7]);
+    assert.match(panel.status().text, /tempo map/);
+  });
+});
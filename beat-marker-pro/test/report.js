@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * ════════════════════════════════════════════════════════
+ *  BEAT MARKER PRO — Detection Report
+ *  Prints per-channel scores for every test track
+ * ════════════════════════════════════════════════════════
+ *
+ *  Same tracks as detection.test.js and tempo.test.js, but instead of
+ *  checking floors it prints the full precision / recall / F table —
+ *  run it before and after an analyzer change to compare.
+ *
+ *    node test/report.js [--tolerance <sec>] [--synthetic | --fixtures]
+ */
+
+var signals = require("./helpers/signals.js");
+var harness = require("./helpers/harness.js");
+var metrics = require("./helpers/metrics.js");
+
+var USAGE = "Usage: node test/report.js [--tolerance <sec>] [--synthetic | --fixtures]";
+
+function parseArgs(argv) {
+  var opts = { tolerance: metrics.DEFAULT_TOLERANCE, synthetic: true, fixtures: true };
+  for (var i = 0; i < argv.length; i++) {
+    var arg = argv[i];
+    if (arg === "--tolerance") {
+      opts.tolerance = parseFloat(argv[++i]);
+      if (!(opts.tolerance > 0)) throw new Error("--tolerance needs a number of seconds");
+    } else if (arg === "--synthetic") {
+      opts.fixtures = false;
+    } else if (arg === "--fixtures") {
+      opts.synthetic = false;
+    } else {
+      throw new Error("Unknown option " + arg);
+    }
+  }
+  return opts;
+}
+
+function syntheticTracks() {
+  var tracks = [
+    signals.drumLoop(120, 8, 1),
+    signals.drumLoop(95, 6, 2),
+    signals.bassLine(110, 6, 3),
+    signals.noiseBursts(40, 4),
+    signals.clickTrack(100, 15, 5),
+  ];
+  [70, 85, 128, 140, 160, 174].forEach(function (bpm) { tracks.push(signals.drumLoop(bpm, 6, bpm)); });
+  return tracks;
+}
+
+function main(argv) {
+  var opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (e) {
+    console.error(e.message + "\n" + USAGE);
+    return Promise.resolve(2);
+  }
+
+  var tracks = opts.synthetic ? syntheticTracks() : [];
+  if (opts.fixtures) {
+    harness.listFixtures().forEach(function (manifest) {
+      try {
+        tracks.push(harness.loadFixture(manifest));
+      } catch (e) {
+        console.error(manifest + ": " + e.message);
+      }
+    });
+  }
+
+  // One track at a time, to keep memory flat
+  return tracks.reduce(function (chain, track) {
+    return chain.then(function () {
+      return harness.analyze(track).then(function (results) {
+        console.log(harness.formatScores(track, results, opts.tolerance) + "\n");
+        track.results = null;
+      });
+    });
+  }, Promise.resolve()).then(function () { return 0; });
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(function (code) {
+    process.exitCode = code;
+  }, function (e) {
+    console.error(e.stack || e.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { main: main };
@@ -0,0 +1,31 @@
+/**
+ * Tempo estimation regression tests: a BPM sweep over synthetic drum
+ * loops, scored with MIREX Accuracy1 / Accuracy2.
+ */
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+
+var signals = require("./helpers/signals.js");
+var harness = require("./helpers/harness.js");
+var metrics = require("./helpers/metrics.js");
+
+var SWEEP = [70, 85, 100, 120, 128, 140, 150, 160, 174, 180];
+
+SWEEP.forEach(function (bpm) {
+  test("tempo of a drum loop at " + bpm + " BPM", function (t) {
+    var track = signals.drumLoop(bpm, 6, bpm);
+    return harness.analyze(track, { detectKick: true }).then(function (results) {
+      var score = metrics.scoreTempo(results.bpm, bpm);
+      t.diagnostic("estimated " + results.bpm + " BPM (ratio " + score.ratio.toFixed(3) + ")");
+      assert.ok(score.accuracy1, "estimated " + results.bpm + " BPM for " + bpm + " BPM");
+    });
+  });
+});
+
+test("tempo of a click track", function () {
+  var track = signals.clickTrack(100, 15, 7);
+  return harness.analyze(track, { detectHihat: true }).then(function (results) {
+    assert.ok(metrics.scoreTempo(results.bpm, 100).accuracy1, "estimated " + results.bpm + " BPM");
+  });
+});